@@ -5,7 +5,21 @@ const cors = require('cors')
 const bodyParser = require('body-parser')
 const path = require('path')
 const fs = require('fs')
+const crypto = require('crypto')
 const watch = require('watch')
+const RequestLogger = require('./lib/RequestLogger')
+const Metrics = require('./lib/Metrics')
+const Multipart = require('./lib/Multipart')
+const Compression = require('./lib/Compression')
+const RateLimiter = require('./lib/RateLimiter')
+const StaticFiles = require('./lib/StaticFiles')
+const WebSockets = require('./lib/WebSockets')
+const EventStreams = require('./lib/EventStreams')
+const RouteManifest = require('./lib/RouteManifest')
+const SchemaValidator = require('./lib/SchemaValidator')
+const OpenAPI = require('./lib/OpenAPI')
+const Authentication = require('./lib/Authentication')
+const Sessions = require('./lib/Sessions')
 
 /**
  * @class NGNX.http.Server
@@ -18,10 +32,38 @@ const watch = require('watch')
  * @requires cors
  * @requires watch
  * @requires body-parser
+ * @requires RequestLogger
+ * @requires Metrics
+ * @requires Multipart
+ * @requires Compression
+ * @requires RateLimiter
+ * @requires StaticFiles
+ * @requires WebSockets
+ * @requires EventStreams
+ * @requires RouteManifest
+ * @requires SchemaValidator
+ * @requires OpenAPI
+ * @requires Authentication
+ * @requires Sessions
  * @fires start
  * Fired when the server startup is complete.
+ * @fires draining
+ * Fired when the server begins a graceful shutdown.
+ * @fires error
+ * Fired when a request results in an error, when the request log cannot
+ * be written, or when a listener fails to start (i.e. `EADDRINUSE`). In the
+ * latter case, the listeners that did start are closed again and `start` is
+ * not fired.
  * @fires stop
  * Fired when the server stops and shuts down.
+ * @fires reload
+ * Fired when a route module is reloaded. The absolute paths of the route
+ * module and of the file that triggered the reload are passed to the event
+ * handler.
+ * @fires reloaderror
+ * Fired when a route module fails to reload (the previous routes remain
+ * active). The error and the absolute paths of the route module and of the
+ * file that triggered the reload are passed to the event handler.
  */
 class HttpServer extends NGN.Server {
   constructor(cfg) { // eslint-disable-line
@@ -57,7 +99,7 @@ class HttpServer extends NGN.Server {
         enumerable: true,
         configurable: false,
         writable: true,
-        value: NGN.coalesce(cfg.port, (cfg.certificate ? 443 : 80))
+        value: NGN.coalesce(cfg.port, ((cfg.certificate || cfg.sni) ? 443 : 80))
       },
 
       /**
@@ -71,6 +113,88 @@ class HttpServer extends NGN.Server {
         value: cfg.ip || '0.0.0.0'
       },
 
+      /**
+       * @cfg {Array} listen
+       * Listen on several addresses at once. Each entry is an object
+       * containing an `ip` and `port` (and optionally `ipv6Only`), or a `path`
+       * for a Unix domain socket (or Windows named pipe). Strings such as
+       * `127.0.0.1:8080`, `[::]:8080`, `8080` or `/var/run/app.sock` are
+       * also accepted. For example:
+       * ```js
+       * listen: ['0.0.0.0:8080', '[::]:8080', '/var/run/app.sock']
+       * ```
+       * All listeners start and stop together. When this is provided, the
+       * #ip and #port configurations are ignored.
+       */
+      listenon: {
+        enumerable: false,
+        configurable: false,
+        writable: false,
+        value: cfg.listen ? (Array.isArray(cfg.listen) ? cfg.listen : [cfg.listen]) : []
+      },
+
+      /**
+       * @cfg {boolean|number|Object} redirect
+       * When a TLS #certificate is configured, start a companion plain-HTTP
+       * listener that permanently redirects (301) every request to HTTPS.
+       * Set this to `true` to listen on port `80`, to a port number, or to an
+       * object containing the `port` and `ip` of the redirect listener.
+       */
+      httpredirect: {
+        enumerable: false,
+        configurable: false,
+        writable: false,
+        value: (function () {
+          if (!cfg.redirect) {
+            return null
+          }
+          let redirect = typeof cfg.redirect === 'object' ? cfg.redirect : {}
+          return {
+            port: NGN.coalesce(typeof cfg.redirect === 'number' ? cfg.redirect : redirect.port, 80),
+            ip: redirect.ip || cfg.ip || '0.0.0.0'
+          }
+        })()
+      },
+
+      /**
+       * @cfg {boolean|Object} hsts
+       * Send the `Strict-Transport-Security` header on HTTPS responses.
+       * Set this to `true` to use a `max-age` of 180 days, or an object
+       * containing `maxAge` (seconds), `includeSubDomains` and `preload`.
+       */
+      hsts: {
+        enumerable: false,
+        configurable: false,
+        writable: false,
+        value: (function () {
+          if (!cfg.hsts) {
+            return null
+          }
+          let hsts = typeof cfg.hsts === 'object' ? cfg.hsts : {}
+          let value = 'max-age=' + NGN.coalesce(hsts.maxAge, 15552000)
+          if (hsts.includeSubDomains) {
+            value += '; includeSubDomains'
+          }
+          if (hsts.preload) {
+            value += '; preload'
+          }
+          return value
+        })()
+      },
+
+      /**
+       * @property {Array} servers
+       * The underlying Node servers (one per listener, plus the HTTP redirect
+       * listener when applicable).
+       * @private
+       */
+      servers: {
+        enumerable: false,
+        configurable: false,
+        writable: true,
+        value: []
+      },
+
       /**
        * @cfgproperty {string} certificate
        * Path to an SSL certificate or the contents of the certificate.
@@ -116,6 +240,67 @@ class HttpServer extends NGN.Server {
         value: cfg.passphrase || null
       },
 
+      /**
+       * @cfg {Object} sni
+       * Additional TLS certificates, selected by the hostname a client
+       * requests (Server Name Indication). Each key is a hostname, which may
+       * begin with a `*.` wildcard, and each value is an object containing
+       * a `certificate`, `key`, and optionally a `ca` and `passphrase`. The
+       * values follow the same rules as the server-wide TLS options (paths or
+       * contents). For example:
+       * ```js
+       * sni: {
+       *   'api.example.com': {
+       *     certificate: '/path/to/api.crt',
+       *     key: '/path/to/api.key'
+       *   },
+       *   '*.example.org': {
+       *     certificate: '/path/to/wildcard.crt',
+       *     key: '/path/to/wildcard.key',
+       *     passphrase: 'secret'
+       *   }
+       * }
+       * ```
+       * Clients that do not request a known hostname receive the default
+       * #certificate.
+       */
+      sni: {
+        enumerable: false,
+        configurable: false,
+        writable: false,
+        value: Object.keys(cfg.sni || {}).reduce(function (result, hostname) {
+          result[hostname.toLowerCase()] = cfg.sni[hostname]
+          return result
+        }, {})
+      },
+
+      /**
+       * @cfg {boolean} [reloadCertificates=true]
+       * Monitor TLS certificate, key and CA files for changes. When a file
+       * changes, new connections use the updated certificates without
+       * requiring a server restart. This only applies to values provided
+       * as file paths.
+       */
+      reloadcertificates: {
+        enumerable: false,
+        configurable: false,
+        writable: false,
+        value: NGN.coalesce(cfg.reloadCertificates, true)
+      },
+
+      /**
+       * @property {Object} securecontexts
+       * A cache of the TLS secure contexts, keyed by hostname. The default
+       * context is stored under the `*` key.
+       * @private
+       */
+      securecontexts: {
+        enumerable: false,
+        configurable: false,
+        writable: true,
+        value: {}
+      },
+
       /**
        * @cfg {Boolean} [refresh=true]
        * Setting this to `true` turns on a file watcher.
@@ -129,6 +314,36 @@ class HttpServer extends NGN.Server {
         value: NGN.coalesce(cfg.refresh, true)
       },
 
+      /**
+       * @cfg {number} [reloadDelay=100]
+       * The number of milliseconds to wait for further file changes before
+       * reloading routes. Changes detected within this delay are reloaded
+       * together, so each route module is only reloaded once. Removed files
+       * are handled immediately.
+       */
+      reloaddelay: {
+        enumerable: false,
+        writable: false,
+        configurable: false,
+        value: NGN.coalesce(cfg.reloadDelay, 100)
+      },
+
+      /**
+       * @property {Object} pendingreloads
+       * The files changed since the last reload, and the timer of the next
+       * reload (see #reloadDelay).
+       * @private
+       */
+      pendingreloads: {
+        enumerable: false,
+        writable: false,
+        configurable: false,
+        value: {
+          files: new Set(),
+          timer: null
+        }
+      },
+
       /**
        * @cfg {string} poweredby
        * Sets the `X-POWERED-BY` HTTP header.
@@ -141,24 +356,84 @@ class HttpServer extends NGN.Server {
       },
 
       /**
-       * @property {object} insertionpoint
-       * The insertion point where route changes are reintroduced for each
-       * user-defined module.
+       * @cfg {boolean|string|Object} [requestId=false]
+       * Identify each request with a unique ID, available as `req.id`.
+       * The ID is read from the `X-Request-ID` request header, or generated
+       * when the header is missing (or invalid). The ID is echoed in the
+       * response header, written to the request log and attached to any
+       * errors that occur while processing the request (as `err.requestId`).
+       *
+       * Set this to `true` to enable it, to a string to use a different
+       * header name, or to an object containing a `header` name and/or a
+       * `generate` function that returns a new ID. For example:
+       * ```js
+       * requestId: 'X-Correlation-ID'
+       * ```
+       */
+      requestid: {
+        enumerable: false,
+        configurable: false,
+        writable: false,
+        value: (function () {
+          if (!cfg.requestId) {
+            return null
+          }
+          let requestid = typeof cfg.requestId === 'object' ? cfg.requestId : {}
+          return {
+            header: typeof cfg.requestId === 'string' ? cfg.requestId : (requestid.header || 'X-Request-ID'),
+            generate: requestid.generate || null
+          }
+        })()
+      },
+
+      /**
+       * @property {Object} monitors
+       * A collection of the file watchers, keyed by directory. They are used
+       * to auto-refresh routes, reload TLS certificates and invalidate
+       * cached static files.
        * @private
        */
-      insertionpoint: {
+      monitors: {
         enumerable: false,
+        configurable: false,
         writable: true,
+        value: {}
+      },
+
+      /**
+       * @property {Object} dependencies
+       * The dependency graph of the route modules. Each key is the absolute
+       * path of a module, and each value lists the local (non `node_modules`)
+       * modules it requires directly.
+       * @private
+       */
+      dependencies: {
+        enumerable: false,
         configurable: false,
+        writable: true,
         value: {}
       },
 
       /**
-       * @property {Object} monitors
-       * A collection of the file watchers used to auto-refresh routes.
+       * @property {Set} roots
+       * The route modules loaded from files, which are the roots of the
+       * #dependencies graph.
        * @private
        */
-      monitors: {
+      roots: {
+        enumerable: false,
+        configurable: false,
+        writable: false,
+        value: new Set()
+      },
+
+      /**
+       * @property {Object} slots
+       * The mount slot of each route module, keyed by the absolute path of
+       * the module (see #mountSlot).
+       * @private
+       */
+      slots: {
         enumerable: false,
         configurable: false,
         writable: true,
@@ -166,11 +441,12 @@ class HttpServer extends NGN.Server {
       },
 
       /**
-       * @property {Object} associations
-       * A collection of the subfiles associated with a monitor.
+       * @property {Object} discoveries
+       * A collection of the directories/glob patterns used to discover route
+       * modules, keyed by the root directory of each.
        * @private
        */
-      associations: {
+      discoveries: {
         enumerable: false,
         configurable: false,
         writable: true,
@@ -279,11 +555,51 @@ class HttpServer extends NGN.Server {
         value: NGN.coalesce(cfg.cors, false)
       },
 
+      /**
+       * @cfg {Object} [corsPolicies]
+       * Named CORS policies, which can be applied to a path prefix by route
+       * modules (see #applyCORSPolicy). Each policy accepts the same CORS
+       * options as the server (`whitelist`, `blacklist`, `allowedMethods`,
+       * `allowedHeaders`, `exposedHeaders`, `credentials` and `maxAge`).
+       * ```js
+       * let server = new NGNX.http.Server({
+       *   corsPolicies: {
+       *     partners: {
+       *       whitelist: ['*.partner.com', /^https:\/\/partner-\d+\.example\.com$/],
+       *       allowedMethods: ['GET', 'POST'],
+       *       credentials: true,
+       *       maxAge: 600
+       *     }
+       *   }
+       * })
+       * ```
+       */
+      corspolicies: {
+        enumerable: false,
+        writable: true,
+        configurable: false,
+        value: {}
+      },
+
+      /**
+       * @property {Array} corsbindings
+       * The CORS policies applied to path prefixes. Each binding contains
+       * the `prefix`, the policy `name` and the `src` module declaring it.
+       * @private
+       */
+      corsbindings: {
+        enumerable: false,
+        writable: true,
+        configurable: false,
+        value: []
+      },
+
       /**
        * @cfg {boolean} [basiclog=true]
        * Use a simple built in log to view requests on the console.
-       * The basic log outputs a timestamp, the request method, and the
-       * request URL.
+       * The basic log outputs a timestamp, the request method, the
+       * request URL, the response status code, the response time and the
+       * size of the response. Set this to `false` to disable request logging.
        */
       basiclog: {
         enumerable: false,
@@ -293,492 +609,3500 @@ class HttpServer extends NGN.Server {
       },
 
       /**
-       * @cfg {boolean} [json=false]
-       * Automatically parse JSON request bodies.
+       * @cfg {Object|string|function} log
+       * Configure the request log. Requests are logged once the response is
+       * complete. This may be the name of a format (`basic`, `common`,
+       * `combined` or `json`), a custom formatter function, or an object
+       * containing:
+       *
+       * - `format`: The format name or a custom formatter function. A custom
+       *   formatter receives the log entry, the request and the response and
+       *   returns the line to write.
+       * - `stream`: A writable stream to write to (defaults to stdout).
+       * - `file`: A file to write to instead of a stream.
+       * - `maxSize`: The size (in bytes) at which the file is rotated.
+       * - `maxFiles`: The number of rotated files to keep.
+       * - `skip`: A function receiving the request and response, returning
+       *   `true` when the request should not be logged.
+       *
+       * For example:
+       * ```js
+       * log: {
+       *   format: 'json',
+       *   file: '/var/log/api/access.log',
+       *   maxSize: 52428800
+       * }
+       * ```
+       * Setting this to `false` disables the request log.
        */
-      json: {
+      requestlog: {
         enumerable: false,
         writable: false,
         configurable: false,
-        value: NGN.coalesce(cfg.json, false)
-      }
-    })
+        value: (function () {
+          if (!NGN.coalesce(cfg.log, cfg.basiclog, true)) {
+            return null
+          }
+          let logcfg = cfg.log || {}
+          if (typeof logcfg !== 'object') {
+            logcfg = {
+              format: logcfg === true ? 'basic' : logcfg
+            }
+          }
+          let skip = logcfg.skip
+          logcfg = Object.assign({}, logcfg, {
+            skip: function (req, res) {
+              return me.isBuiltInEndpoint(req) || (skip ? skip(req, res) : false)
+            },
+            onError: function (err) {
+              me.reportError(err)
+            }
+          })
+          return new RequestLogger(logcfg)
+        })()
+      },
 
-    if (this.refresh) {
-      console.warn('Automatic route refresh is enabled. This is only recommended for development environments.')
-    }
+      /**
+       * @cfg {boolean|Object} [health=false]
+       * Serve built-in health check endpoints. Set this to `true` to serve a
+       * liveness endpoint at `/health` and a readiness endpoint at `/ready`,
+       * or provide an object with custom `liveness` and `readiness` paths
+       * (set a path to `false` to disable it). For example:
+       * ```js
+       * health: {
+       *   liveness: '/healthz',
+       *   readiness: '/readyz'
+       * }
+       * ```
+       * The liveness endpoint always responds with a `200` status. The
+       * readiness endpoint responds with `503` while the server is starting,
+       * reloading routes or shutting down (see #ready).
+       */
+      healthpaths: {
+        enumerable: false,
+        configurable: false,
+        writable: false,
+        value: (function () {
+          if (!cfg.health) {
+            return {}
+          }
+          let health = typeof cfg.health === 'object' ? cfg.health : {}
+          return {
+            liveness: NGN.coalesce(health.liveness, '/health'),
+            readiness: NGN.coalesce(health.readiness, '/ready')
+          }
+        })()
+      },
 
-    // Enable basic console logging.
-    if (this.basiclog) {
-      this.app.use(function (req, res, next) {
-        console.log(new Date(), req.method, req.url)
-        next()
-      })
-    }
+      /**
+       * @cfg {boolean|string|Object} [metrics=false]
+       * Serve request metrics in the Prometheus text format. Set this to
+       * `true` to serve the metrics at `/metrics`, to a string to use a
+       * different path, or to an object containing a `path` and/or the
+       * latency histogram `buckets` (in seconds). Request counts and
+       * latency histograms are reported per method, route and status code.
+       */
+      metricspath: {
+        enumerable: false,
+        configurable: false,
+        writable: false,
+        value: cfg.metrics ? (typeof cfg.metrics === 'string' ? cfg.metrics : (cfg.metrics.path || '/metrics')) : null
+      },
 
-    // Configure the x-powered-by header.
-    if (this.poweredbyHeader) {
-      this.app.use(function (req, res, next) {
-        res.set('x-powered-by', me.poweredbyHeader)
-        next()
-      })
-    } else {
-      this.app.disable('x-powered-by')
-    }
+      /**
+       * @property {NGNX.http.Metrics} metrics
+       * The request metrics collector, or `null` if #metrics are disabled.
+       * @readonly
+       */
+      metrics: {
+        enumerable: false,
+        configurable: false,
+        writable: false,
+        value: cfg.metrics ? new Metrics({
+          buckets: typeof cfg.metrics === 'object' ? cfg.metrics.buckets : undefined,
+          skip: function (req) {
+            return me.isBuiltInEndpoint(req)
+          }
+        }) : null
+      },
 
-    // Configure Global CORS support.
-    if (this.globalcors) {
-      this.app.use(this.CORS)
-      console.warn('Global CORS support activated.')
-    }
+      /**
+       * @cfg {boolean|string|Object} [openapi=false]
+       * Serve an OpenAPI document describing the routes (see #toOpenAPI).
+       * Set this to `true` to serve the document at `/openapi.json`, to a
+       * string to use a different path, or to an object containing a `path`
+       * and/or the `info` and `servers` of the document. For example:
+       * ```js
+       * openapi: {
+       *   path: '/docs/openapi.json',
+       *   info: { title: 'Orders', version: '2.1.0' },
+       *   servers: [{ url: 'https://api.example.com' }]
+       * }
+       * ```
+       */
+      openapipath: {
+        enumerable: false,
+        configurable: false,
+        writable: false,
+        value: cfg.openapi ? (typeof cfg.openapi === 'string' ? cfg.openapi : (cfg.openapi.path || '/openapi.json')) : null
+      },
 
-    // Configure basic body parsing.
-    bodyParser.urlencoded({ extended: false })
-    if (this.json) {
-      this.app.use(bodyParser.json())
-    }
+      /**
+       * @property {NGNX.http.OpenAPI} openapi
+       * The OpenAPI document generator.
+       * @private
+       */
+      openapi: {
+        enumerable: false,
+        configurable: false,
+        writable: false,
+        value: new OpenAPI(typeof cfg.openapi === 'object' ? cfg.openapi : {})
+      },
 
-    /**
-     * @method app.cors
-     * A reference to the underlying CORS processor.
-     * This is for use within routes.
-     */
-    this.app.cors = this.CORS
+      /**
+       * @cfg {boolean|Object} [compression=false]
+       * Compress responses using the best encoding (`br`, `gzip` or
+       * `deflate`) accepted by the client. Set this to `true` to use the
+       * defaults, or provide an object containing:
+       *
+       * - `threshold`: The minimum size (in bytes) of a compressed response
+       *   (defaults to `1024`).
+       * - `types`: The compressible content types (i.e. `['text/*', 'application/json']`),
+       *   or a function receiving the content type, request and response.
+       * - `encodings`: The supported encodings, in order of preference.
+       * - `level`: The `gzip`/`deflate` compression level (0-9).
+       * - `quality`: The brotli quality (0-11, defaults to `4`).
+       *
+       * A route can opt out by setting `res.compress = false` (or the
+       * `Cache-Control: no-transform` header). Event streams are flushed
+       * after every write. See NGNX.http.Compression for details.
+       */
+      compression: {
+        enumerable: false,
+        configurable: false,
+        writable: false,
+        value: cfg.compression ? new Compression(typeof cfg.compression === 'object' ? cfg.compression : {}) : null
+      },
 
-    /**
-     * @property app.bodyparser
-     * A reference to the underlying body-parser.
-     * This is for use within routes.
-     */
-    this.app.bodyparser = bodyParser
-  }
+      /**
+       * @cfg {boolean|Object} [rateLimit=false]
+       * Limit the number of requests each client can make. Set this to `true`
+       * to accept up to 100 requests per minute from each IP address, or
+       * provide an object containing:
+       *
+       * - `strategy`: `fixed-window` (default) or `token-bucket`.
+       * - `limit`: The number of requests allowed per window (the bucket
+       *   size of the token bucket strategy).
+       * - `window`: The length of the window in milliseconds.
+       * - `key`: `ip` (default), `{ header: 'X-API-Key' }` or a function
+       *   receiving the request and returning the client key.
+       * - `routes`: Limits overriding the defaults per path prefix, i.e.
+       *   `{ 'POST /login': { limit: 5 } }`. Use `false` to disable limiting.
+       * - `store`: A custom store (defaults to NGNX.http.MemoryStore).
+       * - `skip`: A function receiving the request and returning `true`
+       *   when it should not be limited.
+       * - `headers`: Set to `false` to omit the `RateLimit-*` headers.
+       *
+       * Limited requests respond with `429 Too Many Requests` and a
+       * `Retry-After` header. The built-in endpoints are never limited.
+       * See NGNX.http.RateLimiter for details.
+       */
+      ratelimiter: {
+        enumerable: false,
+        configurable: false,
+        writable: false,
+        value: (function () {
+          if (!cfg.rateLimit) {
+            return null
+          }
+          let limitcfg = typeof cfg.rateLimit === 'object' ? cfg.rateLimit : {}
+          let skip = limitcfg.skip
+          return new RateLimiter(Object.assign({}, limitcfg, {
+            skip: function (req) {
+              return me.isBuiltInEndpoint(req) || (skip ? skip(req) : false)
+            },
+            onError: function (err, req) {
+              me.reportError(err, req)
+            }
+          }))
+        })()
+      },
 
-  /**
-   * @property {function} CORSOPTIONS
-   * The CORS options.
-   * @private
-   */
-  get CORSOPTIONS() { // eslint-disable-line
-    let me = this
-    return function (req2, callback) {
-      let opts = {}
-      if (me.whitelist.length > 0) {
-        opts.origin = (me.whitelist.indexOf(req2.header('origin')) !== -1)
-      } else if (me.blacklist.length > 0) {
-        opts.origin = (me.blacklist.indexOf(req2.header('origin')) === -1)
-      } else {
-        opts.origin = req2.headers.origin
-      }
-      if (me.allowedMethods.length > 0) {
-        opts.methods = me.allowedMethods
-      }
-      if (me.allowedHeaders.length > 0) {
-        opts.allowedHeaders = me.allowedHeaders
-      }
-      if (me.exposedHeaders.length > 0) {
-        opts.exposedHeaders = me.exposedHeaders
-      }
-      if (me.credentials) {
-        opts.credentials = me.credentials
-      }
-      if (me.maxAge !== null) {
-        opts.maxAge = me.maxAge
-      }
-      // if (Object.keys(opts).length > 0) {
-      //   opts.preflightContinue = true
-      // }
-      callback(null, opts)
-    }
-  }
+      /**
+       * @cfg {Object} [websocket]
+       * Options of the WebSocket endpoints registered by route modules with
+       * `app.ws(path, handler)`:
+       *
+       * - `maxPayload`: The maximum size (in bytes) of a message (defaults
+       *   to 1MB).
+       * - `perMessageDeflate`: Enable message compression (defaults to `false`).
+       *
+       * See NGNX.http.WebSockets for details.
+       */
+      /**
+       * @property {NGNX.http.WebSockets} websockets
+       * The WebSocket endpoints and open connections.
+       * @readonly
+       */
+      websockets: {
+        enumerable: false,
+        configurable: false,
+        writable: false,
+        value: new WebSockets(Object.assign({}, cfg.websocket, {
+          verify: function (req) {
+            return me.verifyWebSocketOrigin(req)
+          },
+          onError: function (err, req) {
+            me.reportError(err, req)
+          }
+        }))
+      },
 
-  /**
-   * @property {function} CORS
-   * A reference to the underlying Express CORS engine.
-   */
-  get CORS() { // eslint-disable-line
-    return cors(this.CORSOPTIONS)
-  }
+      /**
+       * @cfg {Object} [sse]
+       * Options of the Server-Sent Events endpoints registered by route
+       * modules with `app.sse(path, handler)`:
+       *
+       * - `heartbeat`: The number of milliseconds between heartbeat
+       *   comments (defaults to `15000`, `0` disables heartbeats).
+       * - `bufferSize`: The number of events kept per channel for
+       *   `Last-Event-ID` replay (defaults to `100`).
+       * - `retention`: The number of milliseconds the events of a channel
+       *   without clients are kept (defaults to `300000`).
+       * - `retry`: The reconnection delay (in milliseconds) advised to
+       *   clients.
+       *
+       * See NGNX.http.EventStreams for details.
+       */
+      /**
+       * @property {NGNX.http.EventStreams} eventstreams
+       * The Server-Sent Events channels and connected clients.
+       * @readonly
+       */
+      eventstreams: {
+        enumerable: false,
+        configurable: false,
+        writable: false,
+        value: new EventStreams(Object.assign({}, cfg.sse, {
+          onError: function (err, req) {
+            me.reportError(err, req)
+          }
+        }))
+      },
 
-  /**
-   * @property {number} port
-   * The port on which the server is listening.
-   */
+      /**
+       * @cfg {string|Object|Array} static
+       * Serve static files. This may be the path of a directory (served
+       * from `/`), an object or an array of objects containing the `dir`
+       * and `prefix` (URL path), along with the options of #createStatic.
+       * ```js
+       * static: [{
+       *   prefix: '/',
+       *   dir: './public',
+       *   fallback: true,
+       *   cacheControl: {
+       *     '*.html': 'no-cache',
+       *     'assets/**': 'public, max-age=31536000, immutable'
+       *   }
+       * }]
+       * ```
+       */
+      /**
+       * @property {Array} statics
+       * The static file handlers (NGNX.http.StaticFiles).
+       * @private
+       */
+      statics: {
+        enumerable: false,
+        configurable: false,
+        writable: false,
+        value: []
+      },
+
+      /**
+       * @property {number} reloading
+       * The number of route reloads in progress.
+       * @private
+       */
+      reloading: {
+        enumerable: false,
+        configurable: false,
+        writable: true,
+        value: 0
+      },
+
+      /**
+       * @cfg {boolean} [dev=false]
+       * Development mode. Error responses include the error message and
+       * stack trace of server errors, which are otherwise hidden.
+       */
+      dev: {
+        enumerable: false,
+        writable: false,
+        configurable: false,
+        value: NGN.coalesce(cfg.dev, false)
+      },
+
+      /**
+       * @cfg {Object} [validation]
+       * Options of the JSON Schema validation of routes (see #validate):
+       *
+       * - `responses`: Validate JSON responses against their `response`
+       *   schema (defaults to #dev mode).
+       * - `formats`: Custom string formats, each a regular expression or a
+       *   function returning `true` for valid values.
+       *
+       * See NGNX.http.SchemaValidator for details.
+       */
+      /**
+       * @property {NGNX.http.SchemaValidator} validator
+       * The JSON Schema validator of routes.
+       * @readonly
+       */
+      validator: {
+        enumerable: false,
+        configurable: false,
+        writable: false,
+        value: new SchemaValidator({
+          responses: NGN.coalesce((cfg.validation || {}).responses, cfg.dev, false),
+          formats: (cfg.validation || {}).formats,
+          onInvalidResponse: function (err, req, res) {
+            me.finalHandler(err, req, res)
+          }
+        })
+      },
+
+      /**
+       * @cfg {Object} [auth]
+       * Defaults of the authenticators (see #auth):
+       *
+       * - `realm`: The realm of `WWW-Authenticate` challenges (defaults to `api`).
+       * - `property`: The request attribute the authenticated principal is
+       *   attached to (defaults to `user`).
+       */
+      /**
+       * @property {NGNX.http.Authentication} auth
+       * Creates Basic, Bearer (JWT) and API key authentication middleware.
+       * This is available to routes as `app.auth`.
+       * @readonly
+       */
+      auth: {
+        enumerable: false,
+        configurable: false,
+        writable: false,
+        value: new Authentication(cfg.auth)
+      },
+
+      /**
+       * @cfg {Object} [session]
+       * Enable cookie-based sessions, available to routes as `req.session`.
+       * ```js
+       * let server = new NGNX.http.Server({
+       *   session: {
+       *     secret: [process.env.SESSION_KEY, process.env.PREVIOUS_SESSION_KEY],
+       *     maxAge: 2 * 60 * 60 * 1000,
+       *     cookie: { sameSite: 'Strict', domain: 'example.com' },
+       *     store: 'file',
+       *     dir: '/var/lib/myapp/sessions'
+       *   }
+       * })
+       * ```
+       * The `secret` is required. See NGNX.http.Sessions for the other
+       * options (`name`, `maxAge`, `rolling`, `cookie`, `store` and `dir`).
+       * Built-in endpoints never have a session.
+       */
+      /**
+       * @property {NGNX.http.Sessions} sessions
+       * The session manager, or `null` if sessions are disabled.
+       * @readonly
+       */
+      sessions: {
+        enumerable: false,
+        configurable: false,
+        writable: false,
+        value: (function () {
+          if (!cfg.session) {
+            return null
+          }
+          let skip = cfg.session.skip
+          return new Sessions(Object.assign({}, cfg.session, {
+            skip: function (req) {
+              return me.isBuiltInEndpoint(req) || (skip ? skip(req) : false)
+            },
+            onError: function (err, req) {
+              me.reportError(err, req)
+            }
+          }))
+        })()
+      },
+
+      /**
+       * @cfg {boolean} [json=false]
+       * Automatically parse JSON request bodies. This is a shortcut for
+       * `body: { json: true }`.
+       */
+      json: {
+        enumerable: false,
+        writable: false,
+        configurable: false,
+        value: NGN.coalesce(cfg.json, false)
+      },
+
+      /**
+       * @cfg {Object} [body]
+       * Request body parsing. Each parser is enabled by setting it to `true`
+       * or to an object containing its options:
+       *
+       * - `json`: JSON bodies (`application/json`).
+       * - `urlencoded`: URL-encoded forms (`application/x-www-form-urlencoded`).
+       * - `text`: Plain text bodies (`text/plain`), available as a string.
+       * - `raw`: Binary bodies (`application/octet-stream`), available as a Buffer.
+       * - `multipart`: Multipart forms/file uploads (`multipart/form-data`).
+       *   See NGNX.http.Multipart for the options.
+       *
+       * The `json`, `urlencoded`, `text` and `raw` options are passed to the
+       * corresponding [body-parser](https://github.com/expressjs/body-parser)
+       * function, so `limit` (i.e. `100kb`) sets the maximum size and `type`
+       * sets the content type(s) the parser accepts. Bodies exceeding the
+       * limits respond with `413 Payload Too Large`.
+       * ```js
+       * let server = new NGNX.http.Server({
+       *   body: {
+       *     json: { limit: '1mb' },
+       *     urlencoded: true,
+       *     text: { type: ['text/plain', 'text/csv'] },
+       *     raw: { limit: '5mb', type: 'application/pdf' },
+       *     multipart: {
+       *       dir: '/var/uploads',
+       *       fileSize: '20mb',
+       *       totalSize: '100mb'
+       *     }
+       *   }
+       * })
+       * ```
+       */
+      body: {
+        enumerable: false,
+        writable: false,
+        configurable: false,
+        value: (function () {
+          let body = Object.assign({ json: NGN.coalesce(cfg.json, false) }, cfg.body || {})
+          let parsers = {}
+
+          Object.keys(body).forEach(function (type) {
+            if (['json', 'urlencoded', 'text', 'raw', 'multipart'].indexOf(type) < 0) {
+              throw new Error('Unrecognized body parser "' + type + '". Valid parsers are: json, urlencoded, text, raw, multipart')
+            }
+            if (body[type]) {
+              parsers[type] = Object.assign(type === 'urlencoded' ? { extended: false } : {}, typeof body[type] === 'object' ? body[type] : {})
+            }
+          })
+
+          return parsers
+        })()
+      },
+
+      /**
+       * @cfg {number} [shutdownTimeout=10000]
+       * The number of milliseconds active requests are given to complete
+       * when the server is stopped. Connections still open after this time
+       * are forcibly destroyed.
+       */
+      shutdowntimeout: {
+        enumerable: false,
+        writable: false,
+        configurable: false,
+        value: NGN.coalesce(cfg.shutdownTimeout, 10000)
+      },
+
+      /**
+       * @cfg {boolean} [handleSignals=false]
+       * Gracefully stop the server (and exit the process) when a `SIGTERM`
+       * or `SIGINT` signal is received. A second signal exits immediately.
+       */
+      handlesignals: {
+        enumerable: false,
+        writable: false,
+        configurable: false,
+        value: NGN.coalesce(cfg.handleSignals, false)
+      },
+
+      /**
+       * @property {Set} connections
+       * The open sockets of the running server.
+       * @private
+       */
+      connections: {
+        enumerable: false,
+        writable: false,
+        configurable: false,
+        value: new Set()
+      },
+
+      /**
+       * @property {boolean} draining
+       * Indicates the server is shutting down and waiting for active
+       * requests to complete.
+       * @private
+       */
+      draining: {
+        enumerable: false,
+        writable: true,
+        configurable: false,
+        value: false
+      },
+
+      /**
+       * @property {function} signalHandler
+       * The process signal listener used when #handleSignals is enabled.
+       * @private
+       */
+      signalHandler: {
+        enumerable: false,
+        writable: false,
+        configurable: false,
+        value: function (signal) {
+          if (me.draining) {
+            console.warn(signal, 'received while shutting down. Exiting immediately.')
+            process.exit(1)
+          }
+          console.info(signal, 'received. Shutting down gracefully...')
+          me.once('stop', function () {
+            process.exit(0)
+          })
+          me.stop()
+        }
+      }
+    })
+
+    if (this.refresh) {
+      console.warn('Automatic route refresh is enabled. This is only recommended for development environments.')
+    }
+
+    // Initialize the router up front so Express' own middleware (query
+    // parsing, etc) is never mistaken for part of a route module.
+    this.app.lazyrouter()
+
+    // Identify requests.
+    if (this.requestid) {
+      this.app.use(function requestId (req, res, next) {
+        let id = req.get(me.requestid.header)
+        if (!id || !/^[\w\-.:@+=/]{1,200}$/.test(id)) {
+          id = me.requestid.generate ? String(me.requestid.generate(req)) : me.generateRequestId()
+        }
+        req.id = id
+        res.set(me.requestid.header, id)
+        next()
+      })
+    }
+
+    // Enable request logging.
+    if (this.requestlog) {
+      this.app.use(this.requestlog.middleware)
+    }
+
+    // Collect request metrics.
+    if (this.metrics) {
+      this.app.use(this.metrics.middleware)
+      this.app.get(this.metricspath, function (req, res) {
+        res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8')
+        res.send(me.metrics.render())
+      })
+    }
+
+    // Health checks.
+    if (this.healthpaths.liveness) {
+      this.app.get(this.healthpaths.liveness, function (req, res) {
+        res.set('Cache-Control', 'no-cache')
+        res.json({
+          status: 'ok',
+          uptime: process.uptime()
+        })
+      })
+    }
+
+    if (this.healthpaths.readiness) {
+      this.app.get(this.healthpaths.readiness, function (req, res) {
+        res.set('Cache-Control', 'no-cache')
+        res.status(me.ready ? 200 : 503).json({
+          ready: me.ready
+        })
+      })
+    }
+
+    // OpenAPI document (generated for every request, so it reflects reloaded routes).
+    if (this.openapipath) {
+      this.app.get(this.openapipath, function (req, res) {
+        res.set('Cache-Control', 'no-cache')
+        res.json(me.toOpenAPI())
+      })
+    }
+
+    // Configure the x-powered-by header.
+    if (this.poweredbyHeader) {
+      this.app.use(function (req, res, next) {
+        res.set('x-powered-by', me.poweredbyHeader)
+        next()
+      })
+    } else {
+      this.app.disable('x-powered-by')
+    }
+
+    // Configure the HSTS header.
+    if (this.hsts && this.secure) {
+      this.app.use(function (req, res, next) {
+        res.set('Strict-Transport-Security', me.hsts)
+        next()
+      })
+    }
+
+    // Configure CORS support (global and/or per path prefix).
+    Object.keys(cfg.corsPolicies || {}).forEach(function (name) {
+      me.defineCORSPolicy(name, cfg.corsPolicies[name])
+    })
+    this.app.use(function corsPolicy (req, res, next) {
+      me.applyCORS(req, res, next)
+    })
+    if (this.globalcors) {
+      console.warn('Global CORS support activated.')
+    }
+
+    // Configure response compression.
+    if (this.compression) {
+      this.app.use(this.compression.middleware)
+    }
+
+    // Configure rate limiting.
+    if (this.ratelimiter) {
+      this.app.use(this.ratelimiter.middleware)
+    }
+
+    // Configure static file serving.
+    ;[].concat(cfg.static || []).forEach(function (staticcfg) {
+      if (typeof staticcfg === 'string') {
+        staticcfg = { dir: staticcfg }
+      }
+      me.createStatic(staticcfg.prefix || '/', staticcfg.dir, staticcfg)
+    })
+
+    // Configure body parsing.
+    ;['json', 'urlencoded', 'text', 'raw'].forEach(function (type) {
+      if (me.body[type]) {
+        me.app.use(bodyParser[type](me.body[type]))
+      }
+    })
+    if (this.body.multipart) {
+      this.app.use(new Multipart(this.body.multipart).middleware)
+    }
+
+    // Configure sessions.
+    if (this.sessions) {
+      this.app.use(this.sessions.middleware)
+    }
+
+    /**
+     * @method app.cors
+     * A reference to the underlying CORS processor.
+     * This is for use within routes.
+     */
+    this.app.cors = this.CORS
+
+    /**
+     * @property app.auth
+     * A reference to the authenticators (see #auth).
+     * This is for use within routes.
+     */
+    this.app.auth = this.auth
+
+    /**
+     * @property app.bodyparser
+     * A reference to the underlying body-parser.
+     * This is for use within routes.
+     */
+    this.app.bodyparser = bodyParser
+  }
+
+  /**
+   * @property {function} CORSOPTIONS
+   * The CORS options.
+   * @private
+   */
+  get CORSOPTIONS() { // eslint-disable-line
+    let me = this
+    return function (req2, callback) {
+      callback(null, me.getCORSOptions(me, req2))
+    }
+  }
+
+  /**
+   * @method getCORSOptions
+   * Generate the options of the CORS engine for a request.
+   * @param {Object} policy
+   * The CORS policy (the server itself or a named policy).
+   * @param {http.IncomingMessage} req
+   * @return {Object}
+   * @private
+   */
+  getCORSOptions(policy, req) { // eslint-disable-line
+    let opts = {}
+    if (policy.whitelist.length > 0) {
+      opts.origin = this.matchOrigin(req.headers.origin, policy.whitelist)
+    } else if (policy.blacklist.length > 0) {
+      opts.origin = !this.matchOrigin(req.headers.origin, policy.blacklist)
+    } else {
+      opts.origin = req.headers.origin
+    }
+    if (policy.allowedMethods.length > 0) {
+      opts.methods = policy.allowedMethods
+    }
+    if (policy.allowedHeaders.length > 0) {
+      opts.allowedHeaders = policy.allowedHeaders
+    }
+    if (policy.exposedHeaders.length > 0) {
+      opts.exposedHeaders = policy.exposedHeaders
+    }
+    if (policy.credentials) {
+      opts.credentials = policy.credentials
+    }
+    if (policy.maxAge !== null) {
+      opts.maxAge = policy.maxAge
+    }
+    return opts
+  }
+
+  /**
+   * @method matchOrigin
+   * Determines whether an origin matches any of the patterns. A pattern may
+   * be:
+   *
+   * - An exact origin, i.e. `https://app.example.com`.
+   * - A host name, matching any protocol, i.e. `app.example.com`.
+   * - A wildcard, matching one or more subdomains, i.e. `*.example.com`
+   *   or `https://*.example.com`.
+   * - A regular expression tested against the origin.
+   * - `*`, which matches any origin.
+   * @param {string} origin
+   * The `Origin` request header.
+   * @param {Array} patterns
+   * @return {boolean}
+   * @private
+   */
+  matchOrigin(origin, patterns) { // eslint-disable-line
+    if (!origin) {
+      return false
+    }
+
+    return patterns.some(function (pattern) {
+      if (pattern instanceof RegExp) {
+        return pattern.test(origin)
+      }
+
+      pattern = String(pattern)
+
+      if (pattern === '*' || pattern === origin) {
+        return true
+      }
+
+      let scheme = pattern.indexOf('://') > 0
+      let expression = pattern.split('*').map(function (part) {
+        return part.replace(/[.+?^${}()|[\]\\\/]/g, '\\$&')
+      }).join('[a-z0-9-]+(?:\\.[a-z0-9-]+)*')
+
+      return new RegExp('^' + (scheme ? '' : '[a-z][a-z0-9+.-]*:\\/\\/') + expression + '$', 'i').test(origin)
+    })
+  }
+
+  /**
+   * @method defineCORSPolicy
+   * Define (or replace) a named CORS policy.
+   * ```js
+   * server.defineCORSPolicy('public', {
+   *   whitelist: '*',
+   *   allowedMethods: 'GET'
+   * })
+   * ```
+   * @param {string} name
+   * The name of the policy.
+   * @param {Object} options
+   * The CORS options (see #corsPolicies).
+   */
+  defineCORSPolicy(name, options) { // eslint-disable-line
+    let list = function (value) {
+      return value ? (Array.isArray(value) ? value : [value]) : []
+    }
+
+    options = options || {}
+
+    this.corspolicies[name] = {
+      whitelist: list(options.whitelist),
+      blacklist: list(options.blacklist),
+      allowedMethods: list(options.allowedMethods),
+      allowedHeaders: list(options.allowedHeaders),
+      exposedHeaders: list(options.exposedHeaders),
+      credentials: NGN.coalesce(options.credentials, false),
+      maxAge: NGN.coalesce(options.maxAge, options.maxage, null)
+    }
+  }
+
+  /**
+   * @method applyCORSPolicy
+   * Apply a named CORS policy to all requests within a path prefix. The
+   * policy with the longest matching prefix is used, overriding the global
+   * CORS configuration. Route modules can apply policies to the prefix of
+   * their own routes with `app.corsPolicy()`, in which case the policy is
+   * removed/reloaded along with the module:
+   * ```js
+   * module.exports = function (app) {
+   *   app.corsPolicy('/partners', 'partners', {
+   *     whitelist: ['*.partner.com'],
+   *     credentials: true
+   *   })
+   *
+   *   app.get('/partners/orders', function (req, res) { ... })
+   * }
+   * ```
+   * @param {string} prefix
+   * The path prefix, i.e. `/partners`.
+   * @param {string} name
+   * The name of the policy.
+   * @param {Object} [options]
+   * The CORS options of the policy (see #defineCORSPolicy). This is only
+   * required if the policy has not already been defined.
+   * @param {string} [source]
+   * The module applying the policy.
+   * This is used internally and should never be used within an application.
+   */
+  applyCORSPolicy(prefix, name, options, source) { // eslint-disable-line
+    if (options) {
+      this.defineCORSPolicy(name, options)
+    } else if (!this.corspolicies[name]) {
+      throw new Error('The CORS policy "' + name + '" does not exist.')
+    }
+
+    prefix = ('/' + prefix).replace(/\/+/g, '/').replace(/(.)\/$/, '$1')
+    source = source || null
+
+    this.corsbindings = this.corsbindings.filter(function (binding) {
+      return binding.prefix !== prefix || binding.src !== source
+    }).concat({
+      prefix: prefix,
+      name: name,
+      src: source
+    })
+  }
+
+  /**
+   * @method getCORSPolicy
+   * Identify the CORS policy of a request. This is the named policy applied
+   * to the longest matching path prefix, or the global CORS configuration.
+   * @param {http.IncomingMessage} req
+   * @return {Object}
+   * The policy, or `null` if CORS is not enabled for the request.
+   * @private
+   */
+  getCORSPolicy(req) { // eslint-disable-line
+    let me = this
+    let match = null
+
+    this.corsbindings.forEach(function (binding) {
+      let within = binding.prefix === '/' || req.path === binding.prefix || req.path.indexOf(binding.prefix + '/') === 0
+      if (within && me.corspolicies[binding.name] && (!match || binding.prefix.length >= match.prefix.length)) {
+        match = binding
+      }
+    })
+
+    if (match) {
+      return this.corspolicies[match.name]
+    }
+
+    return this.globalcors ? this : null
+  }
+
+  /**
+   * @method applyCORS
+   * Apply the CORS policy of a request. Preflight (`OPTIONS`) requests are
+   * answered automatically for every registered route. Unless the policy
+   * restricts the `allowedMethods`, the `Access-Control-Allow-Methods`
+   * header lists the methods of the routes matching the request path.
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse} res
+   * @param {function} next
+   * @private
+   */
+  applyCORS(req, res, next) { // eslint-disable-line
+    let policy = this.getCORSPolicy(req)
+    if (!policy) {
+      return next()
+    }
+
+    let opts = this.getCORSOptions(policy, req)
+
+    if (req.method === 'OPTIONS') {
+      let methods = this.getRouteMethods(req.path)
+      if (methods.length === 0) {
+        return next()
+      }
+      if (!opts.methods) {
+        opts.methods = methods
+      }
+    }
+
+    cors(opts)(req, res, next)
+  }
+
+  /**
+   * @method verifyWebSocketOrigin
+   * Determines whether the `Origin` of a WebSocket upgrade request is
+   * allowed. Browsers do not apply CORS to WebSockets, so the server checks
+   * the origin itself. When a CORS policy applies to the path (see
+   * #getCORSPolicy), the origin must be accepted by the policy. Otherwise,
+   * only same-origin connections are accepted. Requests without an `Origin`
+   * (i.e. from non-browser clients) are always accepted.
+   * @param {http.IncomingMessage} req
+   * @return {boolean}
+   * @private
+   */
+  verifyWebSocketOrigin(req) { // eslint-disable-line
+    let origin = req.headers.origin
+    if (!origin) {
+      return true
+    }
+
+    let policy = this.getCORSPolicy({
+      path: require('url').parse(req.url).pathname || '/'
+    })
+
+    if (policy) {
+      return Boolean(this.getCORSOptions(policy, req).origin)
+    }
+
+    return require('url').parse(origin).host === req.headers.host
+  }
+
+  /**
+   * @method getRouteMethods
+   * Identify the HTTP methods of the routes matching a path.
+   * @param {string} urlpath
+   * The URL path.
+   * @param {Array} [stack]
+   * The Express layer stack. Defaults to the server's routes.
+   * @return {Array}
+   * @private
+   */
+  getRouteMethods(urlpath, stack) { // eslint-disable-line
+    let me = this
+    let methods = []
+    let add = function (method) {
+      if (methods.indexOf(method) < 0) {
+        methods.push(method)
+      }
+    }
+
+    ;(stack || this.routes).forEach(function (layer) {
+      let matched = false
+      try {
+        matched = layer.match(urlpath)
+      } catch (e) {}
+
+      if (!matched) {
+        return
+      }
+
+      if (layer.route) {
+        Object.keys(layer.route.methods).forEach(function (method) {
+          if (method === '_all') {
+            ['GET', 'HEAD', 'PUT', 'PATCH', 'POST', 'DELETE'].forEach(add)
+          } else {
+            add(method.toUpperCase())
+            if (method === 'get') {
+              add('HEAD')
+            }
+          }
+        })
+      } else if (layer.handle && Array.isArray(layer.handle.stack)) {
+        me.getRouteMethods(urlpath.substr(layer.path.length) || '/', layer.handle.stack).forEach(add)
+      }
+    })
+
+    return methods
+  }
+
+  /**
+   * @property {function} CORS
+   * A reference to the underlying Express CORS engine.
+   */
+  get CORS() { // eslint-disable-line
+    return cors(this.CORSOPTIONS)
+  }
+
+  /**
+   * @property {number} port
+   * The port on which the server is listening.
+   */
   get port() { // eslint-disable-line
     return this.portnumber
   }
 
   /**
-   * @property {string} ca
-   * The contents of the Certificate Authority SSL certificate.
+   * @property {string} ca
+   * The contents of the Certificate Authority SSL certificate.
+   */
+  get ca() { // eslint-disable-line
+    return this.readTLSValue(this.certauthority)
+  }
+
+  /**
+   * @property {string} certificate
+   * The contents of the SSL certificate.
+   */
+  get certificate() { // eslint-disable-line
+    return this.readTLSValue(this.crt)
+  }
+
+  /**
+   * @property {string} key
+   * The contents of the SSL private key.
+   */
+  get key() { // eslint-disable-line
+    return this.readTLSValue(this.privkey)
+  }
+
+  /**
+   * @property {string} passphrase
+   * The cencryption passphrase for the SSL private key.
+   * @private
+   */
+  get passphrase() { // eslint-disable-line
+    let value = this.readTLSValue(this.keypass)
+    return value === null ? null : value.toString().trim()
+  }
+
+  /**
+   * @property {boolean} secure
+   * Indicates the server uses TLS.
+   * @readonly
+   */
+  get secure() { // eslint-disable-line
+    return this.crt !== null || Object.keys(this.sni).length > 0
+  }
+
+  /**
+   * @property {Object} tlsOptions
+   * The TLS options (`cert`, `key`, `ca` and `passphrase`) of the default
+   * certificate, as expected by Node's `tls` module.
+   * @private
+   */
+  get tlsOptions() { // eslint-disable-line
+    return this.getTLSOptions({
+      certificate: this.crt,
+      key: this.privkey,
+      ca: this.certauthority,
+      passphrase: this.keypass
+    })
+  }
+
+  /**
+   * @method readTLSValue
+   * Read a TLS value that may be a file path or the actual contents.
+   * Files are read on every request so changes on disk are recognized.
+   * @private
+   * @param {string|Buffer} value
+   * The path or contents.
+   * @return {string|Buffer}
+   * The contents, or `null` if no value is provided.
+   */
+  readTLSValue(value) { // eslint-disable-line
+    if (value === undefined || value === null) {
+      return null
+    }
+    if (typeof value === 'string' && NGN.util.pathReadable(value)) {
+      return fs.readFileSync(value)
+    }
+    return value
+  }
+
+  /**
+   * @method getTLSOptions
+   * Convert a TLS configuration (`certificate`, `key`, `ca`, `passphrase`)
+   * to the options expected by Node's `tls` module.
+   * @private
+   * @param {Object} cfg
+   * The TLS configuration, where each value is a path or content.
+   * @return {Object}
+   */
+  getTLSOptions(cfg) { // eslint-disable-line
+    let opts = {}
+    let cert = this.readTLSValue(cfg.certificate)
+    let key = this.readTLSValue(cfg.key)
+    let ca = this.readTLSValue(cfg.ca)
+    let passphrase = this.readTLSValue(cfg.passphrase)
+
+    if (cert !== null) {
+      opts.cert = cert
+    }
+    if (key !== null) {
+      opts.key = key
+    }
+    if (ca !== null) {
+      opts.ca = ca
+    }
+    if (passphrase !== null) {
+      opts.passphrase = passphrase.toString().trim()
+    }
+    return opts
+  }
+
+  /**
+   * @method getSNIHostname
+   * Identify the #sni hostname configuration that applies to the hostname
+   * requested by a client.
+   * @private
+   * @param {string} servername
+   * The hostname requested by the client.
+   * @return {string}
+   * The matching #sni key or `null` if no match is found.
+   */
+  getSNIHostname(servername) { // eslint-disable-line
+    servername = (servername || '').toLowerCase()
+    if (this.sni.hasOwnProperty(servername)) {
+      return servername
+    }
+    let wildcard = '*' + servername.substr(servername.indexOf('.'))
+    if (servername.indexOf('.') > 0 && this.sni.hasOwnProperty(wildcard)) {
+      return wildcard
+    }
+    return null
+  }
+
+  /**
+   * @method getSecureContext
+   * Retrieve the (cached) TLS secure context for a hostname.
+   * @private
+   * @param {string} [servername]
+   * The hostname requested by the client. The default certificate is used
+   * if no #sni configuration matches the hostname.
+   * @return {tls.SecureContext}
+   */
+  getSecureContext(servername) { // eslint-disable-line
+    let hostname = this.getSNIHostname(servername)
+    let id = hostname || '*'
+    if (!this.securecontexts[id]) {
+      this.securecontexts[id] = require('tls').createSecureContext(hostname ? this.getTLSOptions(this.sni[hostname]) : this.tlsOptions)
+    }
+    return this.securecontexts[id]
+  }
+
+  /**
+   * @property {function} SNICallback
+   * The TLS server name callback used to select a certificate for each
+   * connection.
+   * @private
+   */
+  get SNICallback() { // eslint-disable-line
+    let me = this
+    return function (servername, callback) {
+      try {
+        callback(null, me.getSecureContext(servername))
+      } catch (e) {
+        console.error('Could not create a TLS context for', servername + ':', e.message)
+        callback(e)
+      }
+    }
+  }
+
+  /**
+   * @method reloadCertificates
+   * Reload the TLS certificates. New connections use the updated
+   * certificates, while existing connections are unaffected. If any of the
+   * certificates cannot be loaded, the previous certificates remain in use.
+   * @private
+   * @param {string} [trigger]
+   * The file that triggered the reload.
+   * @fires certificatereload
+   * Fired when the certificates are reloaded. The triggering file is passed
+   * to the event handler.
+   */
+  reloadCertificates(trigger) { // eslint-disable-line
+    let me = this
+    let previous = this.securecontexts
+
+    this.securecontexts = {}
+
+    try {
+      if (this.crt !== null) {
+        this.getSecureContext()
+      }
+      Object.keys(this.sni).forEach(function (hostname) {
+        me.getSecureContext(hostname)
+      })
+      if (this.crt !== null) {
+        this.servers.forEach(function (server) {
+          if (server instanceof require('https').Server && typeof server.setSecureContext === 'function') {
+            server.setSecureContext(me.tlsOptions)
+          }
+        })
+      }
+    } catch (e) {
+      this.securecontexts = previous
+      console.error('TLS certificates could not be reloaded (' + e.message + '). The previous certificates are still in use.')
+      return
+    }
+
+    console.info('TLS certificates reloaded. Triggered by', (trigger || 'unknown').replace(process.cwd(), '.'))
+    this.emit('certificatereload', trigger)
+  }
+
+  /**
+   * @method watchCertificates
+   * Monitor the TLS certificate, key and CA files for changes.
+   * @private
+   */
+  watchCertificates() { // eslint-disable-line
+    let me = this
+    let files = [this.crt, this.privkey, this.certauthority, this.keypass]
+
+    Object.keys(this.sni).forEach(function (hostname) {
+      let cfg = me.sni[hostname]
+      files.push(cfg.certificate, cfg.key, cfg.ca, cfg.passphrase)
+    })
+
+    files = files.filter(function (f) {
+      return typeof f === 'string' && NGN.util.pathReadable(f)
+    }).map(function (f) {
+      return path.resolve(f)
+    })
+
+    let dirs = []
+    files.forEach(function (f) {
+      if (dirs.indexOf(path.dirname(f)) < 0) {
+        dirs.push(path.dirname(f))
+      }
+    })
+
+    dirs.forEach(function (dir) {
+      me.watchDirectory(dir, {
+        filter: function (filepath) {
+          return files.indexOf(filepath) >= 0
+        },
+        handler: function (event, filepath) {
+          if (event !== 'removed') {
+            me.reloadCertificates(filepath)
+          }
+        }
+      })
+    })
+  }
+
+  /**
+   * @property {boolean} ready
+   * Indicates the server is ready to handle requests, i.e. it is running,
+   * and is not starting, reloading routes or shutting down.
+   * @readonly
+   */
+  get ready() { // eslint-disable-line
+    return this.running && !this._starting && this.reloading === 0 && !this.draining
+  }
+
+  /**
+   * @method isBuiltInEndpoint
+   * Determines whether a request is for one of the built-in health,
+   * metrics or OpenAPI endpoints.
+   * @private
+   * @param {http.IncomingMessage} req
+   * @return {boolean}
+   */
+  isBuiltInEndpoint(req) { // eslint-disable-line
+    let pathname = (req.originalUrl || req.url).split('?')[0]
+    return this.getBuiltInEndpoints().indexOf(pathname) >= 0
+  }
+
+  /**
+   * @method getBuiltInEndpoints
+   * The paths of the enabled built-in endpoints.
+   * @private
+   * @return {Array}
+   */
+  getBuiltInEndpoints() { // eslint-disable-line
+    return [this.healthpaths.liveness, this.healthpaths.readiness, this.metricspath, this.openapipath].filter(Boolean)
+  }
+
+  /**
+   * @property {string} poweredbyHeader
+   * The branding associated with the server.
+   */
+  get poweredbyHeader() { // eslint-disable-line
+    return this.poweredby || null
+  }
+
+  /**
+   * @method getModules
+   * Return the node modules that have been "required" in the app.
+   * @private
+   * @return {Array}
+   * A list of the modules be reference.
+   */
+  get modules() { // eslint-disable-line
+    // Get all of the required local modules (i.e. part of the project, not the core)
+    return Object.keys(require.cache).filter(function (p) {
+      return p.indexOf(process.cwd()) === 0 && p.indexOf('node_modules') < 0
+    }).map(function (p) {
+      return {
+        path: path.resolve(path.join(process.cwd(), p.replace(__dirname, '').replace(process.cwd(), ''))),
+        parent: require.cache[p].parent ? require.cache[p].parent.id : null
+      }
+    })
+  }
+
+  /**
+   * @property {Array} bindings
+   * The normalized #listen configuration. Each listener is an object
+   * containing a `host` and `port`, or a `path`.
+   * @private
+   */
+  get bindings() { // eslint-disable-line
+    let me = this
+
+    if (this.listenon.length === 0) {
+      return [{
+        host: this.ip,
+        port: this.portnumber <= 0 ? 0 : this.portnumber
+      }]
+    }
+
+    let listeners = this.listenon.map(function (spec) {
+      if (typeof spec === 'number' || /^\d+$/.test(spec)) {
+        return {
+          host: me.ip,
+          port: parseInt(spec, 10)
+        }
+      }
+      if (typeof spec === 'object') {
+        let listener = spec.path ? { path: spec.path } : {
+          host: spec.ip || spec.host || me.ip,
+          port: NGN.coalesce(spec.port, me.portnumber)
+        }
+        if (spec.ipv6Only !== undefined) {
+          listener.ipv6Only = spec.ipv6Only
+        }
+        return listener
+      }
+      if (spec.charAt(0) === '/' || spec.indexOf('\\\\') === 0) {
+        return {
+          path: spec
+        }
+      }
+      let match = /^\[(.+)\](?::(\d+))?$/.exec(spec) || /^([^:]+)(?::(\d+))?$/.exec(spec)
+      if (match === null) {
+        throw new Error('Invalid listener "' + spec + '".')
+      }
+      return {
+        host: match[1],
+        port: match[2] !== undefined ? parseInt(match[2], 10) : me.portnumber
+      }
+    })
+
+    // IPv6 listeners only accept IPv6 connections when listening alongside
+    // other listeners, so dual-stack configurations do not collide.
+    if (listeners.length > 1) {
+      listeners.forEach(function (listener) {
+        if (listener.host && listener.host.indexOf(':') >= 0 && listener.ipv6Only === undefined) {
+          listener.ipv6Only = true
+        }
+      })
+    }
+
+    return listeners
+  }
+
+  /**
+   * @property {Array} addresses
+   * The addresses the server is bound to. Each address is an object
+   * containing the `protocol` and either the `address`, `family` and `port`,
+   * or the `path` of a Unix domain socket. The HTTP redirect listener is
+   * flagged with `redirect: true`.
+   * @readonly
+   */
+  get addresses() { // eslint-disable-line
+    return this.servers.filter(function (server) {
+      return server.listening !== false && server.address() !== null
+    }).map(function (server) {
+      let addr = server.address()
+      let result = {
+        protocol: server instanceof require('https').Server ? 'https' : 'http'
+      }
+      if (typeof addr === 'string') {
+        result.path = addr
+      } else {
+        result.address = addr.address
+        result.family = addr.family
+        result.port = addr.port
+      }
+      if (server._ngnxRedirect) {
+        result.redirect = true
+      }
+      return result
+    })
+  }
+
+  /**
+   * @method createRedirectServer
+   * Create a plain-HTTP server that redirects every request to HTTPS.
+   * @private
+   * @return {http.Server}
+   */
+  createRedirectServer() { // eslint-disable-line
+    let me = this
+    let server = require('http').Server(function (req, res) {
+      let host = (req.headers.host || 'localhost').replace(/:\d+$/, '')
+      let port = me.portnumber === 443 ? '' : ':' + me.portnumber
+      res.writeHead(301, {
+        Location: 'https://' + host + port + req.url,
+        Connection: 'close'
+      })
+      res.end()
+    })
+    server._ngnxRedirect = true
+    return server
+  }
+
+  /**
+   * @method generateRequestId
+   * Generate a unique (version 4 UUID) request ID.
+   * @private
+   * @return {string}
+   */
+  generateRequestId() { // eslint-disable-line
+    let bytes = crypto.randomBytes(16)
+    bytes[6] = (bytes[6] & 0x0f) | 0x40
+    bytes[8] = (bytes[8] & 0x3f) | 0x80
+    let hex = bytes.toString('hex')
+    return [hex.substr(0, 8), hex.substr(8, 4), hex.substr(12, 4), hex.substr(16, 4), hex.substr(20)].join('-')
+  }
+
+  /**
+   * @property {function} requestHandler
+   * The request listener of the underlying Node servers. Requests are
+   * handled by the Express app, and anything the app does not handle is
+   * passed to the static file fallback (see #createStatic), then the
+   * #finalHandler. Since the final handler is not part of the
+   * route stack, it always runs last, regardless of how routes are added,
+   * removed or reloaded.
+   * @private
+   */
+  get requestHandler() { // eslint-disable-line
+    let me = this
+    return function (req, res) {
+      me.app.handle(req, res, function (err) {
+        if (err) {
+          return me.finalHandler(err, req, res)
+        }
+        me.serveFallback(req, res, function (err) {
+          me.finalHandler(err, req, res)
+        })
+      })
+    }
+  }
+
+  /**
+   * @method finalHandler
+   * Respond to requests that were not handled by any route (`404`), or
+   * that resulted in an error. Responses are RFC 7807 problem details,
+   * formatted as `application/problem+json` or HTML (by content
+   * negotiation).
+   *
+   * Errors may specify the HTTP status code using a `status` (or
+   * `statusCode`) attribute. The message of client errors (`4xx`) is
+   * included in the response, while the message and stack trace of server
+   * errors are only included in #dev mode. Additional problem details can
+   * be provided through a `problem` object attribute. For example:
+   * ```js
+   * let err = new Error('The account balance is too low.')
+   * err.status = 403
+   * err.problem = {
+   *   type: 'https://example.com/probs/out-of-credit',
+   *   balance: 30
+   * }
+   * next(err)
+   * ```
+   * @private
+   * @param {Error} err
+   * The error, if any.
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse} res
+   * @fires error
+   * Fired when a request results in an error. The error and request are
+   * passed to the event handler.
+   */
+  finalHandler(err, req, res) { // eslint-disable-line
+    if (err && typeof err === 'object' && req.id && err.requestId === undefined) {
+      err.requestId = req.id
+    }
+
+    if (err) {
+      this.reportError(err, req)
+    }
+
+    if (res.headersSent) {
+      // The response cannot be salvaged.
+      if (err) {
+        req.socket && req.socket.destroy()
+      }
+      return
+    }
+
+    let problem = this.getProblem(err, req)
+
+    // Remove any headers set in preparation for the failed response,
+    // retaining those applied by the server itself.
+    let retain = ['x-powered-by', 'strict-transport-security', 'vary']
+    if (this.requestid) {
+      retain.push(this.requestid.header.toLowerCase())
+    }
+    res.getHeaderNames && res.getHeaderNames().forEach(function (header) {
+      if (retain.indexOf(header) < 0 && header.indexOf('access-control-') !== 0) {
+        res.removeHeader(header)
+      }
+    })
+
+    if (err && err.headers && problem.status < 500) {
+      Object.keys(err.headers).forEach(function (header) {
+        res.set(header, err.headers[header])
+      })
+    }
+
+    res.status(problem.status)
+    res.set('X-Content-Type-Options', 'nosniff')
+
+    if (req.accepts(['application/problem+json', 'application/json', 'text/html']) === 'text/html') {
+      res.set('Content-Security-Policy', "default-src 'none'")
+      res.type('html')
+      res.send(this.renderProblem(problem))
+    } else {
+      res.type('application/problem+json')
+      res.send(JSON.stringify(problem))
+    }
+  }
+
+  /**
+   * @method getProblem
+   * Create the RFC 7807 problem details describing an error.
+   * @private
+   * @param {Error} err
+   * The error, or `null` if the request was not handled (`404`).
+   * @param {http.IncomingMessage} req
+   * @return {Object}
+   */
+  getProblem(err, req) { // eslint-disable-line
+    let status = 404
+    if (err) {
+      status = parseInt(err.status || err.statusCode, 10)
+      status = isNaN(status) || status < 400 || status > 599 ? 500 : status
+    }
+
+    let problem = {
+      type: 'about:blank',
+      title: require('http').STATUS_CODES[status] || 'Error',
+      status: status
+    }
+
+    if (!err) {
+      problem.detail = 'Cannot ' + req.method + ' ' + (req.originalUrl || req.url).split('?')[0]
+    } else if (status < 500 || this.dev) {
+      problem.detail = err.message || String(err)
+    }
+
+    problem.instance = req.originalUrl || req.url
+
+    if (err && err.problem && typeof err.problem === 'object') {
+      Object.keys(err.problem).forEach(function (key) {
+        if (key !== 'status') {
+          problem[key] = err.problem[key]
+        }
+      })
+    }
+
+    if (req.id) {
+      problem.requestId = req.id
+    }
+
+    if (err && this.dev && err.stack) {
+      problem.stack = String(err.stack).split('\n')
+    }
+
+    return problem
+  }
+
+  /**
+   * @method renderProblem
+   * Render problem details as an HTML page.
+   * @private
+   * @param {Object} problem
+   * The problem details.
+   * @return {string}
+   */
+  renderProblem(problem) { // eslint-disable-line
+    let html = function (value) {
+      return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;')
+    }
+    return '<!DOCTYPE html>\n<html lang="en">\n<head>\n<meta charset="utf-8">\n<title>' +
+      html(problem.status + ' ' + problem.title) + '</title>\n</head>\n<body>\n<h1>' +
+      html(problem.status + ' ' + problem.title) + '</h1>\n' +
+      (problem.detail ? '<p>' + html(problem.detail) + '</p>\n' : '') +
+      (problem.requestId ? '<p>Request ID: ' + html(problem.requestId) + '</p>\n' : '') +
+      (problem.stack ? '<pre>' + html(problem.stack.join('\n')) + '</pre>\n' : '') +
+      '</body>\n</html>\n'
+  }
+
+  /**
+   * @method reportError
+   * Emit an `error` event for a request error. When no `error` listener is
+   * registered, server errors are written to the console instead.
+   * @private
+   * @param {Error} err
+   * The error.
+   * @param {http.IncomingMessage} [req]
+   * The request that resulted in the error, if any.
+   */
+  reportError(err, req) { // eslint-disable-line
+    if (this.listeners('error').length > 0) {
+      this.emit('error', err, req)
+      return
+    }
+
+    let status = parseInt(err.status || err.statusCode, 10)
+    if ((isNaN(status) || status >= 500) && this.app.get('env') !== 'test') {
+      console.error((req && req.id ? '[' + req.id + '] ' : '') + (err.stack || String(err)))
+    }
+  }
+
+  start() { // eslint-disable-line
+    console.log('Starting up...')
+    let me = this
+    this._starting = true
+
+    let listeners = this.bindings
+    let opts = null
+
+    // SSL
+    if (this.secure) {
+      opts = this.tlsOptions
+      opts.SNICallback = this.SNICallback
+      this.securecontexts = {}
+      if (this.reloadcertificates) {
+        this.watchCertificates()
+      }
+    }
+
+    this.servers = listeners.map(function (listener) {
+      let server = opts !== null ? require('https').createServer(opts, me.requestHandler) : require('http').Server(me.requestHandler)
+      server._ngnxListener = listener
+      server.on('upgrade', function (req, socket, head) {
+        me.handleUpgrade(req, socket, head)
+      })
+      return server
+    })
+
+    if (this.secure && this.httpredirect) {
+      let redirect = this.createRedirectServer()
+      redirect._ngnxListener = {
+        host: this.httpredirect.ip,
+        port: this.httpredirect.port
+      }
+      this.servers.push(redirect)
+    }
+
+    this.server = this.servers[0]
+
+    if (this.handlesignals) {
+      process.on('SIGTERM', this.signalHandler)
+      process.on('SIGINT', this.signalHandler)
+    }
+
+    let pending = this.servers.length
+    let failed = false
+
+    // All listeners start together: if one fails, the others are closed.
+    let fail = function (err) {
+      if (failed) {
+        return
+      }
+      failed = true
+
+      process.removeListener('SIGTERM', me.signalHandler)
+      process.removeListener('SIGINT', me.signalHandler)
+
+      Object.keys(me.monitors).forEach(function (m) {
+        me.monitors[m].monitor && me.monitors[m].monitor.stop()
+      })
+      me.monitors = {}
+
+      me.servers.forEach(function (server) {
+        if (server.listening) {
+          server.close()
+        }
+      })
+      me.servers = []
+      me.server = null
+      me._starting = false
+
+      me.emit('error', err)
+    }
+
+    this.servers.forEach(function (server) {
+      me.trackConnections(server)
+      server.once('error', fail)
+      server.listen(server._ngnxListener, function () {
+        server.removeListener('error', fail)
+        if (failed) {
+          server.close()
+          return
+        }
+
+        pending--
+        if (pending > 0) {
+          return
+        }
+
+        let primary = me.servers.filter(function (s) {
+          return typeof s.address() !== 'string' && !s._ngnxRedirect
+        })[0]
+
+        me._running = true
+        me._starting = false
+        if (primary) {
+          me.portnumber = primary.address().port
+        }
+        me.emit('start')
+        me.addresses.forEach(function (addr) {
+          let location = addr.path ? addr.path : (addr.family === 'IPv6' ? '[' + addr.address + ']' : addr.address) + ':' + addr.port
+          console.info((addr.redirect ? 'HTTPS redirect' : 'Server') + ' running at', addr.protocol + '://' + location)
+        })
+      })
+    })
+  }
+
+  /**
+   * @method stop
+   * Gracefully stop the server. New connections are refused immediately,
+   * idle (keep-alive) connections are closed, and active requests are given
+   * up to #shutdownTimeout milliseconds to complete before their connections
+   * are forcibly destroyed. Calling this method while the server is already
+   * stopping, or after it has stopped, has no effect.
+   * @fires draining
+   * Fired when the server stops accepting new connections. The number of
+   * open connections is passed to the event handler.
+   */
+  stop() { // eslint-disable-line
+    let me = this
+
+    if (!this.server || this.draining) {
+      return
+    }
+
+    this.draining = true
+
+    clearTimeout(this.pendingreloads.timer)
+
+    process.removeListener('SIGTERM', this.signalHandler)
+    process.removeListener('SIGINT', this.signalHandler)
+
+    Object.keys(this.monitors).forEach(function (m) {
+      me.monitors[m].monitor && me.monitors[m].monitor.stop()
+    })
+    this.monitors = {}
+
+    let timer = setTimeout(function () {
+      if (me.connections.size > 0) {
+        console.warn('Shutdown timeout exceeded. Destroying', me.connections.size, 'open connection(s).')
+      }
+      me.connections.forEach(function (socket) {
+        socket.destroy()
+      })
+    }, this.shutdowntimeout)
+
+    let pending = this.servers.length
+    this.servers.forEach(function (server) {
+      server.close(function () {
+        pending--
+        if (pending === 0) {
+          clearTimeout(timer)
+          me.servers = []
+          me.server = null
+          me.draining = false
+          me._running = false
+          me.emit('stop')
+        }
+      })
+    })
+
+    this.emit('draining', this.connections.size)
+
+    // WebSocket connections are closed with a close handshake.
+    this.websockets.close(1001, 'Server shutting down')
+
+    // Event streams never complete on their own.
+    this.eventstreams.close()
+
+    // Close idle keep-alive connections. Active connections are closed
+    // as soon as their current request completes.
+    this.connections.forEach(function (socket) {
+      if (socket._ngnxActiveRequests === 0 && !socket._ngnxUpgraded) {
+        socket.destroy()
+      }
+    })
+  }
+
+  /**
+   * @method handleUpgrade
+   * Handle an HTTP upgrade request, accepting WebSocket connections for the
+   * endpoints registered with `app.ws()`. Upgrades are refused with
+   * `503 Service Unavailable` while the server is shutting down.
+   * @private
+   * @param {http.IncomingMessage} req
+   * @param {net.Socket} socket
+   * @param {Buffer} head
+   */
+  handleUpgrade(req, socket, head) { // eslint-disable-line
+    if (this.draining) {
+      this.websockets.reject(socket, 503)
+      return
+    }
+
+    if (this.websockets.handleUpgrade(req, socket, head)) {
+      this.getTrackedSocket(socket)._ngnxUpgraded = true
+    }
+  }
+
+  /**
+   * @method getTrackedSocket
+   * Get the socket tracked by #trackConnections for the socket of a request.
+   * HTTPS requests are read from a TLS socket wrapping the tracked TCP
+   * socket.
+   * @private
+   * @param {net.Socket} socket
+   * The socket of a request.
+   * @return {net.Socket}
+   */
+  getTrackedSocket(socket) { // eslint-disable-line
+    return socket._parent || socket
+  }
+
+  /**
+   * @method broadcast
+   * Send a Server-Sent Event to every client of a channel. Clients join
+   * channels through endpoints registered by route modules:
+   * ```js
+   * // routes.js
+   * module.exports = function (app) {
+   *   // Clients join the "news" channel.
+   *   app.sse('/news', 'news')
+   *
+   *   // Clients choose their channels.
+   *   app.sse('/rooms/:room', function (client, req) {
+   *     client.join('room:' + req.params.room)
+   *     client.send('welcome', { room: req.params.room })
+   *   })
+   * }
+   *
+   * // Anywhere else
+   * server.broadcast('news', 'headline', { title: 'Hello' })
+   * ```
+   * Events are buffered per channel, so clients reconnecting with a
+   * `Last-Event-ID` receive the events they missed (see #sse).
+   * @param {string} channel
+   * The channel name.
+   * @param {string} [event]
+   * The event name. Unnamed events are received as `message` events.
+   * @param {any} data
+   * The event data. Anything other than a string is sent as JSON.
+   * @return {number}
+   * The ID of the event.
+   */
+  broadcast(channel, event, data) { // eslint-disable-line
+    return this.eventstreams.broadcast.apply(this.eventstreams, arguments)
+  }
+
+  /**
+   * @method trackConnections
+   * Track the sockets (and the number of active requests on each socket) of
+   * an HTTP server so they can be drained when the server is stopped.
+   * Sockets are tracked as soon as they connect, so TLS connections that
+   * never complete their handshake are still destroyed when the shutdown
+   * timeout expires.
+   * @private
+   * @param {http.Server} server
+   * The server to track.
+   */
+  trackConnections(server) { // eslint-disable-line
+    let me = this
+
+    server.on('connection', function (socket) {
+      socket._ngnxActiveRequests = 0
+      me.connections.add(socket)
+      socket.on('close', function () {
+        me.connections.delete(socket)
+      })
+    })
+
+    server.on('request', function (req, res) {
+      let socket = me.getTrackedSocket(req.socket)
+      socket._ngnxActiveRequests++
+
+      if (me.draining) {
+        res.setHeader('Connection', 'close')
+      }
+
+      let done = false
+      let complete = function () {
+        if (done) {
+          return
+        }
+        done = true
+        socket._ngnxActiveRequests--
+        if (me.draining && socket._ngnxActiveRequests === 0) {
+          req.socket.end()
+        }
+      }
+
+      res.on('finish', complete)
+      res.on('close', complete)
+    })
+  }
+
+  /**
+   * @method createStatic
+   * Serve the static files of a directory.
+   * ```js
+   * server.createStatic('/app', './dist', {
+   *   fallback: true,
+   *   cacheControl: {
+   *     '*.html': 'no-cache',
+   *     'assets/**': 'public, max-age=31536000, immutable'
+   *   }
+   * })
+   * ```
+   * Responses include `ETag` and `Last-Modified` headers, so conditional
+   * requests are answered with `304 Not Modified`. Precompressed variants
+   * (i.e. `app.js.br` or `app.js.gz`) are served to clients accepting the
+   * encoding. Hidden (dot) files are never served.
+   *
+   * File metadata is cached. When auto-refresh is enabled, the directory is
+   * monitored and changed files are invalidated automatically. Otherwise,
+   * cached metadata is compared with the size and modification time of the
+   * file before it is used.
+   * @param {string} urlPrefix
+   * The URL path the files are served from.
+   * @param {string} dir
+   * The directory containing the files.
+   * @param {Object} [options]
+   * @param {string|boolean} [options.index=index.html]
+   * The file served for directory requests, or `false` to disable indexes.
+   * @param {string|boolean} [options.fallback=false]
+   * The file (relative to the directory) served for unhandled GET requests
+   * accepting HTML within the URL prefix, i.e. for single page applications.
+   * Set this to `true` to use `index.html`. The fallback is only used when
+   * no route handles the request.
+   * @param {string|Object|function} [options.cacheControl=public, max-age=0]
+   * The `Cache-Control` header. An object maps glob patterns to headers
+   * (the first match is used). Patterns without a `/` match the file name,
+   * others match the path relative to the directory. A function receives
+   * the relative path and returns the header.
+   * @param {boolean} [options.precompressed=true]
+   * Serve precompressed variants of files.
+   * @param {boolean} [options.revalidate]
+   * Check cached metadata against the file system before using it. This
+   * defaults to `true` unless auto-refresh is enabled.
+   * @return {NGNX.http.StaticFiles}
+   */
+  createStatic(urlPrefix, dir, options) { // eslint-disable-line
+    let me = this
+    let cacheControl = (options || {}).cacheControl
+
+    if (!NGN.util.pathExists(path.resolve(dir || ''))) {
+      throw new Error('The static directory "' + dir + '" does not exist.')
+    }
+
+    if (cacheControl && typeof cacheControl === 'object') {
+      let rules = Object.keys(cacheControl).map(function (pattern) {
+        return {
+          basename: pattern.indexOf('/') < 0,
+          pattern: me.globToRegExp(pattern),
+          value: cacheControl[pattern]
+        }
+      })
+      cacheControl = function (file) {
+        let rule = rules.filter(function (r) {
+          return r.pattern.test(r.basename ? path.posix.basename(file) : file)
+        })[0]
+        return rule ? rule.value : 'public, max-age=0'
+      }
+    }
+
+    let files = new StaticFiles(Object.assign({}, options || {}, {
+      prefix: urlPrefix,
+      dir: dir,
+      cacheControl: cacheControl,
+      revalidate: NGN.coalesce((options || {}).revalidate, !this.refresh)
+    }))
+
+    this.statics.push(files)
+    this.app.use(files.middleware)
+
+    if (this.refresh) {
+      this.watchDirectory(files.dir, {
+        filter: function (filepath) {
+          return filepath === files.dir || filepath.indexOf(files.dir + path.sep) === 0
+        },
+        handler: function (event, filepath) {
+          me.statics.forEach(function (s) {
+            s.invalidate(filepath)
+          })
+        }
+      })
+    }
+
+    return files
+  }
+
+  /**
+   * @method serveFallback
+   * Serve the single page application fallback (see #createStatic) of an
+   * unhandled request.
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse} res
+   * @param {function} next
+   * Called when no fallback applies.
+   * @private
+   */
+  serveFallback(req, res, next) { // eslint-disable-line
+    let statics = this.statics.filter(function (s) {
+      return s.fallback !== null
+    })
+
+    let attempt = function (err) {
+      if (err || statics.length === 0) {
+        return next(err)
+      }
+      statics.shift().serveFallback(req, res, attempt)
+    }
+
+    attempt()
+  }
+
+  /**
+   * @method createRoutes
+   * Add routes that are monitored.
+   * @param {string} filepath
+   * The path to the module containing the routes.
+   * This acts as a `require`. For example:
+   * ```js
+   * server.createRoutes('./myroutes.js')
+   * ```
+   * This is essentially the equivalent of:
+   * ```js
+   * require('./myroutes.js')(server.app)
+   * ```
+   * The primary difference is createRoutes associates
+   * a file with the route/s. When this file changes,
+   * the router will reload itself without restarting the
+   * process (hot reload). The same applies to every local
+   * module the file requires (directly or indirectly). When
+   * a module shared by several route files changes, each of
+   * them is reloaded.
+   *
+   * The path may also be a directory or a glob pattern (`*`, `**` and `?`
+   * are supported). Every matching `.js` file is loaded as a route module
+   * and monitored individually. Files added to the directory later are
+   * loaded automatically when auto-refresh is enabled.
+   * ```js
+   * server.createRoutes('./routes')
+   * server.createRoutes('./api/**\/*.routes.js')
+   * ```
+   *
+   * The path may also be a JSON or YAML route manifest (see
+   * NGNX.http.RouteManifest). The manifest is reloaded when it, or any
+   * module its handlers are resolved from, changes.
+   * ```js
+   * server.createRoutes('./routes.yml')
+   * ```
+   *
+   * This can also accept a module object, but it will not be tracked.
+   * For example:
+   * ```js
+   * let mymod = require('./myroutes.js')
+   * server.createRoutes(mymod)
+   * ```
+   * The example above will still work, but it will not auto-refresh.
+   *
+   * Each module is mounted in its own slot, in the order the modules are
+   * loaded. When a module is reloaded (or removed and created again), its
+   * routes remain in the same slot, so they keep their precedence over the
+   * routes of modules loaded later. Error handlers registered by a module
+   * only handle errors of that module's routes.
+   * @param {Object} [options]
+   * @param {boolean|string} [options.prefix=false]
+   * The URL prefix of the module's routes (i.e. `/api`). When a directory
+   * or glob pattern is provided, `true` uses the path of each module
+   * (relative to the directory) as its prefix. For example,
+   * `routes/users/index.js` is mounted at `/users` and
+   * `routes/users/admin.js` at `/users/admin`. A string is prepended to
+   * the path of each module, so with `/api`, `routes/users/index.js` is
+   * mounted at `/api/users` (and `routes/index.js` at `/api`).
+   * @param {function|Array} [options.middleware]
+   * Middleware applied to the module's routes (i.e. authentication). It
+   * runs before the module's own handlers, and only for requests matching
+   * one of the module's routes (or a path the module mounted middleware at,
+   * i.e. `app.use('/files', fn)`), so it does not affect other modules.
+   * ```js
+   * server.createRoutes('./routes/admin.js', {
+   *   prefix: '/admin',
+   *   middleware: requireAdmin
+   * })
+   * ```
+   */
+  createRoutes(mod, options) { // eslint-disable-line
+    options = options || {}
+
+    if (typeof mod !== 'string') {
+      this.mountSlot({ src: null, prefix: this.normalizePrefix(options.prefix), middleware: options.middleware }, mod)
+      return
+    }
+
+    if (this.isRouteDirectory(mod)) {
+      this.discoverRoutes(mod, options)
+      return
+    }
+    if (!NGN.util.pathExists(path.resolve(mod))) {
+      if (path.extname(mod) !== '.js') {
+        mod = mod + '.js'
+      }
+      if (!NGN.util.pathExists(path.resolve(mod))) {
+        mod = path.join(process.cwd(), mod)
+      }
+    }
+    if (NGN.util.pathExists(mod)) {
+      mod = path.resolve(mod)
+      if (require.cache[mod]) {
+        delete require.cache[mod]
+      }
+
+      let me = this
+      let discovery = this.getDiscoveryRoot(mod)
+      let manifest = RouteManifest.isManifest(mod) ? new RouteManifest(mod) : null
+
+      this.mountSlot(this.slots[mod] || {
+        src: mod,
+        prefix: this.normalizePrefix(typeof options.prefix === 'string' ? options.prefix : this.getRoutePrefix(mod)),
+        middleware: options.middleware || (discovery ? discovery.middleware : null)
+      }, function (app) {
+        return manifest ? manifest.register(app) : require(mod)(app)
+      })
+
+      this.roots.add(mod)
+      this.monitor(mod)
+
+      // Manifests are not loaded with require(), so the modules their
+      // handlers come from are added to the dependency graph explicitly.
+      if (manifest) {
+        this.dependencies[mod] = manifest.modules.filter(this.isLocalModule)
+        this.dependencies[mod].forEach(function (file) {
+          me.monitor(file)
+        })
+      }
+    }
+  }
+
+  /**
+   * @method mountSlot
+   * Load a route module into a new router, and mount the router in the
+   * module's slot. A slot is created (at the end of the route list) the first
+   * time a module is loaded. When the module is reloaded, the router of the
+   * slot is replaced, so the routes keep their position relative to the
+   * routes of other modules. Nothing is mounted if the module fails to load.
+   *
+   * When the slot has `middleware`, it runs before the module's routes, but
+   * only for requests matching one of them (or a path the module mounted
+   * middleware at).
+   * @private
+   * @param {Object} slot
+   * The `src` (module path), URL `prefix`, `middleware` and (once mounted)
+   * the `layer` of the slot.
+   * @param {function} fn
+   * Registers the routes, receiving the `app`.
+   */
+  mountSlot(slot, fn) { // eslint-disable-line
+    let me = this
+    let middleware = slot.middleware ? [].concat(slot.middleware) : []
+    let router = express.Router({
+      caseSensitive: this.app.get('case sensitive routing'),
+      strict: this.app.get('strict routing')
+    })
+
+    router.cors = this.app.cors
+    router.auth = this.app.auth
+    router.bodyparser = this.app.bodyparser
+
+    if (middleware.length > 0) {
+      router.use(function slotGuard (req, res, next) {
+        let methods = me.getRouteMethods(req.path, router.stack)
+        if (methods.indexOf(req.method) >= 0 || (req.method === 'OPTIONS' && methods.length > 0)) {
+          return next()
+        }
+
+        // Middleware the module mounted at a path (i.e. app.use('/files', fn))
+        // also handles requests. Middleware without a path is not considered,
+        // since it matches every request.
+        let mounted = router.stack.some(function (layer) {
+          if (layer.route || layer.regexp.fast_slash || (layer.handle && Array.isArray(layer.handle.stack))) {
+            return false
+          }
+          try {
+            return layer.match(req.path)
+          } catch (e) {
+            return false
+          }
+        })
+
+        next(mounted ? null : 'router')
+      }, middleware.map(this.wrapHandler.bind(this)))
+    }
+
+    fn(this.createRouteContext(router, { src: slot.src, prefix: slot.prefix || '' }, this.app))
+
+    if (slot.layer) {
+      slot.layer.handle = router
+      return
+    }
+
+    this.app.use(slot.prefix || '/', router)
+    slot.layer = this.routes[this.routes.length - 1]
+    slot.layer.src = slot.src
+    if (slot.prefix) {
+      slot.layer.mountpath = slot.prefix
+    }
+
+    if (slot.src) {
+      this.slots[slot.src] = slot
+    }
+  }
+
+  /**
+   * @method normalizePrefix
+   * Normalize a URL prefix (i.e. `admin/` becomes `/admin`).
+   * @private
+   * @param {string} prefix
+   * @return {string}
+   * The prefix, or `null` if there is none.
+   */
+  normalizePrefix(prefix) { // eslint-disable-line
+    if (typeof prefix !== 'string') {
+      return null
+    }
+    prefix = ('/' + prefix).replace(/\/+/g, '/').replace(/\/$/, '')
+    return prefix.length > 0 ? prefix : null
+  }
+
+  /**
+   * @method createRouteContext
+   * Create the `app` passed to route modules. It behaves exactly like the
+   * Express app (or router) it wraps, except every handler registered
+   * through it (`use`, `all`, HTTP method functions and `route()` chains)
+   * is wrapped with #wrapHandler, so handlers may be `async` functions or
+   * return promises. Routes and `param()` callbacks are registered on the
+   * wrapped router, not the app it is based on. Route modules can also
+   * apply CORS policies with `app.corsPolicy(prefix, name, options)` (see
+   * #applyCORSPolicy) and register WebSocket endpoints with
+   * `app.ws(path, handler)`:
+   * ```js
+   * app.ws('/chat/:room', function (socket, req) {
+   *   socket.on('message', function (message) {
+   *     socket.send(req.params.room + ': ' + message)
+   *   })
+   * })
+   * ```
+   * Server-Sent Events endpoints are registered with `app.sse(path, handler)`
+   * (see #broadcast). Schema objects passed along with route handlers
+   * validate the requests of the route (see #validate).
+   * @param {Object} router
+   * The Express app, router or route to wrap.
+   * @param {Object} [scope]
+   * The `src` module and URL `prefix` of the routes.
+   * @param {Object} [base]
+   * The object providing everything other than routing (i.e. settings),
+   * when routes are registered on a staging router instead of the app.
+   * @return {Object}
+   * @private
+   */
+  createRouteContext(router, scope, base) { // eslint-disable-line
+    let me = this
+    let context = Object.create(base || router)
+    let wrap = function (args) {
+      return Array.prototype.slice.call(args).map(function (arg) {
+        return Array.isArray(arg) ? wrap(arg) : me.wrapHandler(arg)
+      })
+    }
+
+    require('http').METHODS.map(function (method) {
+      return method.toLowerCase()
+    }).concat('all', 'use').forEach(function (method) {
+      if (typeof router[method] === 'function') {
+        context[method] = function () {
+          // app.get(name) retrieves a setting.
+          if (method === 'get' && arguments.length === 1 && base) {
+            return base.get(arguments[0])
+          }
+          let result = router[method].apply(router, wrap(arguments))
+          return result === router ? context : result
+        }
+      }
+    })
+
+    if (typeof router.route === 'function') {
+      context.route = function () {
+        return me.createRouteContext(router.route.apply(router, arguments))
+      }
+    }
+
+    // Parameter callbacks only apply to the routes of the router they are
+    // registered on. They are not wrapped (their arity differs from
+    // middleware).
+    if (typeof router.param === 'function') {
+      context.param = function () {
+        let result = router.param.apply(router, arguments)
+        return result === router ? context : result
+      }
+    }
+
+    if (scope) {
+      context.corsPolicy = function (prefix, name, options) {
+        me.applyCORSPolicy(scope.prefix + '/' + prefix, name, options, scope.src)
+        return context
+      }
+      context.ws = function (urlpath, handler) {
+        me.websockets.add(scope.prefix + '/' + urlpath, handler, scope.src)
+        return context
+      }
+    }
+
+    if (typeof router.get === 'function') {
+      context.sse = function (urlpath, handler) {
+        return context.get(urlpath, me.eventstreams.middleware(handler))
+      }
+    }
+
+    return context
+  }
+
+  /**
+   * @method validate
+   * Create middleware validating the requests of a route against JSON
+   * Schemas (see NGNX.http.SchemaValidator for the supported keywords).
+   * Route modules can pass the schemas directly to route registration:
+   * ```js
+   * app.get('/users', {
+   *   query: {
+   *     type: 'object',
+   *     properties: {
+   *       page: { type: 'integer', minimum: 1, default: 1 }
+   *     }
+   *   }
+   * }, function (req, res) {
+   *   return db.users(req.query.page)
+   * })
+   * ```
+   * Values are coerced to the type of their schema (except in JSON bodies),
+   * and the coerced values replace `req.params`, `req.query` and
+   * `req.body`. Invalid requests respond with a `400 Bad Request` problem
+   * listing the `path`, `message` and `keyword` of every invalid value
+   * (i.e. `query.page`).
+   *
+   * When response validation is enabled (see #validation), JSON responses
+   * that do not match the `response` schema are replaced by a
+   * `500 Internal Server Error` problem listing the invalid values.
+   * @param {Object} schemas
+   * The schemas of the `params`, `query`, `headers` (with lowercase names),
+   * `body` and `response`. The `response` schema may also be a collection
+   * of schemas keyed by status code (i.e. `200`, `4XX` or `default`).
+   * @return {function}
+   */
+  validate(schemas) { // eslint-disable-line
+    return this.validator.middleware(schemas)
+  }
+
+  /**
+   * @method wrapHandler
+   * Wrap a route handler so a thrown error or rejected promise is passed to
+   * `next(err)`, and a value resolved by a promise returned from the handler
+   * is sent as the response. Strings and buffers are sent as-is, readable
+   * streams are piped and anything else is sent as JSON. Nothing is sent if
+   * the handler called `next()`, already responded or resolved `undefined`.
+   * Values returned synchronously are ignored, so callback-style handlers
+   * continue to work.
+   * Express apps and routers are returned unmodified. Plain objects are
+   * converted to request validation middleware (see #validate).
+   * ```js
+   * app.get('/users/:id', async function (req, res) {
+   *   return await db.findUser(req.params.id)
+   * })
+   * ```
+   * @param {function|Object} handler
+   * @return {function}
+   * @private
+   */
+  wrapHandler(handler) { // eslint-disable-line
+    if (handler !== null && typeof handler === 'object' && Object.getPrototypeOf(handler) === Object.prototype) {
+      return this.validate(handler)
+    }
+
+    if (typeof handler !== 'function' || typeof handler.handle === 'function' || handler.ngnxHandler) {
+      return handler
+    }
+
+    let me = this
+    let invoke = function (scope, args, req, res, next) {
+      let called = false
+      let proceed = function () {
+        called = true
+        return next.apply(this, arguments)
+      }
+      let fail = function (err) {
+        next(err || new Error('The route handler failed without providing a reason.'))
+      }
+      let result
+
+      args[args.length - 1] = proceed
+
+      try {
+        result = handler.apply(scope, args)
+      } catch (e) {
+        return fail(e)
+      }
+
+      // Only resolved values are sent. Callback-style handlers may return
+      // anything (i.e. a timer from setTimeout) and respond later.
+      if (result && typeof result.then === 'function') {
+        result.then(function (value) {
+          if (!called) {
+            me.sendResult(value, res, fail)
+          }
+        }, fail)
+      }
+    }
+
+    // Express identifies error handlers by their arity, so it is preserved.
+    let wrapped = handler.length >= 4
+      ? function (err, req, res, next) { // eslint-disable-line handle-callback-err
+        invoke(this, [err, req, res, next], req, res, next)
+      }
+      : function (req, res, next) {
+        invoke(this, [req, res, next], req, res, next)
+      }
+
+    Object.defineProperty(wrapped, 'name', {
+      configurable: true,
+      value: handler.name
+    })
+    wrapped.ngnxHandler = handler
+
+    return wrapped
+  }
+
+  /**
+   * @method sendResult
+   * Send the value returned by a route handler (see #wrapHandler).
+   * @param {any} result
+   * The value returned by the handler.
+   * @param {http.ServerResponse} res
+   * @param {function} fail
+   * Called with an error if a returned stream fails.
+   * @private
+   */
+  sendResult(result, res, fail) { // eslint-disable-line
+    if (result === undefined || result === res || res.headersSent || res.finished) {
+      return
+    }
+
+    if (result !== null && typeof result.pipe === 'function') {
+      result.on('error', fail)
+      result.pipe(res)
+    } else if (typeof result === 'string' || Buffer.isBuffer(result)) {
+      res.send(result)
+    } else {
+      res.json(result)
+    }
+  }
+
+  /**
+   * @method isRouteDirectory
+   * Determines whether a path passed to #createRoutes refers to a directory
+   * or glob pattern (as opposed to a single module).
+   * @private
+   * @param  {string} filepath
+   * The path to check.
+   * @return {boolean}
+   */
+  isRouteDirectory(filepath) { // eslint-disable-line
+    if (/[*?]/.test(filepath)) {
+      return true
+    }
+    let dir = path.resolve(filepath)
+    if (NGN.util.pathExists(dir + '.js')) {
+      return false
+    }
+    return NGN.util.pathExists(dir) && fs.statSync(dir).isDirectory()
+  }
+
+  /**
+   * @method discoverRoutes
+   * Load every route module found in a directory or matching a glob pattern.
+   * The directory is registered so files created within it later are
+   * recognized by the file watcher.
+   * @private
+   * @param {string} filepath
+   * The directory or glob pattern.
+   * @param {Object} [options]
+   * See #createRoutes.
+   */
+  discoverRoutes(filepath, options) { // eslint-disable-line
+    options = options || {}
+
+    let root = path.resolve(filepath)
+    let pattern = null
+
+    if (/[*?]/.test(filepath)) {
+      let segments = root.split(path.sep)
+      let i = 0
+      while (i < segments.length && !/[*?]/.test(segments[i])) {
+        i++
+      }
+      root = segments.slice(0, i).join(path.sep) || path.sep
+      pattern = this.globToRegExp(segments.slice(i).join('/'))
+    }
+
+    if (!NGN.util.pathExists(root)) {
+      console.warn('Route directory', root, 'does not exist.')
+      return
+    }
+
+    this.discoveries[root] = {
+      root: root,
+      pattern: pattern,
+      prefix: NGN.coalesce(options.prefix, false),
+      middleware: options.middleware || null
+    }
+
+    this.discoverDirectory(root)
+  }
+
+  /**
+   * @method discoverDirectory
+   * Recursively load the route modules of a directory belonging to a
+   * discovery root. Files are loaded (alphabetically) before subdirectories.
+   * @private
+   * @param {string} dir
+   * The absolute path of the directory.
+   */
+  discoverDirectory(dir) { // eslint-disable-line
+    let me = this
+    let entries = fs.readdirSync(dir).sort().map(function (f) {
+      return path.join(dir, f)
+    })
+    let directories = entries.filter(function (f) {
+      return fs.statSync(f).isDirectory()
+    })
+
+    this.watchDirectory(dir)
+
+    entries.forEach(function (f) {
+      if (directories.indexOf(f) < 0 && me.isDiscoverable(f)) {
+        me.createRoutes(f)
+      }
+    })
+
+    directories.forEach(function (d) {
+      if (me.isDiscoverable(d, true)) {
+        me.discoverDirectory(d)
+      }
+    })
+  }
+
+  /**
+   * @method getDiscoveryRoot
+   * Retrieve the discovery configuration responsible for a file.
+   * @private
+   * @param {string} filepath
+   * The absolute path of the file or directory.
+   * @return {Object}
+   * The discovery configuration or `null` if the file does not belong to a
+   * discovered directory.
+   */
+  getDiscoveryRoot(filepath) { // eslint-disable-line
+    let me = this
+    let roots = Object.keys(this.discoveries).filter(function (root) {
+      return filepath.indexOf(root + path.sep) === 0
+    }).sort(function (a, b) {
+      return b.length - a.length
+    })
+    return roots.length > 0 ? me.discoveries[roots[0]] : null
+  }
+
+  /**
+   * @method isDiscoverable
+   * Determines whether a file (or directory) should be loaded as part of a
+   * discovered route directory.
+   * @private
+   * @param {string} filepath
+   * The absolute path of the file or directory.
+   * @param {boolean} [directory=false]
+   * Indicates the path is a directory.
+   * @return {boolean}
+   */
+  isDiscoverable(filepath, directory) { // eslint-disable-line
+    let root = this.getDiscoveryRoot(filepath)
+    let name = path.basename(filepath)
+
+    if (root === null || name.charAt(0) === '.' || name === 'node_modules') {
+      return false
+    }
+
+    if (directory) {
+      return true
+    }
+
+    if (path.extname(filepath) !== '.js') {
+      return false
+    }
+
+    return root.pattern === null || root.pattern.test(path.relative(root.root, filepath).split(path.sep).join('/'))
+  }
+
+  /**
+   * @method getRoutePrefix
+   * Identify the URL prefix for a discovered route module. The path of the
+   * module (relative to the discovery root) is appended to a string prefix.
+   * @private
+   * @param {string} filepath
+   * The absolute path of the module.
+   * @return {string}
+   * The URL prefix or `null` if the routes are mounted directly on the app.
+   */
+  getRoutePrefix(filepath) { // eslint-disable-line
+    let root = this.getDiscoveryRoot(filepath)
+
+    if (root === null || !root.prefix) {
+      return null
+    }
+
+    let base = this.normalizePrefix(root.prefix) || ''
+    let segments = path.relative(root.root, filepath).replace(/\.js$/, '').split(path.sep)
+    if (segments[segments.length - 1] === 'index') {
+      segments.pop()
+    }
+
+    return segments.length > 0 ? base + '/' + segments.join('/') : (base || null)
+  }
+
+  /**
+   * @method globToRegExp
+   * Convert a glob pattern to a regular expression. Supports `**`, `*`
+   * and `?`.
+   * @private
+   * @param {string} glob
+   * The glob pattern, relative to the discovery root.
+   * @return {RegExp}
+   */
+  globToRegExp(glob) { // eslint-disable-line
+    let re = glob.replace(/[.+^${}()|[\]\\]/g, '\\$&')
+      .replace(/\*\*\//g, '\u0000')
+      .replace(/\*\*/g, '\u0001')
+      .replace(/\*/g, '[^/]*')
+      .replace(/\?/g, '[^/]')
+      .replace(/\u0000/g, '(?:.*/)?')
+      .replace(/\u0001/g, '.*')
+    return new RegExp('^' + re + '$')
+  }
+
+  /**
+   * @method reloadRoutes
+   * Refresh the routes. Reloading is transactional: if the module fails to
+   * load (i.e. it contains a syntax error or throws), the previous routes,
+   * CORS policies and WebSocket endpoints of the module remain active, the
+   * error is logged (with its location) and a `reloaderror` event is fired.
+   * @private
+   * @param  {string} filepath
+   * The path to reload routes from.
+   * @param {string} [trigger]
+   * The file that changed, if it is not the route module itself.
+   * @return {boolean}
+   * `true` if the routes were reloaded.
+   */
+  reloadRoutes(f, trigger) { // eslint-disable-line
+    // If auto-refresh isn't active, ignore this.
+    if (!this.refresh) {
+      return false
+    }
+
+    this.reloading++
+
+    let slot = this.slots[f] || null
+    let previous = {
+      routes: this.routes.slice(),
+      handle: slot ? slot.layer.handle : null,
+      corsbindings: this.corsbindings.slice(),
+      endpoints: this.websockets.endpoints.slice()
+    }
+
+    // Everything the module registered (other than its slot) is registered
+    // again when it is loaded.
+    this.removeRoutes(f, true)
+
+    // Reloading a route module directly also reloads everything it requires.
+    // Otherwise, the modules affected by the trigger were already invalidated.
+    if (!trigger) {
+      this.getDependencies(f).forEach(function (dependency) {
+        delete require.cache[dependency]
+      })
+    }
+
+    try {
+      if (slot && !NGN.util.pathExists(f)) {
+        // The module was removed. The slot remains (empty), so the routes
+        // regain their position if the module is created again.
+        slot.layer.handle = express.Router()
+      } else {
+        this.createRoutes(f)
+      }
+    } catch (e) {
+      this.routes = previous.routes
+      if (slot) {
+        slot.layer.handle = previous.handle
+      }
+      this.corsbindings = previous.corsbindings
+      this.websockets.endpoints = previous.endpoints
+
+      let location = this.getErrorLocation(e)
+      console.error('Routes of', f.replace(process.cwd(), '.'), 'not reloaded (the previous routes remain active).', (trigger && trigger !== f ? 'Triggered by ' + trigger.replace(process.cwd(), '.') + '. ' : '') + (location ? 'Error at ' + location.replace(process.cwd(), '.') + ':' : 'Error:'), e.message)
+
+      this.emit('reloaderror', e, f, trigger || f)
+      return false
+    } finally {
+      this.reloading--
+    }
+
+    console.info('Routes reloaded. Triggered by', (trigger || f).replace(process.cwd(), '.'))
+
+    this.emit('reload', f, trigger || f)
+    return true
+  }
+
+  /**
+   * @method getErrorLocation
+   * Identify the file and line (`file:line`) an error originates from. For
+   * syntax errors, this is the location of the invalid code.
+   * @private
+   * @param {Error} err
+   * @return {string}
+   * The location, or `null` if it cannot be identified.
+   */
+  getErrorLocation(err) { // eslint-disable-line
+    // Errors in route manifests (see NGNX.http.RouteManifest) know their location.
+    if (err && err.location) {
+      return err.location
+    }
+
+    let stack = String((err && err.stack) || '')
+
+    // Syntax errors start with the location of the invalid code.
+    let syntax = /^((?:\/|[A-Za-z]:\\).*?):(\d+)\n/.exec(stack)
+    if (err instanceof SyntaxError && syntax) {
+      return syntax[1] + ':' + syntax[2]
+    }
+
+    // Otherwise, use the first frame referring to a file.
+    let frames = stack.split('\n')
+    for (let i = 0; i < frames.length; i++) {
+      let frame = /^\s+at (?:.*?\()?((?:\/|[A-Za-z]:\\).+?):(\d+):\d+\)?$/.exec(frames[i])
+      if (frame) {
+        return frame[1] + ':' + frame[2]
+      }
+    }
+
+    return null
+  }
+
+  /**
+   * @method scheduleReload
+   * Reload the routes affected by a file change once no further changes
+   * are detected for #reloadDelay milliseconds.
+   * @private
+   * @param {string} filepath
+   * The absolute path of the file that changed.
+   */
+  scheduleReload(filepath) { // eslint-disable-line
+    let me = this
+    let pending = this.pendingreloads
+
+    pending.files.add(filepath)
+    clearTimeout(pending.timer)
+    pending.timer = setTimeout(function () {
+      let files = Array.from(pending.files)
+      pending.files.clear()
+      pending.timer = null
+      me.reloadDependents(files)
+    }, this.reloaddelay)
+  }
+
+  /**
+   * @method reloadDependents
+   * Reload every route module depending (directly or indirectly) on the
+   * files that changed. The files and all of the modules requiring them are
+   * removed from the require cache first, so each route module loads the
+   * new code. Each route module is reloaded once, even if several of its
+   * dependencies changed.
+   * @private
+   * @param {string|Array} filepath
+   * The absolute path(s) of the file(s) that changed.
+   */
+  reloadDependents(filepath) { // eslint-disable-line
+    let me = this
+    let roots = new Map()
+
+    ;(Array.isArray(filepath) ? filepath : [filepath]).forEach(function (file) {
+      me.getAssociatedRoots(file).forEach(function (root) {
+        if (!roots.has(root)) {
+          roots.set(root, file)
+        }
+      })
+      ;[file].concat(me.getDependents(file)).forEach(function (dependent) {
+        delete require.cache[dependent]
+      })
+    })
+
+    roots.forEach(function (trigger, root) {
+      me.reloadRoutes(root, trigger)
+    })
+  }
+
+  /**
+   * @method reloadCreated
+   * Respond to a file created within a monitored directory. Directories of a
+   * discovered route directory are discovered, and route modules are
+   * (re)loaded. A dependency that is created again (i.e. by an editor that
+   * saves by renaming, or a `git checkout`) reloads the route modules
+   * depending on it instead of being loaded as a route module.
+   * @private
+   * @param {string} dir
+   * The absolute path of the directory being monitored.
+   * @param {string} filepath
+   * The absolute path of the created file.
+   * @param {fs.Stats} [stat]
+   */
+  reloadCreated(dir, filepath, stat) { // eslint-disable-line
+    if (path.dirname(filepath) !== dir || !this.isWatchedRoute(dir, filepath, stat)) {
+      return
+    }
+
+    if (stat && stat.isDirectory()) {
+      this.discoverDirectory(filepath)
+    } else if (this.roots.has(filepath) || this.monitors[dir].files.indexOf(filepath) < 0) {
+      this.reloadRoutes(filepath)
+    } else {
+      this.reloadDependents(filepath)
+    }
+  }
+
+  /**
+   * @method isWatchedRoute
+   * Determine whether a file within a monitored directory is a route module
+   * (or route directory) to auto-refresh. Files that are not monitored yet
+   * are accepted when they belong to a discovered route directory (see
+   * #createRoutes).
+   * @private
+   * @param  {string} dir
+   * The absolute path of the directory being monitored.
+   * @param  {string} filepath
+   * @param  {fs.Stats} [stat]
+   * @return {boolean}
+   */
+  isWatchedRoute(dir, filepath, stat) { // eslint-disable-line
+    if (!this.refresh || !this.monitors.hasOwnProperty(dir)) {
+      return false
+    }
+    if (this.monitors[dir].files.indexOf(filepath) >= 0) {
+      return true
+    }
+    if (stat && stat.isDirectory()) {
+      return !this.monitors.hasOwnProperty(filepath) && this.isDiscoverable(filepath, true)
+    }
+    return this.isDiscoverable(filepath)
+  }
+
+  /**
+   * @method fileFilter
+   * A method for filtering which monitored files within a directory emit a
+   * change event: route modules (see #isWatchedRoute) and the files of the
+   * watchers subscribed to the directory (see #watchDirectory).
+   * @private
+   * @param  {string} dir
+   * The absolute path of the directory being monitored.
+   * @return {function}
+   * Returns `true` for files that should emit change events.
+   */
+  fileFilter(dir) { // eslint-disable-line
+    let me = this
+    return function (filepath, stat) {
+      if (!me.monitors.hasOwnProperty(dir)) {
+        return false
+      }
+      return me.isWatchedRoute(dir, filepath, stat) || me.monitors[dir].watchers.some(function (watcher) {
+        return watcher.filter(filepath, stat)
+      })
+    }
+  }
+
+  /**
+   * @method watchDirectory
+   * Create a file watcher for a directory (if one does not already exist).
+   * Route modules are only detected directly within the directory, and only
+   * when auto-refresh is active. Other features (i.e. TLS certificate
+   * reloading and static files) subscribe a `watcher` to the directory
+   * instead of creating their own, so #stop tears every watcher down.
+   * @private
+   * @param  {string} dir
+   * The absolute path of the directory to monitor.
+   * @param  {Object} [watcher]
+   * Contains a `filter` function, receiving the path (and stat) of a file
+   * and returning `true` when the watcher handles it, and a `handler`
+   * function receiving the event (`created`, `changed` or `removed`), path
+   * and stat.
+   */
+  watchDirectory(dir, watcher) { // eslint-disable-line
+    // If auto-refresh isn't active, route modules are not watched.
+    if (!watcher && !this.refresh) {
+      return
+    }
+
+    let me = this
+
+    if (this.monitors[dir] === undefined) {
+      let entry = this.monitors[dir] = {
+        files: [],
+        watchers: []
+      }
+      let dispatch = function (event, f, stat) {
+        entry.watchers.forEach(function (w) {
+          if (w.filter(f, stat)) {
+            w.handler(event, f, stat)
+          }
+        })
+      }
+      watch.createMonitor(dir, {
+        ignoreDotFiles: true,
+        filter: me.fileFilter(dir),
+        ignoreUnreadableDir: true,
+        ignoreNotPermitted: true,
+        ignoreDirectoryPattern: /node_modules/
+      }, function (m) {
+        // The server stopped while the directory was being scanned.
+        if (me.monitors[dir] !== entry) {
+          m.stop()
+          return
+        }
+        m.on('created', function (f, stat) {
+          dispatch('created', f, stat)
+          me.reloadCreated(dir, f, stat)
+        })
+        m.on('changed', function (f, stat) {
+          dispatch('changed', f, stat)
+          if (path.dirname(f) !== dir || !me.isWatchedRoute(dir, f, stat)) {
+            return
+          }
+          me.scheduleReload(f)
+        })
+        m.on('removed', function (f, stat) {
+          dispatch('removed', f, stat)
+          if (path.dirname(f) !== dir || !me.isWatchedRoute(dir, f, stat)) {
+            return
+          }
+          me.reloadDependents(f)
+        })
+        entry.monitor = m
+      })
+    }
+
+    if (watcher) {
+      this.monitors[dir].watchers.push(watcher)
+    }
+  }
+
+  /**
+   * @method monitor
+   * Monitor a route module, and every module it requires, for file changes.
+   * This enables route hot-reloading.
+   * @private
+   * @param  {string} filepath
+   * The path of the route module to monitor.
    */
-  get ca() { // eslint-disable-line
-    if (NGN.util.pathReadable(this.certauthority)) {
-      this.certauthority = fs.readFileSync(this.certauthority).toString()
+  monitor(filepath) { // eslint-disable-line
+    // If auto-refresh isn't active, ignore this.
+    if (!this.refresh) {
+      return
     }
-    return this.certauthority
+
+    this.watchFile(filepath)
+    this.trackDependencies(filepath)
   }
 
   /**
-   * @property {string} certificate
-   * The contents of the SSL certificate.
+   * @method watchFile
+   * Monitor a single file for changes.
+   * @private
+   * @param  {string} filepath
+   * The path of the file to monitor.
    */
-  get certificate() { // eslint-disable-line
-    if (NGN.util.pathReadable(this.crt)) {
-      this.crt = fs.readFileSync(this.crt)
+  watchFile(filepath) { // eslint-disable-line
+    let dir = path.dirname(filepath)
+    this.watchDirectory(dir)
+    if (this.monitors[dir].files.indexOf(filepath) < 0) {
+      this.monitors[dir].files.push(filepath)
+      console.log('Watching', filepath)
     }
-    return this.crt
   }
 
   /**
-   * @property {string} key
-   * The contents of the SSL private key.
+   * @method unmonitor
+   * Stop monitoring a route module for changes.
+   * @private
+   * @param  {string} filepath
+   * The path of the file.
    */
-  get key() { // eslint-disable-line
-    if (NGN.util.pathReadable(this.privkey)) {
-      this.privkey = fs.readFileSync(this.privkey)
+  unmonitor(filepath) { // eslint-disable-line
+    let dir = path.dirname(filepath)
+    if (this.monitors[dir]) {
+      this.monitors[dir].files = this.monitors[dir].files.filter(function (f) {
+        return f !== filepath
+      })
     }
-    return this.privkey
   }
 
   /**
-   * @property {string} passphrase
-   * The cencryption passphrase for the SSL private key.
+   * @method trackDependencies
+   * Record the dependencies of a (freshly loaded) module in the
+   * #dependencies graph, and monitor each of them. The graph is built from
+   * the `children` of each module in the require cache, which lists every
+   * module it requires (even modules loaded by another module first).
+   * Modules within `node_modules` or outside of the working directory are
+   * ignored. This runs whenever a route module is (re)loaded, so modules
+   * required by an edit are picked up.
    * @private
+   * @param {string} filepath
+   * The absolute path of the module.
    */
-  get passphrase() { // eslint-disable-line
-    if (NGN.util.pathReadable(this.keypass)) {
-      this.keypass = fs.readFileSync(this.keypass)
+  trackDependencies(filepath) { // eslint-disable-line
+    if (!this.refresh) {
+      return
+    }
+
+    let me = this
+    let visited = new Set()
+    let local = function (mod) {
+      return me.isLocalModule(mod.filename)
     }
-    return this.keypass
+    let visit = function (mod) {
+      if (!mod || visited.has(mod.filename)) {
+        return
+      }
+      visited.add(mod.filename)
+
+      let children = mod.children.filter(local)
+      me.dependencies[mod.filename] = children.map(function (child) {
+        return child.filename
+      })
+
+      children.forEach(function (child) {
+        me.watchFile(child.filename)
+        visit(child)
+      })
+    }
+
+    visit(require.cache[filepath])
   }
 
   /**
-   * @property {string} poweredbyHeader
-   * The branding associated with the server.
+   * @method isLocalModule
+   * Determines whether a module belongs to the application (as opposed to
+   * `node_modules` or anything outside of the working directory).
+   * @private
+   * @param {string} filepath
+   * The absolute path of the module.
+   * @return {boolean}
    */
-  get poweredbyHeader() { // eslint-disable-line
-    return this.poweredby || null
+  isLocalModule(filepath) { // eslint-disable-line
+    return filepath.indexOf(process.cwd()) === 0 && filepath.indexOf('node_modules') < 0
   }
 
   /**
-   * @method getModules
-   * Return the node modules that have been "required" in the app.
+   * @method getDependencies
+   * Identify every module a module requires, directly or indirectly.
    * @private
+   * @param {string} filepath
+   * The absolute path of the module.
    * @return {Array}
-   * A list of the modules be reference.
    */
-  get modules() { // eslint-disable-line
-    // Get all of the required local modules (i.e. part of the project, not the core)
-    return Object.keys(require.cache).filter(function (p) {
-      return p.indexOf(process.cwd()) === 0 && p.indexOf('node_modules') < 0
-    }).map(function (p) {
-      return {
-        path: path.resolve(path.join(process.cwd(), p.replace(__dirname, '').replace(process.cwd(), ''))),
-        parent: require.cache[p].parent ? require.cache[p].parent.id : null
-      }
-    })
+  getDependencies(filepath) { // eslint-disable-line
+    let dependencies = []
+    let queue = [filepath]
+
+    while (queue.length > 0) {
+      (this.dependencies[queue.shift()] || []).forEach(function (dependency) {
+        if (dependency !== filepath && dependencies.indexOf(dependency) < 0) {
+          dependencies.push(dependency)
+          queue.push(dependency)
+        }
+      })
+    }
+
+    return dependencies
   }
 
-  start() { // eslint-disable-line
-    console.log('Starting up...')
+  /**
+   * @method getDependents
+   * Identify every module requiring a file, directly or indirectly.
+   * @private
+   * @param {string} filepath
+   * The absolute path of the file.
+   * @return {Array}
+   */
+  getDependents(filepath) { // eslint-disable-line
     let me = this
-    this._starting = true
-
-    // SSL
-    if (this.crt) {
-      let opts = {
-        certificate: this.certificate
-      }
-      if (this.certauthority) {
-        opts.ca = this.certauthority
-      }
-      if (this.privkey) {
-        opts.key = this.privkey
-      }
-      this.server = require('https').createServer(opts, this.app)
-    } else {
-      this.server = require('http').Server(this.app)
-    }
+    let dependents = []
+    let queue = [filepath]
 
-    if (this.portnumber <= 0) {
-      this.portnumber = 0
-      this.server.listen(this.portnumber, this.ip, function () {
-        me._running = true
-        me._starting = false
-        me.portnumber = me.server.address().port
-        me.emit('start')
-        console.info('Server running at', me.ip + ':' + me.portnumber)
-      })
-    } else {
-      this.server.listen(this.portnumber, this.ip, function () {
-        me._running = true
-        me._starting = false
-        me.portnumber = me.server.address().port
-        me.emit('start')
-        console.info('Server running at', me.ip + ':' + me.portnumber)
+    while (queue.length > 0) {
+      let file = queue.shift()
+      Object.keys(this.dependencies).forEach(function (parent) {
+        if (me.dependencies[parent].indexOf(file) >= 0 && parent !== filepath && dependents.indexOf(parent) < 0) {
+          dependents.push(parent)
+          queue.push(parent)
+        }
       })
     }
+
+    return dependents
   }
 
-  stop() { // eslint-disable-line
+  /**
+   * @method getAssociatedRoots
+   * Identify the route modules affected by a change to a file, which are
+   * the route modules depending on it (and the file itself, if it is a
+   * route module).
+   * @private
+   * @param {string} filepath
+   * The absolute path of the file.
+   * @return {Array}
+   */
+  getAssociatedRoots(filepath) { // eslint-disable-line
     let me = this
-    this.server.on('close', function () {
-      this._running = false
-      me.emit('stop')
-    })
-    Object.keys(this.monitors).forEach(function (m) {
-      me.monitors[m].monitor.stop()
+    return [filepath].concat(this.getDependents(filepath)).filter(function (file) {
+      return me.roots.has(file)
     })
-    this.server.close()
   }
 
   /**
-   * @method createRoutes
-   * Add routes that are monitored.
-   * @param {string} filepath
-   * The path to the module containing the routes.
-   * This acts as a `require`. For example:
-   * ```js
-   * server.createRoutes('./myroutes.js')
-   * ```
-   * This is essentially the equivalent of:
-   * ```js
-   * require('./myroutes.js')(server.app)
-   * ```
-   * The primary difference is createRoutes associates
-   * a file with the route/s. When this file changes,
-   * the router will reload itself without restarting the
-   * process (hot reload).
+   * @method listRoutes
+   * List the routes mounted on the server. Each route is described by an
+   * object containing:
    *
-   * This can also accept a module object, but it will not be tracked.
-   * For example:
+   * - `method`: The HTTP method (i.e. `GET`), or `ALL`.
+   * - `path`: The URL path of the route.
+   * - `source`: The absolute path of the file the route originates from, or
+   *   `null` if it is unknown.
+   * - `middleware`: The names of the handlers responding to the route,
+   *   in order. Anonymous functions are named `<anonymous>`.
+   *
+   * A route that responds to several HTTP methods is listed once per method.
+   * @return {Array}
+   */
+  listRoutes() { // eslint-disable-line
+    let list = []
+    this.walkRoutes(this.routes, '', null, function (layer, method, route) {
+      list.push(route)
+    })
+    return list
+  }
+
+  /**
+   * @method toOpenAPI
+   * Generate an OpenAPI 3.1 document describing the routes currently mounted
+   * on the server (including reloaded routes). Express paths are converted
+   * to path templates (`/users/:id` becomes `/users/{id}`), and the JSON
+   * Schemas attached to a route (see #validate) describe its parameters,
+   * request body and responses, along with its `summary`, `description`,
+   * `tags`, `operationId` and `deprecated` flag:
    * ```js
-   * let mymod = require('./myroutes.js')
-   * server.createRoutes(mymod)
+   * app.get('/users/:id', {
+   *   summary: 'Retrieve a user.',
+   *   tags: ['users'],
+   *   params: { type: 'object', properties: { id: { type: 'integer' } } },
+   *   response: { 200: userSchema, 404: problemSchema }
+   * }, function (req, res) { ... })
    * ```
-   * The example above will still work, but it will not auto-refresh.
-   * @param {Array} postRange
-   * The index range that should be moved to the end of the route list.
-   * This is used internally and should never be used within an application.
+   * Built-in endpoints, routes responding to every method (`ALL`) and routes
+   * with regular expression or wildcard paths are omitted. See
+   * NGNX.http.OpenAPI for details.
+   * @return {Object}
    */
-  createRoutes(mod, postRange) { // eslint-disable-line
-    if (typeof mod === 'string') {
-      if (!NGN.util.pathExists(path.resolve(mod))) {
-        if (path.extname(mod) !== '.js') {
-          mod = mod + '.js'
-        }
-        if (!NGN.util.pathExists(path.resolve(mod))) {
-          mod = path.join(process.cwd(), mod)
-        }
-        if (NGN.util.pathExists(mod)) {
-          mod = path.join(process.cwd(), mod)
-        }
+  toOpenAPI() { // eslint-disable-line
+    let builtin = this.getBuiltInEndpoints()
+    let routes = []
+
+    this.walkRoutes(this.routes, '', null, function (layer, method, route) {
+      if (typeof layer.route.path !== 'string' || builtin.indexOf(route.path) >= 0) {
+        return
       }
-      if (NGN.util.pathExists(mod)) {
-        if (require.cache.hasOwnProperty(mod)) {
-          delete require.cache[mod]
-        }
-        require(mod)(this.app)
 
-        let me = this
-        this.routes.forEach(function (r, i) {
-          me.routes[i].index = i
-        })
-        this.routes.map(function (r, i) {
-          if (r.name === 'bound dispatch' && !r.src) {
-            r.src = mod
-          }
-          return r
-        })
-        if (postRange) {
-          let move = this.routes.splice(postRange[0], (postRange[1] - postRange[0]) + 1)
-          this.routes = this.routes.concat(move)
+      let schemas = {}
+      layer.route.stack.forEach(function (handler) {
+        if (handler.handle.schemas && (handler.method === undefined || handler.method === method)) {
+          Object.assign(schemas, handler.handle.schemas)
         }
-        this.monitor(mod)
-      }
-    } else {
-      mod(this.app)
-    }
+      })
+
+      routes.push({
+        method: route.method,
+        path: route.path,
+        schemas: schemas
+      })
+    })
+
+    return this.openapi.generate(routes)
   }
 
   /**
-   * @method reloadRoutes
-   * Refresh the routes.
-   * @private
-   * @param  {string} filepath
-   * The path to reload routes from.
+   * @method addRoute
+   * Add a route to the server. The file calling this method is recorded as
+   * the source of the route, so it is removed/reloaded along with the rest of
+   * the routes from that file.
+   * ```js
+   * server.addRoute('GET', '/ping', function (req, res) {
+   *   res.sendStatus(200)
+   * })
+   * ```
+   * @param {string} method
+   * The HTTP method (i.e. `GET`, `POST`), or `ALL` to respond to any method.
+   * @param {string} path
+   * The URL path of the route.
+   * @param {function} handler
+   * One or more handlers (middleware) responding to the route.
+   * @return {Object}
+   * A description of the route (see #listRoutes).
    */
-  reloadRoutes(f, trigger) { // eslint-disable-line
-    // If auto-refresh isn't active, ignore this.
-    if (!this.refresh) {
-      return
+  addRoute(method, urlpath) { // eslint-disable-line
+    let fn = String(method).toLowerCase()
+    let handlers = Array.prototype.slice.call(arguments, 2)
+
+    if (typeof this.app[fn] !== 'function' || require('http').METHODS.concat('ALL').indexOf(fn.toUpperCase()) < 0) {
+      throw new Error('Unsupported HTTP method "' + method + '".')
+    }
+
+    if (handlers.length === 0) {
+      throw new Error('A route handler is required.')
+    }
+
+    let source = this.getCallerFile()
+
+    this.app[fn].apply(this.app, [urlpath].concat(handlers.map(this.wrapHandler.bind(this))))
+
+    let layer = this.routes[this.routes.length - 1]
+    layer.src = source
+
+    return {
+      method: fn.toUpperCase(),
+      path: urlpath,
+      source: source,
+      middleware: layer.route.stack.map(function (handler) {
+        return handler.name
+      })
     }
+  }
 
+  /**
+   * @method removeRoutes
+   * Remove routes from the server.
+   * ```js
+   * // Remove every route originating from a file.
+   * server.removeRoutes('./routes/users.js')
+   *
+   * // Remove routes matching a filter.
+   * server.removeRoutes(function (route) {
+   *   return route.method === 'DELETE'
+   * })
+   * ```
+   * When a file is provided, all of the routes, middleware and WebSocket
+   * endpoints originating from it are removed and the file is no longer
+   * monitored for changes (i.e. the module is unloaded). Open WebSocket
+   * connections are not closed.
+   * @param {string|function} filter
+   * The path of a route module, or a filter function. The filter receives
+   * a route description (see #listRoutes) and returns `true` to remove it.
+   * @param {boolean} [retain=false]
+   * Used internally when reloading a module. The module's slot is kept and
+   * the module remains loaded, so it can register its routes again.
+   * @return {number}
+   * The number of routes removed.
+   */
+  removeRoutes(filter, retain) { // eslint-disable-line
     let me = this
-    let begin = null
+    let count = 0
 
-    this.routes.forEach(function (r, i) {
-      if (r.src && r.src === f) {
-        begin = begin === null ? i : begin
-        delete me.routes[i]
+    if (typeof filter === 'string') {
+      let file = path.resolve(filter)
+      if (!NGN.util.pathExists(file) && path.extname(file) !== '.js' && NGN.util.pathExists(file + '.js')) {
+        file = file + '.js'
       }
-    })
-
-    this.routes = this.routes.filter(function (r) {
-      return r !== undefined
-    })
 
-    let end = this.routes.length - 1
+      let slot = retain ? this.slots[file] : null
 
-    // Clear any cached associations
-    if (this.associations[f]) {
-      this.associations[f].forEach(function (dependentFile) {
-        if (require.cache.hasOwnProperty(dependentFile)) {
-          delete require.cache[dependentFile]
+      this.routes = this.routes.filter(function (layer) {
+        if (layer.src !== file || (slot && layer === slot.layer)) {
+          return true
         }
+        me.walkRoutes([layer], '', null, function () {
+          count++
+        })
+        return false
       })
-    }
 
-    begin = begin === null ? end : begin
-    end = begin > end ? begin : end
+      this.corsbindings = this.corsbindings.filter(function (binding) {
+        return binding.src !== file
+      })
+
+      count += this.websockets.remove(file)
+
+      if (retain) {
+        return count
+      }
 
-    this.createRoutes(f, [begin, end])
+      delete this.slots[file]
+      this.roots.delete(file)
+      this.unmonitor(file)
 
-    if (trigger) {
-      console.info('Routes reloaded. Triggered by', trigger.replace(process.cwd(), '.'))
-    } else {
-      console.info('Routes reloaded. Triggered by', f.replace(process.cwd(), '.'))
+      return count
+    }
+
+    let prune = function (stack, prefix, source) {
+      return stack.filter(function (layer) {
+        if (layer.route) {
+          let methods = Object.keys(layer.route.methods)
+          methods.forEach(function (method) {
+            let route = me.describeRoute(layer, method, prefix, source)
+            if (filter(route)) {
+              count++
+              delete layer.route.methods[method]
+              layer.route.stack = layer.route.stack.filter(function (handler) {
+                return handler.method !== method && !(method === '_all' && handler.method === undefined)
+              })
+            }
+          })
+          return Object.keys(layer.route.methods).length > 0
+        }
+        if (layer.handle && Array.isArray(layer.handle.stack)) {
+          layer.handle.stack = prune(layer.handle.stack, prefix + (layer.mountpath || ''), layer.src || source)
+        }
+        return true
+      })
     }
+
+    this.routes = prune(this.routes, '', null)
+
+    return count
   }
 
   /**
-   * @method fileFilter
-   * A method for filtering which monitored files within a directory emit a
-   * change event.
+   * @method walkRoutes
+   * Iterate through each route (and method) of a route stack, including
+   * routes mounted on sub-routers.
    * @private
-   * @param  {string} dir
-   * The absolute path of the directory being monitored.
-   * @return {boolean}
-   * Indicator that the file should be filtered out of the resultset.
+   * @param {Array} stack
+   * The Express layer stack.
+   * @param {string} prefix
+   * The URL prefix of the stack.
+   * @param {string} source
+   * The source file of the stack, if known.
+   * @param {function} fn
+   * Receives the layer, method and route description (see #listRoutes).
    */
-  fileFilter(dir) { // eslint-disable-line
+  walkRoutes(stack, prefix, source, fn) { // eslint-disable-line
     let me = this
-    return function (filepath) {
-      if (!me.monitors.hasOwnProperty(dir)) {
-        return false
-      }
-      if (!me.monitors[dir].hasOwnProperty('files')) {
-        return false
+    stack.forEach(function (layer) {
+      if (layer.route) {
+        Object.keys(layer.route.methods).forEach(function (method) {
+          fn(layer, method, me.describeRoute(layer, method, prefix, source))
+        })
+      } else if (layer.handle && Array.isArray(layer.handle.stack)) {
+        me.walkRoutes(layer.handle.stack, prefix + (layer.mountpath || ''), layer.src || source, fn)
       }
-      return me.monitors[dir].files.indexOf(filepath) >= 0
-    }
+    })
   }
 
   /**
-   * @method monitor
-   * Monitor a file for file changes. This enables route hot-reloading.
+   * @method describeRoute
+   * Describe a route (see #listRoutes).
    * @private
-   * @param  {string} filepath
-   * The path of the file to monitor.
-   * @param {string} [parent]
-   * Identifies the parent monitor when appropriate
+   * @param {Object} layer
+   * The Express layer containing the route.
+   * @param {string} method
+   * The method (as stored by Express).
+   * @param {string} prefix
+   * The URL prefix of the route.
+   * @param {string} source
+   * The source file of the parent router, if known.
+   * @return {Object}
    */
-  monitor(filepath, parent) { // eslint-disable-line
-    // If auto-refresh isn't active, ignore this.
-    if (!this.refresh) {
-      return
+  describeRoute(layer, method, prefix, source) { // eslint-disable-line
+    let urlpath = layer.route.path
+    if (typeof urlpath === 'string') {
+      urlpath = prefix + (urlpath === '/' && prefix.length > 0 ? '' : urlpath)
+    } else {
+      urlpath = prefix + String(urlpath)
     }
-
-    let me = this
-    let dir = path.dirname(filepath)
-    if (me.monitors[dir] === undefined) {
-      me.monitors[dir] = {
-        files: []
-      }
-      watch.createMonitor(dir, {
-        ignoreDotFiles: true,
-        filter: me.fileFilter(dir),
-        ignoreUnreadableDir: true,
-        ignoreNotPermitted: true,
-        ignoreDirectoryPattern: '/node_modules/'
-      }, function (m) {
-        m.on('created', function (f) {
-          me.reloadRoutes(f)
-        })
-        m.on('changed', function (f) {
-          let roots = me.getAssociatedRoots(f)
-          if (roots.length === 0) {
-            me.reloadRoutes(f)
-          } else {
-            roots.forEach(function (r) {
-              me.reloadRoutes(r, f)
-            })
-          }
-        })
-        m.on('removed', function (f) {
-          me.reloadRoutes(f)
-        })
-        me.monitors[dir].monitor = m
-        me.monitors[dir].files.push(filepath)
+    return {
+      method: method === '_all' ? 'ALL' : method.toUpperCase(),
+      path: urlpath,
+      source: layer.src || source || null,
+      middleware: layer.route.stack.filter(function (handler) {
+        return method === '_all' || handler.method === undefined || handler.method === method
+      }).map(function (handler) {
+        return handler.name
       })
     }
-    if (me.monitors[dir].files.indexOf(filepath) < 0) {
-      me.monitors[dir].files.push(filepath)
-      console.log('Watching', filepath)
-    }
-
-    this.deepmonitor(filepath)
   }
 
-  deepmonitor(filepath) { // eslint-disable-line
-    // If auto-refresh isn't active, ignore this.
-    if (!this.refresh) {
-      return
+  /**
+   * @method getCallerFile
+   * Identify the file that called a method of this server.
+   * @private
+   * @return {string}
+   * The absolute path of the file, or `null` if it cannot be identified.
+   */
+  getCallerFile() { // eslint-disable-line
+    let prepare = Error.prepareStackTrace
+    let err = {}
+    Error.prepareStackTrace = function (e, stack) {
+      return stack
     }
+    Error.captureStackTrace(err)
+    let stack = err.stack
+    Error.prepareStackTrace = prepare
 
-    let me = this
-    let dir = path.dirname(filepath)
-
-    this.modules.forEach(function (m) {
-      if (m.parent === filepath) {
-        // If the monitor already exists, modify the files
-        if (me.monitors.hasOwnProperty(path.dirname(m.path))) {
-          if (me.monitors[dir].files.indexOf(m.path) < 0) {
-            console.log('Watching', m.path)
-            me.monitors[dir].files.push(m.path)
-            me.associateWith(m.path, m.parent)
-            me.deepmonitor(m.path)
-          }
-        } else {
-          me.monitor(m.path, dir)
-        }
-      }
-    })
-  }
-
-  associateWith(src, parent) { // eslint-disable-line
-    let me = this
-    let processed = false
-    Object.keys(this.associations).forEach(function (a) {
-      if (me.associations[a].indexOf(parent) >= 0) {
-        if (me.associations[a].indexOf(src) < 0) {
-          me.associations[a].push(src)
-          processed = true
-        }
+    let frames = Array.isArray(stack) ? stack : []
+    for (let i = 0; i < frames.length; i++) {
+      let file = frames[i].getFileName()
+      if (file && file !== __filename && path.isAbsolute(file)) {
+        return file
       }
-    })
-    if (!processed) {
-      this.associations[parent] = this.associations[parent] || []
-      this.associations[parent].push(src)
     }
-  }
-
-  getAssociatedRoots(filepath) { // eslint-disable-line
-    let me = this
-    let root = Object.keys(this.associations).filter(function (a) {
-      return me.associations[a].indexOf(filepath) >= 0
-    })
-    return root
+    return null
   }
 
   /**
@@ -0,0 +1,394 @@
+'use strict'
+
+const crypto = require('crypto')
+const JWT = require('./JWT')
+
+// Compare secrets in constant time (regardless of their length).
+const secretKey = crypto.randomBytes(32)
+const same = function (a, b) {
+  let digest = function (value) {
+    return crypto.createHmac('sha256', secretKey).update(String(value)).digest()
+  }
+  return crypto.timingSafeEqual(digest(a), digest(b))
+}
+
+// Quote a WWW-Authenticate parameter value.
+const quote = function (value) {
+  return '"' + String(value).replace(/["\\]/g, '\\$&') + '"'
+}
+
+/**
+ * @class NGNX.http.Authentication
+ * Creates authentication middleware for HTTP Basic credentials (#basic),
+ * Bearer tokens (#bearer, including JWT verification) and API keys
+ * (#apiKey). Route modules can use them through `app.auth`:
+ * ```js
+ * module.exports = function (app) {
+ *   let admin = app.auth.basic({
+ *     verify: function (username, password) {
+ *       return users.login(username, password)
+ *     }
+ *   })
+ *
+ *   app.get('/admin', admin, function (req, res) {
+ *     return { user: req.user }
+ *   })
+ * }
+ * ```
+ * Requests without (valid) credentials respond with `401 Unauthorized` and
+ * a `WWW-Authenticate` challenge. Authenticated requests that are not
+ * authorized (see the `authorize` option of each authenticator) respond
+ * with `403 Forbidden`. Otherwise, the principal returned by the
+ * verification is available as `req.user` (see #property).
+ */
+class Authentication {
+  constructor(cfg) { // eslint-disable-line
+    cfg = cfg || {}
+
+    Object.defineProperties(this, {
+      /**
+       * @cfg {string} [realm=api]
+       * The default realm of the `WWW-Authenticate` challenges.
+       */
+      realm: {
+        enumerable: true,
+        configurable: false,
+        writable: false,
+        value: cfg.realm || 'api'
+      },
+
+      /**
+       * @cfg {string} [property=user]
+       * The default request attribute the principal is attached to.
+       */
+      property: {
+        enumerable: true,
+        configurable: false,
+        writable: false,
+        value: cfg.property || 'user'
+      }
+    })
+  }
+
+  /**
+   * @method challenge
+   * Create a `WWW-Authenticate` challenge.
+   * @param {string} scheme
+   * @param {Object} params
+   * @return {string}
+   * @private
+   */
+  challenge(scheme, params) { // eslint-disable-line
+    return scheme + ' ' + Object.keys(params).filter(function (key) {
+      return params[key] !== undefined && params[key] !== null
+    }).map(function (key) {
+      return key + '=' + quote(params[key])
+    }).join(', ')
+  }
+
+  /**
+   * @method error
+   * Create an authentication (`401`) or authorization (`403`) error.
+   * @param {number} status
+   * @param {string} message
+   * @param {string} [challenge]
+   * The `WWW-Authenticate` challenge.
+   * @return {Error}
+   * @private
+   */
+  error(status, message, challenge) { // eslint-disable-line
+    let err = new Error(message)
+    err.status = status
+    if (challenge) {
+      err.headers = {
+        'WWW-Authenticate': challenge
+      }
+    }
+    return err
+  }
+
+  /**
+   * @method authenticate
+   * Create authentication middleware.
+   * @param {string} name
+   * The name of the middleware.
+   * @param {Object} options
+   * The `realm`, `property` and `authorize` options of the authenticator.
+   * @param {Object} scheme
+   * Contains the `credentials` function (extracting the credentials of a
+   * request, or `null`), the `verify` function (returning the principal,
+   * a promise or `null`), the `challenge` function (returning the
+   * `WWW-Authenticate` challenge, receiving `true` when the credentials are
+   * invalid rather than missing) and an optional `authorize` function (an
+   * additional check returning `true`, or an error).
+   * @return {function}
+   * @private
+   */
+  authenticate(name, options, scheme) { // eslint-disable-line
+    let me = this
+    let property = options.property || this.property
+
+    let middleware = function (req, res, next) {
+      let credentials = scheme.credentials(req)
+
+      if (credentials === null) {
+        return next(me.error(401, 'Authentication is required.', scheme.challenge()))
+      }
+
+      Promise.resolve().then(function () {
+        return scheme.verify(credentials, req)
+      }).then(function (principal) {
+        if (!principal) {
+          throw me.error(401, 'The credentials are invalid.', scheme.challenge(true))
+        }
+
+        let check = scheme.authorize ? scheme.authorize(principal, req) : true
+        if (check !== true) {
+          throw check
+        }
+
+        return Promise.resolve(options.authorize ? options.authorize(principal, req) : true).then(function (authorized) {
+          if (!authorized) {
+            throw me.error(403, 'Access is forbidden.')
+          }
+          req[property] = principal
+          next()
+        })
+      }).then(null, function (err) {
+        next(err || new Error('Authentication failed without providing a reason.'))
+      })
+    }
+
+    Object.defineProperty(middleware, 'name', { value: name })
+
+    return middleware
+  }
+
+  /**
+   * @method basic
+   * Create HTTP Basic authentication middleware.
+   * ```js
+   * app.auth.basic({
+   *   realm: 'admin',
+   *   verify: async function (username, password, req) {
+   *     let user = await db.users.find(username)
+   *     return user && await user.checkPassword(password) ? user : null
+   *   }
+   * })
+   * ```
+   * @param {Object} options
+   * @param {function} options.verify
+   * Receives the username, password and request, and returns (or resolves)
+   * the principal, or a falsy value when the credentials are invalid. When
+   * `true` is returned, the principal is `{ username: username }`.
+   * @param {string} [options.realm]
+   * @param {string} [options.property]
+   * The request attribute the principal is attached to.
+   * @param {function} [options.authorize]
+   * Receives the principal and request, and returns (or resolves) `true`
+   * when the request is authorized.
+   * @return {function}
+   */
+  basic(options) { // eslint-disable-line
+    options = options || {}
+
+    if (typeof options.verify !== 'function') {
+      throw new Error('Basic authentication requires a verify function.')
+    }
+
+    let challenge = this.challenge('Basic', {
+      realm: options.realm || this.realm,
+      charset: 'UTF-8'
+    })
+
+    return this.authenticate('basicAuth', options, {
+      credentials: function (req) {
+        let match = /^Basic\s+([A-Za-z0-9+/=]+)\s*$/i.exec(req.headers.authorization || '')
+        if (!match) {
+          return null
+        }
+        let decoded = Buffer.from(match[1], 'base64').toString('utf8')
+        let separator = decoded.indexOf(':')
+        return separator < 0 ? null : {
+          username: decoded.substr(0, separator),
+          password: decoded.substr(separator + 1)
+        }
+      },
+      verify: function (credentials, req) {
+        return Promise.resolve(options.verify(credentials.username, credentials.password, req)).then(function (principal) {
+          return principal === true ? { username: credentials.username } : principal
+        })
+      },
+      challenge: function () {
+        return challenge
+      }
+    })
+  }
+
+  /**
+   * @method bearer
+   * Create Bearer token authentication middleware. Tokens are verified by
+   * a `verify` function, or as JSON Web Tokens (see NGNX.http.JWT) when a
+   * `secret`, `publicKey` or `jwks` file is provided. The claims of a JWT
+   * are the principal. The key material is checked when the middleware is
+   * created, and failures to read it later (i.e. a removed `jwks` file)
+   * respond with `500` rather than rejecting the token.
+   * ```js
+   * app.auth.bearer({
+   *   jwks: './keys/jwks.json',
+   *   audience: 'orders-api',
+   *   scope: 'orders:write'
+   * })
+   * ```
+   * @param {Object} options
+   * @param {function} [options.verify]
+   * Receives the token and request, and returns (or resolves) the
+   * principal, or a falsy value when the token is invalid.
+   * @param {string|Buffer} [options.secret]
+   * The shared secret of `HS256` tokens.
+   * @param {string} [options.publicKey]
+   * The public key (or key file) of `RS256` tokens.
+   * @param {string} [options.jwks]
+   * The path of a JSON Web Key Set file containing the keys of `RS256`
+   * tokens.
+   * @param {string|Array} [options.audience]
+   * @param {string|Array} [options.issuer]
+   * @param {number} [options.clockTolerance=0]
+   * @param {string|Array} [options.scope]
+   * The scope(s) a token must include (from the space-delimited `scope`
+   * claim or the `scp` array). Tokens without them are forbidden (`403`).
+   * @param {string} [options.realm]
+   * @param {string} [options.property]
+   * @param {function} [options.authorize]
+   * @return {function}
+   */
+  bearer(options) { // eslint-disable-line
+    options = options || {}
+
+    let me = this
+    let jwt = typeof options.verify === 'function' ? null : new JWT(options)
+    let required = options.scope ? [].concat(options.scope) : []
+    let realm = options.realm || this.realm
+
+    return this.authenticate('bearerAuth', options, {
+      credentials: function (req) {
+        let match = /^Bearer\s+([A-Za-z0-9\-._~+/]+=*)\s*$/i.exec(req.headers.authorization || '')
+        return match ? match[1] : null
+      },
+      verify: function (token, req) {
+        if (!jwt) {
+          return options.verify(token, req)
+        }
+        try {
+          return jwt.verify(token)
+        } catch (e) {
+          // Anything other than an invalid token (i.e. an unreadable jwks
+          // file) is a server error, and its details are not disclosed.
+          if (e.name !== 'JsonWebTokenError') {
+            throw e
+          }
+          throw me.error(401, e.message, me.challenge('Bearer', {
+            realm: realm,
+            error: 'invalid_token',
+            error_description: e.message
+          }))
+        }
+      },
+      challenge: function (invalid) {
+        return me.challenge('Bearer', {
+          realm: realm,
+          error: invalid ? 'invalid_token' : null
+        })
+      },
+      authorize: function (principal) {
+        let granted = typeof principal.scope === 'string' ? principal.scope.split(/\s+/) : [].concat(principal.scp || [])
+        let missing = required.filter(function (scope) {
+          return granted.indexOf(scope) < 0
+        })
+        return missing.length === 0 ? true : me.error(403, 'The token does not include the required scope.', me.challenge('Bearer', {
+          realm: realm,
+          error: 'insufficient_scope',
+          scope: required.join(' ')
+        }))
+      }
+    })
+  }
+
+  /**
+   * @method apiKey
+   * Create API key authentication middleware. The key is read from a
+   * header (`X-API-Key` by default) and/or a query parameter.
+   * ```js
+   * app.auth.apiKey({
+   *   query: 'api_key',
+   *   keys: {
+   *     'k3y-for-partner-a': { partner: 'a' },
+   *     'k3y-for-partner-b': { partner: 'b' }
+   *   }
+   * })
+   * ```
+   * @param {Object} options
+   * @param {Array|Object} [options.keys]
+   * The accepted keys, or an object mapping each key to its principal. Keys
+   * are compared in constant time.
+   * @param {function} [options.verify]
+   * Receives the key and request, and returns (or resolves) the principal,
+   * or a falsy value when the key is invalid. This is used instead of the
+   * `keys`.
+   * @param {string} [options.header=X-API-Key]
+   * The header containing the key. Set this to `false` to only accept the
+   * query parameter.
+   * @param {string} [options.query]
+   * The query parameter containing the key.
+   * @param {string} [options.realm]
+   * @param {string} [options.property]
+   * @param {function} [options.authorize]
+   * @return {function}
+   */
+  apiKey(options) { // eslint-disable-line
+    options = options || {}
+
+    if (typeof options.verify !== 'function' && !options.keys) {
+      throw new Error('API key authentication requires a list of keys or a verify function.')
+    }
+
+    let header = NGN.coalesce(options.header, 'X-API-Key')
+    let keys = Array.isArray(options.keys) ? options.keys : Object.keys(options.keys || {})
+    let challenge = this.challenge('ApiKey', {
+      realm: options.realm || this.realm,
+      header: header || null,
+      query: options.query || null
+    })
+
+    if (!header && !options.query) {
+      throw new Error('API key authentication requires a header or query parameter.')
+    }
+
+    return this.authenticate('apiKeyAuth', options, {
+      credentials: function (req) {
+        let key = (header ? req.headers[header.toLowerCase()] : null) || (options.query ? (req.query || {})[options.query] : null)
+        return typeof key === 'string' && key.length > 0 ? key : null
+      },
+      verify: function (key, req) {
+        if (typeof options.verify === 'function') {
+          return options.verify(key, req)
+        }
+        let match = null
+        keys.forEach(function (candidate) {
+          if (same(candidate, key)) {
+            match = candidate
+          }
+        })
+        if (match === null) {
+          return null
+        }
+        return Array.isArray(options.keys) ? { key: match } : options.keys[match]
+      },
+      challenge: function () {
+        return challenge
+      }
+    })
+  }
+}
+
+module.exports = Authentication
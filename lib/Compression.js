@@ -0,0 +1,369 @@
+'use strict'
+
+const zlib = require('zlib')
+
+// Brotli is only available in newer versions of Node.
+const BROTLI = typeof zlib.createBrotliCompress === 'function'
+
+const ENCODINGS = ['br', 'gzip', 'deflate']
+
+const TYPES = [
+  'text/*',
+  'application/json',
+  'application/*+json',
+  'application/javascript',
+  'application/xml',
+  'application/*+xml',
+  'application/x-www-form-urlencoded',
+  'image/svg+xml'
+]
+
+// Convert a content type pattern (i.e. `text/*`) to a regular expression.
+const typePattern = function (type) {
+  if (type instanceof RegExp) {
+    return type
+  }
+  return new RegExp('^' + String(type).toLowerCase().replace(/[.+?^${}()|[\]\\/]/g, '\\$&').replace(/\*/g, '[^;]*') + '$')
+}
+
+// Parse the quality of each encoding accepted by the client (`Accept-Encoding`).
+const accepted = function (header) {
+  let qualities = {}
+  String(header || '').split(',').forEach(function (part) {
+    let params = part.trim().split(/\s*;\s*/)
+    let name = params.shift().toLowerCase()
+    if (!name) {
+      return
+    }
+    let q = 1
+    params.forEach(function (param) {
+      let match = /^q=([0-9.]+)$/i.exec(param)
+      if (match) {
+        q = parseFloat(match[1])
+      }
+    })
+    qualities[name] = q
+  })
+  return qualities
+}
+
+/**
+ * @class NGNX.http.Compression
+ * Compresses responses using the best encoding (`br`, `gzip` or `deflate`)
+ * accepted by the client (`Accept-Encoding`).
+ *
+ * A response is not compressed when:
+ *
+ * - Its content type is not compressible (see #types).
+ * - It is smaller than the #threshold (when the size is known).
+ * - It already has a `Content-Encoding` (i.e. precompressed static files).
+ * - It has a `Cache-Control: no-transform` header.
+ * - The route opted out by setting `res.compress = false`.
+ *
+ * Streamed responses are compressed as they are written. Event streams
+ * (`text/event-stream`) are flushed after every write so events are
+ * delivered immediately. Other streaming responses can call `res.flush()`
+ * to send the data compressed so far.
+ */
+class Compression {
+  constructor(cfg) { // eslint-disable-line
+    cfg = cfg || {}
+
+    let encodings = (cfg.encodings || ENCODINGS).filter(function (encoding) {
+      if (ENCODINGS.indexOf(encoding) < 0) {
+        throw new Error('Unsupported compression encoding "' + encoding + '". Supported encodings are: ' + ENCODINGS.join(', '))
+      }
+      return encoding !== 'br' || BROTLI
+    })
+
+    Object.defineProperties(this, {
+      /**
+       * @cfg {Array} [encodings=['br', 'gzip', 'deflate']]
+       * The supported encodings, in order of preference. Brotli (`br`) is
+       * ignored when the version of Node does not support it.
+       */
+      encodings: {
+        enumerable: true,
+        configurable: false,
+        writable: false,
+        value: encodings
+      },
+
+      /**
+       * @cfg {number} [threshold=1024]
+       * The minimum size (in bytes) of a response to compress.
+       */
+      threshold: {
+        enumerable: true,
+        configurable: false,
+        writable: false,
+        value: NGN.coalesce(cfg.threshold, 1024)
+      },
+
+      /**
+       * @cfg {number} [level]
+       * The `gzip`/`deflate` compression level (0-9). Defaults to the zlib
+       * default.
+       */
+      level: {
+        enumerable: true,
+        configurable: false,
+        writable: false,
+        value: NGN.coalesce(cfg.level, zlib.constants ? zlib.constants.Z_DEFAULT_COMPRESSION : zlib.Z_DEFAULT_COMPRESSION)
+      },
+
+      /**
+       * @cfg {number} [quality=4]
+       * The brotli compression quality (0-11). Higher values compress
+       * better, but are considerably slower.
+       */
+      quality: {
+        enumerable: true,
+        configurable: false,
+        writable: false,
+        value: NGN.coalesce(cfg.quality, 4)
+      },
+
+      /**
+       * @cfg {Array|function} [types]
+       * The compressible content types. Wildcards (i.e. `text/*`) and
+       * regular expressions are supported. This may also be a function
+       * receiving the content type, request and response, returning `true`
+       * when the response should be compressed. By default, text, JSON,
+       * JavaScript, XML and SVG responses are compressed.
+       */
+      types: {
+        enumerable: false,
+        configurable: false,
+        writable: false,
+        value: (function () {
+          if (typeof cfg.types === 'function') {
+            return cfg.types
+          }
+          let patterns = (cfg.types || TYPES).map(typePattern)
+          return function (type) {
+            return patterns.some(function (pattern) {
+              return pattern.test(type)
+            })
+          }
+        })()
+      }
+    })
+  }
+
+  /**
+   * @method createStream
+   * Create a compression stream.
+   * @param {string} encoding
+   * @return {stream.Transform}
+   * @private
+   */
+  createStream(encoding) { // eslint-disable-line
+    if (encoding === 'br') {
+      let params = {}
+      params[zlib.constants.BROTLI_PARAM_QUALITY] = this.quality
+      return zlib.createBrotliCompress({ params: params })
+    }
+    return encoding === 'gzip' ? zlib.createGzip({ level: this.level }) : zlib.createDeflate({ level: this.level })
+  }
+
+  /**
+   * @method getEncoding
+   * Identify the encoding of a response, which is `null` if the response
+   * should not be compressed. The response headers are updated when it is
+   * compressed.
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse} res
+   * @param {number} [length]
+   * The size of the response body, if known.
+   * @return {string}
+   * @private
+   */
+  getEncoding(req, res, length) { // eslint-disable-line
+    if (res.compress === false || req.method === 'HEAD' || res.statusCode < 200 || res.statusCode === 204 || res.statusCode === 304) {
+      return null
+    }
+
+    let existing = res.getHeader('Content-Encoding')
+    if (existing && existing !== 'identity') {
+      return null
+    }
+
+    if (/(?:^|,)\s*no-transform\s*(?:,|$)/i.test(res.getHeader('Cache-Control') || '')) {
+      return null
+    }
+
+    let type = String(res.getHeader('Content-Type') || '').split(';')[0].trim().toLowerCase()
+    if (!type || !this.types(type, req, res)) {
+      return null
+    }
+
+    let size = res.getHeader('Content-Length')
+    size = size !== undefined ? parseInt(size, 10) : length
+    if (size !== undefined && size < this.threshold) {
+      return null
+    }
+
+    // The response varies by encoding, even if this client is not served a compressed response.
+    res.vary('Accept-Encoding')
+
+    // The client's preference wins. Ties are resolved using the order of the #encodings.
+    let qualities = accepted(req.headers['accept-encoding'])
+    let quality = function (name) {
+      return NGN.coalesce(qualities[name], qualities['*'], name === 'identity' ? 1 : 0)
+    }
+    let encoding = null
+    this.encodings.forEach(function (name) {
+      if (quality(name) > 0 && (encoding === null || quality(name) > quality(encoding))) {
+        encoding = name
+      }
+    })
+    if (encoding === null || quality('identity') > quality(encoding)) {
+      return null
+    }
+
+    res.setHeader('Content-Encoding', encoding)
+    res.removeHeader('Content-Length')
+
+    // A strong ETag must differ between encodings.
+    let etag = res.getHeader('ETag')
+    if (typeof etag === 'string' && etag.charAt(0) === '"') {
+      res.setHeader('ETag', 'W/' + etag)
+    }
+
+    return encoding
+  }
+
+  /**
+   * @property {function} middleware
+   * The Express middleware that compresses responses.
+   * @readonly
+   */
+  get middleware() { // eslint-disable-line
+    let me = this
+    return function compression (req, res, next) {
+      let write = res.write
+      let end = res.end
+      let writeHead = res.writeHead
+      let decided = false
+      let length
+      let stream = null
+      let flushEach = false
+
+      let decide = function () {
+        if (decided) {
+          return
+        }
+        decided = true
+
+        let encoding = me.getEncoding(req, res, length)
+        if (!encoding) {
+          return
+        }
+
+        flushEach = /^text\/event-stream/i.test(res.getHeader('Content-Type'))
+        stream = me.createStream(encoding)
+        stream.on('data', function (chunk) {
+          if (write.call(res, chunk) === false) {
+            stream.pause()
+            res.once('drain', function () {
+              stream.resume()
+            })
+          }
+        })
+        stream.on('drain', function () {
+          res.emit('drain')
+        })
+        stream.on('end', function () {
+          end.call(res)
+        })
+        stream.on('error', function (err) {
+          res.destroy(err)
+        })
+      }
+
+      let chunkify = function (chunk, encoding) {
+        return Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, typeof encoding === 'string' ? encoding : 'utf8')
+      }
+
+      // Headers passed to writeHead are applied first, so they are taken into account.
+      res.writeHead = function (statusCode) {
+        let args = Array.prototype.slice.call(arguments, 1)
+        let headers = typeof args[args.length - 1] === 'object' && args[args.length - 1] !== null ? args.pop() : null
+        if (Array.isArray(headers)) {
+          for (let i = 0; i < headers.length - 1; i += 2) {
+            res.setHeader(headers[i], headers[i + 1])
+          }
+        } else if (headers) {
+          Object.keys(headers).forEach(function (name) {
+            res.setHeader(name, headers[name])
+          })
+        }
+        res.statusCode = statusCode
+        if (typeof args[0] === 'string') {
+          res.statusMessage = args[0]
+        }
+        decide()
+        return writeHead.call(res, res.statusCode, res.statusMessage)
+      }
+
+      res.write = function (chunk, encoding, callback) {
+        if (!res.headersSent) {
+          res.writeHead(res.statusCode)
+        }
+        if (!stream) {
+          return write.apply(res, arguments)
+        }
+        if (chunk === null || chunk === undefined || typeof chunk === 'function') {
+          return true
+        }
+        let result = stream.write(chunkify(chunk, encoding), typeof encoding === 'function' ? encoding : callback)
+        if (flushEach) {
+          stream.flush()
+        }
+        return result
+      }
+
+      res.end = function (chunk, encoding, callback) {
+        let args = arguments
+        if (typeof chunk === 'function') {
+          callback = chunk
+          chunk = null
+        } else if (typeof encoding === 'function') {
+          callback = encoding
+          encoding = null
+        }
+        if (!res.headersSent && !decided) {
+          length = chunk ? chunkify(chunk, encoding).length : 0
+          res.writeHead(res.statusCode)
+        }
+        if (!stream) {
+          return end.apply(res, args)
+        }
+        if (callback) {
+          res.once('finish', callback)
+        }
+        if (chunk) {
+          stream.end(chunkify(chunk, encoding))
+        } else {
+          stream.end()
+        }
+        return res
+      }
+
+      /**
+       * @method res.flush
+       * Send the data compressed so far, i.e. for streaming responses.
+       */
+      res.flush = function () {
+        if (stream) {
+          stream.flush()
+        }
+      }
+
+      next()
+    }
+  }
+}
+
+module.exports = Compression
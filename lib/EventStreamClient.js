@@ -0,0 +1,170 @@
+'use strict'
+
+const EventEmitter = require('events').EventEmitter
+
+/**
+ * @class NGNX.http.EventStreamClient
+ * A client connected to a Server-Sent Events endpoint (see
+ * NGNX.http.EventStreams). Clients receive the events broadcast to the
+ * channels they join, and events sent to them directly.
+ * ```js
+ * app.sse('/news', function (client, req) {
+ *   client.join('news')
+ *   client.send('welcome', { user: req.query.user })
+ * })
+ * ```
+ * @fires close
+ * Fired when the connection is closed (by either side).
+ */
+class EventStreamClient extends EventEmitter {
+  constructor(streams, req, res) { // eslint-disable-line
+    super()
+
+    let lastEventId = NGN.coalesce(req.headers['last-event-id'], (req.query || {}).lastEventId, null)
+
+    Object.defineProperties(this, {
+      /**
+       * @property {NGNX.http.EventStreams} streams
+       * The event streams the client belongs to.
+       * @private
+       */
+      streams: {
+        enumerable: false,
+        configurable: false,
+        writable: false,
+        value: streams
+      },
+
+      /**
+       * @property {http.IncomingMessage} req
+       * The request of the client.
+       */
+      req: {
+        enumerable: false,
+        configurable: false,
+        writable: false,
+        value: req
+      },
+
+      /**
+       * @property {http.ServerResponse} res
+       * The response the events are written to.
+       * @private
+       */
+      res: {
+        enumerable: false,
+        configurable: false,
+        writable: false,
+        value: res
+      },
+
+      /**
+       * @property {Set} channels
+       * The names of the channels the client joined.
+       * @readonly
+       */
+      channels: {
+        enumerable: true,
+        configurable: false,
+        writable: false,
+        value: new Set()
+      },
+
+      /**
+       * @property {number} lastEventId
+       * The ID of the last event received before the client reconnected
+       * (from the `Last-Event-ID` header or `lastEventId` query parameter),
+       * or `null` for new clients.
+       * @readonly
+       */
+      lastEventId: {
+        enumerable: true,
+        configurable: false,
+        writable: false,
+        value: lastEventId !== null && /^\d+$/.test(lastEventId) ? parseInt(lastEventId, 10) : null
+      },
+
+      /**
+       * @property {boolean} closed
+       * Indicates the connection is closed.
+       * @readonly
+       */
+      closed: {
+        enumerable: true,
+        configurable: false,
+        writable: true,
+        value: false
+      }
+    })
+  }
+
+  /**
+   * @method join
+   * Subscribe to a channel. When the client is reconnecting, the buffered
+   * events of the channel it missed are sent immediately.
+   * @param {string} channel
+   * @return {NGNX.http.EventStreamClient}
+   */
+  join(channel) { // eslint-disable-line
+    this.streams.subscribe(this, channel)
+    return this
+  }
+
+  /**
+   * @method leave
+   * Unsubscribe from a channel.
+   * @param {string} channel
+   * @return {NGNX.http.EventStreamClient}
+   */
+  leave(channel) { // eslint-disable-line
+    this.streams.unsubscribe(this, channel)
+    return this
+  }
+
+  /**
+   * @method send
+   * Send an event to this client only. Direct events are not buffered, so
+   * they are not replayed when the client reconnects.
+   * @param {string} [event]
+   * The event name. Unnamed events are received as `message` events.
+   * @param {any} data
+   * The event data. Anything other than a string is sent as JSON.
+   * @return {NGNX.http.EventStreamClient}
+   */
+  send(event, data) { // eslint-disable-line
+    if (arguments.length === 1) {
+      data = event
+      event = null
+    }
+    this.write(this.streams.format({ event: event, data: data }))
+    return this
+  }
+
+  /**
+   * @method write
+   * Write raw data to the stream.
+   * @param {string} chunk
+   * @private
+   */
+  write(chunk) { // eslint-disable-line
+    if (!this.closed) {
+      this.res.write(chunk)
+    }
+  }
+
+  /**
+   * @method close
+   * End the stream. The client is removed from all channels.
+   */
+  close() { // eslint-disable-line
+    if (this.closed) {
+      return
+    }
+    this.closed = true
+    this.streams.disconnect(this)
+    this.res.end()
+    this.emit('close')
+  }
+}
+
+module.exports = EventStreamClient
@@ -0,0 +1,477 @@
+'use strict'
+
+const EventStreamClient = require('./EventStreamClient')
+
+/**
+ * @class NGNX.http.EventStreams
+ * Serves Server-Sent Events (`text/event-stream`). Clients connect to an
+ * endpoint (see #middleware) and join channels. Events broadcast to a
+ * channel are delivered to each of its clients.
+ *
+ * Every broadcast event is assigned an incrementing ID, and the last
+ * #bufferSize events of each channel are kept in memory. When a client
+ * reconnects with the `Last-Event-ID` header (which browsers send
+ * automatically), the events it missed are replayed when it joins the
+ * channel again.
+ *
+ * Channels are created when they are joined or broadcast to, so their
+ * names may come from requests (i.e. `'room:' + req.params.room`). A
+ * channel without clients is removed once its last event is older than
+ * the #retention period (immediately, if it has no events), so unused
+ * channels do not accumulate. Use #remove to discard a channel sooner.
+ *
+ * A comment is sent to every client each #heartbeat interval, so proxies
+ * do not close idle connections.
+ */
+class EventStreams {
+  constructor(cfg) { // eslint-disable-line
+    cfg = cfg || {}
+
+    Object.defineProperties(this, {
+      /**
+       * @cfg {number} [heartbeat=15000]
+       * The number of milliseconds between heartbeat comments. Set this to
+       * `0` to disable heartbeats.
+       */
+      heartbeat: {
+        enumerable: true,
+        configurable: false,
+        writable: false,
+        value: NGN.coalesce(cfg.heartbeat, 15000)
+      },
+
+      /**
+       * @cfg {number} [bufferSize=100]
+       * The number of events kept per channel for replay.
+       */
+      bufferSize: {
+        enumerable: true,
+        configurable: false,
+        writable: false,
+        value: NGN.coalesce(cfg.bufferSize, 100)
+      },
+
+      /**
+       * @cfg {number} [retention=300000]
+       * The number of milliseconds the buffered events of a channel without
+       * clients are kept for clients that reconnect.
+       */
+      retention: {
+        enumerable: true,
+        configurable: false,
+        writable: false,
+        value: NGN.coalesce(cfg.retention, 300000)
+      },
+
+      /**
+       * @cfg {number} [retry]
+       * The reconnection delay (in milliseconds) advised to clients. By
+       * default, the browser decides.
+       */
+      retry: {
+        enumerable: true,
+        configurable: false,
+        writable: false,
+        value: NGN.coalesce(cfg.retry, null)
+      },
+
+      /**
+       * @cfg {function} onError
+       * A function receiving errors thrown (or rejected) by endpoint
+       * handlers, along with the request.
+       */
+      onError: {
+        enumerable: false,
+        configurable: false,
+        writable: false,
+        value: cfg.onError || function (err) {
+          console.error(err.stack || String(err))
+        }
+      },
+
+      /**
+       * @property {Map} channels
+       * The `clients` (Set) and `buffer` (Array) of each channel, keyed by
+       * name.
+       * @private
+       */
+      channels: {
+        enumerable: false,
+        configurable: false,
+        writable: false,
+        value: new Map()
+      },
+
+      /**
+       * @property {Set} clients
+       * The connected clients (NGNX.http.EventStreamClient).
+       * @readonly
+       */
+      clients: {
+        enumerable: true,
+        configurable: false,
+        writable: false,
+        value: new Set()
+      },
+
+      /**
+       * @property {number} sequence
+       * The ID of the last broadcast event.
+       * @private
+       */
+      sequence: {
+        enumerable: false,
+        configurable: false,
+        writable: true,
+        value: 0
+      },
+
+      /**
+       * @property {Object} timer
+       * The heartbeat interval, which only runs while clients are connected.
+       * @private
+       */
+      timer: {
+        enumerable: false,
+        configurable: false,
+        writable: true,
+        value: null
+      },
+
+      /**
+       * @property {Object} sweeper
+       * The interval removing expired channels, which only runs while
+       * channels without clients are retained.
+       * @private
+       */
+      sweeper: {
+        enumerable: false,
+        configurable: false,
+        writable: true,
+        value: null
+      }
+    })
+  }
+
+  /**
+   * @method channel
+   * Retrieve (or create) a channel.
+   * @param {string} name
+   * @return {Object}
+   * @private
+   */
+  channel(name) { // eslint-disable-line
+    name = String(name)
+    if (!this.channels.has(name)) {
+      this.channels.set(name, {
+        clients: new Set(),
+        buffer: []
+      })
+    }
+    return this.channels.get(name)
+  }
+
+  /**
+   * @method prune
+   * Remove a channel without clients, unless its buffered events are
+   * retained (see #retention).
+   * @param {string} name
+   * @private
+   */
+  prune(name) { // eslint-disable-line
+    let target = this.channels.get(name)
+    if (!target || target.clients.size > 0) {
+      return
+    }
+
+    let last = target.buffer[target.buffer.length - 1]
+    if (!last || last.time + this.retention <= Date.now()) {
+      this.channels.delete(name)
+      return
+    }
+
+    if (this.sweeper === null) {
+      let me = this
+      this.sweeper = setInterval(function () {
+        me.sweep()
+      }, Math.max(this.retention, 1000))
+
+      // Do not keep the process alive just to remove expired channels.
+      if (this.sweeper.unref) {
+        this.sweeper.unref()
+      }
+    }
+  }
+
+  /**
+   * @method sweep
+   * Remove the expired channels.
+   * @private
+   */
+  sweep() { // eslint-disable-line
+    let me = this
+    Array.from(this.channels.keys()).forEach(function (name) {
+      me.prune(name)
+    })
+
+    let idle = Array.from(this.channels.values()).some(function (target) {
+      return target.clients.size === 0
+    })
+    if (!idle && this.sweeper !== null) {
+      clearInterval(this.sweeper)
+      this.sweeper = null
+    }
+  }
+
+  /**
+   * @method remove
+   * Remove a channel and its buffered events. The clients of the channel
+   * leave it, but remain connected.
+   * @param {string} channel
+   * The channel name.
+   * @return {boolean}
+   * `true` if the channel existed.
+   */
+  remove(channel) { // eslint-disable-line
+    channel = String(channel)
+
+    let target = this.channels.get(channel)
+    if (!target) {
+      return false
+    }
+
+    target.clients.forEach(function (client) {
+      client.channels.delete(channel)
+    })
+    this.channels.delete(channel)
+
+    return true
+  }
+
+  /**
+   * @method format
+   * Serialize an event. Multi-line data is split across `data` fields.
+   * @param {Object} message
+   * The `event` name, `data` and `id`.
+   * @return {string}
+   * @private
+   */
+  format(message) { // eslint-disable-line
+    let data = typeof message.data === 'string' ? message.data : JSON.stringify(NGN.coalesce(message.data, null))
+    let output = ''
+
+    if (message.id) {
+      output += 'id: ' + message.id + '\n'
+    }
+    if (message.event) {
+      output += 'event: ' + String(message.event).replace(/[\r\n]/g, '') + '\n'
+    }
+
+    return output + data.split(/\r\n|\r|\n/).map(function (line) {
+      return 'data: ' + line + '\n'
+    }).join('') + '\n'
+  }
+
+  /**
+   * @method broadcast
+   * Send an event to every client of a channel. The event is buffered for
+   * clients that reconnect.
+   * @param {string} channel
+   * The channel name.
+   * @param {string} [event]
+   * The event name. Unnamed events are received as `message` events.
+   * @param {any} data
+   * The event data. Anything other than a string is sent as JSON.
+   * @return {number}
+   * The ID of the event.
+   */
+  broadcast(channel, event, data) { // eslint-disable-line
+    if (arguments.length === 2) {
+      data = event
+      event = null
+    }
+
+    let target = this.channel(channel)
+    let message = {
+      id: ++this.sequence,
+      event: event,
+      data: data,
+      time: Date.now()
+    }
+    let chunk = this.format(message)
+
+    message.chunk = chunk
+    target.buffer.push(message)
+    if (target.buffer.length > this.bufferSize) {
+      target.buffer.splice(0, target.buffer.length - this.bufferSize)
+    }
+
+    target.clients.forEach(function (client) {
+      client.write(chunk)
+    })
+
+    this.prune(String(channel))
+
+    return message.id
+  }
+
+  /**
+   * @method subscribe
+   * Add a client to a channel, replaying the buffered events it missed
+   * (see NGNX.http.EventStreamClient#lastEventId).
+   * @param {NGNX.http.EventStreamClient} client
+   * @param {string} channel
+   * @private
+   */
+  subscribe(client, channel) { // eslint-disable-line
+    if (client.closed) {
+      return
+    }
+
+    let target = this.channel(channel)
+    if (target.clients.has(client)) {
+      return
+    }
+
+    if (client.lastEventId !== null) {
+      target.buffer.forEach(function (message) {
+        if (message.id > client.lastEventId) {
+          client.write(message.chunk)
+        }
+      })
+    }
+
+    target.clients.add(client)
+    client.channels.add(String(channel))
+  }
+
+  /**
+   * @method unsubscribe
+   * Remove a client from a channel.
+   * @param {NGNX.http.EventStreamClient} client
+   * @param {string} channel
+   * @private
+   */
+  unsubscribe(client, channel) { // eslint-disable-line
+    channel = String(channel)
+    if (this.channels.has(channel)) {
+      this.channels.get(channel).clients.delete(client)
+      this.prune(channel)
+    }
+    client.channels.delete(channel)
+  }
+
+  /**
+   * @method connect
+   * Start the event stream of a request.
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse} res
+   * @return {NGNX.http.EventStreamClient}
+   */
+  connect(req, res) { // eslint-disable-line
+    let me = this
+    let client = new EventStreamClient(this, req, res)
+
+    if (req.socket) {
+      req.socket.setNoDelay(true)
+      req.socket.setTimeout(0)
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    })
+    res.write(this.retry !== null ? 'retry: ' + this.retry + '\n\n' : ':ok\n\n')
+
+    res.on('close', function () {
+      client.close()
+    })
+
+    this.clients.add(client)
+
+    if (this.timer === null && this.heartbeat > 0) {
+      this.timer = setInterval(function () {
+        me.clients.forEach(function (c) {
+          c.write(':\n\n')
+        })
+      }, this.heartbeat)
+    }
+
+    return client
+  }
+
+  /**
+   * @method disconnect
+   * Remove a client from all channels.
+   * @param {NGNX.http.EventStreamClient} client
+   * @private
+   */
+  disconnect(client) { // eslint-disable-line
+    let me = this
+    client.channels.forEach(function (channel) {
+      me.unsubscribe(client, channel)
+    })
+    this.clients.delete(client)
+
+    if (this.clients.size === 0 && this.timer !== null) {
+      clearInterval(this.timer)
+      this.timer = null
+    }
+  }
+
+  /**
+   * @method close
+   * Close the streams of all clients. Retained channels remain until they
+   * expire (see #retention).
+   */
+  close() { // eslint-disable-line
+    this.clients.forEach(function (client) {
+      client.close()
+    })
+  }
+
+  /**
+   * @method middleware
+   * Create the Express middleware of an endpoint.
+   * @param {function|string|Array} [handler]
+   * A function receiving each client (NGNX.http.EventStreamClient) and the
+   * request, or the name(s) of the channel(s) clients join.
+   * @return {function}
+   */
+  middleware(handler) { // eslint-disable-line
+    let me = this
+
+    if (typeof handler !== 'function') {
+      let channels = Array.isArray(handler) ? handler : [handler]
+      if (channels.length === 0 || channels.some(function (channel) { return channel === undefined || channel === null })) {
+        throw new Error('An event stream requires a handler or channel name.')
+      }
+      handler = function (client) {
+        channels.forEach(function (channel) {
+          client.join(channel)
+        })
+      }
+    }
+
+    return function eventStream (req, res) {
+      let client = me.connect(req, res)
+      let fail = function (err) {
+        me.onError(err || new Error('The event stream handler failed without providing a reason.'), req)
+        client.close()
+      }
+
+      try {
+        let result = handler(client, req)
+        if (result && typeof result.then === 'function') {
+          result.then(null, fail)
+        }
+      } catch (e) {
+        fail(e)
+      }
+    }
+  }
+}
+
+module.exports = EventStreams
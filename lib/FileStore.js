@@ -0,0 +1,212 @@
+'use strict'
+
+const crypto = require('crypto')
+const path = require('path')
+const fs = require('fs')
+
+/**
+ * @class NGNX.http.FileStore
+ * A key/value store with expiring entries, persisted as JSON files in a
+ * directory. Unlike NGNX.http.MemoryStore, the data survives restarts and
+ * can be shared by processes on the same machine. It implements the same
+ * callback-based interface: `get(key, callback)`,
+ * `set(key, value, ttl, callback)` and `delete(key, callback)`.
+ *
+ * Values are written to a temporary file first, then renamed, so readers
+ * never see partially written entries.
+ */
+class FileStore {
+  constructor(cfg) { // eslint-disable-line
+    cfg = cfg || {}
+
+    if (!cfg.dir) {
+      throw new Error('The file store requires a directory.')
+    }
+
+    Object.defineProperties(this, {
+      /**
+       * @cfg {string} dir (required)
+       * The directory containing the entries. It is created if it does not
+       * exist.
+       */
+      dir: {
+        enumerable: true,
+        configurable: false,
+        writable: false,
+        value: path.resolve(cfg.dir)
+      },
+
+      /**
+       * @cfg {number} [sweepInterval=600000]
+       * The number of milliseconds between the removal of expired entries.
+       */
+      /**
+       * @property {Object} sweeper
+       * The interval removing expired entries.
+       * @private
+       */
+      sweeper: {
+        enumerable: false,
+        configurable: false,
+        writable: true,
+        value: null
+      }
+    })
+
+    fs.mkdirSync(this.dir, { recursive: true })
+
+    let me = this
+    this.sweeper = setInterval(function () {
+      me.sweep()
+    }, NGN.coalesce(cfg.sweepInterval, 600000))
+
+    // Do not keep the process alive just to remove expired entries.
+    if (this.sweeper.unref) {
+      this.sweeper.unref()
+    }
+  }
+
+  /**
+   * @method getFilePath
+   * Identify the file of a key. Keys are hashed, so they may contain any
+   * character.
+   * @param {string} key
+   * @return {string}
+   * @private
+   */
+  getFilePath(key) { // eslint-disable-line
+    return path.join(this.dir, crypto.createHash('sha256').update(String(key)).digest('hex') + '.json')
+  }
+
+  /**
+   * @method get
+   * Retrieve a value.
+   * @param {string} key
+   * @param {function} callback
+   * Receives an error (if the file cannot be read) and the value, or
+   * `undefined` if the key does not exist or has expired.
+   */
+  get(key, callback) { // eslint-disable-line
+    let me = this
+    let filepath = this.getFilePath(key)
+
+    fs.readFile(filepath, 'utf8', function (err, content) {
+      if (err) {
+        return callback(err.code === 'ENOENT' ? null : err)
+      }
+
+      let entry
+      try {
+        entry = JSON.parse(content)
+      } catch (e) {
+        // A corrupt entry is treated like a missing one.
+        return me.delete(key, function () {
+          callback(null)
+        })
+      }
+
+      if (entry.expires !== null && entry.expires <= Date.now()) {
+        return me.delete(key, function () {
+          callback(null)
+        })
+      }
+
+      callback(null, entry.value)
+    })
+  }
+
+  /**
+   * @method set
+   * Store a value.
+   * @param {string} key
+   * @param {any} value
+   * Any JSON-serializable value.
+   * @param {number} [ttl]
+   * The number of milliseconds until the value expires. By default, the
+   * value does not expire.
+   * @param {function} [callback]
+   * Receives an error (if the file cannot be written).
+   */
+  set(key, value, ttl, callback) { // eslint-disable-line
+    if (typeof ttl === 'function') {
+      callback = ttl
+      ttl = null
+    }
+
+    let filepath = this.getFilePath(key)
+    let tmp = filepath + '.' + crypto.randomBytes(6).toString('hex') + '.tmp'
+    let content = JSON.stringify({
+      value: value,
+      expires: typeof ttl === 'number' ? Date.now() + ttl : null
+    })
+
+    fs.writeFile(tmp, content, function (err) {
+      if (err) {
+        return callback && callback(err)
+      }
+      fs.rename(tmp, filepath, function (err) {
+        if (callback) {
+          callback(err || null)
+        }
+      })
+    })
+  }
+
+  /**
+   * @method delete
+   * Remove a value.
+   * @param {string} key
+   * @param {function} [callback]
+   * Receives an error (if the file cannot be removed).
+   */
+  delete(key, callback) { // eslint-disable-line
+    fs.unlink(this.getFilePath(key), function (err) {
+      if (callback) {
+        callback(err && err.code !== 'ENOENT' ? err : null)
+      }
+    })
+  }
+
+  /**
+   * @method sweep
+   * Remove all expired entries.
+   * @private
+   */
+  sweep() { // eslint-disable-line
+    let me = this
+    let now = Date.now()
+
+    fs.readdir(this.dir, function (err, files) {
+      if (err) {
+        return
+      }
+      files.filter(function (file) {
+        return /^[0-9a-f]{64}\.json$/.test(file)
+      }).forEach(function (file) {
+        let filepath = path.join(me.dir, file)
+        fs.readFile(filepath, 'utf8', function (err, content) {
+          if (err) {
+            return
+          }
+          try {
+            let entry = JSON.parse(content)
+            if (entry.expires === null || entry.expires > now) {
+              return
+            }
+          } catch (e) {}
+          fs.unlink(filepath, function () {})
+        })
+      })
+    })
+  }
+
+  /**
+   * @method close
+   * Stop removing expired entries. The stored entries are retained.
+   */
+  close() { // eslint-disable-line
+    clearInterval(this.sweeper)
+  }
+}
+
+module.exports = FileStore
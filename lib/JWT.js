@@ -0,0 +1,325 @@
+'use strict'
+
+const crypto = require('crypto')
+const fs = require('fs')
+
+// Decode a base64url string.
+const base64url = function (value) {
+  return Buffer.from(value.replace(/-/g, '+').replace(/_/g, '/'), 'base64')
+}
+
+// DER-encode the length of an ASN.1 value.
+const derLength = function (length) {
+  if (length < 128) {
+    return Buffer.from([length])
+  }
+  let bytes = []
+  while (length > 0) {
+    bytes.unshift(length & 0xff)
+    length = length >> 8
+  }
+  return Buffer.from([0x80 | bytes.length].concat(bytes))
+}
+
+// DER-encode an ASN.1 value.
+const der = function (tag, content) {
+  return Buffer.concat([Buffer.from([tag]), derLength(content.length), content])
+}
+
+// DER-encode an (unsigned) ASN.1 integer.
+const derInteger = function (value) {
+  let i = 0
+  while (i < value.length - 1 && value[i] === 0) {
+    i++
+  }
+  value = value.slice(i)
+  return der(0x02, value[0] & 0x80 ? Buffer.concat([Buffer.from([0]), value]) : value)
+}
+
+// Convert an RSA JSON Web Key to a PEM encoded public key.
+const jwkToPEM = function (jwk) {
+  let rsa = der(0x30, Buffer.concat([derInteger(base64url(jwk.n)), derInteger(base64url(jwk.e))]))
+  let algorithm = der(0x30, Buffer.concat([
+    der(0x06, Buffer.from([0x2a, 0x86, 0x48, 0x86, 0xf7, 0x0d, 0x01, 0x01, 0x01])), // rsaEncryption
+    Buffer.from([0x05, 0x00])
+  ]))
+  let spki = der(0x30, Buffer.concat([algorithm, der(0x03, Buffer.concat([Buffer.from([0]), rsa]))]))
+
+  return '-----BEGIN PUBLIC KEY-----\n' + spki.toString('base64').match(/.{1,64}/g).join('\n') + '\n-----END PUBLIC KEY-----\n'
+}
+
+/**
+ * @class NGNX.http.JWT
+ * Verifies JSON Web Tokens signed with `HS256` (a shared #secret) or
+ * `RS256` (a #publicKey or a #jwks file). The `exp` and `nbf` claims are
+ * always checked, and the `aud` and `iss` claims are checked when an
+ * #audience or #issuer is configured.
+ *
+ * Verification errors are named `JsonWebTokenError`, have a `code`
+ * identifying the problem (i.e. `expired`), and a message suitable for the
+ * client. Other errors (i.e. an unreadable #jwks file) indicate a problem
+ * with the server configuration.
+ *
+ * The key material is checked when the verifier is created, so a missing
+ * #secret or key file is reported immediately.
+ */
+class JWT {
+  constructor(cfg) { // eslint-disable-line
+    cfg = cfg || {}
+
+    if (!cfg.secret && !cfg.publicKey && !cfg.jwks) {
+      throw new Error('JWT verification requires a secret, publicKey or jwks file.')
+    }
+
+    Object.defineProperties(this, {
+      /**
+       * @cfg {string|Buffer} [secret]
+       * The shared secret of `HS256` tokens.
+       */
+      secret: {
+        enumerable: false,
+        configurable: false,
+        writable: false,
+        value: cfg.secret || null
+      },
+
+      /**
+       * @cfg {string} [publicKey]
+       * The PEM encoded public key of `RS256` tokens, or the path of a file
+       * containing it.
+       */
+      publicKey: {
+        enumerable: false,
+        configurable: false,
+        writable: false,
+        value: cfg.publicKey ? (/-----BEGIN/.test(cfg.publicKey) ? cfg.publicKey : fs.readFileSync(cfg.publicKey, 'utf8')) : null
+      },
+
+      /**
+       * @cfg {string} [jwks]
+       * The path of a JSON Web Key Set file containing the RSA public keys
+       * of `RS256` tokens. The key is selected by the `kid` of the token.
+       * The file is read again when it changes, so keys can be rotated.
+       */
+      jwks: {
+        enumerable: false,
+        configurable: false,
+        writable: false,
+        value: cfg.jwks || null
+      },
+
+      /**
+       * @property {Object} keyset
+       * The PEM encoded keys of the #jwks file (by `kid`), and the time the
+       * file was modified.
+       * @private
+       */
+      keyset: {
+        enumerable: false,
+        configurable: false,
+        writable: true,
+        value: null
+      },
+
+      /**
+       * @cfg {Array} [algorithms]
+       * The accepted algorithms. By default, `HS256` is accepted when a
+       * #secret is configured, and `RS256` when a #publicKey or #jwks file
+       * is configured.
+       */
+      algorithms: {
+        enumerable: true,
+        configurable: false,
+        writable: false,
+        value: cfg.algorithms || [].concat(cfg.secret ? 'HS256' : [], cfg.publicKey || cfg.jwks ? 'RS256' : [])
+      },
+
+      /**
+       * @cfg {string|Array} [audience]
+       * The accepted audience(s) (`aud` claim).
+       */
+      audience: {
+        enumerable: true,
+        configurable: false,
+        writable: false,
+        value: cfg.audience ? [].concat(cfg.audience) : null
+      },
+
+      /**
+       * @cfg {string|Array} [issuer]
+       * The accepted issuer(s) (`iss` claim).
+       */
+      issuer: {
+        enumerable: true,
+        configurable: false,
+        writable: false,
+        value: cfg.issuer ? [].concat(cfg.issuer) : null
+      },
+
+      /**
+       * @cfg {number} [clockTolerance=0]
+       * The number of seconds of clock skew tolerated when checking the
+       * `exp` and `nbf` claims.
+       */
+      clockTolerance: {
+        enumerable: true,
+        configurable: false,
+        writable: false,
+        value: NGN.coalesce(cfg.clockTolerance, 0)
+      }
+    })
+
+    this.algorithms.forEach(function (algorithm) {
+      if (algorithm !== 'HS256' && algorithm !== 'RS256') {
+        throw new Error('Unsupported JWT algorithm "' + algorithm + '". Supported algorithms are: HS256, RS256')
+      }
+    })
+
+    if (this.algorithms.indexOf('HS256') >= 0 && !this.secret) {
+      throw new Error('HS256 JWT verification requires a secret.')
+    }
+
+    if (this.algorithms.indexOf('RS256') >= 0 && !this.publicKey && !this.jwks) {
+      throw new Error('RS256 JWT verification requires a publicKey or jwks file.')
+    }
+
+    if (this.jwks) {
+      this.loadKeys()
+    }
+  }
+
+  /**
+   * @method error
+   * Create a verification error.
+   * @param {string} code
+   * @param {string} message
+   * @return {Error}
+   * @private
+   */
+  error(code, message) { // eslint-disable-line
+    let err = new Error(message)
+    err.name = 'JsonWebTokenError'
+    err.code = code
+    return err
+  }
+
+  /**
+   * @method loadKeys
+   * Read the #jwks file, unless it has not changed since it was last read.
+   * @private
+   */
+  loadKeys() { // eslint-disable-line
+    let modified = fs.statSync(this.jwks).mtime.getTime()
+    if (this.keyset !== null && this.keyset.modified === modified) {
+      return
+    }
+
+    let keys = {}
+    ;(JSON.parse(fs.readFileSync(this.jwks, 'utf8')).keys || []).forEach(function (jwk, index) {
+      if (jwk.kty === 'RSA' && (!jwk.use || jwk.use === 'sig')) {
+        keys[jwk.kid || String(index)] = jwkToPEM(jwk)
+      }
+    })
+    this.keyset = {
+      modified: modified,
+      keys: keys
+    }
+  }
+
+  /**
+   * @method getKey
+   * Retrieve the RSA public key of a token.
+   * @param {Object} header
+   * The token header.
+   * @return {string}
+   * The PEM encoded key, or `null` if there is none.
+   * @private
+   */
+  getKey(header) { // eslint-disable-line
+    if (!this.jwks) {
+      return this.publicKey
+    }
+
+    this.loadKeys()
+
+    let keys = this.keyset.keys
+    if (header.kid) {
+      return keys[header.kid] || null
+    }
+    return Object.keys(keys).length === 1 ? keys[Object.keys(keys)[0]] : null
+  }
+
+  /**
+   * @method verify
+   * Verify a token.
+   * @param {string} token
+   * @return {Object}
+   * The claims of the token.
+   * @throws {Error}
+   * Thrown when the token is invalid (a `JsonWebTokenError`), or when the
+   * key material cannot be read.
+   */
+  verify(token) { // eslint-disable-line
+    let parts = String(token).split('.')
+    let header
+    let claims
+
+    try {
+      header = JSON.parse(base64url(parts[0]).toString('utf8'))
+      claims = JSON.parse(base64url(parts[1]).toString('utf8'))
+    } catch (e) {
+      throw this.error('malformed', 'The token is malformed.')
+    }
+
+    if (parts.length !== 3 || header === null || typeof header !== 'object' || claims === null || typeof claims !== 'object') {
+      throw this.error('malformed', 'The token is malformed.')
+    }
+
+    if (this.algorithms.indexOf(header.alg) < 0) {
+      throw this.error('algorithm', 'The token algorithm is not accepted.')
+    }
+
+    let content = parts[0] + '.' + parts[1]
+    let signature = base64url(parts[2])
+    let valid = false
+
+    if (header.alg === 'HS256') {
+      let expected = crypto.createHmac('sha256', this.secret).update(content).digest()
+      valid = expected.length === signature.length && crypto.timingSafeEqual(expected, signature)
+    } else {
+      let key = this.getKey(header)
+      if (!key) {
+        throw this.error('key', 'The token signing key is unknown.')
+      }
+      valid = crypto.createVerify('RSA-SHA256').update(content).verify(key, signature)
+    }
+
+    if (!valid) {
+      throw this.error('signature', 'The token signature is invalid.')
+    }
+
+    let now = Math.floor(Date.now() / 1000)
+
+    if (typeof claims.exp === 'number' && now > claims.exp + this.clockTolerance) {
+      throw this.error('expired', 'The token expired.')
+    }
+
+    if (typeof claims.nbf === 'number' && now + this.clockTolerance < claims.nbf) {
+      throw this.error('inactive', 'The token is not active yet.')
+    }
+
+    if (this.audience && !this.audience.some(function (audience) {
+      return [].concat(claims.aud || []).indexOf(audience) >= 0
+    })) {
+      throw this.error('audience', 'The token audience is not accepted.')
+    }
+
+    if (this.issuer && this.issuer.indexOf(claims.iss) < 0) {
+      throw this.error('issuer', 'The token issuer is not accepted.')
+    }
+
+    return claims
+  }
+}
+
+module.exports = JWT
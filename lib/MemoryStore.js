@@ -0,0 +1,140 @@
+'use strict'
+
+/**
+ * @class NGNX.http.MemoryStore
+ * A simple in-process key/value store with expiring entries. This is the
+ * default store of components that need to keep state between requests
+ * (i.e. the rate limiter). Since the data is held in memory, it is not
+ * shared between processes and is lost when the process exits.
+ *
+ * Alternative stores (i.e. Redis) must implement the same callback-based
+ * interface: `get(key, callback)`, `set(key, value, ttl, callback)` and
+ * `delete(key, callback)`.
+ */
+class MemoryStore {
+  constructor(cfg) { // eslint-disable-line
+    cfg = cfg || {}
+
+    Object.defineProperties(this, {
+      /**
+       * @property {Map} entries
+       * The stored values and their expiration times.
+       * @private
+       */
+      entries: {
+        enumerable: false,
+        configurable: false,
+        writable: false,
+        value: new Map()
+      },
+
+      /**
+       * @cfg {number} [sweepInterval=60000]
+       * The number of milliseconds between the removal of expired entries.
+       */
+      /**
+       * @property {Object} sweeper
+       * The interval removing expired entries.
+       * @private
+       */
+      sweeper: {
+        enumerable: false,
+        configurable: false,
+        writable: true,
+        value: null
+      }
+    })
+
+    let me = this
+    this.sweeper = setInterval(function () {
+      me.sweep()
+    }, NGN.coalesce(cfg.sweepInterval, 60000))
+
+    // Do not keep the process alive just to remove expired entries.
+    if (this.sweeper.unref) {
+      this.sweeper.unref()
+    }
+  }
+
+  /**
+   * @method get
+   * Retrieve a value.
+   * @param {string} key
+   * @param {function} callback
+   * Receives an error (always `null`) and the value, or `undefined` if the
+   * key does not exist or has expired.
+   */
+  get(key, callback) { // eslint-disable-line
+    let entry = this.entries.get(key)
+    if (entry && entry.expires !== null && entry.expires <= Date.now()) {
+      this.entries.delete(key)
+      entry = null
+    }
+    callback(null, entry ? entry.value : undefined)
+  }
+
+  /**
+   * @method set
+   * Store a value.
+   * @param {string} key
+   * @param {any} value
+   * @param {number} [ttl]
+   * The number of milliseconds until the value expires. By default, the
+   * value does not expire.
+   * @param {function} [callback]
+   * Receives an error (always `null`).
+   */
+  set(key, value, ttl, callback) { // eslint-disable-line
+    if (typeof ttl === 'function') {
+      callback = ttl
+      ttl = null
+    }
+    this.entries.set(key, {
+      value: value,
+      expires: typeof ttl === 'number' ? Date.now() + ttl : null
+    })
+    if (callback) {
+      callback(null)
+    }
+  }
+
+  /**
+   * @method delete
+   * Remove a value.
+   * @param {string} key
+   * @param {function} [callback]
+   * Receives an error (always `null`).
+   */
+  delete(key, callback) { // eslint-disable-line
+    this.entries.delete(key)
+    if (callback) {
+      callback(null)
+    }
+  }
+
+  /**
+   * @method sweep
+   * Remove all expired entries.
+   * @private
+   */
+  sweep() { // eslint-disable-line
+    let now = Date.now()
+    let me = this
+    this.entries.forEach(function (entry, key) {
+      if (entry.expires !== null && entry.expires <= now) {
+        me.entries.delete(key)
+      }
+    })
+  }
+
+  /**
+   * @method close
+   * Stop removing expired entries and clear the store.
+   */
+  close() { // eslint-disable-line
+    clearInterval(this.sweeper)
+    this.entries.clear()
+  }
+}
+
+module.exports = MemoryStore
@@ -0,0 +1,206 @@
+'use strict'
+
+// Escape a Prometheus label value.
+const escape = function (value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')
+}
+
+// Render a set of Prometheus labels.
+const labels = function (obj) {
+  let keys = Object.keys(obj)
+  if (keys.length === 0) {
+    return ''
+  }
+  return '{' + keys.map(function (key) {
+    return key + '="' + escape(obj[key]) + '"'
+  }).join(',') + '}'
+}
+
+/**
+ * @class NGNX.http.Metrics
+ * Collects HTTP request metrics (request counts and latency histograms per
+ * route and status code) and renders them in the Prometheus text exposition
+ * format.
+ */
+class Metrics {
+  constructor(cfg) { // eslint-disable-line
+    cfg = cfg || {}
+
+    Object.defineProperties(this, {
+      /**
+       * @cfg {Array} [buckets]
+       * The upper bounds (in seconds) of the latency histogram buckets.
+       * Defaults to `[0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]`.
+       */
+      buckets: {
+        enumerable: true,
+        configurable: false,
+        writable: false,
+        value: (cfg.buckets || [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]).slice().sort(function (a, b) {
+          return a - b
+        })
+      },
+
+      /**
+       * @cfg {function} skip
+       * A function that receives the request and returns `true` when the
+       * request should not be measured.
+       */
+      skip: {
+        enumerable: false,
+        configurable: false,
+        writable: false,
+        value: cfg.skip || function () {
+          return false
+        }
+      },
+
+      /**
+       * @property {Object} series
+       * The metrics of each method/route/status combination.
+       * @private
+       */
+      series: {
+        enumerable: false,
+        configurable: false,
+        writable: true,
+        value: {}
+      },
+
+      /**
+       * @property {number} inflight
+       * The number of requests currently being processed.
+       * @private
+       */
+      inflight: {
+        enumerable: false,
+        configurable: false,
+        writable: true,
+        value: 0
+      }
+    })
+  }
+
+  /**
+   * @method observe
+   * Record a completed request.
+   * @param {string} method
+   * The HTTP method.
+   * @param {string} route
+   * The route that handled the request.
+   * @param {number} status
+   * The HTTP status code of the response.
+   * @param {number} duration
+   * The number of seconds taken to respond.
+   */
+  observe(method, route, status, duration) { // eslint-disable-line
+    let key = [method, route, status].join(' ')
+    let series = this.series[key]
+
+    if (!series) {
+      series = this.series[key] = {
+        labels: {
+          method: method,
+          route: route,
+          status: String(status)
+        },
+        count: 0,
+        sum: 0,
+        buckets: this.buckets.map(function () {
+          return 0
+        })
+      }
+    }
+
+    series.count++
+    series.sum += duration
+    for (let i = 0; i < this.buckets.length; i++) {
+      if (duration <= this.buckets[i]) {
+        series.buckets[i]++
+      }
+    }
+  }
+
+  /**
+   * @method reset
+   * Clear all of the collected metrics.
+   */
+  reset() { // eslint-disable-line
+    this.series = {}
+  }
+
+  /**
+   * @method render
+   * Render the metrics in the Prometheus text exposition format.
+   * @return {string}
+   */
+  render() { // eslint-disable-line
+    let me = this
+    let keys = Object.keys(this.series).sort()
+    let lines = [
+      '# HELP http_requests_total The total number of HTTP requests.',
+      '# TYPE http_requests_total counter'
+    ]
+
+    keys.forEach(function (key) {
+      let series = me.series[key]
+      lines.push('http_requests_total' + labels(series.labels) + ' ' + series.count)
+    })
+
+    lines.push('# HELP http_request_duration_seconds The HTTP request latency in seconds.')
+    lines.push('# TYPE http_request_duration_seconds histogram')
+
+    keys.forEach(function (key) {
+      let series = me.series[key]
+      me.buckets.forEach(function (le, i) {
+        lines.push('http_request_duration_seconds_bucket' + labels(Object.assign({}, series.labels, { le: String(le) })) + ' ' + series.buckets[i])
+      })
+      lines.push('http_request_duration_seconds_bucket' + labels(Object.assign({}, series.labels, { le: '+Inf' })) + ' ' + series.count)
+      lines.push('http_request_duration_seconds_sum' + labels(series.labels) + ' ' + series.sum)
+      lines.push('http_request_duration_seconds_count' + labels(series.labels) + ' ' + series.count)
+    })
+
+    lines.push('# HELP http_requests_in_flight The number of HTTP requests being processed.')
+    lines.push('# TYPE http_requests_in_flight gauge')
+    lines.push('http_requests_in_flight ' + this.inflight)
+
+    return lines.join('\n') + '\n'
+  }
+
+  /**
+   * @property {function} middleware
+   * The Express middleware that measures requests.
+   * @readonly
+   */
+  get middleware() { // eslint-disable-line
+    let me = this
+    return function metrics (req, res, next) {
+      if (me.skip(req)) {
+        return next()
+      }
+
+      let start = process.hrtime()
+      let done = false
+
+      me.inflight++
+
+      let complete = function () {
+        if (done) {
+          return
+        }
+        done = true
+        me.inflight--
+        let elapsed = process.hrtime(start)
+        let route = req.route && typeof req.route.path === 'string' ? (req.baseUrl || '') + req.route.path : 'unmatched'
+        me.observe(req.method, route, res.statusCode, elapsed[0] + (elapsed[1] / 1e9))
+      }
+
+      res.on('finish', complete)
+      res.on('close', complete)
+
+      next()
+    }
+  }
+}
+
+module.exports = Metrics
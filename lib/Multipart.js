@@ -0,0 +1,441 @@
+'use strict'
+
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const crypto = require('crypto')
+
+const UNITS = {
+  b: 1,
+  kb: 1024,
+  mb: 1048576,
+  gb: 1073741824
+}
+
+// Convert a size (i.e. 1024 or '10mb') to a number of bytes.
+const bytes = function (value, defaultValue) {
+  if (value === undefined || value === null) {
+    return defaultValue
+  }
+  if (typeof value === 'number') {
+    return value
+  }
+  let match = /^\s*(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?\s*$/i.exec(String(value))
+  if (!match) {
+    throw new Error('Invalid size "' + value + '".')
+  }
+  return Math.floor(parseFloat(match[1]) * UNITS[(match[2] || 'b').toLowerCase()])
+}
+
+// Create an error describing an invalid request body.
+const failure = function (status, message, type) {
+  let err = new Error(message)
+  err.status = status
+  err.expose = true
+  err.type = type
+  return err
+}
+
+// Parse the parameters of a header (i.e. `form-data; name="file"; filename="a.txt"`).
+// Browsers do not escape backslashes in quoted values (i.e. Windows paths).
+const parameters = function (header) {
+  let result = {}
+  let pattern = /;\s*([^=;\s]+)\s*=\s*(?:"([^"]*)"|([^;]*))/g
+  let match
+  while ((match = pattern.exec(header)) !== null) {
+    result[match[1].toLowerCase()] = match[2] !== undefined ? match[2] : match[3].trim()
+  }
+  return result
+}
+
+const CRLF = Buffer.from('\r\n')
+const HEADER_END = Buffer.from('\r\n\r\n')
+const MAX_HEADER_SIZE = 16384
+
+/**
+ * @class NGNX.http.Multipart
+ * Parses `multipart/form-data` request bodies. Uploaded files are streamed
+ * to a temporary directory instead of being buffered in memory.
+ *
+ * Once parsed, `req.body` contains the fields (repeated fields become
+ * arrays) in an object without a prototype, and `req.files` contains a
+ * description of each uploaded file. Fields named `__proto__` are ignored.
+ * Each file is described by:
+ *
+ * - `fieldname`: The name of the form field.
+ * - `filename`: The name of the file on the client.
+ * - `mimetype`: The content type of the file.
+ * - `path`: The path of the temporary file.
+ * - `size`: The size of the file in bytes.
+ *
+ * Requests exceeding the size limits are rejected with a `413` error.
+ */
+class Multipart {
+  constructor(cfg) { // eslint-disable-line
+    cfg = cfg || {}
+
+    Object.defineProperties(this, {
+      /**
+       * @cfg {string} [dir=os.tmpdir()]
+       * The directory uploaded files are written to.
+       */
+      dir: {
+        enumerable: true,
+        configurable: false,
+        writable: false,
+        value: path.resolve(cfg.dir || os.tmpdir())
+      },
+
+      /**
+       * @cfg {number|string} [fileSize=10mb]
+       * The maximum size of each uploaded file.
+       */
+      fileSize: {
+        enumerable: true,
+        configurable: false,
+        writable: false,
+        value: bytes(cfg.fileSize, 10485760)
+      },
+
+      /**
+       * @cfg {number|string} [totalSize=50mb]
+       * The maximum size of the entire request body.
+       */
+      totalSize: {
+        enumerable: true,
+        configurable: false,
+        writable: false,
+        value: bytes(cfg.totalSize || cfg.limit, 52428800)
+      },
+
+      /**
+       * @cfg {number|string} [fieldSize=1mb]
+       * The maximum size of each (non-file) field value.
+       */
+      fieldSize: {
+        enumerable: true,
+        configurable: false,
+        writable: false,
+        value: bytes(cfg.fieldSize, 1048576)
+      },
+
+      /**
+       * @cfg {string|Array|function} [type=multipart/form-data]
+       * The content type(s) parsed by the middleware, or a function that
+       * receives the request and returns `true` when it should be parsed.
+       */
+      type: {
+        enumerable: true,
+        configurable: false,
+        writable: false,
+        value: cfg.type || 'multipart/form-data'
+      },
+
+      /**
+       * @cfg {boolean} [cleanup=true]
+       * Remove the uploaded files once the response is complete. Files that
+       * should be kept must be moved/copied by the route handler.
+       */
+      cleanup: {
+        enumerable: true,
+        configurable: false,
+        writable: false,
+        value: NGN.coalesce(cfg.cleanup, true)
+      }
+    })
+  }
+
+  /**
+   * @method parse
+   * Parse a multipart request.
+   * @param {http.IncomingMessage} req
+   * @param {function} callback
+   * Receives an error (if any), the fields and the uploaded files.
+   */
+  parse(req, callback) { // eslint-disable-line
+    let me = this
+    let boundary = parameters(req.headers['content-type'] || '').boundary
+
+    if (!boundary) {
+      req.resume()
+      return callback(failure(400, 'Missing multipart boundary.', 'multipart.boundary'))
+    }
+
+    if (parseInt(req.headers['content-length'], 10) > this.totalSize) {
+      req.resume()
+      return callback(failure(413, 'request entity too large', 'entity.too.large'))
+    }
+
+    let delimiter = Buffer.from('\r\n--' + boundary)
+    let buffer = CRLF
+    let state = 'preamble'
+    let received = 0
+    let fields = Object.create(null)
+    let files = []
+    let part = null
+    let pending = 0
+    let ended = false
+    let done = false
+
+    let finish = function (err) {
+      if (done) {
+        return
+      }
+      done = true
+      req.removeListener('data', ondata)
+      req.removeListener('end', onend)
+      req.removeListener('error', finish)
+
+      if (err) {
+        req.resume()
+        if (part && part.stream) {
+          // The file may not exist until the stream has opened it.
+          let file = part.file
+          files = files.filter(function (f) {
+            return f !== file
+          })
+          part.stream.on('close', function () {
+            me.remove([file])
+          })
+          part.stream.destroy()
+        }
+        me.remove(files)
+        return callback(err)
+      }
+
+      callback(null, fields, files)
+    }
+
+    let complete = function () {
+      if (ended && state === 'end' && pending === 0) {
+        finish()
+      }
+    }
+
+    let start = function (headers) {
+      let header = {}
+      headers.split('\r\n').forEach(function (line) {
+        let index = line.indexOf(':')
+        if (index > 0) {
+          header[line.substr(0, index).trim().toLowerCase()] = line.substr(index + 1).trim()
+        }
+      })
+
+      let disposition = parameters(header['content-disposition'] || '')
+      part = {
+        name: disposition.name || '',
+        size: 0
+      }
+
+      if (disposition.filename === undefined) {
+        part.chunks = []
+        return
+      }
+
+      part.file = {
+        fieldname: part.name,
+        filename: path.basename(disposition.filename.replace(/\\/g, '/')),
+        mimetype: header['content-type'] || 'application/octet-stream',
+        path: path.join(me.dir, 'ngnx-upload-' + crypto.randomBytes(16).toString('hex')),
+        size: 0
+      }
+      files.push(part.file)
+
+      pending++
+      part.stream = fs.createWriteStream(part.file.path)
+      part.stream.on('error', finish)
+      part.stream.on('finish', function () {
+        pending--
+        complete()
+      })
+    }
+
+    let write = function (data) {
+      if (data.length === 0) {
+        return
+      }
+
+      part.size += data.length
+
+      if (part.file) {
+        part.file.size = part.size
+        if (part.size > me.fileSize) {
+          return finish(failure(413, 'The file "' + part.file.filename + '" exceeds the maximum size of ' + me.fileSize + ' bytes.', 'entity.too.large'))
+        }
+        if (!part.stream.write(data)) {
+          req.pause()
+          part.stream.once('drain', function () {
+            if (!done) {
+              req.resume()
+            }
+          })
+        }
+        return
+      }
+
+      if (part.size > me.fieldSize) {
+        return finish(failure(413, 'The field "' + part.name + '" exceeds the maximum size of ' + me.fieldSize + ' bytes.', 'entity.too.large'))
+      }
+      part.chunks.push(data)
+    }
+
+    let end = function () {
+      if (part.file) {
+        part.stream.end()
+      } else if (part.name !== '__proto__') {
+        // A "__proto__" field is ignored, so consumers copying the fields
+        // into a plain object cannot replace its prototype.
+        let value = Buffer.concat(part.chunks).toString('utf8')
+        if (!Object.prototype.hasOwnProperty.call(fields, part.name)) {
+          fields[part.name] = value
+        } else if (Array.isArray(fields[part.name])) {
+          fields[part.name].push(value)
+        } else {
+          fields[part.name] = [fields[part.name], value]
+        }
+      }
+      part = null
+    }
+
+    let parse = function () {
+      while (!done) {
+        if (state === 'preamble' || state === 'body') {
+          let index = buffer.indexOf(delimiter)
+          if (index < 0) {
+            // Retain enough data to detect a delimiter split across chunks.
+            let safe = buffer.length - (delimiter.length - 1)
+            if (safe > 0) {
+              if (state === 'body') {
+                write(buffer.slice(0, safe))
+              }
+              buffer = buffer.slice(safe)
+            }
+            return
+          }
+          if (state === 'body') {
+            write(buffer.slice(0, index))
+            if (done) {
+              return
+            }
+            end()
+          }
+          buffer = buffer.slice(index + delimiter.length)
+          state = 'boundary'
+        } else if (state === 'boundary') {
+          if (buffer.length < 2) {
+            return
+          }
+          if (buffer[0] === 0x2D && buffer[1] === 0x2D) {
+            state = 'end'
+            buffer = Buffer.alloc(0)
+            return
+          }
+          let index = buffer.indexOf(CRLF)
+          if (index < 0) {
+            if (buffer.length > 1024) {
+              finish(failure(400, 'Malformed multipart boundary.', 'multipart.malformed'))
+            }
+            return
+          }
+          buffer = buffer.slice(index + CRLF.length)
+          state = 'headers'
+        } else if (state === 'headers') {
+          let index = buffer.indexOf(CRLF) === 0 ? -2 : buffer.indexOf(HEADER_END)
+          if (index === -1) {
+            if (buffer.length > MAX_HEADER_SIZE) {
+              finish(failure(400, 'Multipart headers are too large.', 'multipart.malformed'))
+            }
+            return
+          }
+          start(index < 0 ? '' : buffer.slice(0, index).toString('utf8'))
+          buffer = buffer.slice(index < 0 ? CRLF.length : index + HEADER_END.length)
+          state = 'body'
+        } else {
+          // Ignore the epilogue.
+          return
+        }
+      }
+    }
+
+    let ondata = function (chunk) {
+      received += chunk.length
+      if (received > me.totalSize) {
+        return finish(failure(413, 'request entity too large', 'entity.too.large'))
+      }
+      buffer = buffer.length > 0 ? Buffer.concat([buffer, chunk]) : chunk
+      parse()
+    }
+
+    let onend = function () {
+      ended = true
+      if (state !== 'end') {
+        return finish(failure(400, 'Unexpected end of multipart data.', 'multipart.malformed'))
+      }
+      complete()
+    }
+
+    req.on('data', ondata)
+    req.on('end', onend)
+    req.on('error', finish)
+  }
+
+  /**
+   * @method remove
+   * Delete uploaded files.
+   * @param {Array} files
+   * The files (as described in `req.files`).
+   */
+  remove(files) { // eslint-disable-line
+    files.forEach(function (file) {
+      fs.unlink(file.path, function () {})
+    })
+  }
+
+  /**
+   * @property {function} middleware
+   * The Express middleware that parses multipart requests.
+   * @readonly
+   */
+  get middleware() { // eslint-disable-line
+    let me = this
+    return function multipart (req, res, next) {
+      if (req._body) {
+        return next()
+      }
+
+      let match = typeof me.type === 'function' ? me.type(req) : req.is(me.type)
+      if (!match) {
+        return next()
+      }
+
+      req._body = true
+      req.body = req.body || {}
+      req.files = []
+
+      me.parse(req, function (err, fields, files) {
+        if (err) {
+          return next(err)
+        }
+
+        req.body = fields
+        req.files = files
+
+        if (me.cleanup && files.length > 0) {
+          let removed = false
+          let remove = function () {
+            if (!removed) {
+              removed = true
+              me.remove(files)
+            }
+          }
+          res.on('finish', remove)
+          res.on('close', remove)
+        }
+
+        next()
+      })
+    }
+  }
+}
+
+module.exports = Multipart
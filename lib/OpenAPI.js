@@ -0,0 +1,279 @@
+'use strict'
+
+const http = require('http')
+
+const METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace']
+
+const DESCRIPTIONS = ['summary', 'description', 'tags', 'operationId', 'deprecated']
+
+/**
+ * @class NGNX.http.OpenAPI
+ * Generates OpenAPI 3.1 documents from route descriptions. Express paths are
+ * converted to OpenAPI templates (`/users/:id` becomes `/users/{id}`), and
+ * the JSON Schemas of each route (see NGNX.http.Server#validate) describe
+ * its parameters, request body and responses. The `summary`,
+ * `description`, `tags`, `operationId` and `deprecated` attributes of the
+ * schemas are applied to the operation.
+ *
+ * Routes responding to every method (`ALL`), routes defined with regular
+ * expressions and routes containing wildcards cannot be described, so they
+ * are omitted.
+ */
+class OpenAPI {
+  constructor(cfg) { // eslint-disable-line
+    cfg = cfg || {}
+
+    Object.defineProperties(this, {
+      /**
+       * @cfg {Object} [info]
+       * The `info` object of the document. The `title` defaults to `API`
+       * and the `version` to `1.0.0`.
+       */
+      info: {
+        enumerable: true,
+        configurable: false,
+        writable: false,
+        value: Object.assign({
+          title: 'API',
+          version: '1.0.0'
+        }, cfg.info)
+      },
+
+      /**
+       * @cfg {Array} [servers]
+       * The `servers` of the document (i.e. `[{ url: 'https://api.example.com' }]`).
+       */
+      servers: {
+        enumerable: true,
+        configurable: false,
+        writable: false,
+        value: cfg.servers || null
+      }
+    })
+  }
+
+  /**
+   * @method convertPath
+   * Convert an Express path to an OpenAPI path template.
+   * @param {string} urlpath
+   * @return {Object}
+   * The OpenAPI `path` and the names of its `parameters`, or `null` if the
+   * path cannot be described.
+   * @private
+   */
+  convertPath(urlpath) { // eslint-disable-line
+    let parameters = []
+    let template = urlpath.replace(/:([A-Za-z0-9_]+)(\([^)]*\))?\??/g, function (match, name) {
+      parameters.push(name)
+      return '{' + name + '}'
+    })
+
+    if (/[*()?+]/.test(template)) {
+      return null
+    }
+
+    return {
+      path: template.length > 1 ? template.replace(/\/$/, '') : template,
+      parameters: parameters
+    }
+  }
+
+  /**
+   * @method convertSchema
+   * Prepare a JSON Schema for the document. Local references
+   * (`#/definitions/name`) are resolved inline, since they are relative to
+   * the schema they belong to. Recursive references are replaced by an
+   * empty schema.
+   * @param {Object} schema
+   * @return {Object}
+   * @private
+   */
+  convertSchema(schema) { // eslint-disable-line
+    let root = schema
+    let resolve = function (ref) {
+      let target = root
+      ref.replace(/^#\/?/, '').split('/').filter(Boolean).forEach(function (key) {
+        key = decodeURIComponent(key).replace(/~1/g, '/').replace(/~0/g, '~')
+        target = target && typeof target === 'object' ? target[key] : undefined
+      })
+      return target
+    }
+    let convert = function (value, stack) {
+      if (Array.isArray(value)) {
+        return value.map(function (item) {
+          return convert(item, stack)
+        })
+      }
+      if (value === null || typeof value !== 'object') {
+        return value
+      }
+      if (typeof value.$ref === 'string' && value.$ref.charAt(0) === '#') {
+        if (stack.indexOf(value.$ref) >= 0) {
+          return {}
+        }
+        return convert(resolve(value.$ref) || {}, stack.concat(value.$ref))
+      }
+      let result = {}
+      Object.keys(value).forEach(function (key) {
+        if (value !== root || (key !== 'definitions' && key !== '$schema')) {
+          result[key] = convert(value[key], stack)
+        }
+      })
+      return result
+    }
+
+    return convert(schema, [])
+  }
+
+  /**
+   * @method getParameters
+   * Describe the parameters of an operation.
+   * @param {Object} schemas
+   * The schemas of the route.
+   * @param {Array} names
+   * The names of the path parameters.
+   * @return {Array}
+   * @private
+   */
+  getParameters(schemas, names) { // eslint-disable-line
+    let me = this
+    let parameters = []
+    let add = function (location, schema, only) {
+      schema = schema ? me.convertSchema(schema) : {}
+      let properties = schema.properties || {}
+      let required = schema.required || []
+      ;(only || Object.keys(properties)).forEach(function (name) {
+        let parameter = {
+          name: name,
+          in: location,
+          required: location === 'path' || required.indexOf(name) >= 0,
+          schema: properties[name] || { type: 'string' }
+        }
+        if (parameter.schema.description) {
+          parameter.description = parameter.schema.description
+        }
+        parameters.push(parameter)
+      })
+    }
+
+    add('path', schemas.params, names)
+    add('query', schemas.query)
+    add('header', schemas.headers)
+
+    return parameters
+  }
+
+  /**
+   * @method getResponses
+   * Describe the responses of an operation.
+   * @param {Object} schema
+   * The `response` schema(s) of the route.
+   * @return {Object}
+   * @private
+   */
+  getResponses(schema) { // eslint-disable-line
+    let me = this
+    let responses = {}
+    let response = function (status, value) {
+      let description = status === 'default' ? 'Default response' : (http.STATUS_CODES[status] || status.charAt(0) + 'XX response')
+      return {
+        description: description,
+        content: {
+          'application/json': {
+            schema: me.convertSchema(value)
+          }
+        }
+      }
+    }
+
+    if (!schema) {
+      return {
+        default: {
+          description: 'Default response'
+        }
+      }
+    }
+
+    let keys = Object.keys(schema)
+    if (keys.length > 0 && keys.every(function (key) { return /^([1-5](\d\d|XX)|default)$/i.test(key) })) {
+      keys.forEach(function (key) {
+        key = key === 'default' ? key : key.toUpperCase()
+        responses[key] = response(key, schema[key] || schema[key.toLowerCase()])
+      })
+    } else {
+      responses['200'] = response('200', schema)
+    }
+
+    return responses
+  }
+
+  /**
+   * @method generate
+   * Generate an OpenAPI document.
+   * @param {Array} routes
+   * The routes, each containing its `method`, `path` and the `schemas`
+   * attached to it (if any).
+   * @return {Object}
+   */
+  generate(routes) { // eslint-disable-line
+    let me = this
+    let document = {
+      openapi: '3.1.0',
+      info: JSON.parse(JSON.stringify(this.info))
+    }
+
+    if (this.servers) {
+      document.servers = JSON.parse(JSON.stringify(this.servers))
+    }
+
+    document.paths = {}
+
+    routes.forEach(function (route) {
+      let method = route.method.toLowerCase()
+      let converted = me.convertPath(route.path)
+
+      if (METHODS.indexOf(method) < 0 || converted === null) {
+        return
+      }
+
+      let schemas = route.schemas || {}
+      let item = document.paths[converted.path] = document.paths[converted.path] || {}
+
+      // The first route wins, just like Express.
+      if (item[method]) {
+        return
+      }
+
+      let operation = {}
+      DESCRIPTIONS.forEach(function (key) {
+        if (schemas[key] !== undefined) {
+          operation[key] = schemas[key]
+        }
+      })
+
+      let parameters = me.getParameters(schemas, converted.parameters)
+      if (parameters.length > 0) {
+        operation.parameters = parameters
+      }
+
+      if (schemas.body) {
+        operation.requestBody = {
+          required: true,
+          content: {
+            'application/json': {
+              schema: me.convertSchema(schemas.body)
+            }
+          }
+        }
+      }
+
+      operation.responses = me.getResponses(schemas.response)
+
+      item[method] = operation
+    })
+
+    return document
+  }
+}
+
+module.exports = OpenAPI
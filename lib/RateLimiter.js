@@ -0,0 +1,336 @@
+'use strict'
+
+const MemoryStore = require('./MemoryStore')
+
+const STRATEGIES = ['fixed-window', 'token-bucket']
+
+/**
+ * @class NGNX.http.RateLimiter
+ * Limits the number of requests a client can make within a period of time.
+ * Two strategies are supported:
+ *
+ * - `fixed-window`: Up to `limit` requests are accepted within each
+ *   `window`. The count is reset when the window expires.
+ * - `token-bucket`: Each client has a bucket of `limit` tokens, which is
+ *   refilled continuously at a rate of `limit` tokens per `window`. Each
+ *   request consumes a token, allowing short bursts while enforcing the
+ *   average rate.
+ *
+ * Limited requests fail with a `429 Too Many Requests` error, which includes
+ * the `Retry-After` header. The `RateLimit-Limit`, `RateLimit-Remaining` and
+ * `RateLimit-Reset` headers are added to every response.
+ */
+class RateLimiter {
+  constructor(cfg) { // eslint-disable-line
+    cfg = cfg || {}
+
+    let policy = RateLimiter.normalize(cfg, {
+      strategy: 'fixed-window',
+      limit: 100,
+      window: 60000
+    }, 'default')
+
+    Object.defineProperties(this, {
+      /**
+       * @cfg {string} [strategy=fixed-window]
+       * The limiting strategy (`fixed-window` or `token-bucket`).
+       */
+      /**
+       * @cfg {number} [limit=100]
+       * The number of requests allowed per #window (the size of the bucket
+       * when using the `token-bucket` strategy).
+       */
+      /**
+       * @cfg {number} [window=60000]
+       * The length of the window in milliseconds.
+       */
+      /**
+       * @property {Object} policy
+       * The default limits (`strategy`, `limit` and `window`).
+       * @private
+       */
+      policy: {
+        enumerable: false,
+        configurable: false,
+        writable: false,
+        value: policy
+      },
+
+      /**
+       * @cfg {Object} routes
+       * Limits overriding the defaults for a path prefix, optionally
+       * restricted to an HTTP method (i.e. `POST /login`). Each accepts a
+       * `strategy`, `limit` and `window`. Set a route to `false` to disable
+       * rate limiting for it.
+       * ```js
+       * routes: {
+       *   'POST /login': { limit: 5, window: 60000 },
+       *   '/search': { strategy: 'token-bucket', limit: 20, window: 10000 },
+       *   '/assets': false
+       * }
+       * ```
+       */
+      routes: {
+        enumerable: false,
+        configurable: false,
+        writable: false,
+        value: Object.keys(cfg.routes || {}).map(function (route) {
+          let parts = route.trim().split(/\s+/)
+          let urlpath = parts.pop()
+          return {
+            name: route,
+            method: parts.length > 0 ? parts[0].toUpperCase() : null,
+            prefix: urlpath.length > 1 ? urlpath.replace(/\/+$/, '') : urlpath,
+            policy: cfg.routes[route] === false ? null : RateLimiter.normalize(cfg.routes[route], policy, route)
+          }
+        })
+      },
+
+      /**
+       * @cfg {string|Object|function} [key=ip]
+       * Identifies the client of a request. This may be `ip` (the remote
+       * address, respecting Express' `trust proxy` setting), an object
+       * containing the name of a request `header` (i.e. `{ header: 'X-API-Key' }`),
+       * or a function receiving the request and returning the key. Requests
+       * without the header fall back to the IP address.
+       */
+      key: {
+        enumerable: false,
+        configurable: false,
+        writable: false,
+        value: (function () {
+          let key = cfg.key || 'ip'
+          let ip = function (req) {
+            return req.ip || (req.socket || req.connection || {}).remoteAddress || 'unknown'
+          }
+          if (typeof key === 'function') {
+            return key
+          }
+          if (key === 'ip') {
+            return ip
+          }
+          if (typeof key === 'object' && key.header) {
+            let header = key.header.toLowerCase()
+            return function (req) {
+              return req.headers[header] ? header + ':' + req.headers[header] : ip(req)
+            }
+          }
+          throw new Error('Invalid rate limit key. Use "ip", { header: "name" } or a function.')
+        })()
+      },
+
+      /**
+       * @cfg {Object} [store]
+       * The store that keeps track of each client. This defaults to an
+       * in-memory store (see NGNX.http.MemoryStore). A custom store must
+       * implement `get(key, callback)` and `set(key, value, ttl, callback)`.
+       */
+      store: {
+        enumerable: false,
+        configurable: false,
+        writable: false,
+        value: cfg.store || new MemoryStore()
+      },
+
+      /**
+       * @cfg {function} skip
+       * A function that receives the request and returns `true` when the
+       * request should not be limited.
+       */
+      skip: {
+        enumerable: false,
+        configurable: false,
+        writable: false,
+        value: cfg.skip || function () {
+          return false
+        }
+      },
+
+      /**
+       * @cfg {function} onError
+       * A function receiving errors of the #store (and the request). The
+       * request is not limited when the store fails.
+       */
+      onError: {
+        enumerable: false,
+        configurable: false,
+        writable: false,
+        value: cfg.onError || null
+      },
+
+      /**
+       * @cfg {boolean} [headers=true]
+       * Add the `RateLimit-*` headers to responses.
+       */
+      headers: {
+        enumerable: false,
+        configurable: false,
+        writable: false,
+        value: NGN.coalesce(cfg.headers, true)
+      }
+    })
+  }
+
+  /**
+   * @method normalize
+   * Validate a set of limits, applying defaults.
+   * @param {Object} cfg
+   * @param {Object} defaults
+   * @param {string} name
+   * The name of the limits.
+   * @return {Object}
+   * @static
+   * @private
+   */
+  static normalize(cfg, defaults, name) { // eslint-disable-line
+    cfg = cfg || {}
+
+    let policy = {
+      name: name,
+      strategy: cfg.strategy || defaults.strategy,
+      limit: NGN.coalesce(cfg.limit, defaults.limit),
+      window: NGN.coalesce(cfg.window, defaults.window)
+    }
+
+    if (STRATEGIES.indexOf(policy.strategy) < 0) {
+      throw new Error('Unrecognized rate limit strategy "' + policy.strategy + '". Valid strategies are: ' + STRATEGIES.join(', '))
+    }
+
+    if (!(policy.limit > 0) || !(policy.window > 0)) {
+      throw new Error('The rate limit and window of "' + name + '" must be greater than zero.')
+    }
+
+    return policy
+  }
+
+  /**
+   * @method getPolicy
+   * Identify the limits applied to a request. The route with the longest
+   * matching prefix is used (a route with a method takes precedence over
+   * one without), otherwise the default limits apply.
+   * @param {http.IncomingMessage} req
+   * @return {Object}
+   * The limits, or `null` if the request is not limited.
+   */
+  getPolicy(req) { // eslint-disable-line
+    let match = null
+    let urlpath = req.path || req.url.split('?')[0]
+
+    this.routes.forEach(function (route) {
+      if (route.method !== null && route.method !== req.method) {
+        return
+      }
+      if (route.prefix !== '/' && urlpath !== route.prefix && urlpath.indexOf(route.prefix + '/') !== 0) {
+        return
+      }
+      if (!match || route.prefix.length > match.prefix.length || (route.prefix.length === match.prefix.length && route.method !== null)) {
+        match = route
+      }
+    })
+
+    return match ? match.policy : this.policy
+  }
+
+  /**
+   * @method consume
+   * Record a request from a client.
+   * @param {string} key
+   * The client key.
+   * @param {Object} policy
+   * The limits to apply.
+   * @param {function} callback
+   * Receives an error (if the store fails) and the result, containing
+   * `allowed` (boolean), `limit`, `remaining` and `reset` (the number of
+   * seconds until the limit resets, or until the next request is allowed
+   * when the limit is exceeded).
+   */
+  consume(key, policy, callback) { // eslint-disable-line
+    let me = this
+    let id = policy.name + ':' + key
+
+    this.store.get(id, function (err, state) {
+      if (err) {
+        return callback(err)
+      }
+
+      let now = Date.now()
+      let result = {
+        limit: policy.limit
+      }
+      let ttl
+
+      if (policy.strategy === 'token-bucket') {
+        let rate = policy.limit / policy.window
+        state = state || { tokens: policy.limit, updated: now }
+        state = {
+          tokens: Math.min(policy.limit, state.tokens + ((now - state.updated) * rate)),
+          updated: now
+        }
+        result.allowed = state.tokens >= 1
+        if (result.allowed) {
+          state.tokens -= 1
+        }
+        result.remaining = Math.floor(state.tokens)
+        result.reset = Math.ceil((result.allowed ? policy.limit - state.tokens : 1 - state.tokens) / rate / 1000)
+        ttl = Math.ceil((policy.limit - state.tokens) / rate)
+      } else {
+        if (!state || state.reset <= now) {
+          state = { count: 0, reset: now + policy.window }
+        }
+        state = { count: state.count + 1, reset: state.reset }
+        result.allowed = state.count <= policy.limit
+        result.remaining = Math.max(0, policy.limit - state.count)
+        result.reset = Math.ceil((state.reset - now) / 1000)
+        ttl = state.reset - now
+      }
+
+      me.store.set(id, state, Math.max(ttl, 1), function (err) {
+        callback(err || null, result)
+      })
+    })
+  }
+
+  /**
+   * @property {function} middleware
+   * The Express middleware that limits requests. Failures of the store are
+   * passed to #onError and do not block the request.
+   * @readonly
+   */
+  get middleware() { // eslint-disable-line
+    let me = this
+    return function rateLimit (req, res, next) {
+      let policy = me.skip(req) ? null : me.getPolicy(req)
+      if (!policy) {
+        return next()
+      }
+
+      me.consume(String(me.key(req)), policy, function (err, result) {
+        if (err) {
+          if (me.onError) {
+            me.onError(err, req)
+          }
+          return next()
+        }
+
+        let headers = {}
+        if (me.headers) {
+          headers['RateLimit-Limit'] = String(result.limit)
+          headers['RateLimit-Remaining'] = String(result.remaining)
+          headers['RateLimit-Reset'] = String(result.reset)
+          res.set(headers)
+        }
+
+        if (result.allowed) {
+          return next()
+        }
+
+        let limited = new Error('Too many requests. Try again in ' + result.reset + ' second' + (result.reset === 1 ? '' : 's') + '.')
+        limited.status = 429
+        limited.headers = Object.assign({ 'Retry-After': String(result.reset) }, headers)
+        next(limited)
+      })
+    }
+  }
+}
+
+module.exports = RateLimiter
@@ -0,0 +1,278 @@
+'use strict'
+
+const RotatingFileStream = require('./RotatingFileStream')
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec']
+
+// Pad a number with leading zeros.
+const pad = function (value, length) {
+  value = String(value)
+  while (value.length < (length || 2)) {
+    value = '0' + value
+  }
+  return value
+}
+
+// Format a date using the Common Log Format (i.e. 10/Oct/2000:13:55:36 +0000).
+const clfdate = function (date) {
+  return pad(date.getUTCDate()) + '/' + MONTHS[date.getUTCMonth()] + '/' + date.getUTCFullYear() +
+    ':' + pad(date.getUTCHours()) + ':' + pad(date.getUTCMinutes()) + ':' + pad(date.getUTCSeconds()) + ' +0000'
+}
+
+// Common Log Format line (without a trailing newline).
+const common = function (entry) {
+  return [
+    entry.remoteAddress || '-',
+    '-',
+    entry.user || '-',
+    '[' + clfdate(new Date(entry.timestamp)) + ']',
+    '"' + entry.method + ' ' + entry.url + ' HTTP/' + entry.httpVersion + '"',
+    entry.status,
+    entry.bytes > 0 ? entry.bytes : '-'
+  ].join(' ')
+}
+
+/**
+ * @property {Object} FORMATS
+ * The built-in log formats. Each format accepts a log entry and returns a
+ * single line of text.
+ * @private
+ */
+const FORMATS = {
+  basic: function (entry) {
+    return [
+      entry.timestamp,
+      entry.method,
+      entry.url,
+      entry.status,
+      entry.duration.toFixed(3) + 'ms',
+      entry.bytes + 'b'
+    ].concat(entry.requestId ? [entry.requestId] : []).join(' ')
+  },
+
+  common: common,
+
+  combined: function (entry) {
+    return common(entry) + ' "' + (entry.referrer || '-') + '" "' + (entry.userAgent || '-') + '"'
+  },
+
+  json: function (entry) {
+    return JSON.stringify(entry)
+  }
+}
+
+/**
+ * @class NGNX.http.RequestLogger
+ * Logs each request once the response is complete, including the status
+ * code, duration, response size, remote address and request ID.
+ *
+ * Each request is described by a log entry containing:
+ *
+ * - `timestamp`: When the request was received (ISO 8601).
+ * - `method`: The HTTP method.
+ * - `url`: The requested URL.
+ * - `httpVersion`: The HTTP version of the request.
+ * - `status`: The HTTP status code of the response.
+ * - `duration`: The number of milliseconds taken to respond.
+ * - `bytes`: The number of bytes sent in the response body.
+ * - `remoteAddress`: The IP address of the client.
+ * - `requestId`: The ID of the request, or `null` if none is available.
+ * - `userAgent`: The `User-Agent` request header.
+ * - `referrer`: The `Referer` request header.
+ */
+class RequestLogger {
+  constructor(cfg) { // eslint-disable-line
+    cfg = cfg || {}
+
+    if (typeof cfg.format === 'string' && !FORMATS.hasOwnProperty(cfg.format)) {
+      throw new Error('Unrecognized log format "' + cfg.format + '". Valid formats are: ' + Object.keys(FORMATS).join(', '))
+    }
+
+    Object.defineProperties(this, {
+      /**
+       * @cfg {string|function} [format=basic]
+       * The log format. This may be `basic`, `common` (Common Log Format),
+       * `combined` (Combined Log Format), `json` (JSON lines), or a custom
+       * formatter function. A custom formatter receives the log entry, the
+       * request and the response, and returns the line to write.
+       */
+      formatter: {
+        enumerable: false,
+        configurable: false,
+        writable: false,
+        value: typeof cfg.format === 'function' ? cfg.format : FORMATS[cfg.format || 'basic']
+      },
+
+      /**
+       * @cfg {stream.Writable} [stream=process.stdout]
+       * The stream the log is written to.
+       */
+      /**
+       * @cfg {string} file
+       * The path of a file to write the log to. This is ignored if a
+       * #stream is provided.
+       */
+      /**
+       * @cfg {number} [maxSize=10485760]
+       * The maximum size (in bytes) of the log #file before it is rotated.
+       */
+      /**
+       * @cfg {number} [maxFiles=5]
+       * The number of rotated log files to keep.
+       */
+      stream: {
+        enumerable: false,
+        configurable: false,
+        writable: false,
+        value: cfg.stream || (cfg.file ? new RotatingFileStream({
+          file: cfg.file,
+          maxSize: cfg.maxSize,
+          maxFiles: cfg.maxFiles
+        }) : process.stdout)
+      },
+
+      /**
+       * @cfg {function} skip
+       * A function that receives the request and response and returns
+       * `true` when the request should not be logged.
+       */
+      skip: {
+        enumerable: false,
+        configurable: false,
+        writable: false,
+        value: cfg.skip || function () {
+          return false
+        }
+      },
+
+      /**
+       * @cfg {function} onError
+       * A function receiving errors of the #stream (i.e. a failed write or
+       * rotation). Requests continue to be served when the log fails. By
+       * default, the error is written to the console.
+       */
+      onError: {
+        enumerable: false,
+        configurable: false,
+        writable: false,
+        value: cfg.onError || function (err) {
+          console.error('Request log failure:', err.message)
+        }
+      }
+    })
+
+    // Without a listener, a stream error would crash the process.
+    this.stream.on('error', this.onError)
+  }
+
+  /**
+   * @method entry
+   * Create the log entry for a completed request.
+   * @private
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse} res
+   * @param {Object} metrics
+   * The `timestamp`, `start` time (hrtime) and `bytes` sent.
+   * @return {Object}
+   */
+  entry(req, res, metrics) { // eslint-disable-line
+    let elapsed = process.hrtime(metrics.start)
+    let socket = req.socket || req.connection || {}
+    return {
+      timestamp: metrics.timestamp.toISOString(),
+      method: req.method,
+      url: req.originalUrl || req.url,
+      httpVersion: req.httpVersion,
+      status: res.statusCode,
+      duration: (elapsed[0] * 1e3) + (elapsed[1] / 1e6),
+      bytes: metrics.bytes,
+      remoteAddress: req.ip || socket.remoteAddress || null,
+      requestId: req.id || null,
+      userAgent: req.headers['user-agent'] || null,
+      referrer: req.headers['referer'] || req.headers['referrer'] || null
+    }
+  }
+
+  /**
+   * @method write
+   * Format and write a log entry.
+   * @param {Object} entry
+   * The log entry.
+   * @param {http.IncomingMessage} [req]
+   * @param {http.ServerResponse} [res]
+   */
+  write(entry, req, res) { // eslint-disable-line
+    let line = this.formatter(entry, req, res)
+    if (line === null || line === undefined || line === false) {
+      return
+    }
+    line = String(line)
+
+    // A failed stream may be destroyed, in which case nothing is logged.
+    if (this.stream.destroyed) {
+      return
+    }
+
+    this.stream.write(line.charAt(line.length - 1) === '\n' ? line : line + '\n')
+  }
+
+  /**
+   * @property {function} middleware
+   * The Express middleware that logs requests.
+   * @readonly
+   */
+  get middleware() { // eslint-disable-line
+    let me = this
+    return function requestLogger (req, res, next) {
+      let metrics = {
+        timestamp: new Date(),
+        start: process.hrtime(),
+        bytes: 0
+      }
+
+      let count = function (chunk, encoding) {
+        if (chunk && typeof chunk !== 'function') {
+          metrics.bytes += Buffer.isBuffer(chunk) ? chunk.length : Buffer.byteLength(chunk, typeof encoding === 'string' ? encoding : undefined)
+        }
+      }
+
+      let write = res.write
+      let end = res.end
+
+      res.write = function (chunk, encoding) {
+        count(chunk, encoding)
+        return write.apply(res, arguments)
+      }
+
+      res.end = function (chunk, encoding) {
+        count(chunk, encoding)
+        return end.apply(res, arguments)
+      }
+
+      let logged = false
+      let done = function () {
+        if (logged) {
+          return
+        }
+        logged = true
+        if (me.skip(req, res)) {
+          return
+        }
+        try {
+          me.write(me.entry(req, res, metrics), req, res)
+        } catch (e) {
+          console.error('Request log failure:', e.message)
+        }
+      }
+
+      res.on('finish', done)
+      res.on('close', done)
+
+      next()
+    }
+  }
+}
+
+RequestLogger.FORMATS = FORMATS
+
+module.exports = RequestLogger
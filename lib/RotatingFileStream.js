@@ -0,0 +1,154 @@
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+const Writable = require('stream').Writable
+
+/**
+ * @class NGNX.http.RotatingFileStream
+ * A writable stream that appends to a file and rotates it once it reaches
+ * a maximum size. Rotated files are renamed with a numeric suffix, i.e.
+ * `access.log` becomes `access.log.1`, `access.log.1` becomes
+ * `access.log.2`, etc. The oldest files are deleted.
+ * @extends stream.Writable
+ */
+class RotatingFileStream extends Writable {
+  constructor(cfg) { // eslint-disable-line
+    cfg = cfg || {}
+
+    if (!cfg.file) {
+      throw new Error('A file is required for a rotating file stream.')
+    }
+
+    super()
+
+    Object.defineProperties(this, {
+      /**
+       * @cfg {string} file (required)
+       * The path of the file to write to.
+       */
+      file: {
+        enumerable: true,
+        configurable: false,
+        writable: false,
+        value: path.resolve(cfg.file)
+      },
+
+      /**
+       * @cfg {number} [maxSize=10485760]
+       * The maximum size (in bytes) of the file before it is rotated.
+       * Defaults to 10MB.
+       */
+      maxSize: {
+        enumerable: true,
+        configurable: false,
+        writable: false,
+        value: NGN.coalesce(cfg.maxSize, 10485760)
+      },
+
+      /**
+       * @cfg {number} [maxFiles=5]
+       * The number of rotated files to keep.
+       */
+      maxFiles: {
+        enumerable: true,
+        configurable: false,
+        writable: false,
+        value: NGN.coalesce(cfg.maxFiles, 5)
+      },
+
+      /**
+       * @property {number} fd
+       * The file descriptor of the open file.
+       * @private
+       */
+      fd: {
+        enumerable: false,
+        configurable: false,
+        writable: true,
+        value: null
+      },
+
+      /**
+       * @property {number} size
+       * The current size of the file.
+       * @private
+       */
+      size: {
+        enumerable: false,
+        configurable: false,
+        writable: true,
+        value: 0
+      }
+    })
+
+    this.open()
+  }
+
+  /**
+   * @method open
+   * Open the file for appending.
+   * @private
+   */
+  open() { // eslint-disable-line
+    this.fd = fs.openSync(this.file, 'a')
+    this.size = fs.fstatSync(this.fd).size
+  }
+
+  /**
+   * @method rotate
+   * Rotate the log files and open a new file.
+   */
+  rotate() { // eslint-disable-line
+    if (this.fd !== null) {
+      fs.closeSync(this.fd)
+      this.fd = null
+    }
+
+    let oldest = this.file + '.' + this.maxFiles
+    if (this.maxFiles > 0 && NGN.util.pathExists(oldest)) {
+      fs.unlinkSync(oldest)
+    }
+
+    for (let i = this.maxFiles - 1; i > 0; i--) {
+      if (NGN.util.pathExists(this.file + '.' + i)) {
+        fs.renameSync(this.file + '.' + i, this.file + '.' + (i + 1))
+      }
+    }
+
+    if (this.maxFiles > 0) {
+      fs.renameSync(this.file, this.file + '.1')
+    } else {
+      fs.unlinkSync(this.file)
+    }
+
+    this.open()
+  }
+
+  _write(chunk, encoding, callback) { // eslint-disable-line
+    if (this.size > 0 && this.size + chunk.length > this.maxSize) {
+      try {
+        this.rotate()
+      } catch (e) {
+        return callback(e)
+      }
+    }
+
+    this.size += chunk.length
+
+    fs.write(this.fd, chunk, 0, chunk.length, null, function (err) {
+      callback(err)
+    })
+  }
+
+  _final(callback) { // eslint-disable-line
+    if (this.fd !== null) {
+      fs.close(this.fd, callback)
+      this.fd = null
+    } else {
+      callback()
+    }
+  }
+}
+
+module.exports = RotatingFileStream
@@ -0,0 +1,332 @@
+'use strict'
+
+const fs = require('fs')
+const http = require('http')
+const path = require('path')
+const yaml = require('js-yaml')
+
+const EXTENSIONS = ['.json', '.yml', '.yaml']
+
+const METHODS = http.METHODS.concat('ALL')
+
+// Convert a value to an array (i.e. a single middleware reference).
+const list = function (value) {
+  return value === undefined || value === null ? [] : (Array.isArray(value) ? value : [value])
+}
+
+// Identify the static portion of a URL path (everything before the first parameter).
+const staticPrefix = function (urlpath) {
+  let segments = urlpath.split('/')
+  let i = 0
+  while (i < segments.length && !/[:*(?]/.test(segments[i])) {
+    i++
+  }
+  return segments.slice(0, i).join('/') || '/'
+}
+
+/**
+ * @class NGNX.http.RouteManifest
+ * A declarative route module, defined in a JSON or YAML file. Each route
+ * lists its HTTP `method`, `path` and `handler`, which is a reference to a
+ * function exported by a JavaScript module (`module#export`). Module paths
+ * are relative to the manifest.
+ * ```yaml
+ * prefix: /api
+ * middleware: ./middleware/auth#requireUser
+ * corsPolicies:
+ *   public:
+ *     whitelist: '*'
+ * routes:
+ *   - method: GET
+ *     path: /users/:id
+ *     handler: ./handlers/users#show
+ *     cors: public
+ *   - method: DELETE
+ *     path: /users/:id
+ *     handler: ./handlers/users#remove
+ *     middleware:
+ *       - ./middleware/auth#requireAdmin
+ *     schema:
+ *       params:
+ *         type: object
+ *         properties:
+ *           id:
+ *             type: integer
+ * ```
+ * The `schema` of a route validates its requests after its middleware runs
+ * (see NGNX.http.Server#validate).
+ * The `export` may be a dotted path (i.e. `./handlers#users.show`). When it
+ * is omitted, the module itself must export the function.
+ *
+ * The manifest is validated when it is loaded. Every problem is reported in
+ * a single error, along with the location of the manifest.
+ */
+class RouteManifest {
+  constructor(filepath) { // eslint-disable-line
+    Object.defineProperties(this, {
+      /**
+       * @property {string} file
+       * The absolute path of the manifest.
+       * @readonly
+       */
+      file: {
+        enumerable: true,
+        configurable: false,
+        writable: false,
+        value: path.resolve(filepath)
+      },
+
+      /**
+       * @property {Array} modules
+       * The absolute paths of the modules the handlers (and middleware) were
+       * resolved from.
+       * @readonly
+       */
+      modules: {
+        enumerable: true,
+        configurable: false,
+        writable: false,
+        value: []
+      },
+
+      /**
+       * @property {Object} definition
+       * The parsed manifest.
+       * @private
+       */
+      definition: {
+        enumerable: false,
+        configurable: false,
+        writable: true,
+        value: null
+      }
+    })
+
+    this.definition = this.parse(fs.readFileSync(this.file, 'utf8'))
+    this.validate()
+  }
+
+  /**
+   * @method isManifest
+   * Determines whether a file is a route manifest (by extension).
+   * @param {string} filepath
+   * @return {boolean}
+   * @static
+   */
+  static isManifest(filepath) { // eslint-disable-line
+    return EXTENSIONS.indexOf(path.extname(filepath).toLowerCase()) >= 0
+  }
+
+  /**
+   * @method error
+   * Create an error referring to the manifest.
+   * @param {string} message
+   * @param {number} [line]
+   * The line of the manifest the error occurred at, if known.
+   * @return {Error}
+   * @private
+   */
+  error(message, line) { // eslint-disable-line
+    let err = new Error('Invalid route manifest ' + this.file.replace(process.cwd(), '.') + ': ' + message)
+    err.location = this.file + (line ? ':' + line : '')
+    return err
+  }
+
+  /**
+   * @method parse
+   * Parse the content of the manifest.
+   * @param {string} content
+   * @return {Object}
+   * @private
+   */
+  parse(content) { // eslint-disable-line
+    if (path.extname(this.file).toLowerCase() === '.json') {
+      try {
+        return JSON.parse(content)
+      } catch (e) {
+        let position = /at position (\d+)/.exec(e.message)
+        throw this.error(e.message, position ? content.substr(0, parseInt(position[1], 10)).split('\n').length : null)
+      }
+    }
+
+    try {
+      return yaml.safeLoad(content, { filename: this.file })
+    } catch (e) {
+      throw this.error(e.reason || e.message, e.mark ? e.mark.line + 1 : null)
+    }
+  }
+
+  /**
+   * @method validate
+   * Validate the structure of the manifest.
+   * @private
+   */
+  validate() { // eslint-disable-line
+    let manifest = this.definition
+    let problems = []
+    let reference = function (value, name) {
+      if (typeof value !== 'string' || !/^[^#]+(#[\w$]+(\.[\w$]+)*)?$/.test(value)) {
+        problems.push(name + ' must be a reference to a module export (i.e. "./handlers/users#show").')
+      }
+    }
+    let references = function (value, name) {
+      if (value !== undefined && typeof value !== 'string' && !Array.isArray(value)) {
+        problems.push(name + ' must be a reference or a list of references.')
+        return
+      }
+      list(value).forEach(function (item, i) {
+        reference(item, Array.isArray(value) ? name + '[' + i + ']' : name)
+      })
+    }
+
+    if (manifest === null || typeof manifest !== 'object' || Array.isArray(manifest)) {
+      throw this.error('The manifest must be an object with a list of "routes".')
+    }
+
+    Object.keys(manifest).forEach(function (key) {
+      if (['prefix', 'middleware', 'corsPolicies', 'routes'].indexOf(key) < 0) {
+        problems.push('Unknown property "' + key + '".')
+      }
+    })
+
+    if (manifest.prefix !== undefined && typeof manifest.prefix !== 'string') {
+      problems.push('prefix must be a string.')
+    }
+
+    references(manifest.middleware, 'middleware')
+
+    if (manifest.corsPolicies !== undefined && (manifest.corsPolicies === null || typeof manifest.corsPolicies !== 'object' || Array.isArray(manifest.corsPolicies))) {
+      problems.push('corsPolicies must be an object containing the options of each policy.')
+    }
+
+    if (!Array.isArray(manifest.routes)) {
+      problems.push('routes must be a list.')
+    } else {
+      manifest.routes.forEach(function (route, i) {
+        let name = 'routes[' + i + ']'
+
+        if (route === null || typeof route !== 'object' || Array.isArray(route)) {
+          problems.push(name + ' must be an object.')
+          return
+        }
+
+        Object.keys(route).forEach(function (key) {
+          if (['method', 'path', 'handler', 'middleware', 'cors', 'schema'].indexOf(key) < 0) {
+            problems.push(name + ' has an unknown property "' + key + '".')
+          }
+        })
+
+        if (typeof route.method !== 'string' || METHODS.indexOf(route.method.toUpperCase()) < 0) {
+          problems.push(name + '.method must be an HTTP method (i.e. "GET") or "ALL".')
+        }
+
+        if (typeof route.path !== 'string' || route.path.charAt(0) !== '/') {
+          problems.push(name + '.path must be a URL path starting with "/".')
+        }
+
+        reference(route.handler, name + '.handler')
+        references(route.middleware, name + '.middleware')
+
+        if (route.cors !== undefined && typeof route.cors !== 'string') {
+          problems.push(name + '.cors must be the name of a CORS policy.')
+        }
+
+        if (route.schema !== undefined && (route.schema === null || typeof route.schema !== 'object' || Array.isArray(route.schema))) {
+          problems.push(name + '.schema must be an object containing the JSON Schemas of the request.')
+        }
+      })
+    }
+
+    if (problems.length > 0) {
+      throw this.error(problems.length === 1 ? problems[0] : '\n  - ' + problems.join('\n  - '))
+    }
+  }
+
+  /**
+   * @method resolve
+   * Retrieve the function a reference (`module#export`) refers to.
+   * @param {string} ref
+   * @param {string} name
+   * The property of the manifest containing the reference (for errors).
+   * @return {function}
+   * @private
+   */
+  resolve(ref, name) { // eslint-disable-line
+    let parts = ref.split('#')
+    let file
+
+    try {
+      file = require.resolve(parts[0].charAt(0) === '.' ? path.resolve(path.dirname(this.file), parts[0]) : parts[0], {
+        paths: [path.dirname(this.file)]
+      })
+    } catch (e) {
+      throw this.error(name + ' refers to a module that cannot be found ("' + parts[0] + '").')
+    }
+
+    let value = require(file)
+
+    if (this.modules.indexOf(file) < 0) {
+      this.modules.push(file)
+    }
+
+    if (parts[1]) {
+      let keys = parts[1].split('.')
+      for (let i = 0; i < keys.length && value !== undefined && value !== null; i++) {
+        value = value[keys[i]]
+      }
+    }
+
+    if (typeof value !== 'function') {
+      throw this.error(name + ' ("' + ref + '") is not a function.')
+    }
+
+    return value
+  }
+
+  /**
+   * @method register
+   * Register the routes of the manifest with an `app` (the same `app` a
+   * JavaScript route module receives).
+   * @param {Object} app
+   */
+  register(app) { // eslint-disable-line
+    let me = this
+    let manifest = this.definition
+    let prefix = (manifest.prefix || '').replace(/\/+$/, '')
+    let policies = manifest.corsPolicies || {}
+    let resolveAll = function (value, name) {
+      return list(value).map(function (ref, i) {
+        return me.resolve(ref, Array.isArray(value) ? name + '[' + i + ']' : name)
+      })
+    }
+
+    // Everything is resolved before any route is registered.
+    let middleware = resolveAll(manifest.middleware, 'middleware')
+    let routes = manifest.routes.map(function (route, i) {
+      let name = 'routes[' + i + ']'
+      return {
+        method: route.method.toLowerCase(),
+        path: prefix + route.path,
+        cors: route.cors || null,
+        handlers: middleware.concat(resolveAll(route.middleware, name + '.middleware'), route.schema || [], me.resolve(route.handler, name + '.handler'))
+      }
+    })
+
+    routes.forEach(function (route, i) {
+      if (route.cors) {
+        try {
+          app.corsPolicy(staticPrefix(route.path), route.cors, policies[route.cors])
+        } catch (e) {
+          throw me.error('routes[' + i + '].cors: ' + e.message)
+        }
+      }
+      try {
+        app[route.method].apply(app, [route.path].concat(route.handlers))
+      } catch (e) {
+        throw me.error('routes[' + i + ']: ' + e.message)
+      }
+    })
+  }
+}
+
+module.exports = RouteManifest
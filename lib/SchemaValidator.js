@@ -0,0 +1,490 @@
+'use strict'
+
+const net = require('net')
+
+const TARGETS = ['params', 'query', 'headers', 'body', 'response']
+
+// Attributes describing a route (see NGNX.http.OpenAPI), which are not validated.
+const DESCRIPTIONS = ['summary', 'description', 'tags', 'operationId', 'deprecated']
+
+const FORMATS = {
+  'date-time': /^\d{4}-\d{2}-\d{2}[Tt ]\d{2}:\d{2}:\d{2}(\.\d+)?([Zz]|[+-]\d{2}:\d{2})$/,
+  date: /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/,
+  time: /^\d{2}:\d{2}:\d{2}(\.\d+)?([Zz]|[+-]\d{2}:\d{2})?$/,
+  email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+  hostname: /^(?=.{1,253}$)[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?(\.[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?)*$/i,
+  uri: /^[a-z][a-z0-9+.-]*:[^\s]*$/i,
+  uuid: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i,
+  ipv4: function (value) {
+    return net.isIPv4(value)
+  },
+  ipv6: function (value) {
+    return net.isIPv6(value)
+  },
+  regex: function (value) {
+    try {
+      return new RegExp(value) instanceof RegExp
+    } catch (e) {
+      return false
+    }
+  }
+}
+
+// Identify the JSON Schema type of a value.
+const typeOf = function (value) {
+  if (value === null) {
+    return 'null'
+  }
+  if (Array.isArray(value)) {
+    return 'array'
+  }
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? 'integer' : 'number'
+  }
+  return typeof value
+}
+
+// Determines whether a value is of a JSON Schema type.
+const isType = function (type, value) {
+  if (type === 'number') {
+    return typeof value === 'number' && isFinite(value)
+  }
+  return typeOf(value) === type
+}
+
+// Compare JSON values.
+const equal = function (a, b) {
+  if (a === b) {
+    return true
+  }
+  if (typeOf(a) !== typeOf(b) || a === null || typeof a !== 'object') {
+    return false
+  }
+  let keys = Object.keys(a)
+  return keys.length === Object.keys(b).length && keys.every(function (key) {
+    return b.hasOwnProperty(key) && equal(a[key], b[key])
+  })
+}
+
+// Copy a JSON value.
+const clone = function (value) {
+  return value !== null && typeof value === 'object' ? JSON.parse(JSON.stringify(value)) : value
+}
+
+// Convert a (string) value to one of the types, if possible.
+const coerce = function (types, value) {
+  if (types.some(function (type) { return isType(type, value) })) {
+    return value
+  }
+  for (let i = 0; i < types.length; i++) {
+    let type = types[i]
+    if ((type === 'number' || type === 'integer') && typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value))) {
+      let number = Number(value)
+      if (isType(type, number)) {
+        return number
+      }
+    } else if (type === 'boolean' && (value === 'true' || value === 'false')) {
+      return value === 'true'
+    } else if (type === 'null' && (value === '' || value === 'null')) {
+      return null
+    } else if (type === 'string' && (typeof value === 'number' || typeof value === 'boolean')) {
+      return String(value)
+    } else if (type === 'array' && value !== undefined && !Array.isArray(value)) {
+      return [value]
+    }
+  }
+  return value
+}
+
+// Append a property name or array index to a path (i.e. `body.items[0].id`).
+const child = function (location, key) {
+  if (typeof key === 'number') {
+    return location + '[' + key + ']'
+  }
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? location + '.' + key : location + '[' + JSON.stringify(key) + ']'
+}
+
+/**
+ * @class NGNX.http.SchemaValidator
+ * Validates requests (and optionally responses) against JSON Schemas. A
+ * subset of JSON Schema draft-07 is supported:
+ *
+ * - `type` (including a list of types), `enum`, `const` and `default`.
+ * - Strings: `minLength`, `maxLength`, `pattern` and `format` (`date-time`,
+ *   `date`, `time`, `email`, `hostname`, `uri`, `uuid`, `ipv4`, `ipv6`,
+ *   `regex` and any custom #formats).
+ * - Numbers: `minimum`, `maximum`, `exclusiveMinimum`, `exclusiveMaximum`
+ *   and `multipleOf`.
+ * - Arrays: `items` (a schema or a list of schemas), `minItems`,
+ *   `maxItems` and `uniqueItems`.
+ * - Objects: `properties`, `required`, `additionalProperties`,
+ *   `minProperties` and `maxProperties`.
+ * - `allOf`, `anyOf`, `oneOf`, `not` and local references
+ *   (`$ref: '#/definitions/name'`).
+ *
+ * Values are coerced to the type of their schema when possible (i.e. the
+ * query parameter `?page=2` becomes the number `2`), except in JSON bodies.
+ * Missing properties with a `default` are populated.
+ */
+class SchemaValidator {
+  constructor(cfg) { // eslint-disable-line
+    cfg = cfg || {}
+
+    Object.defineProperties(this, {
+      /**
+       * @cfg {boolean} [responses=false]
+       * Validate JSON responses against their `response` schema. This is
+       * meant for development. Invalid responses are replaced by an error.
+       */
+      responses: {
+        enumerable: true,
+        configurable: false,
+        writable: false,
+        value: NGN.coalesce(cfg.responses, false)
+      },
+
+      /**
+       * @cfg {Object} [formats]
+       * Custom string formats, each a regular expression or a function
+       * receiving the value and returning `true` when it is valid.
+       */
+      formats: {
+        enumerable: false,
+        configurable: false,
+        writable: false,
+        value: Object.assign({}, FORMATS, cfg.formats)
+      },
+
+      /**
+       * @cfg {function} onInvalidResponse
+       * A function receiving the error describing an invalid response,
+       * along with the request and response. It is responsible for sending
+       * the (error) response.
+       */
+      onInvalidResponse: {
+        enumerable: false,
+        configurable: false,
+        writable: false,
+        value: cfg.onInvalidResponse || function (err, req, res) {
+          res.status(500).send(err.message)
+        }
+      }
+    })
+  }
+
+  /**
+   * @method validate
+   * Validate a value against a schema.
+   * ```js
+   * let result = validator.validate({ type: 'integer', minimum: 1 }, '5', 'query.page', true)
+   * // result.value === 5, result.errors.length === 0
+   * ```
+   * @param {Object} schema
+   * @param {any} value
+   * @param {string} [location='value']
+   * The path of the value, which prefixes the path of each error.
+   * @param {boolean} [coerceTypes=false]
+   * Coerce values to the type of their schema.
+   * @return {Object}
+   * The (coerced) `value` and the `errors`. Each error has the `path` of
+   * the invalid value, a `message` and the schema `keyword` it failed.
+   */
+  validate(schema, value, location, coerceTypes) { // eslint-disable-line
+    let me = this
+    let errors = []
+
+    let resolve = function (ref) {
+      if (ref === '#') {
+        return schema
+      }
+      if (ref.indexOf('#/') !== 0) {
+        throw new Error('Unsupported schema reference "' + ref + '". Only local references (i.e. "#/definitions/name") are supported.')
+      }
+      let target = schema
+      ref.substr(2).split('/').forEach(function (key) {
+        key = decodeURIComponent(key).replace(/~1/g, '/').replace(/~0/g, '~')
+        target = target && typeof target === 'object' ? target[key] : undefined
+      })
+      if (target === undefined) {
+        throw new Error('The schema reference "' + ref + '" does not exist.')
+      }
+      return target
+    }
+
+    let check = function (rule, input, at, list) {
+      let fail = function (keyword, message) {
+        list.push({ path: at, message: message, keyword: keyword })
+      }
+
+      if (rule === true || rule === undefined) {
+        return input
+      }
+      if (rule === false) {
+        fail('false', 'is not allowed')
+        return input
+      }
+      if (rule.$ref) {
+        return check(resolve(rule.$ref), input, at, list)
+      }
+
+      if (rule.type) {
+        let types = Array.isArray(rule.type) ? rule.type : [rule.type]
+        if (coerceTypes) {
+          input = coerce(types, input)
+        }
+        if (!types.some(function (type) { return isType(type, input) })) {
+          fail('type', input === undefined ? 'is required' : 'must be ' + types.map(function (type) {
+            return (/^[aeiou]/.test(type) ? 'an ' : 'a ') + type
+          }).join(' or '))
+          return input
+        }
+      }
+
+      if (rule.enum && !rule.enum.some(function (option) { return equal(option, input) })) {
+        fail('enum', 'must be one of: ' + rule.enum.map(function (option) { return JSON.stringify(option) }).join(', '))
+      }
+      if (rule.hasOwnProperty('const') && !equal(rule.const, input)) {
+        fail('const', 'must be ' + JSON.stringify(rule.const))
+      }
+
+      if (typeof input === 'string') {
+        let length = Array.from(input).length
+        if (rule.minLength !== undefined && length < rule.minLength) {
+          fail('minLength', 'must be at least ' + rule.minLength + ' characters long')
+        }
+        if (rule.maxLength !== undefined && length > rule.maxLength) {
+          fail('maxLength', 'must be at most ' + rule.maxLength + ' characters long')
+        }
+        if (rule.pattern && !(new RegExp(rule.pattern)).test(input)) {
+          fail('pattern', 'must match the pattern ' + JSON.stringify(rule.pattern))
+        }
+        let format = rule.format ? me.formats[rule.format] : null
+        if (format && !(typeof format === 'function' ? format(input) : format.test(input))) {
+          fail('format', 'must be a valid ' + rule.format)
+        }
+      }
+
+      if (typeof input === 'number') {
+        if (rule.minimum !== undefined && input < rule.minimum) {
+          fail('minimum', 'must be greater than or equal to ' + rule.minimum)
+        }
+        if (rule.maximum !== undefined && input > rule.maximum) {
+          fail('maximum', 'must be less than or equal to ' + rule.maximum)
+        }
+        if (rule.exclusiveMinimum !== undefined && input <= rule.exclusiveMinimum) {
+          fail('exclusiveMinimum', 'must be greater than ' + rule.exclusiveMinimum)
+        }
+        if (rule.exclusiveMaximum !== undefined && input >= rule.exclusiveMaximum) {
+          fail('exclusiveMaximum', 'must be less than ' + rule.exclusiveMaximum)
+        }
+        if (rule.multipleOf && Math.abs(input / rule.multipleOf - Math.round(input / rule.multipleOf)) > 1e-9) {
+          fail('multipleOf', 'must be a multiple of ' + rule.multipleOf)
+        }
+      }
+
+      if (Array.isArray(input)) {
+        if (rule.items !== undefined) {
+          input = input.map(function (item, i) {
+            let itemRule = Array.isArray(rule.items) ? rule.items[i] : rule.items
+            return check(itemRule, item, child(at, i), list)
+          })
+        }
+        if (rule.minItems !== undefined && input.length < rule.minItems) {
+          fail('minItems', 'must contain at least ' + rule.minItems + ' item(s)')
+        }
+        if (rule.maxItems !== undefined && input.length > rule.maxItems) {
+          fail('maxItems', 'must contain at most ' + rule.maxItems + ' item(s)')
+        }
+        if (rule.uniqueItems && input.some(function (item, i) {
+          return input.slice(0, i).some(function (other) { return equal(item, other) })
+        })) {
+          fail('uniqueItems', 'must not contain duplicate items')
+        }
+      }
+
+      if (typeOf(input) === 'object') {
+        let properties = rule.properties || {}
+
+        Object.keys(properties).forEach(function (key) {
+          if (input[key] === undefined && properties[key] && properties[key].default !== undefined) {
+            input[key] = clone(properties[key].default)
+          }
+        })
+
+        ;(rule.required || []).forEach(function (key) {
+          if (input[key] === undefined) {
+            list.push({ path: child(at, key), message: 'is required', keyword: 'required' })
+          }
+        })
+
+        Object.keys(input).forEach(function (key) {
+          if (properties.hasOwnProperty(key)) {
+            input[key] = check(properties[key], input[key], child(at, key), list)
+          } else if (rule.additionalProperties === false) {
+            list.push({ path: child(at, key), message: 'is not an allowed property', keyword: 'additionalProperties' })
+          } else if (rule.additionalProperties !== undefined && rule.additionalProperties !== true) {
+            input[key] = check(rule.additionalProperties, input[key], child(at, key), list)
+          }
+        })
+
+        let count = Object.keys(input).length
+        if (rule.minProperties !== undefined && count < rule.minProperties) {
+          fail('minProperties', 'must have at least ' + rule.minProperties + ' propert' + (rule.minProperties === 1 ? 'y' : 'ies'))
+        }
+        if (rule.maxProperties !== undefined && count > rule.maxProperties) {
+          fail('maxProperties', 'must have at most ' + rule.maxProperties + ' propert' + (rule.maxProperties === 1 ? 'y' : 'ies'))
+        }
+      }
+
+      ;(rule.allOf || []).forEach(function (subschema) {
+        input = check(subschema, input, at, list)
+      })
+
+      // Each branch validates a copy, so a branch that does not match cannot
+      // modify the value (i.e. by populating defaults).
+      let branches = function (subschemas) {
+        return subschemas.map(function (subschema) {
+          let branch = []
+          let result = check(subschema, clone(input), at, branch)
+          return { value: result, errors: branch }
+        }).filter(function (result) {
+          return result.errors.length === 0
+        })
+      }
+
+      if (rule.anyOf) {
+        let valid = branches(rule.anyOf)
+        if (valid.length === 0) {
+          fail('anyOf', 'must match at least one of the allowed schemas')
+        } else {
+          input = valid[0].value
+        }
+      }
+
+      if (rule.oneOf) {
+        let valid = branches(rule.oneOf)
+        if (valid.length !== 1) {
+          fail('oneOf', valid.length === 0 ? 'must match one of the allowed schemas' : 'must match only one of the allowed schemas')
+        } else {
+          input = valid[0].value
+        }
+      }
+
+      if (rule.not !== undefined && branches([rule.not]).length > 0) {
+        fail('not', 'must not match the schema')
+      }
+
+      return input
+    }
+
+    value = check(schema, value, location || 'value', errors)
+
+    return {
+      value: value,
+      errors: errors
+    }
+  }
+
+  /**
+   * @method getResponseSchema
+   * Identify the schema of a response. The `response` schema may be a
+   * single schema (applied to successful responses), or a collection of
+   * schemas keyed by status code (`200`), status class (`4XX`) or
+   * `default`.
+   * @param {Object} schema
+   * The `response` schema.
+   * @param {number} status
+   * @return {Object}
+   * The schema, or `null` if the response is not validated.
+   * @private
+   */
+  getResponseSchema(schema, status) { // eslint-disable-line
+    let keys = Object.keys(schema)
+    if (keys.length === 0 || !keys.every(function (key) { return /^([1-5](\d\d|XX)|default)$/i.test(key) })) {
+      return status >= 200 && status < 300 ? schema : null
+    }
+    let code = String(status)
+    return NGN.coalesce(schema[code], schema[code.charAt(0) + 'XX'], schema[code.charAt(0) + 'xx'], schema.default, null)
+  }
+
+  /**
+   * @method middleware
+   * Create the Express middleware validating the requests of a route. It
+   * responds to invalid requests with a `400 Bad Request` error listing
+   * every invalid value (see #validate). Valid (coerced) values replace
+   * `req.params`, `req.query` and `req.body`. Header names must be
+   * lowercase (and header values are not modified).
+   * @param {Object} schemas
+   * The schemas of the `params`, `query`, `headers`, `body` and
+   * `response`. The route may also be described with a `summary`,
+   * `description`, `tags`, `operationId` and `deprecated` flag (see
+   * NGNX.http.OpenAPI). These are available as the `schemas` attribute of
+   * the middleware.
+   * @return {function}
+   */
+  middleware(schemas) { // eslint-disable-line
+    let me = this
+
+    Object.keys(schemas).forEach(function (key) {
+      if (TARGETS.indexOf(key) < 0 && DESCRIPTIONS.indexOf(key) < 0) {
+        throw new Error('Unsupported schema "' + key + '". Schemas can be provided for: ' + TARGETS.join(', ') + '.')
+      }
+    })
+
+    let targets = TARGETS.filter(function (target) {
+      return target !== 'response' && schemas[target] !== undefined
+    })
+
+    let validateRequest = function validateRequest (req, res, next) {
+      let errors = []
+
+      targets.forEach(function (target) {
+        let json = target === 'body' && Boolean(req.is(['json', '+json']))
+        let result = me.validate(schemas[target], target === 'headers' ? Object.assign({}, req.headers) : req[target], target, !json)
+
+        errors = errors.concat(result.errors)
+        if (target !== 'headers') {
+          req[target] = result.value
+        }
+      })
+
+      if (errors.length > 0) {
+        let err = new Error('The request is invalid.')
+        err.status = 400
+        err.problem = {
+          errors: errors
+        }
+        return next(err)
+      }
+
+      if (schemas.response && me.responses) {
+        let json = res.json
+        res.json = function (body) {
+          res.json = json
+
+          let schema = me.getResponseSchema(schemas.response, res.statusCode)
+          let result = schema ? me.validate(schema, body, 'response') : { errors: [] }
+
+          if (result.errors.length > 0) {
+            let err = new Error('The response does not match its schema.')
+            err.status = 500
+            err.problem = {
+              errors: result.errors
+            }
+            return me.onInvalidResponse(err, req, res)
+          }
+
+          return json.apply(res, arguments)
+        }
+      }
+
+      next()
+    }
+
+    validateRequest.schemas = schemas
+
+    return validateRequest
+  }
+}
+
+module.exports = SchemaValidator
@@ -0,0 +1,564 @@
+'use strict'
+
+const crypto = require('crypto')
+const MemoryStore = require('./MemoryStore')
+const FileStore = require('./FileStore')
+
+const STORES = ['memory', 'file', 'cookie']
+
+// Encode a buffer as base64url.
+const base64url = function (buffer) {
+  return buffer.toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_')
+}
+
+// Decode a base64url string.
+const decode = function (value) {
+  return Buffer.from(value.replace(/-/g, '+').replace(/_/g, '/'), 'base64')
+}
+
+/**
+ * @class NGNX.http.Sessions
+ * Cookie-based sessions. Each session is a plain object available as
+ * `req.session`. Its data is saved when the response is sent, if it changed.
+ * New sessions are only saved (and the cookie only sent) once data is
+ * assigned to them.
+ * ```js
+ * app.post('/login', function (req, res) {
+ *   let user = users.login(req.body.username, req.body.password)
+ *   req.session.regenerate()
+ *   req.session.userId = user.id
+ *   res.sendStatus(204)
+ * })
+ *
+ * app.post('/logout', function (req, res) {
+ *   req.session.destroy()
+ *   res.sendStatus(204)
+ * })
+ * ```
+ * Besides its data, the session has (non-enumerable) members:
+ *
+ * - `id`: The session ID (`null` when the data is kept in the cookie).
+ * - `expires`: The `Date` the session expires.
+ * - `regenerate()`: Assign a new ID to the session, keeping its data. Do
+ *   this whenever the privileges of a session change (i.e. after logging
+ *   in) to prevent session fixation.
+ * - `destroy()`: Remove the session data and the cookie.
+ *
+ * By default, the cookie contains a random session ID signed with the
+ * first #secret (HMAC-SHA256), and the data is kept in a #store. With the
+ * `cookie` store, the data itself is encrypted (AES-256-GCM) into the
+ * cookie instead, so no server-side state is kept.
+ *
+ * Keys are rotated by adding a new secret to the front of the list.
+ * Cookies signed (or encrypted) with the older secrets remain valid and are
+ * replaced by cookies using the new secret on their next request.
+ *
+ * Since the cookie is a response header, changes made to the session after
+ * the response headers are sent (i.e. while streaming) are not saved by the
+ * `cookie` store.
+ */
+class Sessions {
+  constructor(cfg) { // eslint-disable-line
+    cfg = cfg || {}
+
+    let secrets = [].concat(cfg.secret || [])
+    if (secrets.length === 0) {
+      throw new Error('Sessions require a secret.')
+    }
+
+    let store = cfg.store || 'memory'
+    if (typeof store === 'string' && STORES.indexOf(store) < 0) {
+      throw new Error('Unrecognized session store "' + store + '". Valid stores are: ' + STORES.join(', ') + ' (or a custom store).')
+    }
+
+    Object.defineProperties(this, {
+      /**
+       * @cfg {string|Array} secret (required)
+       * The secret(s) used to sign (or encrypt) the cookies. The first
+       * secret is used for new cookies, while all of them are accepted.
+       */
+      /**
+       * @property {Array} keys
+       * The signing (`sign`) and encryption (`encrypt`) keys derived from
+       * each secret, in order.
+       * @private
+       */
+      keys: {
+        enumerable: false,
+        configurable: false,
+        writable: false,
+        value: secrets.map(function (secret) {
+          return {
+            sign: crypto.createHmac('sha256', secret).update('ngnx-session-signature').digest(),
+            encrypt: crypto.createHmac('sha256', secret).update('ngnx-session-encryption').digest()
+          }
+        })
+      },
+
+      /**
+       * @cfg {string} [name=sid]
+       * The name of the cookie.
+       */
+      name: {
+        enumerable: true,
+        configurable: false,
+        writable: false,
+        value: cfg.name || 'sid'
+      },
+
+      /**
+       * @cfg {number} [maxAge=86400000]
+       * The number of milliseconds a session lasts (24 hours by default).
+       */
+      maxAge: {
+        enumerable: true,
+        configurable: false,
+        writable: false,
+        value: NGN.coalesce(cfg.maxAge, 86400000)
+      },
+
+      /**
+       * @cfg {boolean} [rolling=true]
+       * Extend the expiration of a session by #maxAge on every request.
+       * When disabled, sessions expire #maxAge after they are created.
+       */
+      rolling: {
+        enumerable: true,
+        configurable: false,
+        writable: false,
+        value: NGN.coalesce(cfg.rolling, true)
+      },
+
+      /**
+       * @cfg {Object} [cookie]
+       * The attributes of the cookie:
+       *
+       * - `path`: Defaults to `/`.
+       * - `domain`: Defaults to the host of the request.
+       * - `sameSite`: `Strict`, `Lax` (default) or `None`.
+       * - `secure`: `true`, `false` or `auto` (default), which marks the
+       *   cookie secure when the request is made over HTTPS.
+       * - `httpOnly`: Defaults to `true`.
+       */
+      cookie: {
+        enumerable: true,
+        configurable: false,
+        writable: false,
+        value: Object.assign({
+          path: '/',
+          sameSite: 'Lax',
+          secure: 'auto',
+          httpOnly: true
+        }, cfg.cookie)
+      },
+
+      /**
+       * @cfg {string|Object} [store=memory]
+       * Where session data is kept:
+       *
+       * - `memory`: In process memory (see NGNX.http.MemoryStore).
+       * - `file`: In JSON files within the #dir (see NGNX.http.FileStore).
+       * - `cookie`: Encrypted into the cookie itself. Browsers limit
+       *   cookies to about 4KB, so this suits small sessions only.
+       *
+       * A custom store (i.e. Redis) must implement `get(key, callback)`,
+       * `set(key, value, ttl, callback)` and `delete(key, callback)`.
+       */
+      /**
+       * @cfg {string} [dir]
+       * The directory of the `file` store.
+       */
+      /**
+       * @property {Object} store
+       * The session store, or `null` when the data is kept in the cookie.
+       * @readonly
+       */
+      store: {
+        enumerable: false,
+        configurable: false,
+        writable: false,
+        value: (function () {
+          switch (store) {
+            case 'memory':
+              return new MemoryStore()
+            case 'file':
+              return new FileStore({ dir: cfg.dir })
+            case 'cookie':
+              return null
+            default:
+              return store
+          }
+        })()
+      },
+
+      /**
+       * @cfg {function} skip
+       * A function that receives the request and returns `true` when the
+       * request should not have a session.
+       */
+      skip: {
+        enumerable: false,
+        configurable: false,
+        writable: false,
+        value: cfg.skip || function () {
+          return false
+        }
+      },
+
+      /**
+       * @cfg {function} onError
+       * A function receiving errors that occur while saving sessions (and
+       * the request). The response is still sent.
+       */
+      onError: {
+        enumerable: false,
+        configurable: false,
+        writable: false,
+        value: cfg.onError || null
+      }
+    })
+  }
+
+  /**
+   * @method sign
+   * Sign a session ID.
+   * @param {string} id
+   * @param {Object} [key]
+   * Defaults to the current key.
+   * @return {string}
+   * The cookie value.
+   * @private
+   */
+  sign(id, key) { // eslint-disable-line
+    return id + '.' + base64url(crypto.createHmac('sha256', (key || this.keys[0]).sign).update(id).digest())
+  }
+
+  /**
+   * @method unsign
+   * Verify a signed session ID.
+   * @param {string} value
+   * The cookie value.
+   * @return {Object}
+   * The session `id` and whether it was signed with an older key
+   * (`stale`), or `null` if the signature is invalid.
+   * @private
+   */
+  unsign(value) { // eslint-disable-line
+    let id = value.split('.')[0]
+    let actual = Buffer.from(value)
+
+    for (let i = 0; i < this.keys.length; i++) {
+      let expected = Buffer.from(this.sign(id, this.keys[i]))
+      if (expected.length === actual.length && crypto.timingSafeEqual(expected, actual)) {
+        return { id: id, stale: i > 0 }
+      }
+    }
+
+    return null
+  }
+
+  /**
+   * @method encrypt
+   * Encrypt a session record into a cookie value.
+   * @param {Object} record
+   * @return {string}
+   * @private
+   */
+  encrypt(record) { // eslint-disable-line
+    let iv = crypto.randomBytes(12)
+    let cipher = crypto.createCipheriv('aes-256-gcm', this.keys[0].encrypt, iv)
+    let content = Buffer.concat([cipher.update(JSON.stringify(record), 'utf8'), cipher.final()])
+    return base64url(Buffer.concat([iv, cipher.getAuthTag(), content]))
+  }
+
+  /**
+   * @method decrypt
+   * Decrypt a cookie value.
+   * @param {string} value
+   * @return {Object}
+   * The session `record` and whether it was encrypted with an older key
+   * (`stale`), or `null` if it cannot be decrypted.
+   * @private
+   */
+  decrypt(value) { // eslint-disable-line
+    let buffer = decode(value)
+    if (buffer.length < 29) {
+      return null
+    }
+
+    for (let i = 0; i < this.keys.length; i++) {
+      try {
+        let decipher = crypto.createDecipheriv('aes-256-gcm', this.keys[i].encrypt, buffer.slice(0, 12))
+        decipher.setAuthTag(buffer.slice(12, 28))
+        let content = Buffer.concat([decipher.update(buffer.slice(28)), decipher.final()]).toString('utf8')
+        return { record: JSON.parse(content), stale: i > 0 }
+      } catch (e) {}
+    }
+
+    return null
+  }
+
+  /**
+   * @method getCookie
+   * Read the session cookie of a request.
+   * @param {http.IncomingMessage} req
+   * @return {string}
+   * The cookie value, or `null` if there is none.
+   * @private
+   */
+  getCookie(req) { // eslint-disable-line
+    let cookies = String(req.headers.cookie || '').split(';')
+
+    for (let i = 0; i < cookies.length; i++) {
+      let separator = cookies[i].indexOf('=')
+      if (separator > 0 && cookies[i].substr(0, separator).trim() === this.name) {
+        let value = cookies[i].substr(separator + 1).trim().replace(/^"|"$/g, '')
+        try {
+          return decodeURIComponent(value)
+        } catch (e) {
+          return value
+        }
+      }
+    }
+
+    return null
+  }
+
+  /**
+   * @method load
+   * Load the session of a request.
+   * @param {http.IncomingMessage} req
+   * @param {function} callback
+   * Receives an error (if the store fails) and the `id`, `record` (the
+   * session `data` and its `expires` time) and whether the cookie must be
+   * renewed (`stale`). The record is `null` when there is no (valid)
+   * session.
+   * @private
+   */
+  load(req, callback) { // eslint-disable-line
+    let value = this.getCookie(req)
+    let empty = { id: null, record: null, stale: false }
+    let valid = function (record) {
+      return record !== null && typeof record === 'object' && typeof record.data === 'object' && record.expires > Date.now()
+    }
+
+    if (value === null) {
+      return callback(null, empty)
+    }
+
+    if (this.store === null) {
+      let decrypted = this.decrypt(value)
+      return callback(null, decrypted && valid(decrypted.record) ? { id: null, record: decrypted.record, stale: decrypted.stale } : empty)
+    }
+
+    let signed = this.unsign(value)
+    if (signed === null) {
+      return callback(null, empty)
+    }
+
+    this.store.get('session:' + signed.id, function (err, record) {
+      if (err) {
+        return callback(err)
+      }
+      callback(null, valid(record || null) ? { id: signed.id, record: record, stale: signed.stale } : empty)
+    })
+  }
+
+  /**
+   * @method createSession
+   * Create the `req.session` object, which has the (non-enumerable) `id`,
+   * `expires`, `regenerate()` and `destroy()` members.
+   * @param {Object} state
+   * The state of the session, tracking its `id`, `expires` time and
+   * whether it was `regenerated` or `destroyed`.
+   * @param {Object} data
+   * @return {Object}
+   * @private
+   */
+  createSession(state, data) { // eslint-disable-line
+    let me = this
+    let session = Object.assign({}, data)
+
+    Object.defineProperties(session, {
+      id: {
+        enumerable: false,
+        get: function () {
+          return state.id
+        }
+      },
+
+      expires: {
+        enumerable: false,
+        get: function () {
+          return new Date(state.expires)
+        }
+      },
+
+      regenerate: {
+        enumerable: false,
+        value: function () {
+          if (me.store !== null) {
+            if (state.id !== null && state.previous === null) {
+              state.previous = state.id
+            }
+            state.id = base64url(crypto.randomBytes(24))
+          }
+          state.regenerated = true
+          state.destroyed = false
+        }
+      },
+
+      destroy: {
+        enumerable: false,
+        value: function () {
+          Object.keys(session).forEach(function (key) {
+            delete session[key]
+          })
+          state.destroyed = true
+        }
+      }
+    })
+
+    return session
+  }
+
+  /**
+   * @property {function} middleware
+   * The Express middleware that loads the session of each request as
+   * `req.session`, and saves it when the response is sent.
+   * @readonly
+   */
+  get middleware() { // eslint-disable-line
+    let me = this
+    return function session (req, res, next) {
+      if (req.session || me.skip(req)) {
+        return next()
+      }
+
+      me.load(req, function (err, loaded) {
+        if (err) {
+          return next(err)
+        }
+
+        let now = Date.now()
+        let state = {
+          id: loaded.id || (me.store !== null ? base64url(crypto.randomBytes(24)) : null),
+          previous: null,
+          expires: loaded.record && !me.rolling ? loaded.record.expires : now + me.maxAge,
+          regenerated: false,
+          destroyed: false
+        }
+        let existing = loaded.record !== null
+        let initial = JSON.stringify(existing ? loaded.record.data : {})
+        let writeHead = res.writeHead
+        let end = res.end
+        let cookieSent = false
+
+        req.session = me.createSession(state, existing ? loaded.record.data : {})
+
+        let changed = function () {
+          return state.regenerated || JSON.stringify(req.session) !== initial
+        }
+
+        // Whether the session exists (or should) after this request.
+        let persisted = function () {
+          return !state.destroyed && (existing || changed())
+        }
+
+        // Whether the session record must be written.
+        let modified = function () {
+          return persisted() && (changed() || me.rolling)
+        }
+
+        let options = function (expires) {
+          let cookie = Object.assign({}, me.cookie)
+          cookie.secure = cookie.secure === 'auto' ? req.secure : cookie.secure
+          if (expires !== undefined) {
+            cookie.expires = expires
+          }
+          return cookie
+        }
+
+        let setCookie = function () {
+          cookieSent = true
+
+          if (state.destroyed) {
+            if (existing) {
+              res.cookie(me.name, '', options(new Date(0)))
+            }
+            return
+          }
+
+          if (!persisted() || !(modified() || loaded.stale || !existing)) {
+            return
+          }
+
+          let value = me.store === null ? me.encrypt({ data: req.session, expires: state.expires }) : me.sign(state.id)
+          if (value.length > 4000) {
+            if (me.onError) {
+              me.onError(new Error('The session cookie exceeds 4KB, so browsers would discard it.'), req)
+            }
+            return
+          }
+
+          res.cookie(me.name, value, options(new Date(state.expires)))
+        }
+
+        res.writeHead = function () {
+          if (!cookieSent) {
+            setCookie()
+          }
+          return writeHead.apply(res, arguments)
+        }
+
+        res.end = function () {
+          let args = arguments
+
+          if (me.store === null || res.finished) {
+            return end.apply(res, args)
+          }
+
+          let tasks = []
+          if (state.previous !== null || (state.destroyed && existing)) {
+            tasks.push(function (done) {
+              me.store.delete('session:' + (state.previous || state.id), done)
+            })
+          }
+          if (modified()) {
+            tasks.push(function (done) {
+              me.store.set('session:' + state.id, {
+                data: JSON.parse(JSON.stringify(req.session)),
+                expires: state.expires
+              }, Math.max(state.expires - Date.now(), 1), done)
+            })
+          }
+
+          let pending = tasks.length
+          let finish = function (err) {
+            if (err && me.onError) {
+              me.onError(err, req)
+            }
+            pending--
+            if (pending <= 0) {
+              end.apply(res, args)
+            }
+          }
+
+          if (pending === 0) {
+            return end.apply(res, args)
+          }
+
+          tasks.forEach(function (task) {
+            task(finish)
+          })
+
+          return res
+        }
+
+        next()
+      })
+    }
+  }
+}
+
+module.exports = Sessions
@@ -0,0 +1,407 @@
+'use strict'
+
+const fs = require('fs')
+const path = require('path')
+
+// Precompressed variants, in order of preference.
+const VARIANTS = [
+  { encoding: 'br', extension: '.br' },
+  { encoding: 'gzip', extension: '.gz' }
+]
+
+// Generate a weak ETag from file stats.
+const etag = function (stat, suffix) {
+  return 'W/"' + stat.size.toString(16) + '-' + stat.mtime.getTime().toString(16) + (suffix ? '-' + suffix : '') + '"'
+}
+
+/**
+ * @class NGNX.http.StaticFiles
+ * Serves the files of a directory. Responses include `ETag`,
+ * `Last-Modified` and `Cache-Control` headers, and conditional requests are
+ * answered with `304 Not Modified`. When a precompressed variant of a file
+ * exists (i.e. `app.js.br` or `app.js.gz`) and the client accepts the
+ * encoding, the variant is served instead.
+ *
+ * File metadata is cached. Cached metadata is checked against the file
+ * system before it is used (see #revalidate), or removed by calling
+ * #invalidate when a file changes.
+ */
+class StaticFiles {
+  constructor(cfg) { // eslint-disable-line
+    cfg = cfg || {}
+
+    if (!cfg.dir) {
+      throw new Error('A directory is required to serve static files.')
+    }
+
+    let prefix = ('/' + (cfg.prefix || '/')).replace(/\/+/g, '/')
+
+    Object.defineProperties(this, {
+      /**
+       * @cfg {string} dir (required)
+       * The directory containing the files.
+       */
+      dir: {
+        enumerable: true,
+        configurable: false,
+        writable: false,
+        value: path.resolve(cfg.dir)
+      },
+
+      /**
+       * @cfg {string} [prefix=/]
+       * The URL path the files are served from.
+       */
+      prefix: {
+        enumerable: true,
+        configurable: false,
+        writable: false,
+        value: prefix.length > 1 ? prefix.replace(/\/$/, '') : prefix
+      },
+
+      /**
+       * @cfg {string|boolean} [index=index.html]
+       * The file served for directory requests. Set this to `false` to
+       * disable directory indexes.
+       */
+      index: {
+        enumerable: true,
+        configurable: false,
+        writable: false,
+        value: NGN.coalesce(cfg.index, 'index.html')
+      },
+
+      /**
+       * @cfg {string|boolean} [fallback=false]
+       * Serve a file (relative to the #dir) for GET requests accepting HTML
+       * that are not handled by any file or route, i.e. for single page
+       * applications using client-side routing. Set this to `true` to use
+       * `index.html`.
+       */
+      fallback: {
+        enumerable: true,
+        configurable: false,
+        writable: false,
+        value: cfg.fallback ? path.join(path.resolve(cfg.dir), cfg.fallback === true ? 'index.html' : cfg.fallback) : null
+      },
+
+      /**
+       * @cfg {string|function} [cacheControl=public, max-age=0]
+       * The `Cache-Control` header. This may be a function receiving the
+       * path of the file (relative to the #dir) and returning the header.
+       */
+      cacheControl: {
+        enumerable: false,
+        configurable: false,
+        writable: false,
+        value: cfg.cacheControl || 'public, max-age=0'
+      },
+
+      /**
+       * @cfg {boolean} [precompressed=true]
+       * Serve precompressed (`.br` and `.gz`) variants of files.
+       */
+      precompressed: {
+        enumerable: true,
+        configurable: false,
+        writable: false,
+        value: NGN.coalesce(cfg.precompressed, true)
+      },
+
+      /**
+       * @cfg {boolean} [revalidate=true]
+       * Compare the size and modification time of a cached file (and its
+       * cached precompressed variants) with the file system before the
+       * cached metadata is used. This may be disabled when #invalidate is
+       * called for every change, i.e. when the directory is monitored.
+       */
+      revalidate: {
+        enumerable: true,
+        configurable: false,
+        writable: false,
+        value: NGN.coalesce(cfg.revalidate, true)
+      },
+
+      /**
+       * @property {Map} cache
+       * The metadata of each file, keyed by path.
+       * @private
+       */
+      cache: {
+        enumerable: false,
+        configurable: false,
+        writable: false,
+        value: new Map()
+      }
+    })
+  }
+
+  /**
+   * @method resolve
+   * Identify the file requested by a URL path.
+   * @param {string} urlpath
+   * @return {string}
+   * The absolute path of the file, or `null` if the URL is outside of the
+   * #prefix or refers to a hidden (dot) file.
+   */
+  resolve(urlpath) { // eslint-disable-line
+    if (this.prefix !== '/') {
+      if (urlpath !== this.prefix && urlpath.indexOf(this.prefix + '/') !== 0) {
+        return null
+      }
+      urlpath = urlpath.substr(this.prefix.length) || '/'
+    }
+
+    try {
+      urlpath = decodeURIComponent(urlpath)
+    } catch (e) {
+      return null
+    }
+
+    // Normalizing an absolute path prevents traversal outside of the directory.
+    let relative = path.posix.normalize('/' + urlpath.replace(/\\/g, '/'))
+    if (relative.indexOf('\u0000') >= 0 || /\/\./.test(relative)) {
+      return null
+    }
+
+    return path.join(this.dir, relative)
+  }
+
+  /**
+   * @method lookup
+   * Retrieve the (cached) metadata of a file.
+   * @param {string} file
+   * The absolute path of the file.
+   * @param {function} callback
+   * Receives an error and the metadata (`file`, `stat`, `directory`,
+   * `etag` and precompressed `variants`), or `null` if the file does
+   * not exist.
+   */
+  lookup(file, callback) { // eslint-disable-line
+    let me = this
+
+    if (this.cache.has(file)) {
+      let cached = this.cache.get(file)
+      if (!this.revalidate) {
+        return callback(null, cached)
+      }
+      return this.isCurrent(cached, function (current) {
+        if (current) {
+          return callback(null, cached)
+        }
+        me.cache.delete(file)
+        me.lookup(file, callback)
+      })
+    }
+
+    fs.stat(file, function (err, stat) {
+      if (err) {
+        return callback(err.code === 'ENOENT' || err.code === 'ENOTDIR' ? null : err, null)
+      }
+
+      let meta = {
+        file: file,
+        stat: stat,
+        directory: stat.isDirectory(),
+        etag: etag(stat),
+        variants: []
+      }
+
+      if (meta.directory || !me.precompressed) {
+        me.cache.set(file, meta)
+        return callback(null, meta)
+      }
+
+      let pending = VARIANTS.length
+      let variants = []
+      VARIANTS.forEach(function (variant, i) {
+        fs.stat(file + variant.extension, function (err, vstat) {
+          if (!err && vstat.isFile()) {
+            variants[i] = {
+              encoding: variant.encoding,
+              file: file + variant.extension,
+              stat: vstat,
+              etag: etag(vstat, variant.encoding)
+            }
+          }
+          if (--pending === 0) {
+            meta.variants = variants.filter(Boolean)
+            me.cache.set(file, meta)
+            callback(null, meta)
+          }
+        })
+      })
+    })
+  }
+
+  /**
+   * @method isCurrent
+   * Determine whether cached metadata still matches the file system.
+   * @param {Object} meta
+   * The cached metadata (see #lookup).
+   * @param {function} callback
+   * Receives `true` when the size and modification time of the file and of
+   * each of its precompressed variants are unchanged.
+   * @private
+   */
+  isCurrent(meta, callback) { // eslint-disable-line
+    let entries = [meta].concat(meta.variants)
+    let pending = entries.length
+    let current = true
+
+    entries.forEach(function (entry) {
+      fs.stat(entry.file, function (err, stat) {
+        if (err || stat.size !== entry.stat.size || stat.mtime.getTime() !== entry.stat.mtime.getTime()) {
+          current = false
+        }
+        if (--pending === 0) {
+          callback(current)
+        }
+      })
+    })
+  }
+
+  /**
+   * @method invalidate
+   * Remove the cached metadata of a file (and of the file it is a
+   * precompressed variant of).
+   * @param {string} file
+   * The absolute path of the file.
+   */
+  invalidate(file) { // eslint-disable-line
+    let me = this
+    file = path.resolve(file)
+    this.cache.delete(file)
+    this.cache.delete(path.dirname(file))
+    VARIANTS.forEach(function (variant) {
+      if (file.substr(-variant.extension.length) === variant.extension) {
+        me.cache.delete(file.substr(0, file.length - variant.extension.length))
+      }
+    })
+  }
+
+  /**
+   * @method send
+   * Send a file.
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse} res
+   * @param {Object} meta
+   * The metadata of the file (see #lookup).
+   * @param {function} next
+   * Receives an error if the file cannot be read.
+   */
+  send(req, res, meta, next) { // eslint-disable-line
+    let source = meta
+    let relative = path.relative(this.dir, meta.file).split(path.sep).join('/')
+
+    if (meta.variants.length > 0) {
+      let encoding = req.acceptsEncodings(meta.variants.map(function (variant) {
+        return variant.encoding
+      }).concat('identity'))
+      source = meta.variants.filter(function (variant) {
+        return variant.encoding === encoding
+      })[0] || meta
+      res.vary('Accept-Encoding')
+    }
+
+    res.type(path.extname(meta.file) || 'application/octet-stream')
+    res.set({
+      'Cache-Control': typeof this.cacheControl === 'function' ? this.cacheControl(relative) : this.cacheControl,
+      'Last-Modified': source.stat.mtime.toUTCString(),
+      'ETag': source.etag
+    })
+
+    if (source !== meta) {
+      res.set('Content-Encoding', source.encoding)
+    }
+
+    if (req.fresh) {
+      res.status(304).end()
+      return
+    }
+
+    res.set('Content-Length', String(source.stat.size))
+
+    if (req.method === 'HEAD') {
+      res.end()
+      return
+    }
+
+    let stream = fs.createReadStream(source.file)
+    stream.on('error', next)
+    stream.pipe(res)
+  }
+
+  /**
+   * @method serveFallback
+   * Serve the #fallback file for an unhandled request, if applicable.
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse} res
+   * @param {function} next
+   * Called if the fallback is not applicable or cannot be read.
+   */
+  serveFallback(req, res, next) { // eslint-disable-line
+    let me = this
+
+    if (!this.fallback || (req.method !== 'GET' && req.method !== 'HEAD') || this.resolve(req.path) === null || !req.accepts('html')) {
+      return next()
+    }
+
+    this.lookup(this.fallback, function (err, meta) {
+      if (err || !meta || meta.directory) {
+        return next(err)
+      }
+      me.send(req, res, meta, next)
+    })
+  }
+
+  /**
+   * @property {function} middleware
+   * The Express middleware that serves the files.
+   * @readonly
+   */
+  get middleware() { // eslint-disable-line
+    let me = this
+    return function staticFiles (req, res, next) {
+      if (req.method !== 'GET' && req.method !== 'HEAD') {
+        return next()
+      }
+
+      let file = me.resolve(req.path)
+      if (file === null) {
+        return next()
+      }
+
+      me.lookup(file, function (err, meta) {
+        if (err || !meta) {
+          return next(err)
+        }
+
+        if (!meta.directory) {
+          return me.send(req, res, meta, next)
+        }
+
+        if (!me.index) {
+          return next()
+        }
+
+        // Redirect to the trailing slash so relative URLs of the index resolve.
+        // Leading slashes are collapsed to prevent protocol-relative redirects.
+        if (req.path.substr(-1) !== '/') {
+          let url = req.originalUrl.split('?')
+          url[0] = url[0].replace(/^\/+/, '/') + '/'
+          return res.redirect(301, url.join('?'))
+        }
+
+        me.lookup(path.join(file, me.index), function (err, index) {
+          if (err || !index || index.directory) {
+            return next(err)
+          }
+          me.send(req, res, index, next)
+        })
+      })
+    }
+  }
+}
+
+module.exports = StaticFiles
@@ -0,0 +1,284 @@
+'use strict'
+
+const http = require('http')
+const url = require('url')
+const WebSocket = require('ws')
+
+// Convert a URL path (i.e. `/chat/:room`) to a regular expression.
+const compile = function (urlpath) {
+  let keys = []
+  let expression = urlpath.replace(/\/+$/, '').split('/').map(function (segment) {
+    if (segment.charAt(0) === ':') {
+      keys.push(segment.substr(1))
+      return '([^/]+)'
+    }
+    if (segment === '*') {
+      keys.push(String(keys.length))
+      return '(.*)'
+    }
+    return segment.replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+  }).join('/')
+
+  return {
+    keys: keys,
+    regexp: new RegExp('^' + expression + '\\/?$', 'i')
+  }
+}
+
+/**
+ * @class NGNX.http.WebSockets
+ * Accepts WebSocket connections for registered endpoints. Upgrade requests
+ * are matched against the endpoints (in the order they were added), and the
+ * handler of the endpoint receives the connected socket (a `ws` WebSocket)
+ * and the upgrade request. Path parameters are available as `req.params`.
+ *
+ * Upgrade requests that do not match an endpoint are rejected with
+ * `404 Not Found`. Requests rejected by #verify respond with `403 Forbidden`.
+ */
+class WebSockets {
+  constructor(cfg) { // eslint-disable-line
+    cfg = cfg || {}
+
+    Object.defineProperties(this, {
+      /**
+       * @property {Array} endpoints
+       * The registered endpoints, each containing the `path`, `handler` and
+       * `src` (the module the endpoint originates from).
+       * @private
+       */
+      endpoints: {
+        enumerable: false,
+        configurable: false,
+        writable: true,
+        value: []
+      },
+
+      /**
+       * @cfg {function} verify
+       * A function receiving the upgrade request and returning `true` when
+       * the connection may be accepted (i.e. to check the `Origin`).
+       */
+      verify: {
+        enumerable: false,
+        configurable: false,
+        writable: false,
+        value: cfg.verify || function () {
+          return true
+        }
+      },
+
+      /**
+       * @cfg {function} onError
+       * A function receiving errors thrown (or rejected) by endpoint
+       * handlers, along with the upgrade request.
+       */
+      onError: {
+        enumerable: false,
+        configurable: false,
+        writable: false,
+        value: cfg.onError || function (err) {
+          console.error(err.stack || String(err))
+        }
+      },
+
+      /**
+       * @cfg {number} [maxPayload=1048576]
+       * The maximum size (in bytes) of a message. Connections receiving
+       * larger messages are closed.
+       */
+      /**
+       * @cfg {boolean|Object} [perMessageDeflate=false]
+       * Enable the `permessage-deflate` extension (see the `ws` module).
+       */
+      /**
+       * @property {WebSocket.Server} server
+       * The WebSocket server handling the handshakes.
+       * @private
+       */
+      server: {
+        enumerable: false,
+        configurable: false,
+        writable: false,
+        value: new WebSocket.Server({
+          noServer: true,
+          maxPayload: NGN.coalesce(cfg.maxPayload, 1048576),
+          perMessageDeflate: NGN.coalesce(cfg.perMessageDeflate, false)
+        })
+      }
+    })
+  }
+
+  /**
+   * @property {Set} clients
+   * The open connections.
+   * @readonly
+   */
+  get clients() { // eslint-disable-line
+    return this.server.clients
+  }
+
+  /**
+   * @method add
+   * Register an endpoint.
+   * @param {string} urlpath
+   * The URL path of the endpoint. Path parameters (i.e. `/chat/:room`) are
+   * supported.
+   * @param {function} handler
+   * Receives the socket and the upgrade request.
+   * @param {string} [source]
+   * The module registering the endpoint.
+   * @return {Object}
+   * The endpoint.
+   */
+  add(urlpath, handler, source) { // eslint-disable-line
+    if (typeof handler !== 'function') {
+      throw new Error('A WebSocket handler is required for "' + urlpath + '".')
+    }
+
+    urlpath = ('/' + urlpath).replace(/\/+/g, '/')
+
+    let endpoint = Object.assign({
+      path: urlpath.length > 1 ? urlpath.replace(/\/$/, '') : urlpath,
+      handler: handler,
+      src: source || null
+    }, compile(urlpath))
+
+    this.endpoints.push(endpoint)
+
+    return endpoint
+  }
+
+  /**
+   * @method remove
+   * Remove the endpoints originating from a module. Open connections are
+   * not affected.
+   * @param {string} source
+   * The module.
+   * @return {number}
+   * The number of endpoints removed.
+   */
+  remove(source) { // eslint-disable-line
+    let count = this.endpoints.length
+    this.endpoints = this.endpoints.filter(function (endpoint) {
+      return endpoint.src !== source
+    })
+    return count - this.endpoints.length
+  }
+
+  /**
+   * @method match
+   * Identify the endpoint of a URL path.
+   * @param {string} urlpath
+   * @return {Object}
+   * The `endpoint` and path `params`, or `null` if no endpoint matches.
+   */
+  match(urlpath) { // eslint-disable-line
+    for (let i = 0; i < this.endpoints.length; i++) {
+      let endpoint = this.endpoints[i]
+      let values = endpoint.regexp.exec(urlpath)
+      if (values) {
+        let params = {}
+        endpoint.keys.forEach(function (key, index) {
+          try {
+            params[key] = decodeURIComponent(values[index + 1])
+          } catch (e) {
+            params[key] = values[index + 1]
+          }
+        })
+        return {
+          endpoint: endpoint,
+          params: params
+        }
+      }
+    }
+    return null
+  }
+
+  /**
+   * @method reject
+   * Reject an upgrade request with an HTTP error response.
+   * @param {net.Socket} socket
+   * @param {number} status
+   * The HTTP status code.
+   * @private
+   */
+  reject(socket, status) { // eslint-disable-line
+    if (socket.writable) {
+      let message = http.STATUS_CODES[status]
+      socket.write([
+        'HTTP/1.1 ' + status + ' ' + message,
+        'Connection: close',
+        'Content-Type: text/plain',
+        'Content-Length: ' + Buffer.byteLength(message),
+        '',
+        message
+      ].join('\r\n'))
+    }
+    socket.destroy()
+  }
+
+  /**
+   * @method handleUpgrade
+   * Handle the `upgrade` event of an HTTP server.
+   * @param {http.IncomingMessage} req
+   * @param {net.Socket} socket
+   * @param {Buffer} head
+   * @return {boolean}
+   * `true` if the connection was accepted.
+   */
+  handleUpgrade(req, socket, head) { // eslint-disable-line
+    let me = this
+    let match = this.match(url.parse(req.url).pathname || '/')
+
+    if (!match) {
+      this.reject(socket, 404)
+      return false
+    }
+
+    if (!this.verify(req)) {
+      this.reject(socket, 403)
+      return false
+    }
+
+    req.params = match.params
+
+    this.server.handleUpgrade(req, socket, head, function (ws) {
+      let fail = function (err) {
+        me.onError(err || new Error('The WebSocket handler failed without providing a reason.'), req)
+        if (ws.readyState === WebSocket.OPEN) {
+          ws.close(1011, 'Internal Error')
+        }
+      }
+
+      // Without a listener, a socket error (i.e. a message exceeding
+      // maxPayload) would crash the process.
+      ws.on('error', fail)
+
+      try {
+        let result = match.endpoint.handler(ws, req)
+        if (result && typeof result.then === 'function') {
+          result.then(null, fail)
+        }
+      } catch (e) {
+        fail(e)
+      }
+    })
+
+    return true
+  }
+
+  /**
+   * @method close
+   * Close all open connections.
+   * @param {number} [code=1001]
+   * The close code.
+   * @param {string} [reason]
+   */
+  close(code, reason) { // eslint-disable-line
+    this.server.clients.forEach(function (ws) {
+      ws.close(code || 1001, reason || 'Server shutting down')
+    })
+  }
+}
+
+module.exports = WebSockets
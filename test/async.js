@@ -0,0 +1,135 @@
+'use strict'
+
+let test = require('tape')
+let request = require('request')
+let path = require('path')
+
+require('ngn')
+require('../')
+
+test('Async Handlers', function (t) {
+  let server = new NGNX.http.Server({
+    autoStart: false,
+    poweredby: 'test',
+    port: 0,
+    refresh: true,
+    basiclog: false
+  })
+  let file = path.join(__dirname, 'files', 'asyncroutes.js')
+
+  server.createRoutes(file)
+
+  let errors = []
+  server.on('error', function (err) {
+    errors.push(err)
+  })
+
+  server.on('start', function () {
+    let base = 'http://localhost:' + server.port
+    let checks = [
+      function (next) {
+        request.get({ url: base + '/async/value', json: true }, function (err, r, bod) {
+          if (err) {
+            console.error(err)
+          }
+          t.ok(r.statusCode === 200 && bod.ok === true, 'Value resolved by an async handler is sent as JSON.')
+          t.ok(r.headers['x-async'] === 'yes', 'Headers set by the handler are retained.')
+          next()
+        })
+      },
+      function (next) {
+        request.get(base + '/async/text', function (err, r, bod) {
+          if (err) {
+            console.error(err)
+          }
+          t.ok(r.statusCode === 200 && bod === 'plain text', 'Resolved string is sent as the response.')
+          next()
+        })
+      },
+      function (next) {
+        request.get(base + '/async/callback', function (err, r, bod) {
+          if (err) {
+            console.error(err)
+          }
+          t.ok(r.statusCode === 200 && bod === 'later', 'Synchronous return values of callback-style handlers are ignored.')
+          next()
+        })
+      },
+      function (next) {
+        request.get(base + '/async/stream', function (err, r, bod) {
+          if (err) {
+            console.error(err)
+          }
+          t.ok(r.statusCode === 200 && bod.indexOf('module.exports') >= 0, 'Resolved stream is piped to the response.')
+          next()
+        })
+      },
+      function (next) {
+        request.get({ url: base + '/async/reject', json: true }, function (err, r, bod) {
+          if (err) {
+            console.error(err)
+          }
+          t.ok(r.statusCode === 404 && bod.detail === 'Not here.', 'Rejected promise is forwarded to the error handler.')
+          next()
+        })
+      },
+      function (next) {
+        request.get({ url: base + '/async/throw', json: true }, function (err, r, bod) {
+          if (err) {
+            console.error(err)
+          }
+          t.ok(r.statusCode === 500, 'Thrown error is forwarded to the error handler.')
+          t.ok(errors.length === 2 && errors[1].message === 'Synchronous failure.', 'Forwarded errors are reported.')
+          next()
+        })
+      },
+      function (next) {
+        request.get(base + '/async/sent', function (err, r, bod) {
+          if (err) {
+            console.error(err)
+          }
+          t.ok(r.statusCode === 201 && bod === 'created', 'Return value ignored when the handler already responded.')
+          next()
+        })
+      },
+      function (next) {
+        request.get({ url: base + '/async/chain', json: true }, function (err, r, bod) {
+          if (err) {
+            console.error(err)
+          }
+          t.ok(r.statusCode === 200 && bod.chained === 'middleware', 'Async middleware calling next() continues the chain.')
+          next()
+        })
+      },
+      function (next) {
+        server.reloadRoutes(file)
+        request.get({ url: base + '/async/reject', json: true }, function (err, r, bod) {
+          if (err) {
+            console.error(err)
+          }
+          t.ok(r.statusCode === 404 && bod.detail === 'Not here.', 'Rejections are forwarded after a hot reload.')
+          t.ok(server.listRoutes().filter(function (route) {
+            return route.path === '/async/value'
+          }).length === 1, 'Reloaded routes are not duplicated.')
+          next()
+        })
+      }
+    ]
+
+    let run = function () {
+      if (checks.length === 0) {
+        server.stop()
+        return
+      }
+      checks.shift()(run)
+    }
+
+    run()
+  })
+
+  server.on('stop', function () {
+    t.end()
+  })
+
+  server.start()
+})
@@ -0,0 +1,361 @@
+'use strict'
+
+let test = require('tape')
+let request = require('request')
+let path = require('path')
+let fs = require('fs')
+let crypto = require('crypto')
+
+require('ngn')
+require('../')
+
+let encode = function (value) {
+  return (Buffer.isBuffer(value) ? value : Buffer.from(typeof value === 'string' ? value : JSON.stringify(value))).toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_')
+}
+
+let sign = function (header, claims, key) {
+  let content = encode(header) + '.' + encode(claims)
+  let signature = header.alg === 'RS256'
+    ? crypto.createSign('RSA-SHA256').update(content).sign(key)
+    : crypto.createHmac('sha256', key).update(content).digest()
+  return content + '.' + encode(signature)
+}
+
+// Read the modulus and exponent of a PKCS#1 RSA public key.
+let toJWK = function (publicKey, kid) {
+  let pem = publicKey.replace(/-----[^-]+-----/g, '').replace(/\s/g, '')
+  let buffer = Buffer.from(pem, 'base64')
+  let offset = 0
+  let read = function () {
+    let tag = buffer[offset++]
+    let length = buffer[offset++]
+    if (length & 0x80) {
+      let bytes = length & 0x7f
+      length = 0
+      while (bytes-- > 0) {
+        length = length * 256 + buffer[offset++]
+      }
+    }
+    let start = offset
+    offset += tag === 0x30 ? 0 : length
+    return buffer.slice(start, start + length)
+  }
+  read()
+  let n = read()
+  let e = read()
+  return {
+    kty: 'RSA',
+    kid: kid,
+    use: 'sig',
+    n: encode(n),
+    e: encode(e)
+  }
+}
+
+test('Authentication: JWT Verification', function (t) {
+  let now = Math.floor(Date.now() / 1000)
+  let keys = crypto.generateKeyPairSync('rsa', {
+    modulusLength: 2048,
+    publicKeyEncoding: { type: 'pkcs1', format: 'pem' },
+    privateKeyEncoding: { type: 'pkcs1', format: 'pem' }
+  })
+  let spki = crypto.generateKeyPairSync('rsa', {
+    modulusLength: 2048,
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+  })
+  let dir = fs.mkdtempSync(path.join(__dirname, 'files', 'jwks-'))
+  let jwks = path.join(dir, 'jwks.json')
+  fs.writeFileSync(jwks, JSON.stringify({ keys: [toJWK(keys.publicKey, 'one')] }))
+
+  let JWT = require('../lib/JWT')
+  let hs = new JWT({ secret: 'shh', audience: 'orders', issuer: 'https://auth.example.com', clockTolerance: 5 })
+  let claims = { sub: 'jane', aud: ['orders', 'users'], iss: 'https://auth.example.com', exp: now + 60 }
+
+  t.deepEqual(hs.verify(sign({ alg: 'HS256', typ: 'JWT' }, claims, 'shh')), claims, 'HS256 tokens are verified and their claims returned.')
+
+  let failures = [
+    [sign({ alg: 'HS256' }, claims, 'wrong'), 'signature'],
+    [sign({ alg: 'none' }, claims, 'shh'), 'algorithm'],
+    ['not.a-token', 'malformed'],
+    [sign({ alg: 'HS256' }, Object.assign({}, claims, { exp: now - 10 }), 'shh'), 'expired'],
+    [sign({ alg: 'HS256' }, Object.assign({}, claims, { nbf: now + 30 }), 'shh'), 'inactive'],
+    [sign({ alg: 'HS256' }, Object.assign({}, claims, { aud: 'billing' }), 'shh'), 'audience'],
+    [sign({ alg: 'HS256' }, Object.assign({}, claims, { iss: 'https://evil.example.com' }), 'shh'), 'issuer']
+  ].map(function (failure) {
+    try {
+      hs.verify(failure[0])
+      return 'valid'
+    } catch (e) {
+      return e.code === failure[1] ? failure[1] : e.code
+    }
+  })
+  t.deepEqual(failures, ['signature', 'algorithm', 'malformed', 'expired', 'inactive', 'audience', 'issuer'], 'Invalid signatures, algorithms, expiry, activation, audiences and issuers are rejected.')
+  t.ok(hs.verify(sign({ alg: 'HS256' }, Object.assign({}, claims, { exp: now - 3 }), 'shh')).sub === 'jane', 'The clock tolerance is applied.')
+
+  let rs = new JWT({ publicKey: spki.publicKey })
+  t.ok(rs.verify(sign({ alg: 'RS256' }, { sub: 'rs' }, spki.privateKey)).sub === 'rs', 'RS256 tokens are verified with a public key.')
+  t.throws(function () {
+    rs.verify(sign({ alg: 'HS256' }, { sub: 'rs' }, spki.publicKey))
+  }, /algorithm is not accepted/, 'HS256 tokens signed with the public key are rejected.')
+
+  let set = new JWT({ jwks: jwks })
+  t.ok(set.verify(sign({ alg: 'RS256', kid: 'one' }, { sub: 'jwks' }, keys.privateKey)).sub === 'jwks', 'RS256 tokens are verified with a JWKS file.')
+  t.throws(function () {
+    set.verify(sign({ alg: 'RS256', kid: 'two' }, { sub: 'jwks' }, spki.privateKey))
+  }, /signing key is unknown/, 'Unknown key IDs are rejected.')
+
+  fs.writeFileSync(jwks, JSON.stringify({ keys: [toJWK(keys.publicKey, 'two')] }))
+  fs.utimesSync(jwks, now + 10, now + 10)
+  t.throws(function () {
+    set.verify(sign({ alg: 'RS256', kid: 'one' }, { sub: 'jwks' }, keys.privateKey))
+  }, /signing key is unknown/, 'Changes to the JWKS file are applied.')
+
+  t.throws(function () {
+    return new JWT({})
+  }, /requires a secret/, 'A key is required.')
+  t.throws(function () {
+    return new JWT({ publicKey: spki.publicKey, algorithms: ['RS256', 'HS256'] })
+  }, /HS256 JWT verification requires a secret/, 'A secret is required to accept HS256 tokens.')
+  t.throws(function () {
+    return new JWT({ jwks: path.join(dir, 'missing.json') })
+  }, /ENOENT/, 'A missing JWKS file is reported when the verifier is created.')
+
+  fs.unlinkSync(jwks)
+  fs.rmdirSync(dir)
+  t.end()
+})
+
+test('Authentication: Middleware', function (t) {
+  let now = Math.floor(Date.now() / 1000)
+  let server = new NGNX.http.Server({
+    autoStart: false,
+    poweredby: 'test',
+    port: 0,
+    refresh: false,
+    basiclog: false,
+    auth: {
+      realm: 'test'
+    }
+  })
+  let app = server.app
+
+  let basic = app.auth.basic({
+    verify: function (username, password) {
+      return Promise.resolve(username === 'jane' && password === 'p:ss')
+    },
+    authorize: function (user, req) {
+      return req.method !== 'DELETE'
+    }
+  })
+
+  app.get('/basic', basic, function (req, res) {
+    res.json(req.user)
+  })
+  app.delete('/basic', basic, function (req, res) {
+    res.sendStatus(204)
+  })
+  app.get('/bearer', app.auth.bearer({ secret: 'shh', audience: 'orders', scope: 'orders:read', property: 'token' }), function (req, res) {
+    res.json(req.token)
+  })
+  // The JWKS file is removed after the authenticator is created.
+  let dir = fs.mkdtempSync(path.join(__dirname, 'files', 'jwks-'))
+  let jwks = path.join(dir, 'jwks.json')
+  let keys = crypto.generateKeyPairSync('rsa', {
+    modulusLength: 2048,
+    publicKeyEncoding: { type: 'pkcs1', format: 'pem' },
+    privateKeyEncoding: { type: 'pkcs1', format: 'pem' }
+  })
+  fs.writeFileSync(jwks, JSON.stringify({ keys: [toJWK(keys.publicKey, 'one')] }))
+  app.get('/jwks', app.auth.bearer({ jwks: jwks }), function (req, res) {
+    res.json(req.user)
+  })
+  fs.unlinkSync(jwks)
+  fs.rmdirSync(dir)
+
+  app.get('/apikey', app.auth.apiKey({ query: 'api_key', keys: { 'k3y': { partner: 'a' } } }), function (req, res) {
+    res.json(req.user)
+  })
+
+  t.throws(function () {
+    app.auth.basic({})
+  }, /requires a verify function/, 'Basic authentication requires a verify function.')
+  t.throws(function () {
+    app.auth.bearer({ jwks: jwks })
+  }, /ENOENT/, 'Bearer authentication with a missing JWKS file fails when it is created.')
+
+  let token = function (claims) {
+    return 'Bearer ' + sign({ alg: 'HS256' }, Object.assign({ aud: 'orders', exp: now + 60 }, claims), 'shh')
+  }
+
+  server.on('start', function () {
+    let base = 'http://localhost:' + server.port
+    let checks = [
+      function (next) {
+        request.get({ url: base + '/basic', json: true }, function (err, res, body) {
+          if (err) {
+            console.error(err)
+          }
+          t.ok(res.statusCode === 401 && res.headers['www-authenticate'] === 'Basic realm="test", charset="UTF-8"' && body.status === 401, 'Missing credentials respond with a 401 challenge.')
+          next()
+        })
+      },
+      function (next) {
+        request.get({ url: base + '/basic', auth: { user: 'jane', pass: 'nope' }, json: true }, function (err, res, body) {
+          if (err) {
+            console.error(err)
+          }
+          t.ok(res.statusCode === 401 && body.detail === 'The credentials are invalid.', 'Invalid credentials are rejected.')
+          next()
+        })
+      },
+      function (next) {
+        request.get({ url: base + '/basic', auth: { user: 'jane', pass: 'p:ss' }, json: true }, function (err, res, body) {
+          if (err) {
+            console.error(err)
+          }
+          t.deepEqual(body, { username: 'jane' }, 'The principal is attached to the request.')
+          next()
+        })
+      },
+      function (next) {
+        request.delete({ url: base + '/basic', auth: { user: 'jane', pass: 'p:ss' }, json: true }, function (err, res) {
+          if (err) {
+            console.error(err)
+          }
+          t.ok(res.statusCode === 403 && !res.headers['www-authenticate'], 'Unauthorized requests respond with 403.')
+          next()
+        })
+      },
+      function (next) {
+        request.get({ url: base + '/bearer', headers: { authorization: token({ sub: 'jane', scope: 'orders:read orders:write' }) }, json: true }, function (err, res, body) {
+          if (err) {
+            console.error(err)
+          }
+          t.ok(res.statusCode === 200 && body.sub === 'jane', 'Valid tokens are accepted and their claims attached to the configured property.')
+          next()
+        })
+      },
+      function (next) {
+        request.get({ url: base + '/bearer', headers: { authorization: token({ exp: now - 60 }) }, json: true }, function (err, res, body) {
+          if (err) {
+            console.error(err)
+          }
+          t.ok(res.statusCode === 401 && res.headers['www-authenticate'] === 'Bearer realm="test", error="invalid_token", error_description="The token expired."', 'Invalid tokens are described in the challenge.')
+          next()
+        })
+      },
+      function (next) {
+        request.get({ url: base + '/bearer', headers: { authorization: token({ scp: ['orders:write'] }) }, json: true }, function (err, res, body) {
+          if (err) {
+            console.error(err)
+          }
+          t.ok(res.statusCode === 403 && res.headers['www-authenticate'] === 'Bearer realm="test", error="insufficient_scope", scope="orders:read"', 'Tokens without the required scope respond with 403.')
+          next()
+        })
+      },
+      function (next) {
+        request.get({ url: base + '/jwks', headers: { authorization: 'Bearer ' + sign({ alg: 'RS256', kid: 'one' }, { sub: 'jane' }, keys.privateKey) }, json: true }, function (err, res, body) {
+          if (err) {
+            console.error(err)
+          }
+          t.ok(res.statusCode === 500 && !res.headers['www-authenticate'] && body.detail === undefined, 'Unreadable key material is a server error and its details are not disclosed.')
+          next()
+        })
+      },
+      function (next) {
+        request.get({ url: base + '/bearer', json: true }, function (err, res) {
+          if (err) {
+            console.error(err)
+          }
+          t.ok(res.statusCode === 401 && res.headers['www-authenticate'] === 'Bearer realm="test"', 'Missing tokens respond with a 401 challenge.')
+          next()
+        })
+      },
+      function (next) {
+        request.get({ url: base + '/apikey', headers: { 'x-api-key': 'k3y' }, json: true }, function (err, res, body) {
+          if (err) {
+            console.error(err)
+          }
+          request.get({ url: base + '/apikey?api_key=k3y', json: true }, function (err2, res2, body2) {
+            if (err2) {
+              console.error(err2)
+            }
+            t.ok(body.partner === 'a' && body2.partner === 'a', 'API keys are accepted from the header or query parameter.')
+            next()
+          })
+        })
+      },
+      function (next) {
+        request.get({ url: base + '/apikey?api_key=k3y-guess', json: true }, function (err, res) {
+          if (err) {
+            console.error(err)
+          }
+          t.ok(res.statusCode === 401 && res.headers['www-authenticate'] === 'ApiKey realm="test", header="X-API-Key", query="api_key"', 'Invalid API keys are rejected.')
+          next()
+        })
+      }
+    ]
+
+    let run = function () {
+      if (checks.length === 0) {
+        server.stop()
+        return
+      }
+      checks.shift()(run)
+    }
+
+    run()
+  })
+
+  server.on('stop', function () {
+    t.end()
+  })
+
+  server.start()
+})
+
+test('Authentication: Route Modules', function (t) {
+  let server = new NGNX.http.Server({
+    autoStart: false,
+    poweredby: 'test',
+    port: 0,
+    refresh: false,
+    basiclog: false
+  })
+
+  server.createRoutes(path.join(__dirname, 'files', 'authroutes.js'), {
+    prefix: '/admin',
+    middleware: server.auth.apiKey({ keys: ['secret'] })
+  })
+
+  server.on('start', function () {
+    let url = 'http://localhost:' + server.port + '/admin/whoami'
+
+    request.get({ url: url, json: true }, function (err, res) {
+      if (err) {
+        console.error(err)
+      }
+      request.get({ url: url, headers: { 'x-api-key': 'secret' }, json: true }, function (err2, res2, body2) {
+        if (err2) {
+          console.error(err2)
+        }
+        t.ok(res.statusCode === 401 && body2.key === 'secret', 'Authenticators protect every route of a module.')
+
+        request.get({ url: url.replace('whoami', 'private'), headers: { 'x-api-key': 'secret' }, json: true }, function (err3, res3) {
+          if (err3) {
+            console.error(err3)
+          }
+          t.ok(res3.statusCode === 401 && /^Basic/.test(res3.headers['www-authenticate']), 'Route modules create authenticators with app.auth.')
+          server.stop()
+        })
+      })
+    })
+  })
+
+  server.on('stop', function () {
+    t.end()
+  })
+
+  server.start()
+})
@@ -0,0 +1,254 @@
+'use strict'
+
+let test = require('tape')
+let request = require('request')
+let fs = require('fs')
+let os = require('os')
+let path = require('path')
+let http = require('http')
+
+require('ngn')
+require('../')
+
+test('Body Parsing', function (t) {
+  let dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ngnx-body-'))
+  let server = new NGNX.http.Server({
+    autoStart: false,
+    poweredby: 'test',
+    port: 0,
+    refresh: false,
+    basiclog: false,
+    body: {
+      json: { limit: '1kb' },
+      urlencoded: true,
+      text: { type: ['text/plain', 'text/csv'] },
+      raw: { type: 'application/pdf' },
+      multipart: {
+        dir: dir,
+        fileSize: '1kb',
+        totalSize: 4096
+      }
+    }
+  })
+  let uploads = []
+
+  server.app.post('/echo', function (req, res) {
+    res.json({
+      body: Buffer.isBuffer(req.body) ? { raw: req.body.length } : req.body
+    })
+  })
+
+  server.app.post('/upload', function (req, res) {
+    uploads = req.files
+    res.json({
+      body: req.body,
+      files: req.files.map(function (file) {
+        return {
+          fieldname: file.fieldname,
+          filename: file.filename,
+          mimetype: file.mimetype,
+          size: file.size,
+          content: fs.readFileSync(file.path, 'utf8')
+        }
+      })
+    })
+  })
+
+  server.on('start', function () {
+    let base = 'http://localhost:' + server.port
+    let checks = [
+      function (next) {
+        request.post({ url: base + '/echo', json: { a: 1 } }, function (err, r, bod) {
+          if (err) {
+            console.error(err)
+          }
+          t.ok(r.statusCode === 200 && bod.body.a === 1, 'JSON body parsed.')
+          next()
+        })
+      },
+      function (next) {
+        request.post({ url: base + '/echo', json: { a: new Array(2048).join('x') } }, function (err, r, bod) {
+          if (err) {
+            console.error(err)
+          }
+          t.ok(r.statusCode === 413, 'Oversized JSON body responds with 413.')
+          t.ok(r.headers['content-type'].indexOf('application/problem+json') === 0, 'Oversized body handled by the error handler.')
+          next()
+        })
+      },
+      function (next) {
+        request.post({ url: base + '/echo', form: { a: 'b' }, json: true }, function (err, r, bod) {
+          if (err) {
+            console.error(err)
+          }
+          t.ok(bod.body.a === 'b', 'URL-encoded body parsed.')
+          next()
+        })
+      },
+      function (next) {
+        request.post({ url: base + '/echo', body: 'a,b\n1,2', headers: { 'content-type': 'text/csv' }, json: false }, function (err, r, bod) {
+          if (err) {
+            console.error(err)
+          }
+          t.ok(JSON.parse(bod).body === 'a,b\n1,2', 'Text body parsed for a configured content type.')
+          next()
+        })
+      },
+      function (next) {
+        request.post({ url: base + '/echo', body: Buffer.from('%PDF-1.4'), headers: { 'content-type': 'application/pdf' } }, function (err, r, bod) {
+          if (err) {
+            console.error(err)
+          }
+          t.ok(JSON.parse(bod).body.raw === 8, 'Raw body parsed as a Buffer.')
+          next()
+        })
+      },
+      function (next) {
+        request.post({
+          url: base + '/upload',
+          json: true,
+          formData: {
+            title: 'Report',
+            tag: ['a', 'b'],
+            document: {
+              value: Buffer.from('hello world'),
+              options: {
+                filename: 'report.txt',
+                contentType: 'text/plain'
+              }
+            }
+          }
+        }, function (err, r, bod) {
+          if (err) {
+            console.error(err)
+          }
+          t.ok(r.statusCode === 200 && bod.body.title === 'Report', 'Multipart fields parsed.')
+          t.ok(Array.isArray(bod.body.tag) && bod.body.tag.join() === 'a,b', 'Repeated multipart fields parsed as an array.')
+          t.ok(bod.files.length === 1 && bod.files[0].fieldname === 'document' && bod.files[0].filename === 'report.txt', 'Uploaded file described.')
+          t.ok(bod.files[0].mimetype === 'text/plain' && bod.files[0].size === 11 && bod.files[0].content === 'hello world', 'Uploaded file streamed to disk.')
+          t.ok(path.dirname(uploads[0].path) === dir, 'Uploaded file written to the configured directory.')
+          setTimeout(function () {
+            t.ok(fs.readdirSync(dir).length === 0, 'Uploaded files removed after the response.')
+            next()
+          }, 200)
+        })
+      },
+      function (next) {
+        request.post({
+          url: base + '/upload',
+          json: true,
+          formData: {
+            document: {
+              value: Buffer.alloc(2048, 'x'),
+              options: {
+                filename: 'large.txt'
+              }
+            }
+          }
+        }, function (err, r, bod) {
+          if (err) {
+            console.error(err)
+          }
+          t.ok(r.statusCode === 413 && bod.detail.indexOf('large.txt') > 0, 'Oversized file responds with 413.')
+          next()
+        })
+      },
+      function (next) {
+        request.post({
+          url: base + '/upload',
+          json: true,
+          formData: {
+            a: { value: Buffer.alloc(1000, 'a'), options: { filename: 'a.txt' } },
+            b: { value: Buffer.alloc(1000, 'b'), options: { filename: 'b.txt' } },
+            c: { value: Buffer.alloc(1000, 'c'), options: { filename: 'c.txt' } },
+            d: { value: Buffer.alloc(1000, 'd'), options: { filename: 'd.txt' } },
+            e: { value: Buffer.alloc(1000, 'e'), options: { filename: 'e.txt' } }
+          }
+        }, function (err, r, bod) {
+          if (err) {
+            console.error(err)
+          }
+          t.ok(r.statusCode === 413, 'Request exceeding the total size responds with 413.')
+          setTimeout(function () {
+            t.ok(fs.readdirSync(dir).length === 0, 'Partial uploads removed.')
+            next()
+          }, 200)
+        })
+      },
+      function (next) {
+        // Stream a chunked body (no content-length) one byte at a time.
+        let body = '--XyZ\r\nContent-Disposition: form-data; name="note"\r\n\r\nchunked\r\n' +
+          '--XyZ\r\nContent-Disposition: form-data; name="f"; filename="C:\\docs\\f.txt"\r\n\r\nabc\r\n--XyZ--\r\n'
+        let req = http.request({
+          port: server.port,
+          method: 'POST',
+          path: '/upload',
+          headers: { 'content-type': 'multipart/form-data; boundary=XyZ' }
+        }, function (res) {
+          let data = ''
+          res.on('data', function (chunk) {
+            data += chunk
+          })
+          res.on('end', function () {
+            let bod = JSON.parse(data)
+            t.ok(bod.body.note === 'chunked' && bod.files[0].filename === 'f.txt' && bod.files[0].content === 'abc', 'Chunked multipart body parsed.')
+            next()
+          })
+        })
+        for (let i = 0; i < body.length; i++) {
+          req.write(body.charAt(i))
+        }
+        req.end()
+      },
+      function (next) {
+        let body = ['hasOwnProperty', '__proto__', 'note'].map(function (name) {
+          return '--XyZ\r\nContent-Disposition: form-data; name="' + name + '"\r\n\r\n' + name + '\r\n'
+        }).join('') + '--XyZ--\r\n'
+        let req = http.request({
+          port: server.port,
+          method: 'POST',
+          path: '/upload',
+          headers: { 'content-type': 'multipart/form-data; boundary=XyZ' }
+        }, function (res) {
+          let data = ''
+          res.on('data', function (chunk) {
+            data += chunk
+          })
+          res.on('end', function () {
+            let bod = JSON.parse(data)
+            t.ok(res.statusCode === 200 && Object.keys(bod.body).join() === 'hasOwnProperty,note', 'Fields named after object properties are parsed safely and __proto__ is ignored.')
+            next()
+          })
+        })
+        req.end(body)
+      }
+    ]
+
+    let run = function () {
+      if (checks.length === 0) {
+        server.stop()
+        return
+      }
+      checks.shift()(run)
+    }
+
+    run()
+  })
+
+  server.on('stop', function () {
+    fs.rmdirSync(dir)
+    t.end()
+  })
+
+  server.start()
+})
+
+test('Body Parsing: Invalid Parser', function (t) {
+  t.throws(function () {
+    new NGNX.http.Server({ // eslint-disable-line no-new
+      autoStart: false,
+      body: { xml: true }
+    })
+  }, /Unrecognized body parser/, 'Unrecognized parsers throw an error.')
+  t.end()
+})
@@ -0,0 +1,206 @@
+'use strict'
+
+let test = require('tape')
+let request = require('request')
+let http = require('http')
+let zlib = require('zlib')
+let SSE = require('ngn-sse')
+let SSEClient = require('ngn-sse/client')
+
+require('ngn')
+require('../')
+
+let large = { items: new Array(200).join('compressible ').split(' ') }
+
+test('Compression', function (t) {
+  let server = new NGNX.http.Server({
+    autoStart: false,
+    poweredby: 'test',
+    port: 0,
+    refresh: false,
+    basiclog: false,
+    compression: {
+      threshold: 256
+    }
+  })
+
+  server.app.get('/large', function (req, res) {
+    res.set('ETag', '"abc"')
+    res.json(large)
+  })
+  server.app.get('/small', function (req, res) {
+    res.json({ ok: true })
+  })
+  server.app.get('/binary', function (req, res) {
+    res.type('image/png').send(Buffer.alloc(4096))
+  })
+  server.app.get('/optout', function (req, res) {
+    res.compress = false
+    res.json(large)
+  })
+  server.app.get('/stream', function (req, res) {
+    res.type('text/plain')
+    let count = 0
+    let timer = setInterval(function () {
+      res.write('line ' + (count++) + '\n')
+      if (count === 5) {
+        clearInterval(timer)
+        res.end()
+      }
+    }, 10)
+  })
+  server.app.get('/events', function (req, res) {
+    let client = new SSEClient(req, res)
+    client.initialize()
+    client.send({ event: 'greeting', data: 'hello' })
+    req.on('close', function () {
+      client.close()
+    })
+  })
+
+  server.on('start', function () {
+    let base = 'http://localhost:' + server.port
+    let checks = [
+      function (next) {
+        request.get({ url: base + '/large', gzip: true, headers: { 'accept-encoding': 'gzip' } }, function (err, r, bod) {
+          if (err) {
+            console.error(err)
+          }
+          t.ok(r.headers['content-encoding'] === 'gzip' && JSON.parse(bod).items.length === large.items.length, 'Large JSON response compressed with gzip.')
+          t.ok(r.headers['content-length'] === undefined && r.headers['vary'].indexOf('Accept-Encoding') >= 0, 'Content-Length removed and Vary set.')
+          t.ok(r.headers.etag === 'W/"abc"', 'Strong ETag weakened.')
+          next()
+        })
+      },
+      function (next) {
+        request.get({ url: base + '/large', encoding: null, headers: { 'accept-encoding': 'deflate' } }, function (err, r, bod) {
+          if (err) {
+            console.error(err)
+          }
+          t.ok(r.headers['content-encoding'] === 'deflate' && JSON.parse(zlib.inflateSync(bod)).items.length === large.items.length, 'Deflate negotiated.')
+          next()
+        })
+      },
+      function (next) {
+        if (typeof zlib.brotliDecompressSync !== 'function') {
+          t.skip('Brotli is not supported by this version of Node.')
+          return next()
+        }
+        request.get({ url: base + '/large', encoding: null, headers: { 'accept-encoding': 'gzip, br' } }, function (err, r, bod) {
+          if (err) {
+            console.error(err)
+          }
+          t.ok(r.headers['content-encoding'] === 'br' && JSON.parse(zlib.brotliDecompressSync(bod)).items.length === large.items.length, 'Brotli preferred when accepted.')
+          next()
+        })
+      },
+      function (next) {
+        request.get({ url: base + '/large', headers: { 'accept-encoding': 'identity' } }, function (err, r) {
+          if (err) {
+            console.error(err)
+          }
+          t.ok(r.headers['content-encoding'] === undefined && r.headers['vary'].indexOf('Accept-Encoding') >= 0, 'Not compressed when the client does not accept it.')
+          next()
+        })
+      },
+      function (next) {
+        request.get({ url: base + '/small', headers: { 'accept-encoding': 'gzip' } }, function (err, r) {
+          if (err) {
+            console.error(err)
+          }
+          t.ok(r.headers['content-encoding'] === undefined, 'Responses below the threshold are not compressed.')
+          request.get({ url: base + '/binary', headers: { 'accept-encoding': 'gzip' } }, function (err2, r2) {
+            if (err2) {
+              console.error(err2)
+            }
+            t.ok(r2.headers['content-encoding'] === undefined && r2.headers['content-length'] === '4096', 'Incompressible content types are not compressed.')
+            request.get({ url: base + '/optout', headers: { 'accept-encoding': 'gzip' } }, function (err3, r3) {
+              if (err3) {
+                console.error(err3)
+              }
+              t.ok(r3.headers['content-encoding'] === undefined, 'Responses can opt out of compression.')
+              next()
+            })
+          })
+        })
+      },
+      function (next) {
+        request.get({ url: base + '/stream', gzip: true, headers: { 'accept-encoding': 'gzip' } }, function (err, r, bod) {
+          if (err) {
+            console.error(err)
+          }
+          t.ok(r.headers['content-encoding'] === 'gzip' && bod === 'line 0\nline 1\nline 2\nline 3\nline 4\n', 'Streamed response compressed.')
+          next()
+        })
+      },
+      function (next) {
+        http.get({ port: server.port, path: '/events', headers: { 'accept-encoding': 'gzip' } }, function (res) {
+          t.ok(res.headers['content-encoding'] === 'gzip' && res.headers['content-type'] === 'text/event-stream', 'Event stream compressed.')
+          let data = ''
+          let gunzip = zlib.createGunzip()
+          res.pipe(gunzip)
+          gunzip.on('data', function (chunk) {
+            data += chunk
+            if (data.indexOf('data: hello\n\n') > 0) {
+              t.pass('Events are delivered immediately.')
+              res.destroy()
+              next()
+            }
+          })
+        })
+      }
+    ]
+
+    let run = function () {
+      if (checks.length === 0) {
+        server.stop()
+        return
+      }
+      checks.shift()(run)
+    }
+
+    run()
+  })
+
+  server.on('stop', function () {
+    t.end()
+  })
+
+  server.start()
+})
+
+test('Compression: Server-Sent Events (ngn-sse)', function (t) {
+  let server = new NGNX.http.Server({
+    autoStart: false,
+    poweredby: 'test',
+    port: 0,
+    refresh: false,
+    basiclog: false,
+    compression: true
+  })
+
+  server.on('start', function () {
+    let sse = new SSE(server.server, { path: '/sse' })
+    sse.on('connection', function (client) {
+      client.send({ data: 'hello' })
+    })
+
+    http.get({ port: server.port, path: '/sse', headers: { 'accept-encoding': 'gzip' } }, function (res) {
+      let data = ''
+      res.on('data', function (chunk) {
+        data += chunk
+        if (data.indexOf('data: hello\n\n') > 0) {
+          t.ok(res.headers['content-encoding'] === undefined, 'Events served by ngn-sse are delivered uncompressed.')
+          res.destroy()
+          server.stop()
+        }
+      })
+    })
+  })
+
+  server.on('stop', function () {
+    t.end()
+  })
+
+  server.start()
+})
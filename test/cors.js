@@ -0,0 +1,155 @@
+'use strict'
+
+let test = require('tape')
+let request = require('request')
+let path = require('path')
+
+require('ngn')
+require('../')
+
+let preflight = function (url, origin, callback) {
+  request({
+    method: 'OPTIONS',
+    url: url,
+    headers: {
+      origin: origin,
+      'access-control-request-method': 'POST'
+    }
+  }, callback)
+}
+
+test('CORS: Origin Patterns', function (t) {
+  let server = new NGNX.http.Server({
+    autoStart: false,
+    port: 0,
+    refresh: false,
+    basiclog: false,
+    whitelist: ['https://exact.com', 'plain.com', '*.example.com', /^https:\/\/[a-z]+\.test$/]
+  })
+
+  t.ok(server.matchOrigin('https://exact.com', server.whitelist), 'Exact origin matched.')
+  t.ok(server.matchOrigin('http://plain.com', server.whitelist), 'Host name matched on any protocol.')
+  t.ok(server.matchOrigin('https://a.example.com', server.whitelist), 'Wildcard subdomain matched.')
+  t.ok(server.matchOrigin('https://a.b.example.com', server.whitelist), 'Nested wildcard subdomain matched.')
+  t.ok(!server.matchOrigin('https://example.com', server.whitelist), 'Wildcard does not match the parent domain.')
+  t.ok(!server.matchOrigin('https://evilexample.com', server.whitelist), 'Wildcard does not match a similar domain.')
+  t.ok(!server.matchOrigin('https://a.example.com.evil.com', server.whitelist), 'Wildcard is anchored.')
+  t.ok(server.matchOrigin('https://abc.test', server.whitelist), 'Regular expression matched.')
+  t.ok(!server.matchOrigin('http://abc.test', server.whitelist), 'Regular expression mismatch rejected.')
+  t.ok(!server.matchOrigin(undefined, server.whitelist), 'Missing origin rejected.')
+  t.end()
+})
+
+test('CORS: Policies', function (t) {
+  let server = new NGNX.http.Server({
+    autoStart: false,
+    poweredby: 'test',
+    port: 0,
+    refresh: false,
+    basiclog: false,
+    cors: true,
+    whitelist: '*.example.com',
+    corsPolicies: {
+      admin: {
+        whitelist: 'https://admin.example.com',
+        allowedMethods: ['GET']
+      }
+    }
+  })
+  let file = path.join(__dirname, 'files', 'corsroutes.js')
+
+  server.createRoutes(file)
+  server.applyCORSPolicy('/admin', 'admin')
+  server.app.get('/admin/users', function (req, res) {
+    res.sendStatus(200)
+  })
+
+  t.throws(function () {
+    server.applyCORSPolicy('/x', 'missing')
+  }, /does not exist/, 'Applying an undefined policy throws an error.')
+
+  server.on('start', function () {
+    let base = 'http://localhost:' + server.port
+    let checks = [
+      function (next) {
+        preflight(base + '/partners/orders', 'https://shop.partner.com', function (err, r) {
+          if (err) {
+            console.error(err)
+          }
+          t.ok(r.statusCode === 204, 'Preflight answered automatically.')
+          t.ok(r.headers['access-control-allow-origin'] === 'https://shop.partner.com', 'Policy origin allowed.')
+          t.ok(r.headers['access-control-allow-methods'] === 'GET,HEAD,POST', 'Allowed methods derived from the route table.')
+          t.ok(r.headers['access-control-allow-credentials'] === 'true' && r.headers['access-control-max-age'] === '600', 'Policy credentials and maxAge applied.')
+          next()
+        })
+      },
+      function (next) {
+        preflight(base + '/partners/orders/12', 'https://partner-7.example.com', function (err, r) {
+          if (err) {
+            console.error(err)
+          }
+          t.ok(r.headers['access-control-allow-origin'] === 'https://partner-7.example.com', 'Regular expression origin allowed.')
+          t.ok(r.headers['access-control-allow-methods'] === 'DELETE', 'Allowed methods match parameterized routes.')
+          next()
+        })
+      },
+      function (next) {
+        request.get({ url: base + '/partners/orders', headers: { origin: 'https://app.example.com' } }, function (err, r) {
+          if (err) {
+            console.error(err)
+          }
+          t.ok(r.statusCode === 200 && r.headers['access-control-allow-origin'] === undefined, 'Policy overrides the global whitelist.')
+          next()
+        })
+      },
+      function (next) {
+        request.get({ url: base + '/public', headers: { origin: 'https://app.example.com' } }, function (err, r) {
+          if (err) {
+            console.error(err)
+          }
+          t.ok(r.headers['access-control-allow-origin'] === 'https://app.example.com', 'Global policy applies outside of policy prefixes.')
+          next()
+        })
+      },
+      function (next) {
+        preflight(base + '/admin/users', 'https://admin.example.com', function (err, r) {
+          if (err) {
+            console.error(err)
+          }
+          t.ok(r.headers['access-control-allow-methods'] === 'GET', 'Configured policy methods are used.')
+          next()
+        })
+      },
+      function (next) {
+        preflight(base + '/nothing', 'https://app.example.com', function (err, r) {
+          if (err) {
+            console.error(err)
+          }
+          t.ok(r.statusCode === 404, 'Preflight for an unknown route responds with 404.')
+          next()
+        })
+      },
+      function (next) {
+        server.removeRoutes(file)
+        t.ok(server.corsbindings.length === 1 && server.corsbindings[0].prefix === '/admin', 'Module policies removed with the module.')
+        next()
+      }
+    ]
+
+    let run = function () {
+      if (checks.length === 0) {
+        server.stop()
+        return
+      }
+      checks.shift()(run)
+    }
+
+    run()
+  })
+
+  server.on('stop', function () {
+    t.end()
+  })
+
+  server.start()
+})
@@ -0,0 +1,158 @@
+'use strict'
+
+let test = require('tape')
+let request = require('request')
+let fs = require('fs')
+let path = require('path')
+
+require('ngn')
+require('../')
+
+test('Directory Route Discovery', function (t) {
+  let server = new NGNX.http.Server({
+    autoStart: false,
+    poweredby: 'test',
+    port: 0,
+    refresh: false
+  })
+
+  server.createRoutes('./test/files/discovery')
+
+  server.on('start', function () {
+    request.get('http://localhost:' + server.port + '/discovered', function (err, r) {
+      if (err) {
+        console.error(err)
+      }
+      t.ok(r.statusCode === 200, 'Route discovered in the root directory.')
+      request.get('http://localhost:' + server.port + '/list', function (err2, r2, bod2) {
+        if (err2) {
+          console.error(err2)
+        }
+        t.ok(r2.statusCode === 200 && bod2 === 'users', 'Route discovered in a subdirectory.')
+        server.stop()
+      })
+    })
+  })
+
+  server.on('stop', function () {
+    t.end()
+  })
+
+  server.start()
+})
+
+test('Directory Route Discovery with URL Prefixes', function (t) {
+  let server = new NGNX.http.Server({
+    autoStart: false,
+    poweredby: 'test',
+    port: 0,
+    refresh: false
+  })
+
+  server.createRoutes('./test/files/discovery/**/*.js', {
+    prefix: true
+  })
+
+  server.on('start', function () {
+    request.get('http://localhost:' + server.port + '/users/list', function (err, r, bod) {
+      if (err) {
+        console.error(err)
+      }
+      t.ok(r.statusCode === 200 && bod === 'users', 'index.js is mounted at the directory path.')
+      request.get('http://localhost:' + server.port + '/users/admin', function (err2, r2, bod2) {
+        if (err2) {
+          console.error(err2)
+        }
+        t.ok(r2.statusCode === 200 && bod2 === 'admin', 'Module is mounted at its file path.')
+        request.get('http://localhost:' + server.port + '/discovered', function (err3, r3) {
+          if (err3) {
+            console.error(err3)
+          }
+          t.ok(r3.statusCode === 200, 'Root index.js is mounted without a prefix.')
+          server.stop()
+        })
+      })
+    })
+  })
+
+  server.on('stop', function () {
+    t.end()
+  })
+
+  server.start()
+})
+
+test('Directory Route Discovery with a String Prefix', function (t) {
+  let server = new NGNX.http.Server({
+    autoStart: false,
+    poweredby: 'test',
+    port: 0,
+    refresh: false
+  })
+
+  server.createRoutes('./test/files/discovery', {
+    prefix: '/api'
+  })
+
+  server.on('start', function () {
+    request.get('http://localhost:' + server.port + '/api/users/admin', function (err, r, bod) {
+      if (err) {
+        console.error(err)
+      }
+      t.ok(r.statusCode === 200 && bod === 'admin', 'The prefix is prepended to the path of the module.')
+      request.get('http://localhost:' + server.port + '/api/discovered', function (err2, r2) {
+        if (err2) {
+          console.error(err2)
+        }
+        request.get('http://localhost:' + server.port + '/users/admin', function (err3, r3) {
+          if (err3) {
+            console.error(err3)
+          }
+          t.ok(r2.statusCode === 200 && r3.statusCode === 404, 'Root index.js is mounted at the prefix.')
+          server.stop()
+        })
+      })
+    })
+  })
+
+  server.on('stop', function () {
+    t.end()
+  })
+
+  server.start()
+})
+
+test('Discovery of Newly Created Route Modules', function (t) {
+  let server = new NGNX.http.Server({
+    autoStart: false,
+    poweredby: 'test',
+    port: 0
+  })
+
+  let file = path.resolve('./test/files/discovery/created.js')
+
+  server.createRoutes('./test/files/discovery')
+
+  server.on('start', function () {
+    // Give the file watcher time to complete its initial scan.
+    setTimeout(function () {
+      fs.writeFileSync(file, fs.readFileSync('./test/files/moreroutes.js'))
+      setTimeout(function () {
+        request.get('http://localhost:' + server.port + '/zing', function (err, r) {
+          if (err) {
+            console.error(err)
+          }
+          t.ok(r.statusCode === 200, 'Route module created after startup was loaded.')
+          fs.unlinkSync(file)
+          server.stop()
+        })
+      }, 6000)
+    }, 1000)
+  })
+
+  server.on('stop', function () {
+    t.end()
+  })
+
+  server.start()
+})
@@ -0,0 +1,166 @@
+'use strict'
+
+let test = require('tape')
+let request = require('request')
+
+require('ngn')
+require('../')
+
+// Create a server with routes that fail.
+let createServer = function (cfg) {
+  let server = new NGNX.http.Server(Object.assign({
+    autoStart: false,
+    poweredby: 'test',
+    port: 0,
+    refresh: false,
+    basiclog: false
+  }, cfg || {}))
+
+  server.app.get('/fail', function () {
+    throw new Error('Database password is hunter2')
+  })
+
+  server.app.get('/forbidden', function (req, res, next) {
+    let err = new Error('Insufficient credit.')
+    err.status = 403
+    err.problem = {
+      type: 'https://example.com/probs/out-of-credit',
+      balance: 30
+    }
+    next(err)
+  })
+
+  return server
+}
+
+test('Error Handling: Problem Responses', function (t) {
+  let server = createServer({
+    requestId: true
+  })
+  let errors = []
+
+  server.on('error', function (err, req) {
+    errors.push({ err: err, req: req })
+  })
+
+  server.on('start', function () {
+    let base = 'http://localhost:' + server.port
+    request.get({ url: base + '/missing?x=1', json: true }, function (err, r, bod) {
+      if (err) {
+        console.error(err)
+      }
+      t.ok(r.statusCode === 404, 'Unmatched request responds with 404.')
+      t.ok(r.headers['content-type'].indexOf('application/problem+json') === 0, 'Problem details returned as application/problem+json.')
+      t.ok(bod.status === 404 && bod.title === 'Not Found' && bod.instance === '/missing?x=1', 'Problem details describe the 404.')
+      t.ok(bod.requestId === r.headers['x-request-id'], 'Problem details include the request ID.')
+      t.ok(errors.length === 0, 'Unmatched requests do not emit errors.')
+
+      // Add a route after the error handling was installed.
+      server.app.get('/late', function (req, res) {
+        res.sendStatus(200)
+      })
+
+      request.get({ url: base + '/fail', json: true }, function (err2, r2, bod2) {
+        if (err2) {
+          console.error(err2)
+        }
+        t.ok(r2.statusCode === 500 && bod2.title === 'Internal Server Error', 'Thrown errors respond with 500.')
+        t.ok(bod2.detail === undefined && bod2.stack === undefined, 'Server error details are hidden.')
+        t.ok(errors.length === 1 && errors[0].err.message === 'Database password is hunter2', 'Error event emitted.')
+        t.ok(errors[0].req.url === '/fail' && errors[0].err.requestId === bod2.requestId, 'Error event includes the request.')
+
+        request.get({ url: base + '/forbidden', json: true }, function (err3, r3, bod3) {
+          if (err3) {
+            console.error(err3)
+          }
+          t.ok(r3.statusCode === 403 && bod3.detail === 'Insufficient credit.', 'Client error status and message returned.')
+          t.ok(bod3.type === 'https://example.com/probs/out-of-credit' && bod3.balance === 30, 'Custom problem details returned.')
+
+          request.get(base + '/late', function (err4, r4) {
+            if (err4) {
+              console.error(err4)
+            }
+            t.ok(r4.statusCode === 200, 'Routes added later are not shadowed by the 404 handler.')
+            server.stop()
+          })
+        })
+      })
+    })
+  })
+
+  server.on('stop', function () {
+    t.end()
+  })
+
+  server.start()
+})
+
+test('Error Handling: HTML & Development Mode', function (t) {
+  let server = createServer({
+    dev: true
+  })
+
+  server.on('error', function () {})
+
+  server.on('start', function () {
+    let base = 'http://localhost:' + server.port
+    request.get({
+      url: base + '/fail',
+      headers: {
+        accept: 'text/html,application/xhtml+xml'
+      }
+    }, function (err, r, bod) {
+      if (err) {
+        console.error(err)
+      }
+      t.ok(r.statusCode === 500 && r.headers['content-type'].indexOf('text/html') === 0, 'HTML returned by content negotiation.')
+      t.ok(bod.indexOf('<h1>500 Internal Server Error</h1>') >= 0, 'HTML describes the error.')
+      t.ok(bod.indexOf('Database password is hunter2') >= 0 && bod.indexOf('at ') >= 0, 'Development mode includes the message and stack trace.')
+
+      request.get({ url: base + '/fail', json: true }, function (err2, r2, bod2) {
+        if (err2) {
+          console.error(err2)
+        }
+        t.ok(Array.isArray(bod2.stack), 'Development mode includes the stack trace in problem details.')
+        server.stop()
+      })
+    })
+  })
+
+  server.on('stop', function () {
+    t.end()
+  })
+
+  server.start()
+})
+
+test('Error Handling: Reloaded Routes', function (t) {
+  let server = createServer({
+    refresh: true
+  })
+
+  server.createRoutes('./test/files/routes')
+
+  server.on('start', function () {
+    server.reloadRoutes(require('path').resolve('./test/files/routes.js'))
+    request.get('http://localhost:' + server.port + '/nothing', function (err, r) {
+      if (err) {
+        console.error(err)
+      }
+      t.ok(r.statusCode === 404 && r.headers['content-type'].indexOf('application/problem+json') === 0, '404 handler remains last after routes are reloaded.')
+      request.get('http://localhost:' + server.port + '/ping', function (err2, r2) {
+        if (err2) {
+          console.error(err2)
+        }
+        t.ok(r2.statusCode === 200, 'Reloaded routes respond.')
+        server.stop()
+      })
+    })
+  })
+
+  server.on('stop', function () {
+    t.end()
+  })
+
+  server.start()
+})
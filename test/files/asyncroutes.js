@@ -0,0 +1,49 @@
+'use strict'
+
+const fs = require('fs')
+
+module.exports = function (app) {
+  app.get('/async/value', async function (req, res) {
+    res.set('x-async', 'yes')
+    return { ok: true }
+  })
+
+  app.get('/async/text', function (req, res) {
+    return Promise.resolve('plain text')
+  })
+
+  app.get('/async/stream', async function (req, res) {
+    res.type('text/plain')
+    return fs.createReadStream(__filename)
+  })
+
+  app.get('/async/callback', function (req, res) {
+    return setTimeout(function () {
+      res.send('later')
+    }, 10)
+  })
+
+  app.get('/async/reject', async function (req, res) {
+    throw Object.assign(new Error('Not here.'), { status: 404 })
+  })
+
+  app.get('/async/throw', function (req, res) {
+    throw new Error('Synchronous failure.')
+  })
+
+  app.get('/async/sent', async function (req, res) {
+    res.status(201).send('created')
+    return 'ignored'
+  })
+
+  app.use('/async/chain', async function (req, res, next) {
+    req.chained = await Promise.resolve('middleware')
+    next()
+    return 'ignored'
+  })
+
+  app.route('/async/chain')
+    .get(async function (req, res) {
+      return { chained: req.chained }
+    })
+}
@@ -0,0 +1,15 @@
+'use strict'
+
+module.exports = function (app) {
+  app.get('/whoami', function (req, res) {
+    res.json(req.user)
+  })
+
+  app.get('/private', app.auth.basic({
+    verify: function (username, password) {
+      return username === 'admin' && password === 'admin'
+    }
+  }), function (req, res) {
+    res.json(req.user)
+  })
+}
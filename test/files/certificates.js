@@ -0,0 +1,42 @@
+'use strict'
+
+let fs = require('fs')
+let os = require('os')
+let path = require('path')
+let exec = require('child_process').execSync
+
+let dir = null
+
+module.exports = {
+  /**
+   * Generate a self-signed certificate (optionally with an encrypted key)
+   * in a temporary directory. Returns the paths of the key and certificate.
+   */
+  generate: function (name, cn, passphrase) {
+    dir = dir || fs.mkdtempSync(path.join(os.tmpdir(), 'ngnx-http-'))
+    let key = path.join(dir, name + '.key')
+    let crt = path.join(dir, name + '.crt')
+    let encrypt = passphrase ? ' -passout pass:' + passphrase : ' -nodes'
+    exec('openssl req -x509 -newkey rsa:2048 -sha256 -days 1 -subj "/CN=' + cn + '"' + encrypt + ' -keyout ' + key + ' -out ' + crt, {
+      stdio: 'ignore'
+    })
+    return {
+      key: key,
+      certificate: crt
+    }
+  },
+
+  /**
+   * Remove the temporary directory.
+   */
+  cleanup: function () {
+    if (dir === null) {
+      return
+    }
+    fs.readdirSync(dir).forEach(function (f) {
+      fs.unlinkSync(path.join(dir, f))
+    })
+    fs.rmdirSync(dir)
+    dir = null
+  }
+}
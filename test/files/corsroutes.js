@@ -0,0 +1,25 @@
+'use strict'
+
+module.exports = function (app) {
+  app.corsPolicy('/partners', 'partners', {
+    whitelist: ['*.partner.com', /^https:\/\/partner-\d+\.example\.com$/],
+    credentials: true,
+    maxAge: 600
+  })
+
+  app.get('/partners/orders', function (req, res) {
+    res.json([])
+  })
+
+  app.post('/partners/orders', function (req, res) {
+    res.sendStatus(201)
+  })
+
+  app.delete('/partners/orders/:id', function (req, res) {
+    res.sendStatus(204)
+  })
+
+  app.get('/public', function (req, res) {
+    res.sendStatus(200)
+  })
+}
@@ -0,0 +1,7 @@
+'use strict'
+
+module.exports = function (app) {
+  app.get('/discovered', function (req, res) {
+    res.sendStatus(200)
+  })
+}
@@ -0,0 +1,7 @@
+'use strict'
+
+module.exports = function (app) {
+  app.get('/', function (req, res) {
+    res.status(200).send('admin')
+  })
+}
@@ -0,0 +1,23 @@
+'use strict'
+
+module.exports = function (app) {
+  app.get('/count', function (req, res) {
+    req.session.count = (req.session.count || 0) + 1
+    res.json({ count: req.session.count, id: req.session.id })
+  })
+
+  app.get('/peek', function (req, res) {
+    res.json(Object.assign({}, req.session))
+  })
+
+  app.post('/login', function (req, res) {
+    req.session.regenerate()
+    req.session.user = 'jane'
+    res.json({ id: req.session.id })
+  })
+
+  app.post('/logout', function (req, res) {
+    req.session.destroy()
+    res.sendStatus(204)
+  })
+}
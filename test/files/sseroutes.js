@@ -0,0 +1,14 @@
+'use strict'
+
+module.exports = function (app) {
+  app.sse('/news', 'news')
+
+  app.sse('/rooms/:room', function (client, req) {
+    client.join('room:' + req.params.room)
+    client.send('welcome', { room: req.params.room })
+  })
+
+  app.sse('/fail', async function () {
+    throw new Error('Stream failure.')
+  })
+}
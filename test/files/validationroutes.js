@@ -0,0 +1,62 @@
+'use strict'
+
+const user = {
+  type: 'object',
+  required: ['name', 'age'],
+  additionalProperties: false,
+  properties: {
+    name: { type: 'string', minLength: 2 },
+    age: { type: 'integer', minimum: 0 },
+    email: { type: 'string', format: 'email' },
+    tags: { type: 'array', items: { type: 'string' }, default: [] }
+  }
+}
+
+module.exports = function (app) {
+  app.post('/users', { body: user }, function (req, res) {
+    res.status(201).json(req.body)
+  })
+
+  app.get('/users/:id', {
+    params: {
+      type: 'object',
+      properties: {
+        id: { type: 'integer', minimum: 1 }
+      }
+    },
+    response: {
+      200: user,
+      '4XX': { type: 'object', required: ['error'] }
+    }
+  }, function (req, res) {
+    if (req.params.id === 404) {
+      return res.status(404).json({ error: 'Not found' })
+    }
+    // User 2 is invalid (the age is a string).
+    res.json({ name: 'User ' + req.params.id, age: req.params.id === 2 ? 'old' : 30 })
+  })
+
+  app.get('/search', {
+    query: {
+      type: 'object',
+      properties: {
+        page: { type: 'integer', minimum: 1, default: 1 },
+        active: { type: 'boolean' },
+        tags: { type: 'array', items: { type: 'string' } }
+      }
+    },
+    headers: {
+      type: 'object',
+      required: ['x-api-version'],
+      properties: {
+        'x-api-version': { enum: ['1', '2'] }
+      }
+    }
+  }, function (req, res) {
+    res.json(req.query)
+  })
+}
+
+module.exports.echo = function (req, res) {
+  res.json({ id: req.params.id })
+}
@@ -0,0 +1,38 @@
+'use strict'
+
+// Incremented whenever the module is (re)loaded.
+global.wsroutesVersion = (global.wsroutesVersion || 0) + 1
+
+let version = global.wsroutesVersion
+
+module.exports = function (app) {
+  app.corsPolicy('/partners', 'wspartners', {
+    whitelist: ['*.partner.com']
+  })
+
+  app.ws('/echo', function (socket) {
+    socket.on('message', function (message) {
+      socket.send(message)
+    })
+  })
+
+  app.ws('/rooms/:room', function (socket, req) {
+    socket.send(req.params.room)
+  })
+
+  app.ws('/version', function (socket) {
+    socket.send(String(version))
+  })
+
+  app.ws('/partners/feed', function (socket) {
+    socket.send('partner')
+  })
+
+  app.ws('/fail', async function () {
+    throw new Error('Socket failure.')
+  })
+
+  app.get('/http', function (req, res) {
+    res.send('http')
+  })
+}
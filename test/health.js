@@ -0,0 +1,89 @@
+'use strict'
+
+let test = require('tape')
+let request = require('request')
+let PassThrough = require('stream').PassThrough
+
+require('ngn')
+require('../')
+
+test('Health, Readiness & Metrics Endpoints', function (t) {
+  let stream = new PassThrough()
+  let lines = []
+
+  stream.on('data', function (chunk) {
+    lines.push(chunk.toString())
+  })
+
+  let server = new NGNX.http.Server({
+    autoStart: false,
+    poweredby: 'test',
+    port: 0,
+    refresh: false,
+    health: {
+      readiness: '/readyz'
+    },
+    metrics: true,
+    log: {
+      format: 'json',
+      stream: stream
+    }
+  })
+
+  server.createRoutes(require('./files/routes'))
+
+  let base = null
+
+  server.on('start', function () {
+    base = 'http://localhost:' + server.port
+    request.get({ url: base + '/health', json: true }, function (err, r, bod) {
+      if (err) {
+        console.error(err)
+      }
+      t.ok(r.statusCode === 200 && bod.status === 'ok', 'Liveness endpoint responded.')
+
+      request.get({ url: base + '/readyz', json: true }, function (err2, r2, bod2) {
+        if (err2) {
+          console.error(err2)
+        }
+        t.ok(r2.statusCode === 200 && bod2.ready === true, 'Readiness endpoint reports ready.')
+
+        // Simulate a route reload in progress.
+        server.reloading++
+        request.get({ url: base + '/readyz', json: true }, function (err3, r3, bod3) {
+          if (err3) {
+            console.error(err3)
+          }
+          server.reloading--
+          t.ok(r3.statusCode === 503 && bod3.ready === false, 'Readiness endpoint reports not ready while reloading routes.')
+
+          request.get(base + '/ping', function () {
+            request.get(base + '/ping', function () {
+              request.get(base + '/echo/hello', function () {
+                request.get(base + '/metrics', function (err4, r4, metrics) {
+                  if (err4) {
+                    console.error(err4)
+                  }
+                  t.ok(/^text\/plain;.*version=0\.0\.4/.test(r4.headers['content-type']), 'Metrics served in the Prometheus text format.')
+                  t.ok(metrics.indexOf('http_requests_total{method="GET",route="/ping",status="200"} 2') >= 0, 'Request count reported per route and status.')
+                  t.ok(metrics.indexOf('http_request_duration_seconds_count{method="GET",route="/echo/:text",status="200"} 1') >= 0, 'Latency histogram reported per route and status.')
+                  t.ok(metrics.indexOf('http_request_duration_seconds_bucket{method="GET",route="/ping",status="200",le="+Inf"} 2') >= 0, 'Latency histogram buckets reported.')
+                  t.ok(metrics.indexOf('/health') < 0 && metrics.indexOf('/readyz') < 0, 'Built-in endpoints are not measured.')
+                  t.ok(lines.length === 3, 'Built-in endpoints are excluded from the request log.')
+                  server.stop()
+                })
+              })
+            })
+          })
+        })
+      })
+    })
+  })
+
+  server.on('stop', function () {
+    t.ok(!server.ready, 'Server is not ready once stopped.')
+    t.end()
+  })
+
+  server.start()
+})
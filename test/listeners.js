@@ -0,0 +1,144 @@
+'use strict'
+
+let test = require('tape')
+let request = require('request')
+let https = require('https')
+let os = require('os')
+let path = require('path')
+let certificates = require('./files/certificates')
+
+require('ngn')
+require('../')
+
+test('Multiple Listeners', function (t) {
+  let socket = path.join(os.tmpdir(), 'ngnx-http-' + process.pid + '.sock')
+  let server = new NGNX.http.Server({
+    autoStart: false,
+    poweredby: 'test',
+    refresh: false,
+    listen: ['127.0.0.1:0', '[::1]:0', socket]
+  })
+
+  server.createRoutes(require('./files/routes'))
+
+  server.on('start', function () {
+    let addresses = server.addresses
+    t.ok(addresses.length === 3, 'All listeners reported.')
+
+    let ipv4 = addresses[0]
+    let ipv6 = addresses[1]
+
+    t.ok(ipv4.family === 'IPv4' && ipv4.address === '127.0.0.1', 'IPv4 address reported.')
+    t.ok(ipv6.family === 'IPv6' && ipv6.address === '::1', 'IPv6 address reported.')
+    t.ok(addresses[2].path === socket, 'Unix domain socket reported.')
+    t.ok(server.port === ipv4.port, 'Port reflects the first listener.')
+
+    request.get('http://127.0.0.1:' + ipv4.port + '/ping', function (err, r) {
+      t.ok(!err && r.statusCode === 200, 'IPv4 listener responded.')
+      request.get('http://[::1]:' + ipv6.port + '/ping', function (err2, r2) {
+        t.ok(!err2 && r2.statusCode === 200, 'IPv6 listener responded.')
+        request.get('http://unix:' + socket + ':/ping', function (err3, r3) {
+          t.ok(!err3 && r3.statusCode === 200, 'Unix domain socket listener responded.')
+          server.stop()
+        })
+      })
+    })
+  })
+
+  server.on('stop', function () {
+    t.ok(server.addresses.length === 0, 'All listeners stopped.')
+    t.end()
+  })
+
+  server.start()
+})
+
+test('Listener Failure', function (t) {
+  let blocker = require('net').createServer()
+
+  blocker.listen(0, '127.0.0.1', function () {
+    let server = new NGNX.http.Server({
+      autoStart: false,
+      poweredby: 'test',
+      refresh: false,
+      listen: ['127.0.0.1:0', '127.0.0.1:' + blocker.address().port]
+    })
+
+    server.on('start', function () {
+      t.fail('The server must not start when a listener fails.')
+    })
+
+    let servers
+
+    server.on('error', function (err) {
+      t.ok(err.code === 'EADDRINUSE', 'The listener error is emitted.')
+      setTimeout(function () {
+        t.ok(servers.every(function (s) { return !s.listening }) && !server.running, 'Listeners that started are closed.')
+        blocker.close()
+        t.end()
+      }, 100)
+    })
+
+    server.start()
+    servers = server.servers.slice()
+  })
+})
+
+test('HTTP to HTTPS Redirect', function (t) {
+  let cert = certificates.generate('redirect', 'localhost')
+  let server = new NGNX.http.Server({
+    autoStart: false,
+    poweredby: 'test',
+    port: 0,
+    ip: '127.0.0.1',
+    refresh: false,
+    certificate: cert.certificate,
+    key: cert.key,
+    redirect: {
+      port: 0
+    },
+    hsts: {
+      maxAge: 1000,
+      includeSubDomains: true
+    }
+  })
+
+  server.createRoutes(require('./files/routes'))
+
+  server.on('start', function () {
+    let redirect = server.addresses.filter(function (addr) {
+      return addr.redirect
+    })[0]
+
+    t.ok(redirect && redirect.protocol === 'http', 'Redirect listener reported.')
+
+    request.get({
+      url: 'http://localhost:' + redirect.port + '/ping?a=1',
+      followRedirect: false
+    }, function (err, r) {
+      t.ok(!err && r.statusCode === 301, 'Plain HTTP request redirected.')
+      t.ok(r.headers.location === 'https://localhost:' + server.port + '/ping?a=1', 'Redirected to the HTTPS listener.')
+
+      https.get({
+        host: 'localhost',
+        port: server.port,
+        path: '/ping',
+        rejectUnauthorized: false,
+        agent: false
+      }, function (res) {
+        t.ok(res.statusCode === 200, 'HTTPS request succeeded.')
+        t.ok(res.headers['strict-transport-security'] === 'max-age=1000; includeSubDomains', 'HSTS header sent.')
+        res.resume()
+        server.stop()
+      })
+    })
+  })
+
+  server.on('stop', function () {
+    t.end()
+  })
+
+  server.start()
+})
+
+test.onFinish(certificates.cleanup)
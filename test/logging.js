@@ -0,0 +1,201 @@
+'use strict'
+
+let test = require('tape')
+let request = require('request')
+let fs = require('fs')
+let os = require('os')
+let path = require('path')
+let PassThrough = require('stream').PassThrough
+let Writable = require('stream').Writable
+
+require('ngn')
+require('../')
+
+// Create a server that logs to a stream, then issue a request.
+let logRequest = function (log, callback) {
+  let stream = new PassThrough()
+  let lines = []
+
+  stream.on('data', function (chunk) {
+    lines = lines.concat(chunk.toString().split('\n').filter(function (line) {
+      return line.length > 0
+    }))
+  })
+
+  log.stream = stream
+
+  let server = new NGNX.http.Server({
+    autoStart: false,
+    poweredby: 'test',
+    port: 0,
+    refresh: false,
+    log: log
+  })
+
+  server.createRoutes(require('./files/routes'))
+
+  server.on('start', function () {
+    request.get({
+      url: 'http://localhost:' + server.port + '/echo/hello',
+      headers: {
+        'user-agent': 'ngnx-test',
+        'x-request-id': 'abc123'
+      }
+    }, function (err) {
+      if (err) {
+        console.error(err)
+      }
+      server.on('stop', function () {
+        callback(lines)
+      })
+      server.stop()
+    })
+  })
+
+  server.start()
+}
+
+test('Request Log: JSON Format', function (t) {
+  logRequest({
+    format: 'json'
+  }, function (lines) {
+    t.ok(lines.length === 1, 'One line logged per request.')
+    let entry = JSON.parse(lines[0])
+    t.ok(entry.method === 'GET' && entry.url === '/echo/hello', 'Request method and URL logged.')
+    t.ok(entry.status === 200, 'Response status logged.')
+    t.ok(entry.bytes === 5, 'Response size logged.')
+    t.ok(typeof entry.duration === 'number', 'Response time logged.')
+    t.ok(typeof entry.remoteAddress === 'string', 'Remote address logged.')
+    t.ok(entry.userAgent === 'ngnx-test', 'User agent logged.')
+    t.end()
+  })
+})
+
+test('Request Log: Common & Combined Log Formats', function (t) {
+  logRequest({
+    format: 'common'
+  }, function (lines) {
+    t.ok(/^\S+ - - \[\d{2}\/\w{3}\/\d{4}:\d{2}:\d{2}:\d{2} \+0000\] "GET \/echo\/hello HTTP\/1\.1" 200 5$/.test(lines[0]), 'Common Log Format line written.')
+    logRequest({
+      format: 'combined'
+    }, function (lines2) {
+      t.ok(/"GET \/echo\/hello HTTP\/1\.1" 200 5 "-" "ngnx-test"$/.test(lines2[0]), 'Combined Log Format line written.')
+      t.end()
+    })
+  })
+})
+
+test('Request Log: Custom Formatter & Skip', function (t) {
+  logRequest({
+    format: function (entry, req, res) {
+      return entry.method + ' ' + req.params.text + ' ' + res.statusCode
+    },
+    skip: function (req) {
+      return req.url === '/ping'
+    }
+  }, function (lines) {
+    t.ok(lines[0] === 'GET hello 200', 'Custom formatter applied.')
+    t.end()
+  })
+
+  t.throws(function () {
+    new NGNX.http.Server({ // eslint-disable-line no-new
+      autoStart: false,
+      log: 'unknown'
+    })
+  }, /Unrecognized log format/, 'Unrecognized formats throw an error.')
+})
+
+test('Request Log: File Rotation', function (t) {
+  let dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ngnx-http-'))
+  let file = path.join(dir, 'access.log')
+  let server = new NGNX.http.Server({
+    autoStart: false,
+    poweredby: 'test',
+    port: 0,
+    refresh: false,
+    log: {
+      format: 'common',
+      file: file,
+      maxSize: 100,
+      maxFiles: 2
+    }
+  })
+
+  server.createRoutes(require('./files/routes'))
+
+  let count = 0
+  let next = function () {
+    if (count++ === 4) {
+      return server.stop()
+    }
+    request.get('http://localhost:' + server.port + '/ping', next)
+  }
+
+  server.on('start', next)
+
+  server.on('stop', function () {
+    // Allow the last entry to be flushed.
+    setTimeout(function () {
+      let files = fs.readdirSync(dir).sort()
+      t.ok(files.join() === 'access.log,access.log.1,access.log.2', 'Log file rotated and old files pruned.')
+      t.ok(fs.statSync(file).size <= 100, 'Log file does not exceed the maximum size.')
+      files.forEach(function (f) {
+        fs.unlinkSync(path.join(dir, f))
+      })
+      fs.rmdirSync(dir)
+      t.end()
+    }, 100)
+  })
+
+  server.start()
+})
+
+test('Request Log: Stream Errors', function (t) {
+  let stream = new Writable({
+    write: function (chunk, encoding, callback) {
+      callback(new Error('ENOSPC: no space left on device'))
+    }
+  })
+
+  let server = new NGNX.http.Server({
+    autoStart: false,
+    poweredby: 'test',
+    port: 0,
+    refresh: false,
+    log: { stream: stream }
+  })
+
+  server.createRoutes(require('./files/routes'))
+
+  let errors = []
+  server.on('error', function (err) {
+    errors.push(err)
+  })
+
+  let statuses = []
+  let next = function (err, res) {
+    if (err) {
+      console.error(err)
+    }
+    if (res) {
+      statuses.push(res.statusCode)
+    }
+    if (statuses.length === 2) {
+      return server.stop()
+    }
+    request.get('http://localhost:' + server.port + '/ping', next)
+  }
+
+  server.on('start', function () {
+    next()
+  })
+
+  server.on('stop', function () {
+    t.ok(statuses.join() === '200,200', 'Requests are served after the log fails.')
+    t.ok(errors.length > 0 && /ENOSPC/.test(errors[0].message), 'Log failures are reported as server errors.')
+    t.end()
+  })
+
+  server.start()
+})
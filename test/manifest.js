@@ -0,0 +1,299 @@
+'use strict'
+
+let test = require('tape')
+let request = require('request')
+let path = require('path')
+let fs = require('fs')
+
+require('ngn')
+require('../')
+
+let fixtures = function () {
+  let dir = fs.mkdtempSync(path.join(__dirname, 'files', 'manifest-'))
+  let file = function (name, content) {
+    let filepath = path.join(dir, name)
+    if (content !== undefined) {
+      fs.writeFileSync(filepath, content)
+    }
+    return filepath
+  }
+  file.dir = dir
+  file.clean = function () {
+    fs.readdirSync(dir).forEach(function (name) {
+      fs.unlinkSync(path.join(dir, name))
+    })
+    fs.rmdirSync(dir)
+  }
+  return file
+}
+
+// Capture the error thrown by a function (tape ^4 only accepts a RegExp
+// when matching thrown errors).
+let failure = function (fn) {
+  try {
+    fn()
+  } catch (e) {
+    return e
+  }
+  return null
+}
+
+test('Route Manifests: Validation', function (t) {
+  let file = fixtures()
+  let server = new NGNX.http.Server({
+    autoStart: false,
+    poweredby: 'test',
+    port: 0,
+    refresh: false,
+    basiclog: false
+  })
+
+  file('handlers.js', "module.exports = { users: { list: function (req, res) { res.send('users') } }, value: 1 }\n")
+
+  let err = failure(function () {
+    server.createRoutes(file('invalid.yml', [
+      'routes:',
+      '  - method: FETCH',
+      '    path: users',
+      '    handler: ./handlers#users.list',
+      '  - method: GET',
+      '    path: /users',
+      '    handler: not a reference!#',
+      '    colour: blue'
+    ].join('\n')))
+  })
+  t.ok(err !== null &&
+    /routes\[0\]\.method/.test(err.message) &&
+    /routes\[0\]\.path/.test(err.message) &&
+    /routes\[1\]\.handler/.test(err.message) &&
+    /routes\[1\] has an unknown property "colour"/.test(err.message) &&
+    err.location === file('invalid.yml'), 'Every problem of an invalid manifest is reported at once.')
+
+  err = failure(function () {
+    server.createRoutes(file('broken.yml', 'routes:\n  - method: GET\n   path: /x\n'))
+  })
+  t.ok(err !== null && /Invalid route manifest/.test(err.message) && err.location === file('broken.yml') + ':3', 'YAML syntax errors identify the line of the manifest.')
+
+  err = failure(function () {
+    server.createRoutes(file('broken.json', '{\n  "routes": [\n    { "method": "GET", }\n  ]\n}'))
+  })
+  t.ok(err !== null && /Invalid route manifest/.test(err.message) && err.location === file('broken.json') + ':3', 'JSON syntax errors identify the line of the manifest.')
+
+  t.throws(function () {
+    server.createRoutes(file('missing.json', JSON.stringify({
+      routes: [{ method: 'GET', path: '/users', handler: './nothing#list' }]
+    })))
+  }, /routes\[0\]\.handler refers to a module that cannot be found \("\.\/nothing"\)/, 'Missing handler modules are reported.')
+
+  t.throws(function () {
+    server.createRoutes(file('export.json', JSON.stringify({
+      routes: [{ method: 'GET', path: '/users', handler: './handlers#value' }]
+    })))
+  }, /routes\[0\]\.handler \("\.\/handlers#value"\) is not a function/, 'Exports that are not functions are reported.')
+
+  t.ok(server.listRoutes().length === 0, 'Nothing is mounted when a manifest is invalid.')
+
+  file.clean()
+  t.end()
+})
+
+test('Route Manifests: Routing', function (t) {
+  let file = fixtures()
+
+  file('handlers.js', [
+    "'use strict'",
+    'module.exports = {',
+    '  users: {',
+    '    show: function (req, res) { res.json({ id: req.params.id, via: req.via }) },',
+    "    list: function (req, res) { res.send('users') }",
+    '  },',
+    "  tag: function (req, res, next) { req.via = (req.via || []).concat('manifest'); next() },",
+    "  admin: function (req, res, next) { req.get('x-admin') ? next() : res.sendStatus(403) }",
+    '}',
+    ''
+  ].join('\n'))
+  file('ping.js', "module.exports = function (req, res) { res.send('pong') }\n")
+  file('routes.yml', [
+    'prefix: /api',
+    'middleware: ./handlers#tag',
+    'corsPolicies:',
+    '  partners:',
+    '    whitelist: https://partner.com',
+    'routes:',
+    '  - method: get',
+    '    path: /users',
+    '    handler: ./handlers#users.list',
+    '    cors: partners',
+    '  - method: GET',
+    '    path: /users/:id',
+    '    handler: ./handlers#users.show',
+    '    middleware:',
+    '      - ./handlers#admin'
+  ].join('\n'))
+  file('routes.json', JSON.stringify({
+    routes: [{ method: 'ALL', path: '/ping', handler: './ping' }]
+  }))
+
+  let server = new NGNX.http.Server({
+    autoStart: false,
+    poweredby: 'test',
+    port: 0,
+    refresh: false,
+    basiclog: false,
+    cors: true,
+    whitelist: 'https://example.com'
+  })
+
+  server.createRoutes(file('routes.yml'))
+  server.createRoutes(file('routes.json'))
+
+  t.ok(server.listRoutes().some(function (route) {
+    return route.method === 'GET' && route.path === '/api/users/:id' && route.source === file('routes.yml')
+  }), 'Manifest routes are listed with the manifest as their source.')
+
+  server.on('start', function () {
+    let base = 'http://localhost:' + server.port
+    let checks = [
+      function (next) {
+        request.get({ url: base + '/api/users/7', headers: { 'x-admin': 'yes' }, json: true }, function (err, res, body) {
+          if (err) {
+            console.error(err)
+          }
+          t.deepEqual(body, { id: '7', via: ['manifest'] }, 'Handlers resolved from dotted export paths, with the manifest prefix and middleware.')
+          next()
+        })
+      },
+      function (next) {
+        request.get(base + '/api/users/7', function (err, res) {
+          if (err) {
+            console.error(err)
+          }
+          t.ok(res.statusCode === 403, 'Route middleware applied.')
+          next()
+        })
+      },
+      function (next) {
+        request.get({ url: base + '/api/users', headers: { origin: 'https://partner.com' } }, function (err, res, body) {
+          if (err) {
+            console.error(err)
+          }
+          t.ok(body === 'users' && res.headers['access-control-allow-origin'] === 'https://partner.com', 'The CORS policy of a route is applied.')
+          next()
+        })
+      },
+      function (next) {
+        request.post(base + '/ping', function (err, res, body) {
+          if (err) {
+            console.error(err)
+          }
+          t.ok(body === 'pong', 'JSON manifests and default exports supported.')
+          next()
+        })
+      }
+    ]
+
+    let run = function () {
+      if (checks.length === 0) {
+        server.stop()
+        return
+      }
+      checks.shift()(run)
+    }
+
+    run()
+  })
+
+  server.on('stop', function () {
+    file.clean()
+    t.end()
+  })
+
+  server.start()
+})
+
+test('Route Manifests: Hot Reload', function (t) {
+  let file = fixtures()
+  let manifest = function (routes) {
+    return file('routes.json', JSON.stringify({ routes: routes }, null, 2))
+  }
+
+  file('handlers.js', "module.exports = { hello: function (req, res) { res.send('hello') } }\n")
+  manifest([{ method: 'GET', path: '/hello', handler: './handlers#hello' }])
+
+  let server = new NGNX.http.Server({
+    autoStart: false,
+    poweredby: 'test',
+    port: 0,
+    refresh: true,
+    basiclog: false
+  })
+
+  server.createRoutes(file('routes.json'))
+
+  let failures = []
+  server.on('reloaderror', function (err, root) {
+    failures.push([err, root])
+  })
+
+  server.on('start', function () {
+    let base = 'http://localhost:' + server.port
+    let get = function (urlpath, fn) {
+      request.get(base + urlpath, function (err, res, body) {
+        if (err) {
+          console.error(err)
+        }
+        fn(res.statusCode, body)
+      })
+    }
+
+    let checks = [
+      function (next) {
+        t.ok(server.getAssociatedRoots(file('handlers.js'))[0] === file('routes.json'), 'Handler modules are dependencies of the manifest.')
+        t.ok(server.monitors[file.dir].files.indexOf(file('handlers.js')) >= 0, 'Handler modules are monitored.')
+        file('handlers.js', "module.exports = { hello: function (req, res) { res.send('hello again') } }\n")
+        server.reloadDependents(file('handlers.js'))
+        get('/hello', function (status, body) {
+          t.ok(body === 'hello again', 'Changes to a handler module reload the manifest.')
+          next()
+        })
+      },
+      function (next) {
+        manifest([
+          { method: 'GET', path: '/hello', handler: './handlers#hello' },
+          { method: 'GET', path: '/goodbye', handler: './handlers#hello' }
+        ])
+        server.reloadDependents(file('routes.json'))
+        get('/goodbye', function (status, body) {
+          t.ok(body === 'hello again', 'Changes to the manifest are applied.')
+          next()
+        })
+      },
+      function (next) {
+        manifest([{ method: 'GET', path: '/hello', handler: './handlers#missing' }])
+        t.ok(server.reloadRoutes(file('routes.json')) === false, 'An invalid manifest is not reloaded.')
+        t.ok(failures.length === 1 && /routes\[0\]\.handler/.test(failures[0][0].message), 'The validation error is reported.')
+        get('/goodbye', function (status, body) {
+          t.ok(body === 'hello again', 'The previous routes remain active.')
+          next()
+        })
+      }
+    ]
+
+    let run = function () {
+      if (checks.length === 0) {
+        server.stop()
+        return
+      }
+      checks.shift()(run)
+    }
+
+    run()
+  })
+
+  server.on('stop', function () {
+    file.clean()
+    t.end()
+  })
+
+  server.start()
+})
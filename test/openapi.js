@@ -0,0 +1,161 @@
+'use strict'
+
+let test = require('tape')
+let request = require('request')
+let path = require('path')
+let fs = require('fs')
+
+require('ngn')
+require('../')
+
+test('OpenAPI: Document Generation', function (t) {
+  let dir = fs.mkdtempSync(path.join(__dirname, 'files', 'openapi-'))
+  let file = function (content) {
+    let filepath = path.join(dir, 'items.js')
+    if (content !== undefined) {
+      fs.writeFileSync(filepath, "'use strict'\n\nmodule.exports = function (app) {\n" + content + '\n}\n')
+    }
+    return filepath
+  }
+
+  file([
+    "  app.get('/items/:itemId', {",
+    "    summary: 'Retrieve an item.',",
+    "    tags: ['items'],",
+    "    operationId: 'getItem'",
+    '  }, function (req, res) {',
+    '    res.json({})',
+    '  })'
+  ].join('\n'))
+
+  let server = new NGNX.http.Server({
+    autoStart: false,
+    poweredby: 'test',
+    port: 0,
+    refresh: true,
+    basiclog: false,
+    health: true,
+    openapi: {
+      path: '/docs/openapi.json',
+      info: {
+        title: 'Test API',
+        version: '2.0.0'
+      },
+      servers: [{ url: 'https://api.example.com' }]
+    }
+  })
+
+  server.createRoutes(path.join(__dirname, 'files', 'validationroutes.js'))
+  server.createRoutes(path.join(__dirname, 'files', 'validation.yml'))
+  server.createRoutes(file())
+  server.app.route('/anything').all(function (req, res) {
+    res.sendStatus(200)
+  })
+  server.app.get(/^\/regexp$/, function (req, res) {
+    res.sendStatus(200)
+  })
+
+  let doc = server.toOpenAPI()
+
+  t.ok(doc.openapi === '3.1.0' && doc.info.title === 'Test API' && doc.info.version === '2.0.0', 'The document contains the configured info.')
+  t.deepEqual(doc.servers, [{ url: 'https://api.example.com' }], 'The document contains the configured servers.')
+  t.deepEqual(Object.keys(doc.paths).sort(), ['/items/{itemId}', '/manifest/{id}', '/search', '/users', '/users/{id}'], 'Routes are converted to path templates, omitting built-in endpoints, ALL and regular expression routes.')
+
+  let user = doc.paths['/users/{id}'].get
+  t.deepEqual(user.parameters, [{
+    name: 'id',
+    in: 'path',
+    required: true,
+    schema: { type: 'integer', minimum: 1 }
+  }], 'Path parameters are described by the params schema.')
+  t.deepEqual(Object.keys(user.responses), ['200', '4XX'], 'Responses are described by the response schemas.')
+  t.ok(user.responses['200'].content['application/json'].schema.properties.age.type === 'integer', 'Response schemas are included.')
+
+  let create = doc.paths['/users'].post
+  t.ok(create.requestBody.content['application/json'].schema.required.indexOf('name') >= 0, 'The request body is described by the body schema.')
+  t.deepEqual(create.responses, { default: { description: 'Default response' } }, 'Routes without a response schema have a default response.')
+
+  let search = doc.paths['/search'].get
+  t.deepEqual(search.parameters.map(function (parameter) {
+    return parameter.in + ':' + parameter.name + (parameter.required ? '*' : '')
+  }), ['query:page', 'query:active', 'query:tags', 'header:x-api-version*'], 'Query parameters and headers are described.')
+
+  t.deepEqual(doc.paths['/manifest/{id}'].get.parameters[0].schema, { type: 'integer' }, 'Routes loaded from manifests are described.')
+
+  let item = doc.paths['/items/{itemId}'].get
+  t.ok(item.summary === 'Retrieve an item.' && item.tags[0] === 'items' && item.operationId === 'getItem', 'Route descriptions are applied to the operation.')
+  t.deepEqual(item.parameters[0], { name: 'itemId', in: 'path', required: true, schema: { type: 'string' } }, 'Path parameters without a schema are strings.')
+
+  server.on('start', function () {
+    let url = 'http://localhost:' + server.port + '/docs/openapi.json'
+
+    request.get({ url: url, json: true }, function (err, res, body) {
+      if (err) {
+        console.error(err)
+      }
+      t.ok(res.statusCode === 200 && body.paths['/users/{id}'], 'The document is served at the configured path.')
+
+      file("  app.delete('/items/:itemId', function (req, res) {\n    res.sendStatus(204)\n  })")
+      server.reloadRoutes(file())
+
+      request.get({ url: url, json: true }, function (err2, res2, body2) {
+        if (err2) {
+          console.error(err2)
+        }
+        t.ok(body2.paths['/items/{itemId}'].delete && !body2.paths['/items/{itemId}'].get, 'The document reflects reloaded routes.')
+        server.stop()
+      })
+    })
+  })
+
+  server.on('stop', function () {
+    fs.unlinkSync(file())
+    fs.rmdirSync(dir)
+    t.end()
+  })
+
+  server.start()
+})
+
+test('OpenAPI: Schema Conversion', function (t) {
+  let server = new NGNX.http.Server({
+    autoStart: false,
+    poweredby: 'test',
+    refresh: false,
+    basiclog: false
+  })
+
+  let node = {
+    $schema: 'http://json-schema.org/draft-07/schema#',
+    definitions: {
+      node: {
+        type: 'object',
+        properties: {
+          name: { type: 'string' },
+          children: { type: 'array', items: { $ref: '#/definitions/node' } }
+        }
+      }
+    },
+    type: 'object',
+    properties: {
+      root: { $ref: '#/definitions/node' },
+      tags: { type: 'array' }
+    }
+  }
+
+  server.app.put('/tree', server.validate({ body: node, response: { '2xx': node } }), function (req, res) {
+    res.sendStatus(204)
+  })
+
+  let operation = server.toOpenAPI().paths['/tree'].put
+  let schema = operation.requestBody.content['application/json'].schema
+
+  t.ok(schema.definitions === undefined && schema.$schema === undefined, 'Definitions are removed.')
+  t.ok(schema.properties.root.properties.name.type === 'string', 'References are resolved inline.')
+  t.deepEqual(schema.properties.root.properties.children.items, {}, 'Recursive references are replaced by an empty schema.')
+  t.deepEqual(schema.properties.tags, { type: 'array' }, 'Properties named like route descriptions are retained.')
+  t.ok(operation.responses['2XX'].description === '2XX response', 'Status classes are normalized.')
+  t.ok(server.listRoutes()[0].middleware[0] === 'validateRequest', 'The validation middleware is identified in the route table.')
+
+  t.end()
+})
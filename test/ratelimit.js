@@ -0,0 +1,182 @@
+'use strict'
+
+let test = require('tape')
+let request = require('request')
+
+require('ngn')
+require('../')
+
+let RateLimiter = require('../lib/RateLimiter')
+let MemoryStore = require('../lib/MemoryStore')
+
+// Issue a series of requests, collecting the responses.
+let series = function (count, options, callback, responses) {
+  responses = responses || []
+  if (count === 0) {
+    return callback(responses)
+  }
+  request(Object.assign({ json: true }, options), function (err, r, bod) {
+    if (err) {
+      console.error(err)
+    }
+    responses.push({ status: r.statusCode, headers: r.headers, body: bod })
+    series(count - 1, options, callback, responses)
+  })
+}
+
+test('Rate Limiting: Fixed Window', function (t) {
+  let server = new NGNX.http.Server({
+    autoStart: false,
+    poweredby: 'test',
+    port: 0,
+    refresh: false,
+    basiclog: false,
+    health: true,
+    rateLimit: {
+      limit: 3,
+      window: 60000,
+      key: { header: 'X-API-Key' },
+      routes: {
+        'POST /login': { limit: 1 },
+        '/open': false
+      }
+    }
+  })
+
+  server.app.get('/data', function (req, res) {
+    res.sendStatus(200)
+  })
+  server.app.post('/login', function (req, res) {
+    res.sendStatus(200)
+  })
+  server.app.get('/login', function (req, res) {
+    res.sendStatus(200)
+  })
+  server.app.get('/open', function (req, res) {
+    res.sendStatus(200)
+  })
+
+  server.on('start', function () {
+    let base = 'http://localhost:' + server.port
+    series(4, { url: base + '/data', headers: { 'x-api-key': 'a' } }, function (responses) {
+      t.ok(responses.slice(0, 3).every(function (r) {
+        return r.status === 200
+      }), 'Requests within the limit succeed.')
+      t.ok(responses[0].headers['ratelimit-limit'] === '3' && responses[0].headers['ratelimit-remaining'] === '2', 'RateLimit headers returned.')
+      t.ok(parseInt(responses[0].headers['ratelimit-reset'], 10) > 0, 'RateLimit-Reset header returned.')
+      t.ok(responses[3].status === 429, 'Requests exceeding the limit respond with 429.')
+      t.ok(responses[3].headers['retry-after'] === responses[3].headers['ratelimit-reset'], 'Retry-After header returned.')
+      t.ok(responses[3].headers['ratelimit-remaining'] === '0', 'RateLimit headers returned with the 429 response.')
+      t.ok(responses[3].body.status === 429, 'Limited response handled by the error handler.')
+
+      series(1, { url: base + '/data', headers: { 'x-api-key': 'b' } }, function (other) {
+        t.ok(other[0].status === 200, 'Clients are limited independently.')
+
+        series(2, { method: 'POST', url: base + '/login', headers: { 'x-api-key': 'b' } }, function (login) {
+          t.ok(login[0].status === 200 && login[1].status === 429, 'Route override applied.')
+
+          series(1, { url: base + '/login', headers: { 'x-api-key': 'b' } }, function (get) {
+            t.ok(get[0].status === 200 && get[0].headers['ratelimit-remaining'] === '1', 'Route override only applies to its method.')
+
+            series(5, { url: base + '/open', headers: { 'x-api-key': 'a' } }, function (open) {
+              t.ok(open[4].status === 200 && open[4].headers['ratelimit-limit'] === undefined, 'Rate limiting disabled for a route.')
+
+              series(1, { url: base + '/health', headers: { 'x-api-key': 'a' } }, function (health) {
+                t.ok(health[0].status === 200, 'Built-in endpoints are not limited.')
+                server.stop()
+              })
+            })
+          })
+        })
+      })
+    })
+  })
+
+  server.on('stop', function () {
+    t.end()
+  })
+
+  server.start()
+})
+
+test('Rate Limiting: Token Bucket', function (t) {
+  let limiter = new RateLimiter({
+    strategy: 'token-bucket',
+    limit: 2,
+    window: 200
+  })
+  let results = []
+  let consume = function (callback) {
+    limiter.consume('client', limiter.policy, function (err, result) {
+      t.ok(err === null, 'No store error.')
+      results.push(result)
+      callback()
+    })
+  }
+
+  consume(function () {
+    consume(function () {
+      consume(function () {
+        t.ok(results[0].allowed && results[1].allowed, 'Burst within the bucket size allowed.')
+        t.ok(!results[2].allowed && results[2].remaining === 0, 'Empty bucket rejects requests.')
+        t.ok(results[2].reset === 1, 'Reset indicates when a token is available.')
+        setTimeout(function () {
+          consume(function () {
+            t.ok(results[3].allowed, 'Tokens refilled over time.')
+            limiter.store.close()
+            t.end()
+          })
+        }, 120)
+      })
+    })
+  })
+})
+
+test('Rate Limiting: Store', function (t) {
+  let store = new MemoryStore()
+  store.set('a', 1, 20)
+  store.set('b', 2)
+  store.get('a', function (err, value) {
+    t.ok(err === null && value === 1, 'Value retrieved.')
+    setTimeout(function () {
+      store.get('a', function (err2, value2) {
+        t.ok(value2 === undefined, 'Value expired.')
+        store.get('b', function (err3, value3) {
+          t.ok(value3 === 2, 'Value without a TTL does not expire.')
+          store.delete('b')
+          store.get('b', function (err4, value4) {
+            t.ok(value4 === undefined, 'Value deleted.')
+            store.close()
+            t.end()
+          })
+        })
+      })
+    }, 40)
+  })
+})
+
+test('Rate Limiting: Custom Store Failure', function (t) {
+  let failures = []
+  let limiter = new RateLimiter({
+    store: {
+      get: function (key, callback) {
+        callback(new Error('Store unavailable'))
+      },
+      set: function (key, value, ttl, callback) {
+        callback(null)
+      }
+    },
+    onError: function (err) {
+      failures.push(err)
+    }
+  })
+
+  limiter.middleware({ path: '/', url: '/', method: 'GET', headers: {}, ip: '127.0.0.1' }, {}, function (err) {
+    t.ok(err === undefined, 'Request allowed when the store fails.')
+    t.ok(failures.length === 1 && failures[0].message === 'Store unavailable', 'Store failure reported.')
+    t.throws(function () {
+      new RateLimiter({ strategy: 'sliding' }) // eslint-disable-line no-new
+    }, /Unrecognized rate limit strategy/, 'Invalid strategy throws an error.')
+    t.end()
+  })
+})
@@ -0,0 +1,245 @@
+'use strict'
+
+let test = require('tape')
+let request = require('request')
+let path = require('path')
+let fs = require('fs')
+
+require('ngn')
+require('../')
+
+test('Hot Reload: Dependency Graph', function (t) {
+  let dir = fs.mkdtempSync(path.join(__dirname, 'files', 'graph-'))
+  let file = function (name, content) {
+    let filepath = path.join(dir, name)
+    if (content !== undefined) {
+      fs.writeFileSync(filepath, "'use strict'\n\n" + content + '\n')
+    }
+    return filepath
+  }
+
+  file('helper.js', "module.exports = { value: 'one' }")
+  file('shared.js', "let helper = require('./helper')\nmodule.exports = function () { return helper.value }")
+  file('extra.js', "module.exports = 'extra'")
+  file('a.js', "let shared = require('./shared')\nmodule.exports = function (app) { app.get('/a', function (req, res) { res.send('a:' + shared()) }) }")
+  file('b.js', "let shared = require('./shared')\nmodule.exports = function (app) { app.get('/b', function (req, res) { res.send('b:' + shared()) }) }")
+
+  let server = new NGNX.http.Server({
+    autoStart: false,
+    poweredby: 'test',
+    port: 0,
+    refresh: true,
+    basiclog: false
+  })
+
+  server.createRoutes(file('a.js'))
+  server.createRoutes(file('b.js'))
+
+  let reloads = []
+  server.on('reload', function (root, trigger) {
+    reloads.push([path.basename(root), path.basename(trigger)])
+  })
+
+  let failures = []
+  server.on('reloaderror', function (err) {
+    failures.push(err)
+  })
+
+  server.on('start', function () {
+    let base = 'http://localhost:' + server.port
+    let get = function (expected, message, next) {
+      request.get(base + '/a', function (err, r, a) {
+        if (err) {
+          console.error(err)
+        }
+        request.get(base + '/b', function (err2, r2, b) {
+          if (err2) {
+            console.error(err2)
+          }
+          t.ok(a + ' ' + b === expected, message)
+          next()
+        })
+      })
+    }
+
+    let checks = [
+      function (next) {
+        t.ok(server.getAssociatedRoots(file('helper.js')).length === 2, 'Every route module depending on a nested module is identified.')
+        get('a:one b:one', 'Initial routes loaded.', next)
+      },
+      function (next) {
+        file('helper.js', "module.exports = { value: 'two' }")
+        server.reloadDependents(file('helper.js'))
+        t.deepEqual(reloads, [['a.js', 'helper.js'], ['b.js', 'helper.js']], 'A reload event is emitted for each affected route module.')
+        t.ok(server.listRoutes().filter(function (route) {
+          return route.path === '/a' || route.path === '/b'
+        }).length === 2, 'Reloaded routes are not duplicated.')
+        get('a:two b:two', 'Changes to a deeply nested shared module reload every dependent route module.', next)
+      },
+      function (next) {
+        reloads = []
+        file('shared.js', "let helper = require('./helper')\nlet extra = require('./extra')\nmodule.exports = function () { return helper.value + ' ' + extra }")
+        server.reloadDependents(file('shared.js'))
+        t.ok(server.monitors[dir].files.indexOf(file('extra.js')) >= 0, 'Modules required by an edit are monitored.')
+        get('a:two extra b:two extra', 'Edited module reloaded.', next)
+      },
+      function (next) {
+        reloads = []
+        file('extra.js', "module.exports = 'more'")
+        server.reloadDependents(file('extra.js'))
+        t.ok(reloads.length === 2, 'Changes to newly required modules trigger a reload.')
+        get('a:two more b:two more', 'Newly required module reloaded.', next)
+      },
+      function (next) {
+        reloads = []
+        server.removeRoutes(file('b.js'))
+        file('helper.js', "module.exports = { value: 'three' }")
+        server.reloadDependents(file('helper.js'))
+        t.deepEqual(reloads, [['a.js', 'helper.js']], 'Removed route modules are not reloaded.')
+        next()
+      },
+      function (next) {
+        reloads = []
+        fs.unlinkSync(file('helper.js'))
+        file('helper.js', "module.exports = { value: 'four' }")
+        server.reloadCreated(dir, file('helper.js'), fs.statSync(file('helper.js')))
+        t.ok(reloads.length === 1 && reloads[0][0] === 'a.js' && failures.length === 0 && !server.roots.has(file('helper.js')), 'A dependency created again reloads its dependents instead of being loaded as a route module.')
+        request.get('http://localhost:' + server.port + '/a', function (err, r, a) {
+          if (err) {
+            console.error(err)
+          }
+          t.ok(a === 'a:four more', 'The re-created dependency is loaded.')
+          next()
+        })
+      }
+    ]
+
+    let run = function () {
+      if (checks.length === 0) {
+        server.stop()
+        return
+      }
+      checks.shift()(run)
+    }
+
+    run()
+  })
+
+  server.on('stop', function () {
+    fs.readdirSync(dir).forEach(function (name) {
+      fs.unlinkSync(path.join(dir, name))
+    })
+    fs.rmdirSync(dir)
+    t.end()
+  })
+
+  server.start()
+})
+
+test('Hot Reload: Failures', function (t) {
+  let dir = fs.mkdtempSync(path.join(__dirname, 'files', 'failure-'))
+  let file = path.join(dir, 'routes.js')
+  let write = function (content) {
+    fs.writeFileSync(file, "'use strict'\n\nmodule.exports = function (app) {\n" + content + '\n}\n')
+  }
+  let good = function (version) {
+    write("  app.corsPolicy('/good', 'good', { whitelist: 'good.com' })\n  app.ws('/good', function (socket) { socket.close() })\n  app.get('/good', function (req, res) { res.send('" + version + "') })")
+  }
+
+  good('v1')
+
+  let server = new NGNX.http.Server({
+    autoStart: false,
+    poweredby: 'test',
+    port: 0,
+    refresh: true,
+    basiclog: false,
+    reloadDelay: 50
+  })
+
+  server.createRoutes(file)
+
+  let failures = []
+  let reloads = 0
+  server.on('reloaderror', function (err, root, trigger) {
+    failures.push({ err: err, root: root, trigger: trigger })
+  })
+  server.on('reload', function () {
+    reloads++
+  })
+
+  server.on('start', function () {
+    let base = 'http://localhost:' + server.port
+    let state = function () {
+      return [server.listRoutes().length, server.corsbindings.length, server.websockets.endpoints.length].join()
+    }
+    let initial = state()
+
+    let checks = [
+      function (next) {
+        write("  app.get('/good', function (req, res) { res.send('v2') }")
+        t.ok(server.reloadRoutes(file) === false, 'Reloading a module with a syntax error fails.')
+        t.ok(failures.length === 1 && failures[0].err instanceof SyntaxError && failures[0].root === file && failures[0].trigger === file, 'A reloaderror event is fired.')
+        t.ok(server.getErrorLocation(failures[0].err).indexOf(file + ':') === 0, 'The location of the syntax error is identified.')
+        t.ok(state() === initial, 'The previous routes, CORS policies and WebSocket endpoints remain.')
+        request.get(base + '/good', function (err, r, bod) {
+          if (err) {
+            console.error(err)
+          }
+          t.ok(bod === 'v1', 'The previous routes are still served.')
+          next()
+        })
+      },
+      function (next) {
+        write("  app.get('/partial', function (req, res) { res.send('partial') })\n  throw new Error('Broken module.')")
+        server.reloadRoutes(file)
+        t.ok(failures.length === 2 && failures[1].err.message === 'Broken module.', 'Errors thrown while loading are reported.')
+        t.ok(server.getErrorLocation(failures[1].err) === file + ':5', 'The line that threw is identified.')
+        request.get(base + '/partial', function (err, r) {
+          if (err) {
+            console.error(err)
+          }
+          t.ok(r.statusCode === 404 && state() === initial, 'Routes of a module that fails to load are not mounted.')
+          next()
+        })
+      },
+      function (next) {
+        good('v2')
+        reloads = 0
+        server.scheduleReload(file)
+        server.scheduleReload(file)
+        setTimeout(function () {
+          server.scheduleReload(file)
+        }, 20)
+        setTimeout(function () {
+          t.ok(reloads === 1, 'Changes in quick succession are reloaded once.')
+          request.get(base + '/good', function (err, r, bod) {
+            if (err) {
+              console.error(err)
+            }
+            t.ok(bod === 'v2' && state() === initial, 'Fixed module reloaded.')
+            next()
+          })
+        }, 200)
+      }
+    ]
+
+    let run = function () {
+      if (checks.length === 0) {
+        server.stop()
+        return
+      }
+      checks.shift()(run)
+    }
+
+    run()
+  })
+
+  server.on('stop', function () {
+    fs.unlinkSync(file)
+    fs.rmdirSync(dir)
+    t.end()
+  })
+
+  server.start()
+})
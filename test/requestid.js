@@ -0,0 +1,120 @@
+'use strict'
+
+let test = require('tape')
+let request = require('request')
+let PassThrough = require('stream').PassThrough
+
+require('ngn')
+require('../')
+
+test('Request ID', function (t) {
+  let stream = new PassThrough()
+  let lines = []
+
+  stream.on('data', function (chunk) {
+    lines.push(chunk.toString())
+  })
+
+  let server = new NGNX.http.Server({
+    autoStart: false,
+    poweredby: 'test',
+    port: 0,
+    refresh: false,
+    requestId: true,
+    log: {
+      format: 'json',
+      stream: stream
+    }
+  })
+
+  server.app.get('/id', function (req, res) {
+    res.send(req.id)
+  })
+
+  server.on('start', function () {
+    request.get('http://localhost:' + server.port + '/id', function (err, r, bod) {
+      if (err) {
+        console.error(err)
+      }
+      let id = r.headers['x-request-id']
+      t.ok(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/.test(id), 'Request ID generated.')
+      t.ok(bod === id, 'Request ID attached to the request.')
+      t.ok(JSON.parse(lines[0]).requestId === id, 'Request ID written to the request log.')
+
+      request.get({
+        url: 'http://localhost:' + server.port + '/id',
+        headers: {
+          'x-request-id': 'upstream-123'
+        }
+      }, function (err2, r2, bod2) {
+        if (err2) {
+          console.error(err2)
+        }
+        t.ok(r2.headers['x-request-id'] === 'upstream-123' && bod2 === 'upstream-123', 'Incoming request ID propagated.')
+
+        request.get({
+          url: 'http://localhost:' + server.port + '/id',
+          headers: {
+            'x-request-id': '<script>'
+          }
+        }, function (err3, r3) {
+          if (err3) {
+            console.error(err3)
+          }
+          t.ok(r3.headers['x-request-id'] !== '<script>', 'Invalid incoming request ID replaced.')
+          server.stop()
+        })
+      })
+    })
+  })
+
+  server.on('stop', function () {
+    t.end()
+  })
+
+  server.start()
+})
+
+test('Request ID: Custom Header & Generator', function (t) {
+  let server = new NGNX.http.Server({
+    autoStart: false,
+    poweredby: 'test',
+    port: 0,
+    refresh: false,
+    basiclog: false,
+    requestId: {
+      header: 'X-Correlation-ID',
+      generate: function () {
+        return 'generated'
+      }
+    }
+  })
+
+  let errors = []
+
+  server.app.get('/fail', function (req, res, next) {
+    let err = new Error('Failure')
+    errors.push(err)
+    next(err)
+  })
+
+  server.app.set('env', 'test')
+
+  server.on('start', function () {
+    request.get('http://localhost:' + server.port + '/fail', function (err, r) {
+      if (err) {
+        console.error(err)
+      }
+      t.ok(r.headers['x-correlation-id'] === 'generated', 'Custom header and generator used.')
+      t.ok(r.headers['x-request-id'] === undefined, 'Default header not used.')
+      t.ok(errors[0].requestId === 'generated', 'Request ID attached to errors.')
+      server.stop()
+    })
+  })
+
+  server.on('stop', function () {
+    t.end()
+  })
+
+  server.start()
+})
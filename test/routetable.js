@@ -0,0 +1,88 @@
+'use strict'
+
+let test = require('tape')
+let request = require('request')
+let path = require('path')
+
+require('ngn')
+require('../')
+
+test('Route Table', function (t) {
+  let server = new NGNX.http.Server({
+    autoStart: false,
+    poweredby: 'test',
+    port: 0,
+    refresh: false
+  })
+
+  let source = path.resolve('./test/files/routes.js')
+
+  server.createRoutes('./test/files/routes')
+  server.createRoutes('./test/files/discovery', {
+    prefix: true
+  })
+
+  let added = server.addRoute('POST', '/added', function authenticate (req, res, next) {
+    next()
+  }, function (req, res) {
+    res.sendStatus(201)
+  })
+
+  t.ok(added.source === __filename, 'addRoute records the calling file as the source.')
+  t.throws(function () {
+    server.addRoute('FETCH', '/invalid', function () {})
+  }, /Unsupported HTTP method/, 'addRoute rejects unknown HTTP methods.')
+
+  let routes = server.listRoutes()
+  let find = function (method, urlpath) {
+    return routes.filter(function (route) {
+      return route.method === method && route.path === urlpath
+    })[0]
+  }
+
+  t.ok(find('GET', '/ping') !== undefined, 'Route listed.')
+  t.ok(find('GET', '/ping').source === source, 'Route source file listed.')
+  t.ok(find('GET', '/echo/:text').middleware[0] === 'test', 'Route middleware names listed.')
+  t.ok(find('GET', '/users/list') !== undefined, 'Routes of prefixed modules are listed with their prefix.')
+  t.ok(find('POST', '/added').middleware.join() === 'authenticate,<anonymous>', 'Added route listed.')
+
+  server.on('start', function () {
+    let removed = server.removeRoutes(function (route) {
+      return route.path === '/ping'
+    })
+
+    t.ok(removed === 1, 'removeRoutes reports the number of routes removed by filter.')
+
+    request.get('http://localhost:' + server.port + '/ping', function (err, r) {
+      if (err) {
+        console.error(err)
+      }
+      t.ok(r.statusCode === 404, 'Filtered route removed.')
+      request.get('http://localhost:' + server.port + '/ping2', function (err2, r2) {
+        if (err2) {
+          console.error(err2)
+        }
+        t.ok(r2.statusCode === 501, 'Other routes in the module remain.')
+
+        t.ok(server.removeRoutes('./test/files/routes') === 3, 'removeRoutes reports the number of routes removed for a module.')
+        t.ok(server.listRoutes().filter(function (route) {
+          return route.source === source
+        }).length === 0, 'Module unloaded.')
+
+        request.get('http://localhost:' + server.port + '/ping2', function (err3, r3) {
+          if (err3) {
+            console.error(err3)
+          }
+          t.ok(r3.statusCode === 404, 'Module routes removed.')
+          server.stop()
+        })
+      })
+    })
+  })
+
+  server.on('stop', function () {
+    t.end()
+  })
+
+  server.start()
+})
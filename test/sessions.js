@@ -0,0 +1,255 @@
+'use strict'
+
+let test = require('tape')
+let request = require('request')
+let path = require('path')
+let fs = require('fs')
+
+require('ngn')
+require('../')
+
+let Sessions = require('../lib/Sessions')
+
+let routes = path.join(__dirname, 'files', 'sessionroutes.js')
+
+// Create a server using the session routes.
+let create = function (session) {
+  let server = new NGNX.http.Server({
+    autoStart: false,
+    poweredby: 'test',
+    port: 0,
+    refresh: false,
+    basiclog: false,
+    health: true,
+    session: session
+  })
+  server.createRoutes(routes)
+  return server
+}
+
+// Issue a request, providing the session cookie (if any) and the cookie set
+// by the response.
+let call = function (server, method, urlpath, cookie, callback) {
+  request({
+    method: method,
+    url: 'http://localhost:' + server.port + urlpath,
+    headers: cookie ? { cookie: 'theme=dark; sid=' + cookie } : {},
+    json: true
+  }, function (err, res, body) {
+    if (err) {
+      console.error(err)
+    }
+    let header = (res.headers['set-cookie'] || [])[0] || null
+    callback(res, body, header, header ? header.split(';')[0].split('=')[1] : null)
+  })
+}
+
+// Run a series of checks against a started server.
+let run = function (server, checks) {
+  server.on('start', function () {
+    let next = function () {
+      if (checks.length === 0) {
+        server.stop()
+        return
+      }
+      checks.shift()(next)
+    }
+    next()
+  })
+  server.start()
+}
+
+test('Sessions: Memory Store', function (t) {
+  let server = create({ secret: 'secret' })
+  let cookie
+
+  run(server, [
+    function (next) {
+      call(server, 'GET', '/peek', null, function (res, body, header) {
+        t.ok(res.statusCode === 200 && header === null, 'Sessions without data do not set a cookie.')
+        next()
+      })
+    },
+    function (next) {
+      call(server, 'GET', '/count', null, function (res, body, header, value) {
+        t.ok(body.count === 1 && /; Path=\/; Expires=.+; HttpOnly; SameSite=Lax$/.test(header), 'The cookie is set with the default attributes.')
+        t.ok(value.split('.')[0] === body.id, 'The cookie contains the signed session ID.')
+        cookie = value
+        next()
+      })
+    },
+    function (next) {
+      call(server, 'GET', '/count', cookie, function (res, body, header) {
+        t.ok(body.count === 2 && header !== null, 'The session is restored and the expiry is extended.')
+        next()
+      })
+    },
+    function (next) {
+      call(server, 'GET', '/count', cookie.replace(/.$/, cookie.slice(-1) === 'A' ? 'B' : 'A'), function (res, body) {
+        t.ok(body.count === 1, 'Tampered cookies are ignored.')
+        next()
+      })
+    },
+    function (next) {
+      call(server, 'POST', '/login', cookie, function (res, body, header, value) {
+        server.sessions.store.get('session:' + cookie.split('.')[0], function (err, record) {
+          if (err) {
+            console.error(err)
+          }
+          t.ok(body.id !== cookie.split('.')[0] && value.split('.')[0] === body.id && record === undefined, 'Regenerated sessions have a new ID and the old one is removed.')
+          cookie = value
+          next()
+        })
+      })
+    },
+    function (next) {
+      call(server, 'GET', '/peek', cookie, function (res, body) {
+        t.deepEqual(body, { count: 2, user: 'jane' }, 'Regenerated sessions retain their data.')
+        next()
+      })
+    },
+    function (next) {
+      call(server, 'POST', '/logout', cookie, function (res, body, header) {
+        server.sessions.store.get('session:' + cookie.split('.')[0], function (err, record) {
+          if (err) {
+            console.error(err)
+          }
+          t.ok(/^sid=;.*Expires=Thu, 01 Jan 1970/.test(header) && record === undefined, 'Destroyed sessions are removed and the cookie is cleared.')
+          next()
+        })
+      })
+    },
+    function (next) {
+      call(server, 'GET', '/health', cookie, function (res, body, header) {
+        t.ok(header === null, 'Built-in endpoints do not have a session.')
+        next()
+      })
+    }
+  ])
+
+  server.on('stop', function () {
+    t.end()
+  })
+})
+
+test('Sessions: Expiry & Key Rotation', function (t) {
+  let server = create({
+    secret: ['new', 'old'],
+    rolling: false,
+    cookie: { sameSite: 'Strict', secure: false, httpOnly: false, domain: 'localhost' }
+  })
+  let old = new Sessions({ secret: 'old' })
+
+  server.sessions.store.set('session:abc', { data: { count: 5 }, expires: Date.now() + 60000 })
+  server.sessions.store.set('session:expired', { data: { count: 5 }, expires: Date.now() - 1000 })
+
+  run(server, [
+    function (next) {
+      call(server, 'GET', '/peek', old.sign('abc'), function (res, body, header, value) {
+        t.ok(body.count === 5 && value === server.sessions.sign('abc'), 'Cookies signed with an older secret are accepted and signed again with the current secret.')
+        t.ok(/; Domain=localhost; Path=\/; Expires=.+; SameSite=Strict$/.test(header), 'The cookie attributes are configurable.')
+        next()
+      })
+    },
+    function (next) {
+      call(server, 'GET', '/peek', server.sessions.sign('abc'), function (res, body, header) {
+        t.ok(body.count === 5 && header === null, 'Unchanged sessions are not extended unless rolling.')
+        next()
+      })
+    },
+    function (next) {
+      call(server, 'GET', '/peek', server.sessions.sign('expired'), function (res, body) {
+        t.deepEqual(body, {}, 'Expired sessions are discarded.')
+        next()
+      })
+    }
+  ])
+
+  server.on('stop', function () {
+    t.throws(function () {
+      return new Sessions({})
+    }, /require a secret/, 'A secret is required.')
+    t.throws(function () {
+      return new Sessions({ secret: 'x', store: 'redis' })
+    }, /Unrecognized session store "redis"/, 'Unrecognized stores are rejected.')
+    t.end()
+  })
+})
+
+test('Sessions: Cookie Store', function (t) {
+  let server = create({ secret: ['new', 'old'], store: 'cookie' })
+  let old = new Sessions({ secret: 'old', store: 'cookie' })
+  let cookie
+
+  run(server, [
+    function (next) {
+      call(server, 'GET', '/count', null, function (res, body, header, value) {
+        t.ok(body.count === 1 && body.id === null && value.indexOf('count') < 0, 'The session data is encrypted into the cookie.')
+        cookie = value
+        next()
+      })
+    },
+    function (next) {
+      call(server, 'GET', '/count', cookie, function (res, body) {
+        t.ok(body.count === 2, 'The session is decrypted from the cookie.')
+        next()
+      })
+    },
+    function (next) {
+      call(server, 'GET', '/peek', old.encrypt({ data: { count: 7 }, expires: Date.now() + 60000 }), function (res, body, header, value) {
+        t.ok(body.count === 7 && server.sessions.decrypt(value).stale === false, 'Cookies encrypted with an older secret are encrypted again with the current secret.')
+        next()
+      })
+    },
+    function (next) {
+      call(server, 'GET', '/peek', server.sessions.encrypt({ data: { count: 7 }, expires: Date.now() - 1000 }), function (res, body) {
+        t.deepEqual(body, {}, 'Expired cookies are discarded.')
+        next()
+      })
+    }
+  ])
+
+  server.on('stop', function () {
+    t.end()
+  })
+})
+
+test('Sessions: File Store', function (t) {
+  let dir = fs.mkdtempSync(path.join(__dirname, 'files', 'sessions-'))
+  let server = create({ secret: 'secret', store: 'file', dir: dir })
+  let cookie
+
+  run(server, [
+    function (next) {
+      call(server, 'GET', '/count', null, function (res, body, header, value) {
+        cookie = value
+        t.ok(fs.readdirSync(dir).length === 1, 'Sessions are saved as files.')
+        next()
+      })
+    }
+  ])
+
+  server.on('stop', function () {
+    let restarted = create({ secret: 'secret', store: 'file', dir: dir })
+
+    run(restarted, [
+      function (next) {
+        call(restarted, 'GET', '/count', cookie, function (res, body) {
+          t.ok(body.count === 2, 'Sessions survive restarts.')
+          next()
+        })
+      },
+      function (next) {
+        call(restarted, 'POST', '/logout', cookie, function () {
+          t.ok(fs.readdirSync(dir).length === 0, 'Destroyed sessions are removed.')
+          next()
+        })
+      }
+    ])
+
+    restarted.on('stop', function () {
+      fs.rmdirSync(dir)
+      t.end()
+    })
+  })
+})
@@ -0,0 +1,153 @@
+'use strict'
+
+let test = require('tape')
+let request = require('request')
+let http = require('http')
+
+require('ngn')
+require('../')
+
+test('Graceful Shutdown', function (t) {
+  t.plan(5)
+
+  let server = new NGNX.http.Server({
+    autoStart: false,
+    poweredby: 'test',
+    port: 0,
+    refresh: false
+  })
+
+  let draining = false
+
+  server.app.get('/slow', function (req, res) {
+    setTimeout(function () {
+      res.status(200).send('done')
+    }, 300)
+  })
+
+  server.on('start', function () {
+    request.get('http://localhost:' + server.port + '/slow', function (err, r, bod) {
+      t.ok(!err, 'Active request was not interrupted.')
+      t.ok(r && r.statusCode === 200 && bod === 'done', 'Active request completed during shutdown.')
+    })
+
+    setTimeout(function () {
+      server.stop()
+    }, 100)
+  })
+
+  server.on('draining', function (count) {
+    draining = true
+    t.ok(count === 1, 'Draining event reports open connections.')
+  })
+
+  server.on('stop', function () {
+    t.ok(draining, 'Draining event fired before stop.')
+    t.ok(!server.running, 'Server is no longer running.')
+  })
+
+  server.start()
+})
+
+test('Shutdown Closes Idle Keep-Alive Connections', function (t) {
+  let server = new NGNX.http.Server({
+    autoStart: false,
+    poweredby: 'test',
+    port: 0,
+    refresh: false,
+    shutdownTimeout: 10000
+  })
+
+  let agent = new http.Agent({
+    keepAlive: true
+  })
+
+  server.app.get('/ping', function (req, res) {
+    res.sendStatus(200)
+  })
+
+  server.on('start', function () {
+    request.get({
+      url: 'http://localhost:' + server.port + '/ping',
+      agent: agent
+    }, function (err, r) {
+      if (err) {
+        console.error(err)
+      }
+      t.ok(r.statusCode === 200, 'Keep-alive request succeeded.')
+      let begin = Date.now()
+      server.on('stop', function () {
+        t.ok(Date.now() - begin < 5000, 'Idle connection did not hold the server open.')
+        agent.destroy()
+        t.end()
+      })
+      server.stop()
+    })
+  })
+
+  server.start()
+})
+
+test('Shutdown Timeout', function (t) {
+  let server = new NGNX.http.Server({
+    autoStart: false,
+    poweredby: 'test',
+    port: 0,
+    refresh: false,
+    shutdownTimeout: 200
+  })
+
+  server.app.get('/hang', function () {})
+
+  server.on('start', function () {
+    request.get('http://localhost:' + server.port + '/hang', function (err) {
+      t.ok(err, 'Unfinished request was terminated.')
+    })
+
+    setTimeout(function () {
+      server.stop()
+    }, 100)
+  })
+
+  server.on('stop', function () {
+    t.pass('Server stopped after the shutdown timeout.')
+    setTimeout(function () {
+      t.end()
+    }, 50)
+  })
+
+  server.start()
+})
+
+test('Stopping Twice', function (t) {
+  let server = new NGNX.http.Server({
+    autoStart: false,
+    poweredby: 'test',
+    port: 0,
+    refresh: false
+  })
+
+  let stops = 0
+  let drains = 0
+
+  server.on('draining', function () {
+    drains++
+  })
+
+  server.on('stop', function () {
+    stops++
+    server.stop()
+    setTimeout(function () {
+      t.ok(stops === 1, 'The stop event fired once.')
+      t.ok(drains === 1, 'The draining event fired once.')
+      t.end()
+    }, 100)
+  })
+
+  server.on('start', function () {
+    server.stop()
+    server.stop()
+  })
+
+  server.start()
+})
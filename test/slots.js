@@ -0,0 +1,181 @@
+'use strict'
+
+let test = require('tape')
+let request = require('request')
+let path = require('path')
+let fs = require('fs')
+
+require('ngn')
+require('../')
+
+test('Route Module Slots', function (t) {
+  let dir = fs.mkdtempSync(path.join(__dirname, 'files', 'slots-'))
+  let file = function (name, content) {
+    let filepath = path.join(dir, name)
+    if (content !== undefined) {
+      fs.writeFileSync(filepath, "'use strict'\n\n" + content + '\n')
+    }
+    return filepath
+  }
+
+  file('guarded.js', "module.exports = function (app) {\n  app.get('/guarded', function (req, res) { res.send('guarded') })\n  app.use('/files', function (req, res) { res.send('files' + req.path) })\n}")
+  file('first.js', "module.exports = function (app) { app.get('/shared', function (req, res) { res.send('first') }) }")
+  file('second.js', "module.exports = function (app) {\n  app.get('/shared', function (req, res) { res.send('second') })\n  app.get('/second', function (req, res) { res.send('second') })\n}")
+  file('third.js', "module.exports = function (app) { app.get('/items', function (req, res) { res.send('items') }) }")
+
+  let server = new NGNX.http.Server({
+    autoStart: false,
+    poweredby: 'test',
+    port: 0,
+    refresh: true,
+    basiclog: false
+  })
+
+  let guarded = 0
+  server.createRoutes(file('guarded.js'), {
+    middleware: function requireKey (req, res, next) {
+      guarded++
+      if (req.get('x-key') !== 'secret') {
+        return res.sendStatus(401)
+      }
+      next()
+    }
+  })
+  server.createRoutes(file('first.js'))
+  server.createRoutes(file('second.js'))
+  server.createRoutes(file('third.js'), { prefix: 'api/' })
+  file('users.js', "module.exports = function (app) {\n  app.param('id', function (req, res, next, id) { req.loaded = 'user ' + id; next() })\n  app.get('/:id', function (req, res) { res.send(req.loaded) })\n}")
+  server.createRoutes(file('users.js'), { prefix: 'users' })
+
+  // A module adding routes to the server directly (outside of its slot).
+  global.slotServer = server
+  file('direct.js', "module.exports = function () { global.slotServer.addRoute('GET', '/direct', function (req, res) { res.send('direct') }) }")
+  server.createRoutes(file('direct.js'))
+
+  server.on('start', function () {
+    let base = 'http://localhost:' + server.port
+    let get = function (urlpath, headers, fn) {
+      if (typeof headers === 'function') {
+        fn = headers
+        headers = {}
+      }
+      request.get({ url: base + urlpath, headers: headers }, function (err, res, body) {
+        if (err) {
+          console.error(err)
+        }
+        fn(res ? res.statusCode : null, body)
+      })
+    }
+
+    let checks = [
+      function (next) {
+        get('/shared', function (status, body) {
+          t.ok(body === 'first', 'The first module loaded takes precedence.')
+          next()
+        })
+      },
+      function (next) {
+        file('first.js', "module.exports = function (app) { app.get('/shared', function (req, res) { res.send('first again') }) }")
+        server.reloadRoutes(file('first.js'))
+        get('/shared', function (status, body) {
+          t.ok(body === 'first again', 'A reloaded module keeps its precedence.')
+          next()
+        })
+      },
+      function (next) {
+        get('/api/items', function (status, body) {
+          get('/items', function (status2) {
+            t.ok(body === 'items' && status2 === 404, 'Routes are mounted at the prefix of the module.')
+            t.ok(server.listRoutes().some(function (route) {
+              return route.path === '/api/items' && route.source === file('third.js')
+            }), 'Prefixed routes are listed with their full path and source.')
+            next()
+          })
+        })
+      },
+      function (next) {
+        get('/users/7', function (status, body) {
+          t.ok(status === 200 && body === 'user 7', 'Parameter callbacks registered by a module apply to its routes.')
+          next()
+        })
+      },
+      function (next) {
+        get('/guarded', function (status) {
+          get('/guarded', { 'x-key': 'secret' }, function (status2, body) {
+            t.ok(status === 401 && body === 'guarded', 'Module middleware is applied to the routes of the module.')
+            get('/files/a.txt', { 'x-key': 'secret' }, function (status3, body2) {
+              get('/files/a.txt', function (status4) {
+                t.ok(status3 === 200 && body2 === 'files/a.txt' && status4 === 401, 'Module middleware is applied to middleware mounted at a path.')
+                next()
+              })
+            })
+          })
+        })
+      },
+      function (next) {
+        guarded = 0
+        get('/second', function (status, body) {
+          get('/api/items', function (status2) {
+            t.ok(status === 200 && status2 === 200 && guarded === 0, 'Module middleware does not run for the routes of other modules.')
+            next()
+          })
+        })
+      },
+      function (next) {
+        fs.unlinkSync(file('first.js'))
+        server.reloadRoutes(file('first.js'))
+        get('/shared', function (status, body) {
+          t.ok(body === 'second', 'The routes of a removed module are no longer available.')
+          next()
+        })
+      },
+      function (next) {
+        file('first.js', "module.exports = function (app) { app.get('/shared', function (req, res) { res.send('first restored') }) }")
+        server.reloadRoutes(file('first.js'))
+        get('/shared', function (status, body) {
+          t.ok(body === 'first restored', 'A module created again regains its position.')
+          next()
+        })
+      },
+      function (next) {
+        file('direct.js', "module.exports = function () { global.slotServer.addRoute('GET', '/direct', function (req, res) { res.send('direct again') }) }")
+        server.reloadRoutes(file('direct.js'))
+        get('/direct', function (status, body) {
+          t.ok(body === 'direct again' && server.listRoutes().filter(function (route) {
+            return route.path === '/direct'
+          }).length === 1, 'Routes a module added to the server are replaced when it is reloaded.')
+          next()
+        })
+      },
+      function (next) {
+        t.ok(server.removeRoutes(file('first.js')) === 1, 'Removing a module removes its routes.')
+        server.createRoutes(file('first.js'))
+        get('/shared', function (status, body) {
+          t.ok(body === 'second', 'A module loaded after being removed is mounted after the existing modules.')
+          next()
+        })
+      }
+    ]
+
+    let run = function () {
+      if (checks.length === 0) {
+        server.stop()
+        return
+      }
+      checks.shift()(run)
+    }
+
+    run()
+  })
+
+  server.on('stop', function () {
+    delete global.slotServer
+    fs.readdirSync(dir).forEach(function (name) {
+      fs.unlinkSync(path.join(dir, name))
+    })
+    fs.rmdirSync(dir)
+    t.end()
+  })
+
+  server.start()
+})
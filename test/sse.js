@@ -0,0 +1,209 @@
+'use strict'
+
+let test = require('tape')
+let http = require('http')
+let path = require('path')
+
+require('ngn')
+require('../')
+
+// Open an event stream. The callback receives the response and the text
+// received so far (each time data arrives, and when the stream ends) until
+// it returns true, which closes the stream.
+let stream = function (port, urlpath, headers, callback) {
+  let done = false
+  let req = http.get({ port: port, path: urlpath, headers: headers }, function (res) {
+    let text = ''
+    let check = function (ended) {
+      if (!done && callback(res, text, ended)) {
+        done = true
+        req.abort()
+      }
+    }
+    res.setEncoding('utf8')
+    res.on('data', function (chunk) {
+      text += chunk
+      check(false)
+    })
+    res.on('end', function () {
+      check(true)
+    })
+  })
+  req.on('error', function (err) {
+    if (!done) {
+      console.error(err)
+    }
+  })
+}
+
+test('Server-Sent Events', function (t) {
+  let server = new NGNX.http.Server({
+    autoStart: false,
+    poweredby: 'test',
+    port: 0,
+    refresh: false,
+    basiclog: false,
+    sse: {
+      heartbeat: 100,
+      bufferSize: 2
+    }
+  })
+
+  server.createRoutes(path.join(__dirname, 'files', 'sseroutes.js'))
+
+  let errors = []
+  server.on('error', function (err) {
+    errors.push(err)
+  })
+
+  server.on('start', function () {
+    let checks = [
+      function (next) {
+        let id = null
+        stream(server.port, '/news', {}, function (res, text) {
+          if (id === null) {
+            t.ok(res.headers['content-type'].indexOf('text/event-stream') === 0 && res.headers['cache-control'] === 'no-cache', 'Event stream headers sent.')
+            id = server.broadcast('news', 'headline', { title: 'Hello' })
+            server.broadcast('news', 'first\nsecond')
+            return false
+          }
+          if (text.indexOf('data: second\n\n') < 0) {
+            return false
+          }
+          t.ok(text.indexOf('id: ' + id + '\nevent: headline\ndata: {"title":"Hello"}\n\n') > 0, 'Broadcast event delivered to the channel.')
+          t.ok(text.indexOf('id: ' + (id + 1) + '\ndata: first\ndata: second\n\n') > 0, 'Unnamed multi-line event delivered.')
+          setTimeout(function () {
+            t.ok(server.eventstreams.clients.size === 0 && server.eventstreams.channels.get('news').clients.size === 0, 'Disconnected clients are removed.')
+            next()
+          }, 50)
+          return true
+        })
+      },
+      function (next) {
+        let joined = false
+        stream(server.port, '/rooms/a', {}, function (res, text) {
+          if (text.indexOf('event: welcome') < 0) {
+            return false
+          }
+          if (!joined) {
+            joined = true
+            t.ok(text.indexOf('event: welcome\ndata: {"room":"a"}\n\n') > 0, 'Direct event sent by the handler.')
+            stream(server.port, '/rooms/b', {}, function (res2, text2) {
+              if (text2.indexOf('event: welcome') < 0) {
+                return false
+              }
+              if (text2.indexOf('data: for b') < 0) {
+                server.broadcast('room:b', 'message', 'for b')
+                return false
+              }
+              server.broadcast('room:a', 'done', 'for a')
+              return true
+            })
+          }
+          if (text.indexOf('data: for a') < 0) {
+            return false
+          }
+          t.ok(text.indexOf('for b') < 0, 'Events are only delivered to clients of the channel.')
+          next()
+          return true
+        })
+      },
+      function (next) {
+        let first = server.broadcast('news', 'tick', 1)
+        server.broadcast('news', 'tick', 2)
+        server.broadcast('news', 'tick', 3)
+        stream(server.port, '/news', { 'last-event-id': String(first + 1) }, function (res, text) {
+          if (text.indexOf('data: 3') < 0) {
+            return false
+          }
+          t.ok(text.indexOf('data: 2') < 0 && text.indexOf('id: ' + (first + 2) + '\nevent: tick\ndata: 3') > 0, 'Missed events are replayed using Last-Event-ID.')
+          stream(server.port, '/news', { 'last-event-id': '0' }, function (res2, text2) {
+            if (text2.indexOf('data: 3') < 0) {
+              return false
+            }
+            t.ok(text2.indexOf('data: 1') < 0 && text2.indexOf('data: 2') > 0, 'The replay buffer is bounded.')
+            next()
+            return true
+          })
+          return true
+        })
+      },
+      function (next) {
+        stream(server.port, '/news', {}, function (res, text) {
+          if (text.indexOf('\n:\n\n') < 0) {
+            return false
+          }
+          t.pass('Heartbeat comments are sent.')
+          next()
+          return true
+        })
+      },
+      function (next) {
+        stream(server.port, '/fail', {}, function (res, text, ended) {
+          if (!ended) {
+            return false
+          }
+          t.ok(errors.length === 1 && errors[0].message === 'Stream failure.', 'Handler errors are emitted and the stream is closed.')
+          next()
+          return true
+        })
+      }
+    ]
+
+    let run = function () {
+      if (checks.length === 0) {
+        let ended = false
+        server.on('stop', function () {
+          t.ok(ended && server.eventstreams.clients.size === 0, 'Open streams are closed when the server stops.')
+          t.end()
+        })
+        stream(server.port, '/news', {}, function (res, text, end) {
+          if (!end) {
+            server.stop()
+            return false
+          }
+          ended = true
+          return true
+        })
+        return
+      }
+      checks.shift()(run)
+    }
+
+    run()
+  })
+
+  server.start()
+})
+
+test('Server-Sent Events: Channel Expiry', function (t) {
+  let EventStreams = require('../lib/EventStreams')
+  let streams = new EventStreams({ retention: 50 })
+  let client = {
+    closed: false,
+    lastEventId: null,
+    channels: new Set(),
+    written: [],
+    write: function (chunk) {
+      this.written.push(chunk)
+    }
+  }
+
+  streams.subscribe(client, 'room:1')
+  streams.unsubscribe(client, 'room:1')
+  t.ok(!streams.channels.has('room:1'), 'Channels without clients or events are removed when the last client leaves.')
+
+  streams.broadcast('room:2', 'hello')
+  t.ok(streams.channels.has('room:2') && streams.sweeper !== null, 'The events of channels without clients are retained.')
+
+  streams.subscribe(client, 'news')
+  streams.broadcast('news', 'headline')
+  t.ok(streams.remove('news') && !streams.channels.has('news') && !client.channels.has('news'), 'Removed channels are left by their clients.')
+  t.ok(streams.remove('news') === false, 'Removing an unknown channel is ignored.')
+
+  setTimeout(function () {
+    streams.sweep()
+    t.ok(streams.channels.size === 0 && streams.sweeper === null, 'Expired channels are removed.')
+    t.end()
+  }, 100)
+})
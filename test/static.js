@@ -0,0 +1,262 @@
+'use strict'
+
+let test = require('tape')
+let request = require('request')
+let fs = require('fs')
+let os = require('os')
+let path = require('path')
+
+require('ngn')
+require('../')
+
+let dir = path.join(__dirname, 'files', 'static')
+
+test('Static Files', function (t) {
+  let server = new NGNX.http.Server({
+    autoStart: false,
+    poweredby: 'test',
+    port: 0,
+    refresh: false,
+    basiclog: false,
+    static: {
+      prefix: '/app',
+      dir: dir,
+      fallback: true,
+      cacheControl: {
+        '*.html': 'no-cache',
+        'assets/**': 'public, max-age=31536000, immutable'
+      }
+    }
+  })
+
+  server.app.get('/app/api/status', function (req, res) {
+    res.json({ ok: true })
+  })
+
+  server.on('start', function () {
+    let base = 'http://localhost:' + server.port
+    let checks = [
+      function (next) {
+        request.get({ url: base + '/app/assets/app.js', gzip: false, headers: { 'accept-encoding': 'identity' } }, function (err, r, bod) {
+          if (err) {
+            console.error(err)
+          }
+          t.ok(r.statusCode === 200 && bod === 'console.log(\'app\')\n', 'File served.')
+          t.ok(r.headers['content-type'].indexOf('application/javascript') === 0, 'Content type identified.')
+          t.ok(r.headers['cache-control'] === 'public, max-age=31536000, immutable', 'Cache-Control matched by path pattern.')
+          t.ok(r.headers['last-modified'] && /^W\/"/.test(r.headers.etag), 'ETag and Last-Modified headers returned.')
+          t.ok(r.headers['vary'].indexOf('Accept-Encoding') >= 0 && r.headers['content-encoding'] === undefined, 'Uncompressed file served when compression is not accepted.')
+
+          request.get({ url: base + '/app/assets/app.js', headers: { 'if-none-match': r.headers.etag, 'accept-encoding': 'identity' } }, function (err2, r2) {
+            if (err2) {
+              console.error(err2)
+            }
+            t.ok(r2.statusCode === 304, 'Conditional request responds with 304.')
+            next()
+          })
+        })
+      },
+      function (next) {
+        request.get({ url: base + '/app/assets/app.js', gzip: true }, function (err, r, bod) {
+          if (err) {
+            console.error(err)
+          }
+          t.ok(r.headers['content-encoding'] === 'gzip' && bod === 'console.log(\'app\')\n', 'Precompressed gzip variant served.')
+          t.ok(/-gzip"$/.test(r.headers.etag), 'Variant has its own ETag.')
+          next()
+        })
+      },
+      function (next) {
+        request.get({ url: base + '/app/assets/app.css', encoding: null, headers: { 'accept-encoding': 'br, gzip' } }, function (err, r, bod) {
+          if (err) {
+            console.error(err)
+          }
+          t.ok(r.headers['content-encoding'] === 'br' && bod.toString() === 'not-really-brotli', 'Precompressed brotli variant served.')
+          t.ok(r.headers['content-type'].indexOf('text/css') === 0, 'Variant uses the content type of the original file.')
+          next()
+        })
+      },
+      function (next) {
+        request.get({ url: base + '/app/docs', followRedirect: false }, function (err, r) {
+          if (err) {
+            console.error(err)
+          }
+          t.ok(r.statusCode === 301 && r.headers.location === '/app/docs/', 'Directory redirects to a trailing slash.')
+          request.get(base + '/app/docs/', function (err2, r2, bod2) {
+            if (err2) {
+              console.error(err2)
+            }
+            t.ok(r2.statusCode === 200 && bod2 === '<h1>Docs</h1>\n', 'Directory index served.')
+            t.ok(r2.headers['cache-control'] === 'no-cache', 'Cache-Control matched by file name pattern.')
+            next()
+          })
+        })
+      },
+      function (next) {
+        request.get({ url: base + '/app/settings/profile', headers: { accept: 'text/html' } }, function (err, r, bod) {
+          if (err) {
+            console.error(err)
+          }
+          t.ok(r.statusCode === 200 && bod.indexOf('<title>app</title>') > 0, 'Unmatched HTML request falls back to index.html.')
+          request.get({ url: base + '/app/api/status', headers: { accept: 'text/html' } }, function (err2, r2, bod2) {
+            if (err2) {
+              console.error(err2)
+            }
+            t.ok(JSON.parse(bod2).ok === true, 'Routes take precedence over the fallback.')
+            request.get({ url: base + '/app/missing.json', json: true }, function (err3, r3) {
+              if (err3) {
+                console.error(err3)
+              }
+              t.ok(r3.statusCode === 404, 'Non-HTML requests do not fall back.')
+              request.get({ url: base + '/other', headers: { accept: 'text/html' } }, function (err4, r4) {
+                if (err4) {
+                  console.error(err4)
+                }
+                t.ok(r4.statusCode === 404, 'Requests outside of the prefix do not fall back.')
+                next()
+              })
+            })
+          })
+        })
+      },
+      function (next) {
+        request.get(base + '/app/%2e%2e/routes.js', function (err, r) {
+          if (err) {
+            console.error(err)
+          }
+          t.ok(r.statusCode !== 200 || r.body.indexOf('module.exports') < 0, 'Files outside of the directory are not served.')
+          t.ok(server.statics[0].resolve('/app/.env') === null, 'Hidden files are not served.')
+          next()
+        })
+      }
+    ]
+
+    let run = function () {
+      if (checks.length === 0) {
+        server.stop()
+        return
+      }
+      checks.shift()(run)
+    }
+
+    run()
+  })
+
+  server.on('stop', function () {
+    t.end()
+  })
+
+  server.start()
+})
+
+test('Static Files: Refresh', function (t) {
+  let tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'ngnx-static-'))
+  let file = path.join(tmp, 'data.txt')
+  fs.writeFileSync(file, 'one')
+
+  let server = new NGNX.http.Server({
+    autoStart: false,
+    poweredby: 'test',
+    port: 0,
+    refresh: true,
+    basiclog: false
+  })
+
+  server.createStatic('/', tmp)
+
+  t.throws(function () {
+    server.createStatic('/', path.join(tmp, 'missing'))
+  }, /does not exist/, 'Missing directories throw an error.')
+
+  server.on('start', function () {
+    let url = 'http://localhost:' + server.port + '/data.txt'
+    request.get(url, function (err, r, bod) {
+      if (err) {
+        console.error(err)
+      }
+      t.ok(bod === 'one', 'Initial file served.')
+
+      // Give the watcher time to scan the directory before changing the file.
+      setTimeout(function () {
+        fs.writeFileSync(file, 'two, updated')
+        setTimeout(function () {
+          request.get(url, function (err2, r2, bod2) {
+            if (err2) {
+              console.error(err2)
+            }
+            t.ok(bod2 === 'two, updated' && r2.headers['content-length'] === '12', 'Changed file metadata invalidated.')
+            server.stop()
+          })
+        }, 6000)
+      }, 1000)
+    })
+  })
+
+  server.on('stop', function () {
+    fs.unlinkSync(file)
+    fs.rmdirSync(tmp)
+    t.end()
+  })
+
+  server.start()
+})
+
+test('Static Files: Revalidation', function (t) {
+  let tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'ngnx-static-'))
+  let file = path.join(tmp, 'data.txt')
+  fs.writeFileSync(file, 'one')
+
+  let server = new NGNX.http.Server({
+    autoStart: false,
+    poweredby: 'test',
+    port: 0,
+    refresh: false,
+    basiclog: false
+  })
+
+  let files = server.createStatic('/', tmp)
+  t.ok(files.revalidate, 'Cached metadata is revalidated when auto-refresh is disabled.')
+
+  server.on('start', function () {
+    let url = 'http://localhost:' + server.port + '/data.txt'
+    let checks = [
+      function (next) {
+        request.get(url, function (err, r, bod) {
+          t.ok(!err && bod === 'one', 'Initial file served.')
+          next()
+        })
+      },
+      function (next) {
+        fs.writeFileSync(file, 'two, updated')
+        request.get(url, function (err, r, bod) {
+          t.ok(!err && bod === 'two, updated' && r.headers['content-length'] === '12', 'Changed file served without invalidation.')
+          next()
+        })
+      },
+      function (next) {
+        fs.unlinkSync(file)
+        request.get(url, function (err, r) {
+          t.ok(!err && r.statusCode === 404, 'Deleted file is no longer served.')
+          next()
+        })
+      }
+    ]
+
+    let run = function () {
+      let check = checks.shift()
+      if (!check) {
+        return server.stop()
+      }
+      check(run)
+    }
+
+    run()
+  })
+
+  server.on('stop', function () {
+    fs.rmdirSync(tmp)
+    t.end()
+  })
+
+  server.start()
+})
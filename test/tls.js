@@ -0,0 +1,175 @@
+'use strict'
+
+let test = require('tape')
+let https = require('https')
+let fs = require('fs')
+let certificates = require('./files/certificates')
+
+require('ngn')
+require('../')
+
+let generate = certificates.generate
+
+// Retrieve the common name of the certificate presented by the server.
+let commonName = function (port, servername, callback) {
+  let req = https.get({
+    host: 'localhost',
+    port: port,
+    path: '/ping',
+    servername: servername,
+    rejectUnauthorized: false,
+    agent: false
+  }, function (res) {
+    let cn = res.socket.getPeerCertificate().subject.CN
+    res.resume()
+    res.on('end', function () {
+      callback(null, res.statusCode, cn)
+    })
+  })
+  req.on('error', callback)
+}
+
+let defaultcert = generate('default', 'localhost', 'secret')
+let apicert = generate('api', 'api.test')
+let wildcert = generate('wild', '*.wild.test')
+
+test('TLS Support', function (t) {
+  let server = new NGNX.http.Server({
+    autoStart: false,
+    poweredby: 'test',
+    port: 0,
+    refresh: false,
+    certificate: defaultcert.certificate,
+    key: defaultcert.key,
+    passphrase: 'secret',
+    sni: {
+      'api.test': apicert,
+      '*.wild.test': {
+        certificate: fs.readFileSync(wildcert.certificate).toString(),
+        key: fs.readFileSync(wildcert.key).toString()
+      }
+    }
+  })
+
+  server.createRoutes(require('./files/routes'))
+
+  server.on('start', function () {
+    commonName(server.port, 'localhost', function (err, status, cn) {
+      t.ok(!err, 'HTTPS request with an encrypted private key succeeded.')
+      t.ok(status === 200, 'HTTPS response received.')
+      t.ok(cn === 'localhost', 'Default certificate presented.')
+      commonName(server.port, 'api.test', function (err2, status2, cn2) {
+        t.ok(!err2 && cn2 === 'api.test', 'SNI certificate selected by hostname.')
+        commonName(server.port, 'www.wild.test', function (err3, status3, cn3) {
+          t.ok(!err3 && cn3 === '*.wild.test', 'SNI certificate selected by wildcard hostname (from PEM contents).')
+          commonName(server.port, 'unknown.test', function (err4, status4, cn4) {
+            t.ok(!err4 && cn4 === 'localhost', 'Default certificate presented for unknown hostnames.')
+            server.stop()
+          })
+        })
+      })
+    })
+  })
+
+  server.on('stop', function () {
+    t.end()
+  })
+
+  server.start()
+})
+
+test('TLS Certificate Hot Reload', function (t) {
+  let files = generate('reload', 'localhost')
+  let server = new NGNX.http.Server({
+    autoStart: false,
+    poweredby: 'test',
+    port: 0,
+    refresh: false,
+    certificate: files.certificate,
+    key: files.key
+  })
+
+  server.createRoutes(require('./files/routes'))
+
+  server.once('certificatereload', function () {
+    commonName(server.port, 'localhost', function (err, status, cn) {
+      t.ok(!err && cn === 'reloaded.test', 'Updated certificate presented after reload.')
+      server.stop()
+    })
+  })
+
+  server.on('start', function () {
+    commonName(server.port, 'localhost', function (err, status, cn) {
+      t.ok(!err && cn === 'localhost', 'Original certificate presented.')
+      // Give the file watcher time to complete its initial scan.
+      setTimeout(function () {
+        let updated = generate('updated', 'reloaded.test')
+        fs.writeFileSync(files.key, fs.readFileSync(updated.key))
+        fs.writeFileSync(files.certificate, fs.readFileSync(updated.certificate))
+      }, 1000)
+    })
+  })
+
+  server.on('stop', function () {
+    t.end()
+  })
+
+  server.start()
+})
+
+test('TLS Shutdown Timeout', function (t) {
+  let files = generate('shutdown', 'localhost')
+  let server = new NGNX.http.Server({
+    autoStart: false,
+    poweredby: 'test',
+    port: 0,
+    refresh: false,
+    certificate: files.certificate,
+    key: files.key,
+    shutdownTimeout: 500
+  })
+
+  server.app.get('/slow', function (req, res) {
+    setTimeout(function () {
+      res.status(200).send('done')
+    }, 300)
+  })
+
+  server.on('start', function () {
+    // Connects without ever starting the TLS handshake.
+    let stalled = require('net').connect(server.port, 'localhost')
+    stalled.on('error', function () {})
+
+    https.get({
+      host: 'localhost',
+      port: server.port,
+      path: '/slow',
+      rejectUnauthorized: false,
+      agent: false
+    }, function (res) {
+      let body = ''
+      res.on('data', function (chunk) {
+        body += chunk
+      })
+      res.on('end', function () {
+        t.ok(res.statusCode === 200 && body === 'done', 'Active HTTPS request completed during shutdown.')
+      })
+    }).on('error', function (err) {
+      t.fail('Active HTTPS request was interrupted (' + err.message + ').')
+    })
+
+    setTimeout(function () {
+      let begin = Date.now()
+      server.on('stop', function () {
+        t.ok(Date.now() - begin < 5000, 'A connection stalled in the TLS handshake did not hold the server open.')
+        stalled.destroy()
+        t.end()
+      })
+      server.stop()
+    }, 100)
+  })
+
+  server.start()
+})
+
+test.onFinish(certificates.cleanup)
@@ -0,0 +1,240 @@
+'use strict'
+
+let test = require('tape')
+let request = require('request')
+let path = require('path')
+
+require('ngn')
+require('../')
+
+test('Validation: Schemas', function (t) {
+  let validator = new NGNX.http.Server({
+    autoStart: false,
+    poweredby: 'test',
+    refresh: false,
+    basiclog: false,
+    validation: {
+      formats: {
+        sku: /^[A-Z]{3}-\d+$/
+      }
+    }
+  }).validator
+
+  let paths = function (result) {
+    return result.errors.map(function (err) {
+      return err.path
+    })
+  }
+
+  let result = validator.validate({
+    type: 'object',
+    properties: {
+      count: { type: 'integer' },
+      flags: { type: 'array', items: { type: 'boolean' } },
+      missing: { type: ['number', 'null'] }
+    }
+  }, { count: '3', flags: 'true', missing: '' }, 'query', true)
+  t.deepEqual(result.value, { count: 3, flags: [true], missing: null }, 'Values are coerced to the type of their schema.')
+
+  result = validator.validate({ type: 'integer' }, '3', 'body')
+  t.ok(result.errors.length === 1 && result.errors[0].message === 'must be an integer', 'Values are not coerced unless requested.')
+
+  result = validator.validate({
+    definitions: {
+      item: {
+        type: 'object',
+        required: ['sku'],
+        properties: {
+          sku: { type: 'string', format: 'sku' },
+          quantity: { type: 'number', exclusiveMinimum: 0, multipleOf: 0.5 }
+        }
+      }
+    },
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+      items: { type: 'array', items: { $ref: '#/definitions/item' }, uniqueItems: true, maxItems: 3 },
+      'gift-note': { type: 'string', maxLength: 5 }
+    }
+  }, {
+    items: [{ sku: 'ABC-1', quantity: 1.5 }, { sku: 'abc', quantity: 0 }, { quantity: 0.7 }],
+    'gift-note': 'Happy birthday',
+    coupon: 'FREE'
+  }, 'body')
+  t.deepEqual(paths(result), [
+    'body.items[1].sku',
+    'body.items[1].quantity',
+    'body.items[2].sku',
+    'body.items[2].quantity',
+    'body["gift-note"]',
+    'body.coupon'
+  ], 'The path of every invalid value is reported (with references and custom formats).')
+
+  let choice = {
+    oneOf: [
+      { type: 'string', format: 'email' },
+      { type: 'string', format: 'uuid' }
+    ]
+  }
+  t.ok(validator.validate(choice, 'me@example.com').errors.length === 0, 'oneOf accepts a value matching exactly one schema.')
+  t.ok(validator.validate(choice, 'nothing').errors[0].keyword === 'oneOf', 'oneOf rejects a value matching no schema.')
+  t.ok(validator.validate({ anyOf: [{ type: 'string' }, { type: 'integer' }], not: { const: 0 } }, 0).errors[0].keyword === 'not', 'anyOf and not are supported.')
+
+  t.throws(function () {
+    validator.middleware({ bdy: {} })
+  }, /Unsupported schema "bdy"/, 'Unsupported schema targets are rejected.')
+
+  t.end()
+})
+
+test('Validation: Requests', function (t) {
+  let server = new NGNX.http.Server({
+    autoStart: false,
+    poweredby: 'test',
+    port: 0,
+    refresh: false,
+    basiclog: false,
+    json: true,
+    dev: true
+  })
+
+  server.createRoutes(path.join(__dirname, 'files', 'validationroutes.js'))
+  server.createRoutes(path.join(__dirname, 'files', 'validation.yml'))
+
+  server.on('start', function () {
+    let base = 'http://localhost:' + server.port
+    let checks = [
+      function (next) {
+        request.post({ url: base + '/users', json: { name: 'J', age: '30', role: 'admin' } }, function (err, res, body) {
+          if (err) {
+            console.error(err)
+          }
+          t.ok(res.statusCode === 400 && /application\/problem\+json/.test(res.headers['content-type']), 'Invalid requests respond with a 400 problem.')
+          t.deepEqual(body.errors, [
+            { path: 'body.name', message: 'must be at least 2 characters long', keyword: 'minLength' },
+            { path: 'body.age', message: 'must be an integer', keyword: 'type' },
+            { path: 'body.role', message: 'is not an allowed property', keyword: 'additionalProperties' }
+          ], 'Every failing path is listed (JSON bodies are not coerced).')
+          next()
+        })
+      },
+      function (next) {
+        request.post({ url: base + '/users', json: { name: 'Jo', age: 30 } }, function (err, res, body) {
+          if (err) {
+            console.error(err)
+          }
+          t.ok(res.statusCode === 201 && Array.isArray(body.tags), 'Valid requests reach the handler, with defaults applied.')
+          next()
+        })
+      },
+      function (next) {
+        request.get({ url: base + '/search?page=3&active=true&tags=a', headers: { 'x-api-version': '2' }, json: true }, function (err, res, body) {
+          if (err) {
+            console.error(err)
+          }
+          t.deepEqual(body, { page: 3, active: true, tags: ['a'] }, 'Query parameters are coerced.')
+          next()
+        })
+      },
+      function (next) {
+        request.get({ url: base + '/search?page=0', json: true }, function (err, res, body) {
+          if (err) {
+            console.error(err)
+          }
+          t.deepEqual(body.errors.map(function (e) { return e.path }), ['query.page', 'headers["x-api-version"]'], 'Query parameters and headers are validated.')
+          next()
+        })
+      },
+      function (next) {
+        request.get({ url: base + '/users/abc', json: true }, function (err, res, body) {
+          if (err) {
+            console.error(err)
+          }
+          t.ok(res.statusCode === 400 && body.errors[0].path === 'params.id', 'Path parameters are validated.')
+          next()
+        })
+      },
+      function (next) {
+        request.get({ url: base + '/users/1', json: true }, function (err, res, body) {
+          if (err) {
+            console.error(err)
+          }
+          request.get({ url: base + '/users/404', json: true }, function (err2, res2) {
+            if (err2) {
+              console.error(err2)
+            }
+            t.ok(res.statusCode === 200 && body.age === 30 && res2.statusCode === 404, 'Valid responses are sent.')
+            next()
+          })
+        })
+      },
+      function (next) {
+        request.get({ url: base + '/users/2', json: true }, function (err, res, body) {
+          if (err) {
+            console.error(err)
+          }
+          t.ok(res.statusCode === 500 && body.errors[0].path === 'response.age', 'Invalid responses are reported in development mode.')
+          next()
+        })
+      },
+      function (next) {
+        request.get({ url: base + '/manifest/x', json: true }, function (err, res, body) {
+          if (err) {
+            console.error(err)
+          }
+          request.get({ url: base + '/manifest/5', json: true }, function (err2, res2, body2) {
+            if (err2) {
+              console.error(err2)
+            }
+            t.ok(res.statusCode === 400 && body2.id === 5, 'Route manifests support schemas.')
+            next()
+          })
+        })
+      }
+    ]
+
+    let run = function () {
+      if (checks.length === 0) {
+        server.stop()
+        return
+      }
+      checks.shift()(run)
+    }
+
+    run()
+  })
+
+  server.on('stop', function () {
+    t.end()
+  })
+
+  server.start()
+})
+
+test('Validation: Responses Outside Development', function (t) {
+  let server = new NGNX.http.Server({
+    autoStart: false,
+    poweredby: 'test',
+    port: 0,
+    refresh: false,
+    basiclog: false
+  })
+
+  server.createRoutes(path.join(__dirname, 'files', 'validationroutes.js'))
+
+  server.on('start', function () {
+    request.get({ url: 'http://localhost:' + server.port + '/users/2', json: true }, function (err, res, body) {
+      if (err) {
+        console.error(err)
+      }
+      t.ok(res.statusCode === 200 && body.age === 'old', 'Responses are not validated unless enabled.')
+      server.stop()
+    })
+  })
+
+  server.on('stop', function () {
+    t.end()
+  })
+
+  server.start()
+})
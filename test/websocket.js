@@ -0,0 +1,201 @@
+'use strict'
+
+let test = require('tape')
+let request = require('request')
+let path = require('path')
+let WebSocket = require('ws')
+let certificates = require('./files/certificates')
+
+require('ngn')
+require('../')
+
+// Connect to an endpoint and wait for the first message (or rejection).
+let receive = function (address, options, callback) {
+  let ws = new WebSocket(address, options)
+  let done = false
+  let finish = function (err, message) {
+    if (!done) {
+      done = true
+      callback(err, message, ws)
+    }
+  }
+  ws.on('message', function (message) {
+    finish(null, message)
+  })
+  ws.on('unexpected-response', function (req, res) {
+    finish(new Error(String(res.statusCode)))
+    ws.terminate()
+  })
+  ws.on('error', finish)
+  return ws
+}
+
+test('WebSockets', function (t) {
+  let server = new NGNX.http.Server({
+    autoStart: false,
+    poweredby: 'test',
+    port: 0,
+    refresh: true,
+    basiclog: false,
+    websocket: { maxPayload: 64 }
+  })
+  let file = path.join(__dirname, 'files', 'wsroutes.js')
+
+  server.createRoutes(file)
+
+  let errors = []
+  server.on('error', function (err) {
+    errors.push(err)
+  })
+
+  server.on('start', function () {
+    let base = 'ws://localhost:' + server.port
+    let echo = null
+    let checks = [
+      function (next) {
+        echo = new WebSocket(base + '/echo')
+        echo.on('open', function () {
+          echo.send('hello')
+        })
+        echo.once('message', function (message) {
+          t.ok(message === 'hello', 'WebSocket endpoint registered by a route module.')
+          request.get('http://localhost:' + server.port + '/http', function (err, r, bod) {
+            if (err) {
+              console.error(err)
+            }
+            t.ok(r.statusCode === 200 && bod === 'http', 'HTTP routes are served alongside WebSockets.')
+            next()
+          })
+        })
+      },
+      function (next) {
+        receive(base + '/rooms/lobby%20one', {}, function (err, message, ws) {
+          t.ok(!err && message === 'lobby one', 'Path parameters are available to the handler.')
+          ws.close()
+          receive(base + '/missing', {}, function (err2) {
+            t.ok(err2 && err2.message === '404', 'Unknown endpoints are rejected with 404.')
+            next()
+          })
+        })
+      },
+      function (next) {
+        receive(base + '/rooms/a', { origin: 'https://evil.com' }, function (err, message) {
+          t.ok(err && err.message === '403', 'Cross-origin connections are rejected without a CORS policy.')
+          receive(base + '/rooms/a', { origin: 'http://localhost:' + server.port }, function (err2, message2, ws) {
+            t.ok(!err2 && message2 === 'a', 'Same-origin connections are accepted.')
+            ws.close()
+            next()
+          })
+        })
+      },
+      function (next) {
+        receive(base + '/partners/feed', { origin: 'https://app.partner.com' }, function (err, message, ws) {
+          t.ok(!err && message === 'partner', 'Origins allowed by the CORS policy are accepted.')
+          ws.close()
+          receive(base + '/partners/feed', { origin: 'https://app.other.com' }, function (err2) {
+            t.ok(err2 && err2.message === '403', 'Origins rejected by the CORS policy are refused.')
+            next()
+          })
+        })
+      },
+      function (next) {
+        let ws = new WebSocket(base + '/fail')
+        ws.on('close', function (code) {
+          t.ok(code === 1011, 'Failing handlers close the connection with 1011.')
+          t.ok(errors.length === 1 && errors[0].message === 'Socket failure.', 'Handler errors are emitted.')
+          next()
+        })
+      },
+      function (next) {
+        let ws = new WebSocket(base + '/echo')
+        ws.on('open', function () {
+          ws.send(Buffer.alloc(128))
+        })
+        ws.on('close', function (code) {
+          t.ok(code === 1009, 'Messages exceeding the maximum size close the connection.')
+          t.ok(errors.length === 2 && /Max payload size exceeded/.test(errors[1].message), 'Socket errors are emitted instead of crashing the server.')
+          next()
+        })
+      },
+      function (next) {
+        let version = global.wsroutesVersion
+        server.reloadRoutes(file)
+        t.ok(server.websockets.endpoints.length === 5, 'Reloaded endpoints are not duplicated.')
+        receive(base + '/version', {}, function (err, message, ws) {
+          t.ok(!err && message === String(version + 1), 'Endpoints are swapped during a hot reload.')
+          ws.close()
+          echo.send('still here')
+          echo.once('message', function (message2) {
+            t.ok(message2 === 'still here', 'Open connections survive a hot reload.')
+            next()
+          })
+        })
+      },
+      function (next) {
+        server.removeRoutes(file)
+        receive(base + '/echo', {}, function (err) {
+          t.ok(err && err.message === '404', 'Endpoints are removed with their module.')
+          next()
+        })
+      }
+    ]
+
+    let run = function () {
+      if (checks.length === 0) {
+        let pending = 2
+        let done = function () {
+          if (--pending === 0) {
+            t.end()
+          }
+        }
+        echo.on('close', function (code) {
+          t.ok(code === 1001, 'Open connections are closed when the server stops.')
+          done()
+        })
+        server.on('stop', done)
+        server.stop()
+        return
+      }
+      checks.shift()(run)
+    }
+
+    run()
+  })
+
+  server.start()
+})
+
+test('WebSockets: TLS', function (t) {
+  let cert = certificates.generate('websocket', 'localhost')
+  let server = new NGNX.http.Server({
+    autoStart: false,
+    poweredby: 'test',
+    port: 0,
+    refresh: false,
+    basiclog: false,
+    certificate: cert.certificate,
+    key: cert.key
+  })
+
+  server.createRoutes(function (app) {
+    app.ws('/secure', function (socket, req) {
+      socket.send(req.socket.encrypted ? 'encrypted' : 'plain')
+    })
+  })
+
+  server.on('start', function () {
+    receive('wss://localhost:' + server.port + '/secure', { rejectUnauthorized: false }, function (err, message, ws) {
+      t.ok(!err && message === 'encrypted', 'WebSockets are supported over TLS.')
+      ws.close()
+      server.stop()
+    })
+  })
+
+  server.on('stop', function () {
+    t.end()
+  })
+
+  server.start()
+})
+
+test.onFinish(certificates.cleanup)